@@ -6,8 +6,24 @@ importScripts('../modules/VideoCompressor.js');
 importScripts('../modules/StorageBuckets.js');
 importScripts('../modules/StorageManager.js');
 importScripts('../modules/StorageMonitor.js');
+importScripts('../modules/RedactionEngine.js');
+importScripts('../modules/OutboundAuditLog.js');
 importScripts('../modules/AIService.js');
+importScripts('../modules/AIUsageTracker.js');
+importScripts('../modules/AIReportCache.js');
+importScripts('../modules/StackTraceParser.js');
 importScripts('../modules/FingerprintManager.js');
+importScripts('../modules/IssueTracker.js');
+importScripts('../modules/SimilarityEngine.js');
+importScripts('../modules/HarBuilder.js');
+importScripts('../modules/TestScriptGenerator.js');
+importScripts('../modules/GherkinGenerator.js');
+importScripts('../modules/SourceMapResolver.js');
+importScripts('../modules/EnvironmentDetector.js');
+importScripts('../modules/JiraAdfBuilder.js');
+importScripts('../modules/JiraCreateMeta.js');
+importScripts('../modules/JiraRouter.js');
+importScripts('../modules/DomReplayRecorder.js');
 importScripts('../utils/RateLimiter.js');
 importScripts('../utils/PerformanceMonitor.js');
 
@@ -134,8 +150,16 @@ class BugSpotterBackground {
     this.errorHandler = new ErrorHandler();
     this.storageManager = new StorageManager();
     this.aiService = new AIService();
-    this.fingerprintManager = new FingerprintManager();
+    this.aiService.usageTracker = new AIUsageTracker();
+    // Hash e redações de tudo o que sai do browser (prompts de AI, tickets, exportações)
+    this.outboundAudit = new OutboundAuditLog();
+    this.aiService.outboundAudit = this.outboundAudit;
+    this.fingerprintManager = new FingerprintManager({ stackParser: new StackTraceParser() });
+    this.issueTracker = new IssueTracker({ fingerprintManager: this.fingerprintManager });
+    this.similarityEngine = new SimilarityEngine();
     this.performanceMonitor = new PerformanceMonitor();
+    this.sourceMapResolver = new SourceMapResolver({ dbManager: new IndexedDBManager() });
+    this.aiReportCache = new AIReportCache({ dbManager: new IndexedDBManager() });
     
     // Inicializar StorageMonitor
     this.storageMonitor = new StorageMonitor(this.storageManager);
@@ -249,7 +273,7 @@ class BugSpotterBackground {
       
       // ✅ Atualizar AIService quando configurações de AI mudarem
       if (areaName === 'sync') {
-          if (changes.aiApiKey || changes.aiProvider || changes.aiEnabled) {
+          if (changes.aiApiKey || changes.aiProvider || changes.aiEnabled || changes.aiLocalConfig || changes.aiFallbackChain || changes.aiKeys) {
               console.log('[Background] AI Settings changed in sync storage. Reloading AIService...');
               if (this.aiService) {
                   this.aiService.initialize().then(() => {
@@ -868,6 +892,9 @@ class BugSpotterBackground {
         this.addToBuffer(session.logs, errorEntry);
         this.addToBuffer(persistentData.logs, errorEntry);
         this.addToBuffer(persistentData.errors, errorEntry);
+
+        // Resolver source maps em segundo plano (a entrada é atualizada no buffer)
+        this.resolveErrorStack(errorEntry).catch(() => {});
         break;
   
       // 🆕 NOVOS CASOS PARA EVENTOS DE REDE
@@ -883,6 +910,9 @@ class BugSpotterBackground {
           requestHeaders: params.request.headers,
           postData: params.request.postData,
           initiator: params.initiator,
+          // Tempos do CDP usados na exportação HAR
+          startedDateTime: new Date(params.wallTime ? params.wallTime * 1000 : timestamp).toISOString(),
+          requestMonotonic: params.timestamp,
           // 🆕 Adicionar log formatado para exibição
           text: `[NETWORK] ${params.request.method} ${params.request.url}`
         };
@@ -908,7 +938,12 @@ class BugSpotterBackground {
           headers: params.response.headers,
           // Preserve response headers explicitly
           responseHeaders: params.response.headers,
-          mimeType: params.response.mimeType
+          mimeType: params.response.mimeType,
+          // Dados adicionais para exportação HAR
+          responseTimestamp: new Date(timestamp).toISOString(),
+          timing: params.response.timing,
+          protocol: params.response.protocol,
+          remoteIPAddress: params.response.remoteIPAddress
         };
         
         // Network.responseReceived capturado - silenciado
@@ -1147,7 +1182,8 @@ class BugSpotterBackground {
           type: 'network-finished',
           timestamp: new Date(timestamp).toISOString(),
           requestId: params.requestId,
-          encodedDataLength: params.encodedDataLength
+          encodedDataLength: params.encodedDataLength,
+          finishedTime: params.timestamp
         };
         
         // Network.loadingFinished capturado - silenciado
@@ -1536,6 +1572,138 @@ class BugSpotterBackground {
     }
   }
 
+  // 🆕 Exportar pedidos de rede capturados pelo debugger como HAR 1.2
+  async exportHar(tabId, { includeBodies = true, maxBodies = 100 } = {}) {
+    const session = this.debuggerSessions.get(tabId) || {};
+    const persistent = this.getPersistentLogs(tabId) || {};
+    // Usar os buffers em bruto: deduplicateNetworkRequests descartaria os eventos de falha/conclusão
+    const requests = []
+      .concat(persistent.networkRequests || [])
+      .concat(session.networkRequests || []);
+
+    if (requests.length === 0) {
+      throw new Error('No network requests captured for this tab. Attach the debugger and reproduce the issue first.');
+    }
+
+    const bodies = {};
+
+    // Corpos já capturados pelo fluxo de erros HTTP
+    const errorLogs = [].concat(persistent.errors || []).concat(session.logs || []);
+    for (const log of errorLogs) {
+      if (log && log.type === 'http-error-with-body' && log.requestId && typeof log.responseBody === 'string') {
+        bodies[log.requestId] = { body: log.responseBody, base64Encoded: !!log.base64Encoded };
+      }
+    }
+
+    // Restantes corpos via Network.getResponseBody (só disponível com o debugger anexado)
+    if (includeBodies && this.debuggerSessions.has(tabId) && chrome.debugger) {
+      const pending = [...new Set(requests
+        .filter(r => r && r.requestId && typeof r.status === 'number' && !bodies[r.requestId])
+        .map(r => r.requestId))]
+        .slice(-maxBodies);
+
+      for (const requestId of pending) {
+        try {
+          const result = await chrome.debugger.sendCommand({ tabId }, 'Network.getResponseBody', { requestId });
+          if (result && typeof result.body === 'string') {
+            bodies[requestId] = { body: result.body, base64Encoded: !!result.base64Encoded };
+          }
+        } catch (_) {
+          // Recurso já removido do buffer do Chrome ou sem corpo (ex.: 204/redirect) - ignorar
+        }
+      }
+    }
+
+    let pageUrl = '';
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      pageUrl = tab?.url || '';
+    } catch (_) {}
+
+    const builder = new HarBuilder({
+      creatorVersion: chrome.runtime.getManifest?.().version,
+      redaction: await this.getRedactionEngine('exports')
+    });
+    const changes = [];
+    const har = builder.build(requests, { pageUrl, bodies, trace: changes });
+
+    let host = 'page';
+    try { host = new URL(pageUrl).hostname || host; } catch (_) {}
+
+    const fileName = `network_${host}_${Date.now()}.har`;
+    await this.recordOutbound({ destination: 'export', target: fileName, payload: har, changes });
+    return {
+      har,
+      fileName,
+      entryCount: har.log.entries.length,
+      redactionCount: changes.length
+    };
+  }
+
+  /**
+   * Gera um script de teste (Playwright/Cypress/Puppeteer) a partir das interações gravadas
+   * @param {number} tabId - Aba de origem (usada quando não são passadas interações)
+   * @param {Object} options - { framework, interactions, failingRequest, title }
+   * @returns {Promise<Object>} { script, fileName, framework, actionCount }
+   */
+  async generateTestScript(tabId, { framework = 'playwright', interactions = null, failingRequest = null, title = '' } = {}) {
+    const list = Array.isArray(interactions) && interactions.length > 0
+      ? interactions
+      : (tabId ? this.userInteractions.get(tabId) || [] : []);
+    if (list.length === 0) {
+      throw new Error('No interactions recorded for this tab. Reload the page and reproduce the issue first.');
+    }
+
+    // Sem pedido indicado: usar o último erro HTTP capturado na aba
+    let failing = failingRequest;
+    if (!failing && tabId) {
+      const persistent = this.getPersistentLogs(tabId) || {};
+      const httpErrors = (persistent.errors || []).filter(e => e && e.url && Number(e.status) >= 400);
+      const latest = httpErrors[httpErrors.length - 1];
+      if (latest) {
+        failing = { url: latest.url, method: latest.method, status: latest.status };
+      }
+    }
+
+    let startUrl = '';
+    if (tabId) {
+      try {
+        const tab = await chrome.tabs.get(tabId);
+        startUrl = tab?.url || '';
+      } catch (_) {}
+    }
+
+    const generator = new TestScriptGenerator();
+    return generator.generate(list, { framework, failingRequest: failing, title, startUrl });
+  }
+
+  /**
+   * Gera um ficheiro .feature (Gherkin) a partir de um relatório
+   * @param {Object} report - { title, description, steps|stepsToReproduce, expectedBehavior, actualBehavior, url, originalError, jiraKey, interactions }
+   * @param {Object} options - { mode: 'deterministic'|'ai', tabId }
+   * @returns {Promise<Object>} { feature, fileName, scenarioCount, source }
+   */
+  async generateGherkin(report = {}, { mode = 'deterministic', tabId = null } = {}) {
+    // Relatório sem passos: derivá-los das interações guardadas (ou das da aba de origem)
+    let steps = GherkinGenerator.normalizeSteps(report.stepsToReproduce || report.steps);
+    if (steps.length === 0) {
+      const interactions = Array.isArray(report.interactions) && report.interactions.length > 0
+        ? report.interactions
+        : (tabId ? this.userInteractions.get(tabId) || [] : []);
+      steps = this.aiService ? this.aiService._generateDeterministicSteps(interactions) : [];
+    }
+
+    let model = null;
+    if (mode === 'ai') {
+      if (!this.aiService || !this.aiService.isConfigured()) {
+        throw new Error('AI service not configured');
+      }
+      model = await this.aiService.generateGherkinScenarios({ report, steps });
+    }
+
+    return new GherkinGenerator().generate(report, { steps, model });
+  }
+
   async handleMessage(message, sender, sendResponse) {
     try {
       // Aplicar atualizações de configuração da AI imediatamente
@@ -1546,7 +1714,9 @@ class BugSpotterBackground {
             aiApiKey: ai.apiKey,
             aiEnabled: ai.enabled,
             aiProvider: ai.provider,
-            aiModel: ai.model
+            aiModel: ai.model,
+            aiLocalConfig: ai.local,
+            aiFallbackChain: ai.fallbackChain
           });
           // Reavaliar prontidão com base na configuração atual
           this.aiServiceReady = this.aiService.isConfigured();
@@ -1584,7 +1754,8 @@ class BugSpotterBackground {
               timestamp: message.data.timestamp || new Date().toISOString(),
               source: 'console',
               url: message.data.url,
-              stack: message.data.stack
+              stack: message.data.stack,
+              errorKind: message.data.kind || null
             };
           } else {
             // 🆕 Prevenir duplicação: Se o debugger estiver anexado, ignorar mensagens de erro de rede do content script
@@ -1637,6 +1808,12 @@ class BugSpotterBackground {
             this.addToBuffer(persistent.networkRequests, errorLog);
           }
           
+          // A cópia na consola de uma falha de rede ("[HTTP ERROR] ...") fica nos logs, mas o relatório AI e a
+          // notificação já seguem com o HTTP_ERROR/NETWORK_ERROR da mesma falha
+          if (IssueTracker.isNetworkEcho(errorLog)) {
+            return;
+          }
+
           // Processar com AI se habilitado
           try {
             await this.processErrorWithAI(errorLog, tabId);
@@ -1879,6 +2056,74 @@ class BugSpotterBackground {
           }
           break;
 
+        case 'EXPORT_HAR':
+          try {
+            const tabId = message.tabId || sender.tab?.id;
+            if (!tabId) throw new Error('No tab ID provided');
+            const result = await this.exportHar(tabId, { includeBodies: message.includeBodies !== false });
+            sendResponse({ success: true, data: result });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'GENERATE_TEST_SCRIPT':
+          try {
+            const tabId = message.tabId || sender.tab?.id;
+            const result = await this.generateTestScript(tabId, {
+              framework: message.framework,
+              interactions: message.interactions,
+              failingRequest: message.failingRequest,
+              title: message.title
+            });
+            sendResponse({ success: true, data: result });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'GENERATE_GHERKIN':
+          try {
+            const result = await this.generateGherkin(message.report, {
+              mode: message.mode,
+              tabId: message.tabId || sender.tab?.id || null
+            });
+            sendResponse({ success: true, data: result });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'GET_ISSUES':
+          try {
+            const issues = await this.issueTracker.listIssues({
+              sortBy: message.sortBy || 'lastSeen',
+              status: message.status || null
+            });
+            sendResponse({ success: true, data: issues });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'UPDATE_ISSUE_STATUS':
+          try {
+            const issue = await this.issueTracker.updateStatus(message.fingerprint, message.status);
+            sendResponse({ success: true, data: issue });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'CLEAR_ISSUES':
+          try {
+            await this.issueTracker.clear();
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
         case 'SAVE_BUG':
           await this.saveBug(message.data);
           sendResponse({ success: true });
@@ -1894,6 +2139,60 @@ class BugSpotterBackground {
           sendResponse({ success: false, error: 'EasyVista integration disabled (phase-out)' });
           break;
 
+        case 'FIND_DUPLICATE_SUGGESTIONS':
+          try {
+            const suggestions = await this.findDuplicateSuggestions(message.data || {});
+            sendResponse({ success: true, data: suggestions });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'PREVIEW_OUTBOUND':
+          try {
+            const outbound = await this.buildJiraOutbound(message.data || {}, { mode: message.mode === 'comment' ? 'comment' : 'create' });
+            sendResponse({ success: true, data: await this.describeOutbound(outbound) });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'GET_JIRA_CREATE_META':
+          try {
+            // Campos do projeto/tipo de issue para onde o relatório seria encaminhado
+            const route = this.resolveJiraRoute(message.report || {}, await this.getSettings());
+            const meta = await this.getJiraCreateMeta({ refresh: !!message.refresh, projectKey: route.projectKey, issueTypeId: route.issueTypeId });
+            sendResponse({ success: true, data: { ...meta, ruleName: route.ruleName } });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'SEARCH_JIRA_USERS':
+          try {
+            sendResponse({ success: true, data: await this.searchJiraUsers(message.query || '', message.projectKey || '') });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'GET_OUTBOUND_AUDIT':
+          try {
+            sendResponse({ success: true, data: await this.outboundAudit.list() });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'COMMENT_ON_EXISTING_ISSUE':
+          try {
+            const result = await this.commentOnExistingIssue(message.issueKey, message.data || {});
+            sendResponse({ success: true, data: result });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
         case 'ADD_JIRA_COMMENT':
           try {
             const { issueKey, body } = message;
@@ -1944,7 +2243,9 @@ class BugSpotterBackground {
             } catch (e) {
               // ignore
             }
-            const suggestions = await this.aiService.enhanceBugFields({ fields, interactions, context });
+            context.environment = await this.detectEnvironment(tabId, context.pageUrl);
+            // Screenshot opcional, já reduzido (e mascarado) pelo popup
+            const suggestions = await this.aiService.enhanceBugFields({ fields, interactions, context, screenshot: message.screenshot || null });
             sendResponse({ success: true, data: suggestions });
           } catch (error) {
             sendResponse({ success: false, error: error.message });
@@ -1952,6 +2253,26 @@ class BugSpotterBackground {
           break;
         }
 
+        case 'DETECT_ENVIRONMENT': {
+          try {
+            const tabId = sender.tab?.id || message.tabId;
+            sendResponse({ success: true, data: await this.detectEnvironment(tabId, message.url || '') });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+        }
+
+        case 'REGENERATE_AI_REPORT': {
+          try {
+            const report = await this.regenerateAIReport(message.sourceKey, message.reportId);
+            sendResponse({ success: true, data: report });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+        }
+
         case 'MIGRATE_AI_REPORT_STEPS': {
           try {
             const tabId = sender.tab?.id || message.tabId;
@@ -2439,6 +2760,12 @@ class BugSpotterBackground {
     });
     
     try {
+      // Validar os campos do formulário antes das novas tentativas: um obrigatório em falta não se resolve a repetir
+      const jiraSettings = await this.getSettings();
+      if (jiraSettings.jira && jiraSettings.jira.enabled) {
+        await this.buildJiraCustomFields(bugData, jiraSettings, { route: this.resolveJiraRoute(bugData, jiraSettings) });
+      }
+
       const result = await this.errorHandler.executeWithRetry(async () => {
       const settings = await this.getSettings();
       
@@ -2446,10 +2773,13 @@ class BugSpotterBackground {
         throw new Error('Jira integration not configured');
       }
   
+      // Projeto e tipo de issue segundo as regras de encaminhamento (ou os das definições)
+      const route = this.resolveJiraRoute(bugData, settings);
+
       // 🔍 Deduplication Check
       let fingerprint = null;
       try {
-        fingerprint = await this.fingerprintManager.generateFingerprint(bugData);
+        fingerprint = await this.fingerprintManager.generateFingerprint(bugData, settings.fingerprint || {});
         
         // 1. Tentar RESERVAR o fingerprint (Check Local + Lock)
         // Isso previne race conditions se dois tickets forem enviados quase ao mesmo tempo
@@ -2470,7 +2800,7 @@ class BugSpotterBackground {
         // 2. Check Remote Duplicate (Jira)
         // Se falhar aqui, DEVEMOS libertar o fingerprint reservado
         try {
-          const jql = `project = "${settings.jira.projectKey}" AND description ~ "${fingerprint}" AND statusCategory != Done`;
+          const jql = `project = "${route.projectKey}" AND description ~ "${fingerprint}" AND statusCategory != Done`;
           const searchResponse = await fetch(`${settings.jira.baseUrl}/rest/api/2/search?jql=${encodeURIComponent(jql)}&fields=key,summary&maxResults=1`, {
             method: 'GET',
             headers: {
@@ -2503,13 +2833,20 @@ class BugSpotterBackground {
       // Primeiro, criar o issue
       // Append fingerprint to description for future checks
       // Usar formato explícito para facilitar indexação e busca JQL
-      const description = this.formatJiraDescription(bugData) + (fingerprint ? `\n\nBugSpotter Fingerprint: ${fingerprint}` : '');
+      const outbound = await this.buildJiraOutbound(bugData, { route });
+      const fingerprintLine = fingerprint ? `BugSpotter Fingerprint: ${fingerprint}` : '';
+      let description = outbound.description;
+      if (fingerprintLine) {
+        description = outbound.format === 'adf'
+          ? JiraAdfBuilder.appendParagraph(description, fingerprintLine)
+          : `${description}\n\n${fingerprintLine}`;
+      }
 
       const baseFields = {
-        project: { key: settings.jira.projectKey },
-        summary: bugData.title,
+        project: { key: outbound.route.projectKey },
+        summary: outbound.summary,
         description: description,
-        issuetype: { id: settings.jira.issueTypeId || '10035' }
+        issuetype: { id: outbound.route.issueTypeId }
       };
 
       // Para relatórios AI, não enviar prioridade para permitir o default do Jira
@@ -2519,10 +2856,12 @@ class BugSpotterBackground {
       if (shouldIncludePriority) {
         fields.priority = { name: await this.mapPriorityToJira(bugData.priority) };
       }
+      Object.assign(fields, this.buildEnvironmentJiraFields(bugData, settings), outbound.fields);
 
       const jiraIssue = { fields };
   
-      const response = await fetch(`${settings.jira.baseUrl}/rest/api/2/issue`, {
+      // v3 (Jira Cloud) recebe a descrição em ADF; v2 em wiki markup
+      const response = await fetch(`${settings.jira.baseUrl}/rest/api/${outbound.format === 'adf' ? 3 : 2}/issue`, {
         method: 'POST',
         headers: {
           'Authorization': `Basic ${btoa(`${settings.jira.email}:${settings.jira.apiToken}`)}`,
@@ -2536,7 +2875,13 @@ class BugSpotterBackground {
         if (fingerprint) {
           await this.fingerprintManager.releaseFingerprint(fingerprint);
         }
-        throw new Error(`Jira API error: ${response.statusText}`);
+        // O Jira indica por campo o que rejeitou (ex.: "Team is required.")
+        let details = '';
+        try {
+          const errorData = await response.json();
+          details = [...(errorData.errorMessages || []), ...Object.entries(errorData.errors || {}).map(([key, message]) => `${key}: ${message}`)].join('; ');
+        } catch (_) {}
+        throw new Error(`Jira API error: ${response.statusText}${details ? ` - ${details}` : ''}`);
       }
   
       const result = await response.json();
@@ -2549,11 +2894,12 @@ class BugSpotterBackground {
         }).catch(e => console.warn('Failed to confirm local fingerprint:', e));
       }
 
-      // Segundo, anexar os arquivos se existirem
+      // Segundo, anexar os arquivos se existirem (já redigidos)
       let attachmentResult = null;
-      if (bugData.attachments && bugData.attachments.length > 0) {
-        attachmentResult = await this.attachFilesToJiraIssue(result.key, bugData.attachments, settings);
+      if (outbound.attachments.length > 0) {
+        attachmentResult = await this.attachFilesToJiraIssue(result.key, outbound.attachments, settings);
       }
+      await this.recordOutbound({ destination: 'jira', target: result.key, payload: jiraIssue, changes: outbound.changes, attachments: outbound.attachments });
 
       // Auto-delete local bug if enabled and submission was successful
       if (settings.security && settings.security.autoDelete && result.key) {
@@ -2597,6 +2943,10 @@ class BugSpotterBackground {
     }
   }
 
+  /**
+   * @param {string} issueKey
+   * @param {string|Object} commentBody - Wiki markup (API v2) ou documento ADF (API v3)
+   */
   async addCommentToJiraIssue(issueKey, commentBody) {
     try {
       const settings = await this.getSettings();
@@ -2606,7 +2956,8 @@ class BugSpotterBackground {
       if (!issueKey || typeof issueKey !== 'string') {
         throw new Error('Invalid issue key');
       }
-      const response = await fetch(`${settings.jira.baseUrl}/rest/api/2/issue/${issueKey}/comment`, {
+      const apiVersion = commentBody && typeof commentBody === 'object' ? 3 : 2;
+      const response = await fetch(`${settings.jira.baseUrl}/rest/api/${apiVersion}/issue/${issueKey}/comment`, {
         method: 'POST',
         headers: {
           'Authorization': `Basic ${btoa(`${settings.jira.email}:${settings.jira.apiToken}`)}`,
@@ -2631,6 +2982,281 @@ class BugSpotterBackground {
     }
   }
   
+  /**
+   * Sugere relatórios locais e issues Jira abertos semelhantes ao relatório a enviar
+   * @param {Object} bugData - Relatório a enviar (title, description, steps, url, originalError)
+   * @returns {Promise<Array<Object>>} [{ source: 'local'|'jira', key, title, score, status }]
+   */
+  async findDuplicateSuggestions(bugData) {
+    const settings = await this.getSettings();
+    const duplicates = settings.duplicates || {};
+    if (duplicates.enabled === false) return [];
+    const threshold = Math.min(90, Math.max(10, Number(duplicates.threshold) || 30)) / 100;
+
+    const candidates = [];
+
+    // Relatórios locais (manuais e AI)
+    const stored = await chrome.storage.local.get(null);
+    const localReports = [
+      ...(stored.bugReports || []),
+      ...Object.keys(stored).filter(k => k.startsWith('ai-reports-')).flatMap(k => stored[k] || [])
+    ];
+    localReports
+      .filter(report => report && report.title)
+      .filter(report => !(bugData.id && report.id === bugData.id) && !(bugData.timestamp && report.timestamp === bugData.timestamp && report.title === bugData.title))
+      .forEach(report => candidates.push({
+        source: 'local',
+        key: report.jiraKey || null,
+        title: report.title,
+        description: report.description,
+        steps: report.steps || report.stepsToReproduce,
+        actualBehavior: report.actualBehavior,
+        url: report.url || report.pageUrl,
+        originalError: report.originalError,
+        createdAt: report.createdAt || report.timestamp
+      }));
+
+    // Issues Jira abertos com palavras do título
+    const keywords = this.similarityEngine.keywords(bugData);
+    const projectKey = settings.jira?.enabled ? this.resolveJiraRoute(bugData, settings).projectKey : '';
+    if (projectKey && keywords.length > 0) {
+      try {
+        const textClause = keywords.map(word => `summary ~ "${word.replace(/"/g, '')}"`).join(' OR ');
+        const jql = `project = "${projectKey}" AND statusCategory != Done AND (${textClause}) ORDER BY updated DESC`;
+        const response = await fetch(`${settings.jira.baseUrl}/rest/api/2/search?jql=${encodeURIComponent(jql)}&fields=summary,description,status&maxResults=20`, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Basic ${btoa(`${settings.jira.email}:${settings.jira.apiToken}`)}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        if (response.ok) {
+          const data = await response.json();
+          (data.issues || []).forEach(issue => candidates.push({
+            source: 'jira',
+            key: issue.key,
+            title: issue.fields?.summary || '',
+            description: typeof issue.fields?.description === 'string' ? issue.fields.description : '',
+            status: issue.fields?.status?.name || null
+          }));
+        } else {
+          console.warn(`[Background] Pesquisa de duplicados no Jira falhou: HTTP ${response.status}`);
+        }
+      } catch (error) {
+        console.warn('[Background] Pesquisa de duplicados no Jira falhou:', error.message);
+      }
+    }
+
+    // Um issue Jira e o relatório local que o criou contam como uma só sugestão
+    const seen = new Set();
+    return this.similarityEngine.rank(bugData, candidates, { threshold, limit: 10 })
+      .filter(({ candidate }) => {
+        if (!candidate.key) return true;
+        if (seen.has(candidate.key)) return false;
+        seen.add(candidate.key);
+        return true;
+      })
+      .slice(0, 5)
+      .map(({ candidate, score }) => ({
+        source: candidate.source,
+        key: candidate.key,
+        title: candidate.title,
+        status: candidate.status || null,
+        createdAt: candidate.createdAt || null,
+        score
+      }));
+  }
+
+  /**
+   * Regista uma nova ocorrência como comentário num issue existente, em vez de criar outro ticket
+   * @param {string} issueKey
+   * @param {Object} bugData
+   * @returns {Promise<Object>} { key, commentId, attachments }
+   */
+  async commentOnExistingIssue(issueKey, bugData) {
+    const settings = await this.getSettings();
+    const outbound = await this.buildJiraOutbound(bugData, { mode: 'comment' });
+    const comment = await this.addCommentToJiraIssue(issueKey, outbound.description);
+
+    let attachments = null;
+    if (outbound.attachments.length > 0) {
+      attachments = await this.attachFilesToJiraIssue(issueKey, outbound.attachments, settings);
+    }
+    await this.recordOutbound({ destination: 'jira', target: issueKey, payload: { body: outbound.description }, changes: outbound.changes, attachments: outbound.attachments });
+    return { key: issueKey, commentId: comment?.id || null, attachments };
+  }
+
+  /**
+   * Título, descrição (ou comentário) e anexos exatamente como seguem para o Jira, depois da redação.
+   * Usado no envio e na pré-visualização do popup, para que ambos mostrem o mesmo conteúdo.
+   * @param {Object} bugData
+   * @param {Object} [options] - { mode: 'create'|'comment', route: resultado de resolveJiraRoute (calculado quando omitido) }
+   * @returns {Promise<{ format: 'wiki'|'adf', route: Object|null, summary: string, description: string|Object, fields: Object, attachments: Array<Object>, changes: Array<Object> }>}
+   */
+  async buildJiraOutbound(bugData, { mode = 'create', route = null } = {}) {
+    const redaction = await this.getRedactionEngine('jira');
+    const attachmentRedaction = redaction.forScope('attachments');
+    const settings = await this.getSettings();
+    const format = settings.jira?.descriptionFormat === 'adf' ? 'adf' : 'wiki';
+    const changes = [];
+    const intro = mode === 'comment' ? 'BugSpotter: new occurrence reported as a possible duplicate' : '';
+    const path = mode === 'comment' ? '$.comment.body' : '$.fields.description';
+    // ADF: cada nó de texto passa pelas regras (links e blocos de código incluídos)
+    const description = format === 'adf'
+      ? redaction.redactObject(new JiraAdfBuilder().buildDescription(bugData, { intro }), { trace: changes, path })
+      : redaction.redactText(intro ? `*${intro}*\n\n${this.formatJiraDescription(bugData)}` : this.formatJiraDescription(bugData), { trace: changes, path });
+
+    const summary = redaction.redactText(bugData.title || '', { trace: changes, path: '$.fields.summary' });
+    // Campos extra do createmeta (components, labels, campos personalizados) e das regras de encaminhamento;
+    // um comentário não os usa
+    const issueRoute = mode === 'comment' ? null : (route || this.resolveJiraRoute(bugData, settings));
+    const fields = issueRoute
+      ? this.applyJiraRoute(await this.buildJiraCustomFields(bugData, settings, { redaction, trace: changes, route: issueRoute }), issueRoute)
+      : {};
+
+    return {
+      format,
+      route: issueRoute,
+      summary,
+      description,
+      fields,
+      attachments: await Promise.all((Array.isArray(bugData.attachments) ? bugData.attachments : [])
+        .map(attachment => this.redactAttachment(attachment, attachmentRedaction, changes))),
+      changes
+    };
+  }
+
+  /**
+   * Redige anexos de texto (logs, JSON, HAR, scripts) e o artefacto de replay gzip; imagens e vídeos seguem como estão
+   * @param {Object} attachment - { name, type, data }
+   * @param {RedactionEngine} redaction
+   * @param {Array} [trace]
+   * @returns {Promise<Object>} Cópia do anexo
+   */
+  async redactAttachment(attachment, redaction, trace = null) {
+    if (!attachment || typeof attachment.data !== 'string') return attachment;
+    const path = `$.attachments[${JSON.stringify(attachment.name || 'attachment')}]`;
+    const dataUrl = /^data:([^;,]+)(;base64)?,/.exec(attachment.data);
+    if (!dataUrl) {
+      const data = redaction.redactBody(attachment.data, { trace, path });
+      return data === attachment.data ? attachment : { ...attachment, data, size: new Blob([data]).size };
+    }
+    if (this.isGzipAttachment(attachment.data)) {
+      // Replay: storage, consola, valores de inputs e texto da página vão dentro do gzip
+      let result;
+      try {
+        result = await redaction.redactGzipDataUrl(attachment.data, this.gzipCodec(), { trace, path });
+      } catch (_) {
+        return attachment;
+      }
+      if (result.data === attachment.data) return attachment;
+      if (result.data) return { ...attachment, data: result.data, size: Math.round((result.data.split(',')[1].length * 3) / 4) };
+      // Sem CompressionStream segue o JSON redigido sem compressão
+      const bytes = new TextEncoder().encode(result.text);
+      return {
+        ...attachment,
+        name: String(attachment.name || 'replay.json').replace(/\.gz$/i, ''),
+        data: `data:application/json;base64,${btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''))}`,
+        size: bytes.length
+      };
+    }
+    const text = this.decodeTextAttachment(attachment.data);
+    if (text === null) return attachment;
+    try {
+      const redacted = redaction.redactBody(text, { trace, path });
+      if (redacted === text) return attachment;
+      const bytes = new TextEncoder().encode(redacted);
+      const data = `data:${dataUrl[1]};base64,${btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''))}`;
+      return { ...attachment, data, size: bytes.length };
+    } catch (_) {
+      return attachment;
+    }
+  }
+
+  /**
+   * Conteúdo de um anexo de texto (texto simples ou data URL de texto/JSON); null para binários
+   * @param {string} data
+   * @returns {string|null}
+   */
+  decodeTextAttachment(data) {
+    if (typeof data !== 'string') return null;
+    const dataUrl = /^data:([^;,]+)(;base64)?,/.exec(data);
+    if (!dataUrl) return data;
+    if (!/^(?:text\/|application\/(?:json|javascript|xml))/i.test(dataUrl[1])) return null;
+    try {
+      const raw = data.slice(dataUrl[0].length);
+      return dataUrl[2] ? new TextDecoder().decode(Uint8Array.from(atob(raw), char => char.charCodeAt(0))) : decodeURIComponent(raw);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  isGzipAttachment(data) {
+    return typeof data === 'string' && /^data:application\/(?:x-)?gzip;base64,/i.test(data);
+  }
+
+  /**
+   * Compressão do artefacto de replay (mesmo formato que o content script gera)
+   */
+  gzipCodec() {
+    return { gunzip: DomReplayRecorder.gunzipDataUrl, gzip: DomReplayRecorder.gzipToDataUrl };
+  }
+
+  /**
+   * Pré-visualização para o popup: anexos de texto e replay gzip com o conteúdo final (limitado),
+   * binários só com nome e tamanho
+   * @param {Object} outbound - Resultado de buildJiraOutbound
+   */
+  async describeOutbound(outbound) {
+    const maxPreview = 20000;
+    return {
+      format: outbound.format,
+      summary: outbound.summary,
+      // ADF: o documento JSON exato que segue para a API v3
+      description: typeof outbound.description === 'string' ? outbound.description : JSON.stringify(outbound.description, null, 2),
+      fields: outbound.fields || {},
+      route: outbound.route ? { projectKey: outbound.route.projectKey, issueTypeId: outbound.route.issueTypeId, ruleName: outbound.route.ruleName } : null,
+      changes: outbound.changes,
+      attachments: await Promise.all(outbound.attachments.map(async attachment => {
+        let text = this.decodeTextAttachment(attachment?.data);
+        if (text === null && this.isGzipAttachment(attachment?.data)) {
+          text = await this.gzipCodec().gunzip(attachment.data).catch(() => null);
+        }
+        return {
+          name: attachment?.name || 'attachment',
+          type: attachment?.type || '',
+          size: attachment?.size || (typeof attachment?.data === 'string' ? attachment.data.length : 0),
+          binary: text === null,
+          text: text && text.length > maxPreview ? `${text.slice(0, maxPreview)}\n... (${text.length - maxPreview} more characters)` : text
+        };
+      }))
+    };
+  }
+
+  /**
+   * RedactionEngine com as regras guardadas nas definições (lidas a cada envio)
+   * @param {string} scope - 'ai' | 'jira' | 'attachments' | 'exports'
+   */
+  async getRedactionEngine(scope) {
+    let config = {};
+    try {
+      const data = await chrome.storage.local.get(RedactionEngine.STORAGE_KEY);
+      config = data[RedactionEngine.STORAGE_KEY] || {};
+    } catch (_) {}
+    return new RedactionEngine({ ...config, scope });
+  }
+
+  /**
+   * Regista um envio no OutboundAuditLog; falhas no registo não anulam o envio já feito
+   */
+  async recordOutbound(entry) {
+    try {
+      await this.outboundAudit.record(entry);
+    } catch (error) {
+      console.warn('[Background] Failed to record outbound payload:', error);
+    }
+  }
+
   // Novo método para anexar arquivos
   /**
    * Remove bug local após envio bem-sucedido para o Jira
@@ -2773,6 +3399,10 @@ class BugSpotterBackground {
       'screenshot': 'image/png',
       'logs': 'application/json',
       'json': 'application/json',
+      'har': 'application/json',
+      'replay': 'application/json',
+      'test-script': 'text/javascript',
+      'gherkin': 'text/plain',
       'text': 'text/plain',
       'dom': 'text/html',
       'recording': 'video/webm',
@@ -2807,7 +3437,7 @@ ${bugData.actualBehavior || 'N/A'}
 
 *URL:* ${url}
 *Component:* ${bugData.component || 'N/A'}
-*Environment:* ${bugData.environment || 'N/A'}
+*Environment:* ${bugData.environment || 'N/A'}${bugData.buildVersion ? `\n*Build:* ${bugData.buildVersion}` : ''}
 *Priority:* ${bugData.priority || 'Medium'}
 *Timestamp:* ${timestamp}
 *Evidence:* ${bugData.attachments?.length || 0} file(s) attached to this ticket
@@ -2827,6 +3457,47 @@ Method: ${bugData.originalError.method || 'N/A'}
 URL: ${bugData.originalError.url || 'N/A'}
 
 Timestamp: ${originalTimestamp}`;
+
+      // Análise AI de exceções JS (localização, componente, causa provável)
+      const jsError = bugData.jsErrorDetails;
+      if (jsError) {
+        const location = jsError.file ? [jsError.file, jsError.line, jsError.column].filter(part => part !== '' && part != null).join(':') : '';
+        description += `
+
+*JavaScript Error:* ${[jsError.errorName, jsError.message].filter(Boolean).join(': ') || 'N/A'}
+Location: ${location || 'N/A'}${jsError.functionName ? ` (${jsError.functionName})` : ''}
+Component: ${jsError.component || 'N/A'}
+Probable cause: ${jsError.probableCause || 'N/A'}
+Suggested fix: ${jsError.suggestedFix || 'N/A'}`;
+      }
+
+      if (bugData.originalError.responseBody) {
+        description += `
+
+*Response Body:*
+{code}
+${JiraAdfBuilder.formatBody(bugData.originalError.responseBody).text}
+{code}`;
+      }
+
+      // Stack de erros JS, já mapeado para os ficheiros originais quando há source maps
+      const stack = bugData.originalError.resolvedStack || bugData.originalError.stack;
+      if (stack) {
+        description += `
+
+*Stack Trace${bugData.originalError.resolvedStack ? ' (source-mapped)' : ''}:*
+{noformat}
+${stack}
+{noformat}`;
+      }
+      if (bugData.originalError.sourceExcerpt) {
+        description += `
+
+*Source:*
+{noformat}
+${bugData.originalError.sourceExcerpt}
+{noformat}`;
+      }
     }
 
     // Cross-link to other system tickets if available
@@ -2909,6 +3580,218 @@ ${lines.join('\n')}`;
     }
   }
 
+  /**
+   * Ambiente e versão da página segundo as regras das definições (settings.environmentDetection).
+   * As meta tags são lidas no separador; sem acesso à página (aba fechada, páginas chrome://) só contam URL e hostname.
+   * @param {number} tabId
+   * @param {string} [url] - URL a usar quando a aba já não existe
+   * @returns {Promise<{ environment: string, version: string, environmentRule: string|null, versionRule: string|null }>}
+   */
+  async detectEnvironment(tabId, url = '') {
+    const settings = await this.getSettings();
+    const detector = new EnvironmentDetector(settings.environmentDetection);
+    let pageUrl = url || '';
+    let meta = {};
+    try {
+      if (tabId && await this.tabExists(tabId)) {
+        const tab = await chrome.tabs.get(tabId);
+        pageUrl = tab.url || pageUrl;
+        const names = detector.getMetaNames();
+        if (names.length > 0) {
+          const results = await chrome.scripting.executeScript({
+            target: { tabId },
+            args: [names],
+            func: (metaNames) => {
+              const found = {};
+              const tags = Array.from(document.querySelectorAll('meta[name], meta[property]'));
+              metaNames.forEach(name => {
+                const tag = tags.find(el => (el.getAttribute('name') || el.getAttribute('property') || '').toLowerCase() === name.toLowerCase());
+                if (tag) found[name] = tag.getAttribute('content') || '';
+              });
+              return found;
+            }
+          });
+          meta = results?.[0]?.result || {};
+        }
+      }
+    } catch (_) {
+      // Sem acesso à página: deteção só pelo URL
+    }
+    return detector.detect({ url: pageUrl, meta });
+  }
+
+  /**
+   * Campos do Jira configurados para o ambiente e a build (vazio quando não há campo definido)
+   */
+  buildEnvironmentJiraFields(bugData, settings) {
+    const config = EnvironmentDetector.normalizeConfig(settings.environmentDetection);
+    const fields = {};
+    if (config.jiraEnvironmentField && bugData.environment) {
+      // Na API v3 o campo de sistema "environment" é rich text (ADF)
+      fields[config.jiraEnvironmentField] = config.jiraEnvironmentField === 'environment' && settings.jira?.descriptionFormat === 'adf'
+        ? JiraAdfBuilder.fromText(bugData.environment)
+        : bugData.environment;
+    }
+    if (config.jiraVersionField && bugData.buildVersion) {
+      fields[config.jiraVersionField] = bugData.buildVersion;
+    }
+    return fields;
+  }
+
+  /**
+   * Destino do relatório no Jira segundo as regras de encaminhamento (settings.jira.routing):
+   * projeto, tipo de issue, components, labels e responsável. Serve relatórios manuais e AI.
+   * @param {Object} bugData
+   * @param {Object} settings
+   * @returns {Object} Resultado de JiraRouter.route
+   */
+  resolveJiraRoute(bugData, settings) {
+    const jira = settings.jira || {};
+    return new JiraRouter(jira.routing).route({
+      url: bugData.url || bugData.originalError?.url || '',
+      environment: bugData.environment || '',
+      // Relatórios AI têm severidade; os manuais só prioridade
+      severity: bugData.severity || bugData.priority || '',
+      category: JiraRouter.categoriesOf(bugData)
+    }, { projectKey: jira.projectKey, issueTypeId: jira.issueTypeId || '10035' });
+  }
+
+  /**
+   * Junta aos campos do issue os components (por nome), as labels e o responsável da regra.
+   * Valores escolhidos no formulário mantêm-se; components e labels acumulam.
+   * @param {Object} fields - Campos já no formato da API
+   * @param {Object} route - Resultado de resolveJiraRoute
+   * @returns {Object} Os mesmos campos, completados
+   */
+  applyJiraRoute(fields, route) {
+    if (route.components.length > 0) {
+      const current = fields.components || [];
+      fields.components = [...current, ...route.components.filter(name => !current.some(component => component.name === name)).map(name => ({ name }))];
+    }
+    if (route.labels.length > 0) {
+      fields.labels = [...new Set([...(fields.labels || []), ...route.labels])];
+    }
+    if (route.assigneeAccountId && !fields.assignee) {
+      fields.assignee = { accountId: route.assigneeAccountId };
+    }
+    return fields;
+  }
+
+  /**
+   * Campos de criação de um projeto e tipo de issue (createmeta), em cache no storage local
+   * @param {Object} [options] - { refresh: ignorar a cache, projectKey e issueTypeId (por omissão os das definições) }
+   * @returns {Promise<{ projectKey: string, issueTypeId: string, fields: Array<Object>, fetchedAt: number, fromCache: boolean }>}
+   */
+  async getJiraCreateMeta({ refresh = false, projectKey = '', issueTypeId = '' } = {}) {
+    const settings = await this.getSettings();
+    const jira = settings.jira || {};
+    projectKey = projectKey || jira.projectKey;
+    issueTypeId = issueTypeId || jira.issueTypeId || '10035';
+    if (!jira.enabled || !jira.baseUrl || !projectKey) {
+      throw new Error('Jira integration not configured');
+    }
+    const cacheKey = JiraCreateMeta.cacheKey({ baseUrl: jira.baseUrl, projectKey, issueTypeId });
+    const stored = await chrome.storage.local.get(['jira_createmeta_cache']);
+    const cache = stored.jira_createmeta_cache || {};
+    const cached = cache[cacheKey];
+    if (!refresh && cached && Date.now() - cached.fetchedAt < JiraCreateMeta.CACHE_TTL) {
+      return { ...cached, fromCache: true };
+    }
+
+    const headers = {
+      'Authorization': `Basic ${btoa(`${jira.email}:${jira.apiToken}`)}`,
+      'Accept': 'application/json'
+    };
+    const baseUrl = jira.baseUrl.replace(/\/+$/, '');
+    let fields = [];
+    let response = await fetch(`${baseUrl}/rest/api/3/issue/createmeta/${encodeURIComponent(projectKey)}/issuetypes/${encodeURIComponent(issueTypeId)}?maxResults=200`, { headers });
+    if (response.status === 404) {
+      // Instâncias sem o endpoint novo: createmeta antigo com os campos expandidos
+      response = await fetch(`${baseUrl}/rest/api/2/issue/createmeta?projectKeys=${encodeURIComponent(projectKey)}&issuetypeIds=${encodeURIComponent(issueTypeId)}&expand=projects.issuetypes.fields`, { headers });
+      if (response.ok) {
+        const data = await response.json();
+        if (!data.projects?.[0]?.issuetypes?.length) {
+          throw new Error(`Issue type ${issueTypeId} is not available in project ${projectKey}`);
+        }
+        fields = JiraCreateMeta.parse(data);
+      }
+    } else if (response.ok) {
+      fields = JiraCreateMeta.parse(await response.json());
+    }
+    if (!response.ok) {
+      throw new Error(`Jira createmeta error: HTTP ${response.status} ${response.statusText}`);
+    }
+
+    const entry = { projectKey, issueTypeId, fields, fetchedAt: Date.now() };
+    await chrome.storage.local.set({ jira_createmeta_cache: { ...cache, [cacheKey]: entry } });
+    return { ...entry, fromCache: false };
+  }
+
+  /**
+   * Utilizadores que podem ser atribuídos no projeto (user pickers do formulário)
+   * @param {string} query
+   * @param {string} [projectKey] - Projeto de destino (por omissão o das definições)
+   * @returns {Promise<Array<{ accountId: string, displayName: string, emailAddress: string }>>}
+   */
+  async searchJiraUsers(query, projectKey = '') {
+    const settings = await this.getSettings();
+    const jira = settings.jira || {};
+    if (!jira.enabled || !jira.baseUrl) {
+      throw new Error('Jira integration not configured');
+    }
+    const term = String(query || '').trim();
+    if (term.length < 2) return [];
+    const response = await fetch(`${jira.baseUrl.replace(/\/+$/, '')}/rest/api/3/user/assignable/search?project=${encodeURIComponent(projectKey || jira.projectKey)}&query=${encodeURIComponent(term)}&maxResults=20`, {
+      headers: {
+        'Authorization': `Basic ${btoa(`${jira.email}:${jira.apiToken}`)}`,
+        'Accept': 'application/json'
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`Jira user search error: HTTP ${response.status} ${response.statusText}`);
+    }
+    const users = await response.json();
+    return (Array.isArray(users) ? users : [])
+      .filter(user => user.accountId && user.active !== false)
+      .map(user => ({ accountId: user.accountId, displayName: user.displayName || user.accountId, emailAddress: user.emailAddress || '' }));
+  }
+
+  /**
+   * Campos extra do formulário (bugData.jiraFieldValues) validados contra o createmeta e no formato da API.
+   * Sem acesso ao createmeta segue sem eles: o Jira devolve o erro se faltar algum obrigatório.
+   * @param {Object} bugData
+   * @param {Object} settings
+   * @param {Object} [options] - { redaction: RedactionEngine para os campos de texto livre, trace, route: destino (resolveJiraRoute) }
+   * @returns {Promise<Object>} { [fieldKey]: valor Jira }
+   */
+  async buildJiraCustomFields(bugData, settings, { redaction = null, trace = null, route = null } = {}) {
+    let meta;
+    try {
+      meta = await this.getJiraCreateMeta({ projectKey: route?.projectKey, issueTypeId: route?.issueTypeId });
+    } catch (error) {
+      console.warn('[Background] Jira createmeta unavailable, sending without extra fields:', error.message);
+      return {};
+    }
+    const values = bugData.jiraFieldValues || {};
+    const providedKeys = Object.keys({ ...this.buildEnvironmentJiraFields(bugData, settings), ...(route ? this.applyJiraRoute({}, route) : {}) });
+    const errors = JiraCreateMeta.validate(meta.fields, values, { providedKeys });
+    if (errors.length > 0) {
+      throw new Error(`Jira fields: ${errors.join('; ')}`);
+    }
+    // Só o texto livre passa pelas regras de redação (ids de opções e contas seguem intactos)
+    const redacted = { ...values };
+    if (redaction) {
+      meta.fields
+        .filter(field => ['text', 'textarea', 'labels'].includes(field.kind) && !JiraCreateMeta.isEmpty(values[field.key]))
+        .forEach(field => {
+          redacted[field.key] = redaction.redactObject(values[field.key], { trace, path: `$.fields.${field.key}` });
+        });
+    }
+    return JiraCreateMeta.toIssueFields(meta.fields, redacted, {
+      toRichText: settings.jira?.descriptionFormat === 'adf' ? JiraAdfBuilder.fromText : null
+    });
+  }
+
   async getSettings() {
     try {
       // Tentar usar StorageManager primeiro
@@ -3496,6 +4379,12 @@ ${lines.join('\n')}`;
    */
   async processErrorWithAI(errorLog, tabId) {
     try {
+      // Agrupar em issues antes de qualquer filtro: todas as ocorrências contam
+      const issue = await this.trackIssue(errorLog, tabId);
+      if (issue?.status === 'ignored') {
+        return;
+      }
+
       // 🆕 PRIMEIRA VALIDAÇÃO: Verificar se a aba ainda existe
       const tabStillExists = await this.tabExists(tabId);
       if (!tabStillExists) {
@@ -3564,15 +4453,23 @@ ${lines.join('\n')}`;
         return;
       }
       
-      // Coletar contexto adicional
-      const context = await this.collectErrorContext(errorLog, tabId);
-      
-      // Gerar relatório com AI
-      const aiReport = await this.aiService.generateBugReport({
-        error: errorLog,
-        context: context,
-        timestamp: new Date().toISOString()
-      });
+      // Stack minificado -> ficheiros/linhas originais (source maps)
+      await this.resolveErrorStack(errorLog);
+
+      // Mesmo erro (fingerprint) já analisado noutra aba ou sessão: reutilizar o relatório em cache
+      let aiReport = await this.getCachedAIReport(errorLog, settings);
+      if (!aiReport) {
+        // Coletar contexto adicional
+        const context = await this.collectErrorContext(errorLog, tabId);
+        
+        // Gerar relatório com AI
+        aiReport = await this.aiService.generateBugReport({
+          error: errorLog,
+          context: context,
+          timestamp: new Date().toISOString()
+        });
+        await this.cacheAIReport(errorLog.issueFingerprint, aiReport, settings);
+      }
       
       if (aiReport) {
         // Armazenar relatório gerado pela AI
@@ -3594,6 +4491,65 @@ ${lines.join('\n')}`;
     }
   }
   
+  /**
+   * Regista a ocorrência de um erro no issue correspondente (agrupado por fingerprint)
+   * @param {Object} errorLog - Log do erro (recebe `issueFingerprint`)
+   * @param {number} tabId - ID da aba onde ocorreu o erro
+   * @returns {Promise<Object|null>} Issue atualizado ou null em caso de falha
+   */
+  async trackIssue(errorLog, tabId) {
+    try {
+      if (!this.issueTracker || IssueTracker.isNetworkEcho(errorLog)) return null;
+      const settings = await this.getSettings();
+      let pageUrl = null;
+      try {
+        const tab = await chrome.tabs.get(tabId);
+        pageUrl = tab?.url || null;
+      } catch (_) {}
+
+      const issue = await this.issueTracker.recordOccurrence(errorLog, {
+        pageUrl,
+        fingerprint: settings.fingerprint || {}
+      });
+      errorLog.issueFingerprint = issue.fingerprint;
+      return issue;
+    } catch (error) {
+      console.warn('[Background] Erro ao registar issue:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve o stack de um erro de JS via source maps e anota-o com resolvedStack/sourceExcerpt
+   * @param {Object} errorLog - Entrada com `stack` (texto) ou `stackTrace.callFrames` (CDP)
+   * @returns {Promise<Object|null>} Resultado do SourceMapResolver ou null
+   */
+  async resolveErrorStack(errorLog) {
+    try {
+      if (!errorLog || errorLog.resolvedStack || !this.sourceMapResolver) return null;
+      const callFrames = errorLog.stackTrace?.callFrames;
+      const input = Array.isArray(callFrames) && callFrames.length > 0 ? callFrames : errorLog.stack;
+      if (!input) return null;
+
+      const settings = await this.getSettings();
+      const sourceMaps = settings.sourceMaps || {};
+      if (sourceMaps.enabled === false) return null;
+
+      const result = await this.sourceMapResolver.resolveStack(input, { fetchRemote: sourceMaps.fetchRemote !== false });
+      if (result.resolvedCount > 0) {
+        errorLog.resolvedStack = result.text;
+        const withExcerpt = result.frames.find(f => f.excerpt);
+        if (withExcerpt) {
+          errorLog.sourceExcerpt = `${withExcerpt.original.source}:${withExcerpt.original.line}\n${withExcerpt.excerpt}`;
+        }
+      }
+      return result;
+    } catch (error) {
+      console.warn('[Background] Erro ao resolver source maps:', error.message);
+      return null;
+    }
+  }
+
   /**
    * 🆕 Gera hash único para um erro baseado em características principais
    * @param {Object} errorLog - Log do erro
@@ -3803,6 +4759,13 @@ ${lines.join('\n')}`;
         context.userInteractions = interactions.slice(-100);
       }
 
+      if (errorLog.source === 'console') {
+        Object.assign(context, this.buildJsErrorContext(errorLog));
+      }
+
+      // Ambiente e build pelas regras das definições (não inferidos pela AI)
+      context.environment = await this.detectEnvironment(tabId, context.pageUrl);
+
       return context;
     } catch (error) {
       console.error('[Background] Erro ao coletar contexto:', error);
@@ -3810,6 +4773,22 @@ ${lines.join('\n')}`;
     }
   }
   
+  /**
+   * Frames do stack (mapeado pelos source maps quando disponível) para o prompt de exceções JS
+   * @param {Object} errorLog - Log do erro (`stack`, `resolvedStack`)
+   * @returns {{ stackFrames: Array<Object>, errorType: string|null }}
+   */
+  buildJsErrorContext(errorLog) {
+    const stack = errorLog.resolvedStack || errorLog.stack;
+    if (!stack) return { stackFrames: [], errorType: null };
+    try {
+      const parsed = new StackTraceParser().parse(stack);
+      return { stackFrames: parsed.frames, errorType: parsed.errorType || null };
+    } catch (_) {
+      return { stackFrames: [], errorType: null };
+    }
+  }
+
   /**
    * Obtém logs recentes relacionados ao erro
    * @param {Object} errorLog - Log do erro principal
@@ -3838,6 +4817,112 @@ ${lines.join('\n')}`;
     }
   }
   
+  /**
+   * Campos do relatório AI guardados no storage (comuns a relatórios novos e regenerados)
+   * @param {Object} aiReport - Resultado de AIService.generateBugReport
+   * @returns {Object}
+   */
+  buildAIReportFields(aiReport) {
+    return {
+      title: aiReport.title,
+      description: aiReport.description,
+      severity: aiReport.severity,
+      category: aiReport.category,
+      suggestions: aiReport.suggestions,
+      // Incluir passos e comportamentos quando disponíveis
+      stepsToReproduce: Array.isArray(aiReport.stepsToReproduce)
+        ? aiReport.stepsToReproduce
+        : (Array.isArray(aiReport.steps) ? aiReport.steps : []),
+      expectedBehavior: aiReport.expectedBehavior,
+      actualBehavior: aiReport.actualBehavior,
+      // Provider/modelo que gerou o relatório (pode ser um fallback do principal)
+      aiProvider: aiReport.metadata?.aiProvider || null,
+      aiModel: aiReport.metadata?.aiModel || null,
+      aiFallbackFrom: aiReport.metadata?.fallbackFrom || null,
+      // Reutilizado da cache de relatórios (mesmo fingerprint)
+      aiCached: Boolean(aiReport.metadata?.cached),
+      aiCachedAt: aiReport.metadata?.cachedAt || null,
+      // Exceções JS: localização, componente e hipótese de correção
+      errorType: aiReport.errorType || null,
+      jsErrorDetails: aiReport.errorType === 'JavaScript Error' && aiReport.details ? aiReport.details : null
+    };
+  }
+
+  /**
+   * Relatório AI em cache para o fingerprint do erro, re-carimbado com a nova ocorrência
+   * @param {Object} errorLog - Log do erro (com `issueFingerprint`)
+   * @param {Object} settings
+   * @returns {Promise<Object|null>}
+   */
+  async getCachedAIReport(errorLog, settings) {
+    if (!this.aiReportCache || settings.ai?.cacheEnabled === false || !errorLog.issueFingerprint) return null;
+    const entry = await this.aiReportCache.get(errorLog.issueFingerprint);
+    if (!entry) return null;
+    console.log(`[Background] Relatório AI reutilizado da cache: ${errorLog.issueFingerprint.substring(0, 12)}…`);
+    return AIReportCache.restamp(entry, errorLog);
+  }
+
+  async cacheAIReport(fingerprint, aiReport, settings) {
+    if (!this.aiReportCache || settings.ai?.cacheEnabled === false) return;
+    const days = Number(settings.ai?.cacheTtlDays) || 7;
+    await this.aiReportCache.set(fingerprint, aiReport, { ttl: days * 24 * 60 * 60 * 1000 })
+      .catch(e => console.warn('[Background] Falha ao guardar relatório AI em cache:', e.message));
+  }
+
+  /**
+   * Gera de novo um relatório AI guardado (ignora e substitui a entrada em cache)
+   * @param {string} sourceKey - Chave `ai-reports-<tabId>` onde o relatório está guardado
+   * @param {string} reportId
+   * @returns {Promise<Object>} Relatório atualizado
+   */
+  async regenerateAIReport(sourceKey, reportId) {
+    if (!this.aiService || !this.aiServiceReady || !this.aiService.isConfigured()) {
+      throw new Error('AI service not configured');
+    }
+    if (!/^ai-reports-/.test(String(sourceKey || ''))) {
+      throw new Error('Invalid report source');
+    }
+
+    const data = await chrome.storage.local.get(sourceKey);
+    const reports = data[sourceKey] || [];
+    const index = reports.findIndex(report => report.id === reportId);
+    if (index === -1) throw new Error('Report not found');
+
+    const stored = reports[index];
+    const original = stored.originalError || {};
+    const errorLog = {
+      ...original,
+      source: original.message && !original.status ? 'console' : undefined,
+      issueFingerprint: stored.issueFingerprint
+    };
+    const aiReport = await this.aiService.generateBugReport({
+      error: errorLog,
+      context: {
+        pageUrl: stored.pageUrl,
+        userInteractions: (stored.interactions || []).slice(-50),
+        ...(errorLog.source === 'console' ? this.buildJsErrorContext(errorLog) : {})
+      },
+      timestamp: new Date().toISOString()
+    });
+    // Sem AI (orçamento, pausa, erro) o relatório guardado mantém-se
+    if (!AIReportCache.isCacheable(aiReport)) {
+      throw new Error(aiReport?.note || 'AI report could not be regenerated');
+    }
+
+    const settings = await this.getSettings();
+    await this.cacheAIReport(stored.issueFingerprint, aiReport, settings);
+    reports[index] = { ...stored, ...this.buildAIReportFields(aiReport), regeneratedAt: new Date().toISOString() };
+    await chrome.storage.local.set({ [sourceKey]: reports });
+    return reports[index];
+  }
+
+  // Corpo da resposta guardado no relatório (secção "Response Body" do ticket), limitado para o storage
+  truncateResponseBody(body, maxLength = 5000) {
+    if (body === undefined || body === null || body === '') return undefined;
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return text.length > maxLength ? `${text.slice(0, maxLength)}\n... (truncated)` : text;
+  }
+
   /**
    * Armazena relatório gerado pela AI
    * @param {Object} aiReport - Relatório da AI
@@ -3849,25 +4934,24 @@ ${lines.join('\n')}`;
       const reportData = {
         id: `ai-report-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
         type: 'ai-generated',
-        title: aiReport.title,
-        description: aiReport.description,
-        severity: aiReport.severity,
-        category: aiReport.category,
-        suggestions: aiReport.suggestions,
-        // Incluir passos e comportamentos quando disponíveis
-        stepsToReproduce: Array.isArray(aiReport.stepsToReproduce)
-          ? aiReport.stepsToReproduce
-          : (Array.isArray(aiReport.steps) ? aiReport.steps : []),
-        expectedBehavior: aiReport.expectedBehavior,
-        actualBehavior: aiReport.actualBehavior,
+        ...this.buildAIReportFields(aiReport),
         originalError: {
           url: errorLog.url,
           method: errorLog.method,
           status: errorLog.status,
           statusText: errorLog.statusText,
-          timestamp: errorLog.timestamp
+          timestamp: errorLog.timestamp,
+          message: errorLog.source === 'console' ? errorLog.message : undefined,
+          errorKind: errorLog.errorKind || undefined,
+          responseBody: this.truncateResponseBody(errorLog.decodedBody || errorLog.responseBody),
+          stack: errorLog.stack,
+          resolvedStack: errorLog.resolvedStack,
+          sourceExcerpt: errorLog.sourceExcerpt
         },
         tabId: tabId,
+        issueFingerprint: errorLog.issueFingerprint,
+        // Interações até ao erro, para gerar scripts de teste mesmo depois de a aba fechar
+        interactions: (this.userInteractions.get(tabId) || []).slice(-100),
         createdAt: new Date().toISOString(),
         source: 'ai-auto-generated'
       };
@@ -3879,6 +4963,9 @@ ${lines.join('\n')}`;
       } catch (_) {
         reportData.pageUrl = errorLog.url;
       }
+      const detected = await this.detectEnvironment(tabId, reportData.pageUrl);
+      reportData.environment = detected.environment;
+      reportData.buildVersion = detected.version;
       
       // Armazenar no storage
       reportData.originTabId = tabId;
@@ -3894,6 +4981,11 @@ ${lines.join('\n')}`;
       }
       
       await chrome.storage.local.set({ [key]: reports });
+
+      if (reportData.issueFingerprint) {
+        this.issueTracker.linkReport(reportData.issueFingerprint, reportData.id)
+          .catch(e => console.warn('[Background] Falha ao associar relatório ao issue:', e.message));
+      }
       
       // Notificar o popup que um relatório AI foi armazenado
       try {
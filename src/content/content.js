@@ -12,14 +12,16 @@ if (typeof window.bugSpotterContentInitialized === 'undefined') {
     // StorageManager não disponível - mantendo silencioso
   }
 
+  // Canal partilhado com src/content/page-bridge.js (main world)
+  const PAGE_BRIDGE_CHANNEL = 'BUGSPOTTER_PAGE_BRIDGE';
+
   class BugSpotterContent {
     constructor() {
       // Inicializando BugSpotterContent silenciosamente
       this.consoleLogs = [];
       this.maxLogs = 500; // Aumentar para 500 logs
       this.saveInterval = null;
-      this.errorHandler = null;
-      this.rejectionHandler = null;
+      this.pageBridgeHandler = null;
       this.beforeUnloadHandler = null;
       this.logsRecovered = false; // Flag para evitar recuperação múltipla
       this.lastSaveTime = 0; // Controle de salvamento
@@ -32,6 +34,21 @@ if (typeof window.bugSpotterContentInitialized === 'undefined') {
       this.injectPageScript();
       this.startContinuousCapture(); // Nova função
       this.setupInteractionCapture(); // Captura de cliques/inputs do utilizador
+      this.setupDomReplay(); // Gravação contínua do DOM para replay
+    }
+
+    // 🆕 Session replay baseado em snapshots do DOM (apenas no frame principal)
+    setupDomReplay() {
+      if (typeof DomReplayRecorder === 'undefined' || window.top !== window) {
+        return;
+      }
+      this.replayRecorder = new DomReplayRecorder();
+      // Em document_start o body ainda não existe: gravar a partir do DOM já construído
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => this.replayRecorder.start(), { once: true });
+      } else {
+        this.replayRecorder.start();
+      }
     }
 
     interceptConsoleLogs() {
@@ -59,161 +76,85 @@ if (typeof window.bugSpotterContentInitialized === 'undefined') {
     }
 
     injectPageScript() {
-      // Interceptar fetch API - apenas erros HTTP (400+) e suas respostas
-      const originalFetch = window.fetch;
-      window.fetch = async (...args) => {
-        try {
-          const response = await originalFetch.apply(window, args);
-          const url = args[0];
-          
-          // Extrair método HTTP dos argumentos do fetch
-          let method = 'GET'; // Padrão
-          if (args[1] && args[1].method) {
-            method = args[1].method.toUpperCase();
-          }
-          
-          // Log apenas erros HTTP (status 400+) e não requisições internas da extensão
-          if (!url.includes('chrome-extension://') && response.status >= 400) {
-            // Capturar corpo da resposta para erros HTTP
-            let responseBody = null;
-            let responseText = null;
-            try {
-              // Clonar a resposta para poder ler o corpo sem afetar o uso original
-              const responseClone = response.clone();
-              responseText = await responseClone.text();
-              
-              // Tentar parsear como JSON se possível
-              try {
-                responseBody = JSON.parse(responseText);
-              } catch (e) {
-                // Se não for JSON válido, manter como texto
-                responseBody = responseText;
-              }
-            } catch (e) {
-              console.warn('Não foi possível capturar corpo da resposta:', e);
-            }
-            
-            const errorMessage = responseBody 
-              ? `[HTTP ERROR] ${response.status} ${response.statusText} - ${method} ${url} | Response: ${JSON.stringify(responseBody)}`
-              : `[HTTP ERROR] ${response.status} ${response.statusText} - ${method} ${url}`;
-            
-            this.addLog('error', [errorMessage]);
-            
-            // Enviar para background script
-            chrome.runtime.sendMessage({
-              type: 'HTTP_ERROR',
-              data: {
-                status: response.status,
-                statusText: response.statusText,
-                url: url,
-                method: method,
-                timestamp: new Date().toISOString(),
-                userAgent: navigator.userAgent,
-                referrer: document.referrer,
-                responseBody: responseBody,
-                responseText: responseText
-              }
-            });
-          }
-          return response;
-        } catch (error) {
-          const url = args[0];
-          let method = 'GET'; // Padrão
-          if (args[1] && args[1].method) {
-            method = args[1].method.toUpperCase();
-          }
-          
-          this.addLog('error', [`[NETWORK ERROR] - ${method} ${url}: ${error.message}`]);
-          chrome.runtime.sendMessage({
-            type: 'NETWORK_ERROR',
+      // Os overrides de fetch/XHR/onerror vivem em page-bridge.js, que corre no "main world"
+      // da página (ver manifest). Aqui apenas escutamos o canal e reencaminhamos para o background.
+      this.pageBridgeHandler = (event) => this.handlePageBridgeMessage(event);
+      window.addEventListener('message', this.pageBridgeHandler);
+
+      // Definir window.bugSpotterLogs para compatibilidade
+      window.bugSpotterLogs = this.consoleLogs;
+    }
+
+    // Processa eventos vindos do page-bridge mantendo o contrato HTTP_ERROR/NETWORK_ERROR/CONSOLE_ERROR
+    handlePageBridgeMessage(event) {
+      // Aceitar apenas mensagens da própria janela no canal do BugSpotter
+      if (event.source !== window) return;
+      const msg = event.data;
+      if (!msg || msg.channel !== PAGE_BRIDGE_CHANNEL || !msg.payload) return;
+      const data = msg.payload;
+
+      switch (msg.kind) {
+        case 'http-error': {
+          const errorMessage = data.responseBody
+            ? `[HTTP ERROR] ${data.status} ${data.statusText} - ${data.method} ${data.url} | Response: ${JSON.stringify(data.responseBody)}`
+            : `[HTTP ERROR] ${data.status} ${data.statusText} - ${data.method} ${data.url}`;
+          this.addLog('error', [errorMessage]);
+          this.sendToBackground({
+            type: 'HTTP_ERROR',
             data: {
-              error: error.message,
-              url: url,
-              method: method,
-              timestamp: new Date().toISOString(),
+              status: data.status,
+              statusText: data.statusText,
+              url: data.url,
+              method: data.method,
+              timestamp: data.timestamp || new Date().toISOString(),
               userAgent: navigator.userAgent,
-              referrer: document.referrer
+              referrer: document.referrer,
+              responseBody: data.responseBody,
+              responseText: data.responseText
             }
           });
-          throw error;
+          break;
         }
-      };
-
-      // Interceptar XMLHttpRequest
-      const originalXHROpen = XMLHttpRequest.prototype.open;
-      const originalXHRSend = XMLHttpRequest.prototype.send;
-      
-      XMLHttpRequest.prototype.open = function(method, url, ...args) {
-        this._bugSpotterUrl = url;
-        this._bugSpotterMethod = method;
-        return originalXHROpen.apply(this, [method, url, ...args]);
-      };
-      
-      XMLHttpRequest.prototype.send = function(...args) {
-        this.addEventListener('loadend', () => {
-          // Log apenas erros HTTP (status 400+) e não requisições internas da extensão
-          if (!this._bugSpotterUrl.includes('chrome-extension://') && this.status >= 400) {
-            // Capturar corpo da resposta para erros HTTP
-            let responseBody = null;
-            let responseText = this.responseText;
-            
-            try {
-              // Tentar parsear como JSON se possível
-              if (responseText) {
-                try {
-                  responseBody = JSON.parse(responseText);
-                } catch (e) {
-                  // Se não for JSON válido, manter como texto
-                  responseBody = responseText;
-                }
-              }
-            } catch (e) {
-              console.warn('Não foi possível capturar corpo da resposta XMLHttpRequest:', e);
-            }
-            
-            const errorMessage = responseBody 
-              ? `[HTTP ERROR] ${this.status} ${this.statusText} - ${this._bugSpotterMethod} ${this._bugSpotterUrl} | Response: ${JSON.stringify(responseBody)}`
-              : `[HTTP ERROR] ${this.status} ${this.statusText} - ${this._bugSpotterMethod} ${this._bugSpotterUrl}`;
-            
-            window.bugSpotterContent.addLog('error', [errorMessage]);
-            
-            chrome.runtime.sendMessage({
-              type: 'HTTP_ERROR',
-              data: {
-                status: this.status,
-                statusText: this.statusText,
-                method: this._bugSpotterMethod,
-                url: this._bugSpotterUrl,
-                timestamp: new Date().toISOString(),
-                userAgent: navigator.userAgent,
-                referrer: document.referrer,
-                responseBody: responseBody,
-                responseText: responseText
-              }
-            });
-          }
-        });
-        
-        this.addEventListener('error', () => {
-          window.bugSpotterContent.addLog('error', [`[NETWORK ERROR] - ${this._bugSpotterMethod} ${this._bugSpotterUrl}`]);
-          chrome.runtime.sendMessage({
+        case 'network-error': {
+          this.addLog('error', [`[NETWORK ERROR] - ${data.method} ${data.url}: ${data.error}`]);
+          this.sendToBackground({
             type: 'NETWORK_ERROR',
             data: {
-              error: 'Network request failed',
-              method: this._bugSpotterMethod,
-              url: this._bugSpotterUrl,
-              timestamp: new Date().toISOString(),
+              error: data.error,
+              url: data.url,
+              method: data.method,
+              timestamp: data.timestamp || new Date().toISOString(),
               userAgent: navigator.userAgent,
               referrer: document.referrer
             }
           });
-        });
-        
-        return originalXHRSend.apply(this, args);
-      };
+          break;
+        }
+        case 'uncaught-error': {
+          const location = data.filename ? ` at ${data.filename}:${data.lineno}:${data.colno}` : '';
+          this.addLog('error', [`${data.message}${location}`], { stack: data.stack, kind: msg.kind });
+          break;
+        }
+        case 'unhandled-rejection': {
+          this.addLog('error', [data.message], { stack: data.stack, kind: msg.kind });
+          break;
+        }
+        case 'console': {
+          const level = data.level === 'warn' ? 'warn' : 'error';
+          this.addLog(level, [data.message], { stack: data.stack, kind: 'console-error' });
+          break;
+        }
+        default:
+          break;
+      }
+    }
 
-      // Definir window.bugSpotterLogs para compatibilidade
-      window.bugSpotterLogs = this.consoleLogs;
+    sendToBackground(message) {
+      try {
+        chrome.runtime.sendMessage(message);
+      } catch (e) {
+        // Ignorar erros de envio (ex: extensão atualizada/contexto inválido)
+      }
     }
   
     // 🆕 NOVA: Captura contínua desde o carregamento
@@ -221,19 +162,7 @@ if (typeof window.bugSpotterContentInitialized === 'undefined') {
       // Capturar logs imediatamente ao carregar
       this.captureExistingLogs();
       
-      // Interceptar erros globais com referência armazenada
-      this.errorHandler = (event) => {
-        this.addLog('error', [`${event.message} at ${event.filename}:${event.lineno}:${event.colno}`]);
-      };
-      window.addEventListener('error', this.errorHandler);
-      
-      // Interceptar promises rejeitadas com referência armazenada
-      this.rejectionHandler = (event) => {
-        this.addLog('error', [`Unhandled Promise Rejection: ${event.reason}`]);
-        // Prevenir que o erro apareça no console
-        event.preventDefault();
-      };
-      window.addEventListener('unhandledrejection', this.rejectionHandler);
+      // Erros globais e promises rejeitadas da página chegam via page-bridge (handlePageBridgeMessage)
       
       // Salvar logs no localStorage para persistência
       this.saveLogsToStorage();
@@ -390,7 +319,7 @@ if (typeof window.bugSpotterContentInitialized === 'undefined') {
           if (message.action === 'GET_REPLAY_ARTIFACT') {
               try {
                   const artifact = {
-                      version: '1.0.0',
+                      version: '1.1.0',
                       timestamp: new Date().toISOString(),
                       url: location.href,
                       userAgent: navigator.userAgent,
@@ -432,8 +361,25 @@ if (typeof window.bugSpotterContentInitialized === 'undefined') {
                           } catch (_) { return {}; }
                       })(),
                       // Incluir logs de console capturados até o momento
-                      consoleLogs: this.consoleLogs || []
+                      consoleLogs: this.consoleLogs || [],
+                      // 🆕 Snapshot + diffs do DOM na janela rotativa
+                      domReplay: this.replayRecorder ? this.replayRecorder.exportReplay() : null
                   };
+
+                  // Artefacto comprimido (gzip) para anexar ao relatório
+                  if (message.compress && typeof DomReplayRecorder !== 'undefined') {
+                      const json = JSON.stringify(artifact);
+                      DomReplayRecorder.gzipToDataUrl(json)
+                          .catch(() => null)
+                          .then(compressed => sendResponse(compressed ? {
+                              success: true,
+                              compressed,
+                              originalSize: json.length,
+                              interactionCount: artifact.interactions.length,
+                              hasDomReplay: !!artifact.domReplay
+                          } : { success: true, artifact }));
+                      return true;
+                  }
                   sendResponse({ success: true, artifact });
               } catch (e) {
                   sendResponse({ success: false, error: e.message });
@@ -534,6 +480,30 @@ if (typeof window.bugSpotterContentInitialized === 'undefined') {
       }, 500), { passive: true });
     }
     
+    // Regiões visíveis com dados pessoais (campos de formulário e elementos marcados como privados),
+    // em pixels CSS do viewport: o popup tapa-as no screenshot antes de o enviar para a AI
+    getSensitiveRegions() {
+      const selector = [
+        'input:not([type="button"]):not([type="submit"]):not([type="reset"]):not([type="checkbox"]):not([type="radio"]):not([type="range"]):not([type="hidden"]):not([type="image"])',
+        'textarea',
+        'select',
+        '[contenteditable=""]',
+        '[contenteditable="true"]',
+        '[data-private]',
+        '[data-sensitive]',
+        '[autocomplete^="cc-"]'
+      ].join(',');
+      const viewport = { width: window.innerWidth, height: window.innerHeight };
+      const rects = [];
+      document.querySelectorAll(selector).forEach(el => {
+        const rect = el.getBoundingClientRect();
+        if (rect.width <= 0 || rect.height <= 0) return;
+        if (rect.bottom < 0 || rect.right < 0 || rect.top > viewport.height || rect.left > viewport.width) return;
+        rects.push({ x: Math.round(rect.left), y: Math.round(rect.top), width: Math.round(rect.width), height: Math.round(rect.height) });
+      });
+      return { viewport, rects: rects.slice(0, 500) };
+    }
+
     // Método de cleanup centralizado
     cleanup() {
       // Evitar cleanup múltiplo
@@ -547,15 +517,8 @@ if (typeof window.bugSpotterContentInitialized === 'undefined') {
         this.saveInterval = null;
       }
       
-      if (this.errorHandler) {
-        window.removeEventListener('error', this.errorHandler);
-        this.errorHandler = null;
-      }
-      
-      if (this.rejectionHandler) {
-        window.removeEventListener('unhandledrejection', this.rejectionHandler);
-        this.rejectionHandler = null;
-      }
+      // O listener do page-bridge é mantido: cleanup também corre ao esconder a aba
+      // e a captura de rede/erros tem de continuar quando o utilizador regressa
       
       if (this.beforeUnloadHandler) {
         window.removeEventListener('beforeunload', this.beforeUnloadHandler);
@@ -710,7 +673,7 @@ if (typeof window.bugSpotterContentInitialized === 'undefined') {
       }
     }
 
-    addLog(level, args) {
+    addLog(level, args, meta = {}) {
       // Filtrar logs sobre corrupção para evitar loops infinitos
       const message = args.map(arg => 
         typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
@@ -732,7 +695,7 @@ if (typeof window.bugSpotterContentInitialized === 'undefined') {
         message: message,
         timestamp: new Date().toISOString(),
         url: window.location.href,
-        stack: level === 'error' ? new Error().stack : undefined
+        stack: meta.stack || (level === 'error' ? new Error().stack : undefined)
       };
 
       this.consoleLogs.push(logEntry);
@@ -757,7 +720,9 @@ if (typeof window.bugSpotterContentInitialized === 'undefined') {
               message: message,
               timestamp: logEntry.timestamp,
               url: logEntry.url,
-              stack: logEntry.stack
+              stack: logEntry.stack,
+              // Tipo de evento da página (uncaught-error, unhandled-rejection...) para classificar o erro
+              kind: meta.kind
             }
           });
         } catch (e) {
@@ -788,6 +753,8 @@ if (typeof window.bugSpotterContentInitialized === 'undefined') {
     } else if (message.action === 'capturePageState') {
       const pageState = window.bugSpotterContent.capturePageState();
       sendResponse({ pageState });
+    } else if (message.action === 'GET_SENSITIVE_REGIONS') {
+      sendResponse({ success: true, regions: window.bugSpotterContent.getSensitiveRegions() });
     }
     return true;
   });
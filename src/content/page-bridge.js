@@ -0,0 +1,242 @@
+/**
+ * BugSpotter Page Bridge - Captura no "main world" da página
+ *
+ * Corre no mesmo contexto JavaScript da página (manifest: "world": "MAIN"), por isso
+ * vê as chamadas fetch/XHR reais da aplicação, os erros não tratados e o console.
+ * Não tem acesso a chrome.* — apenas reencaminha os eventos para o content script
+ * (isolated world) via window.postMessage, que mantém o contrato com o background.
+ *
+ * @author BugSpotter Team
+ * @version 1.0.0
+ */
+(function () {
+  'use strict';
+
+  if (window.__bugSpotterPageBridge) {
+    return;
+  }
+
+  const CHANNEL = 'BUGSPOTTER_PAGE_BRIDGE';
+  const MAX_BODY_LENGTH = 10000;
+  const MAX_ARG_LENGTH = 2000;
+  // Mesma política do content script: apenas warn/error (e asserts falhados)
+  const CONSOLE_LEVELS = ['error', 'warn'];
+
+  window.__bugSpotterPageBridge = { channel: CHANNEL, version: '1.0.0' };
+
+  const emit = (kind, payload) => {
+    try {
+      window.postMessage({ channel: CHANNEL, kind, payload }, '*');
+    } catch (e) {
+      // Payload não clonável - enviar versão mínima
+      try {
+        window.postMessage({ channel: CHANNEL, kind, payload: { message: String(payload && payload.message) } }, '*');
+      } catch (_) {}
+    }
+  };
+
+  const truncate = (text, max) => {
+    if (typeof text !== 'string') return text;
+    return text.length > max ? text.substring(0, max) + '...[truncated]' : text;
+  };
+
+  const serializeArg = (arg) => {
+    if (arg instanceof Error) {
+      return `${arg.name}: ${arg.message}`;
+    }
+    if (typeof arg === 'object' && arg !== null) {
+      try {
+        return truncate(JSON.stringify(arg), MAX_ARG_LENGTH);
+      } catch (_) {
+        return Object.prototype.toString.call(arg);
+      }
+    }
+    return truncate(String(arg), MAX_ARG_LENGTH);
+  };
+
+  const isExtensionUrl = (url) => {
+    return typeof url === 'string' && /^(chrome|moz)-extension:\/\//.test(url);
+  };
+
+  const resolveUrl = (url) => {
+    try {
+      return new URL(String(url), window.location.href).href;
+    } catch (_) {
+      return String(url);
+    }
+  };
+
+  const parseBody = (text) => {
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch (_) {
+      return text;
+    }
+  };
+
+  // ---- fetch ----
+  const originalFetch = window.fetch;
+  if (typeof originalFetch === 'function') {
+    window.fetch = function (...args) {
+      const input = args[0];
+      const init = args[1] || {};
+      const url = resolveUrl(input && typeof input === 'object' && 'url' in input ? input.url : input);
+      const method = String(init.method || (input && typeof input === 'object' && input.method) || 'GET').toUpperCase();
+      const startedAt = Date.now();
+
+      return originalFetch.apply(this, args).then((response) => {
+        if (response.status >= 400 && !isExtensionUrl(url)) {
+          // Ler o corpo de um clone para não consumir a resposta da aplicação
+          response.clone().text().then((text) => {
+            const responseText = truncate(text, MAX_BODY_LENGTH);
+            emit('http-error', {
+              transport: 'fetch',
+              status: response.status,
+              statusText: response.statusText,
+              url,
+              method,
+              duration: Date.now() - startedAt,
+              timestamp: new Date().toISOString(),
+              responseBody: parseBody(responseText),
+              responseText
+            });
+          }).catch(() => {
+            emit('http-error', {
+              transport: 'fetch',
+              status: response.status,
+              statusText: response.statusText,
+              url,
+              method,
+              duration: Date.now() - startedAt,
+              timestamp: new Date().toISOString(),
+              responseBody: null,
+              responseText: null
+            });
+          });
+        }
+        return response;
+      }, (error) => {
+        // Pedidos cancelados pela própria aplicação não são erros de rede
+        if (!(error && error.name === 'AbortError') && !isExtensionUrl(url)) {
+          emit('network-error', {
+            transport: 'fetch',
+            error: error && error.message ? error.message : String(error),
+            url,
+            method,
+            timestamp: new Date().toISOString()
+          });
+        }
+        throw error;
+      });
+    };
+  }
+
+  // ---- XMLHttpRequest ----
+  const XHR = window.XMLHttpRequest;
+  if (XHR && XHR.prototype) {
+    const originalOpen = XHR.prototype.open;
+    const originalSend = XHR.prototype.send;
+
+    XHR.prototype.open = function (method, url, ...rest) {
+      this.__bugSpotterMethod = String(method || 'GET').toUpperCase();
+      this.__bugSpotterUrl = resolveUrl(url);
+      return originalOpen.apply(this, [method, url, ...rest]);
+    };
+
+    XHR.prototype.send = function (...args) {
+      const xhr = this;
+      const startedAt = Date.now();
+
+      xhr.addEventListener('loadend', () => {
+        if (xhr.status < 400 || isExtensionUrl(xhr.__bugSpotterUrl)) return;
+        let responseText = null;
+        try {
+          // responseText só é legível para responseType '' ou 'text'
+          if (!xhr.responseType || xhr.responseType === 'text') {
+            responseText = truncate(xhr.responseText, MAX_BODY_LENGTH);
+          }
+        } catch (_) {}
+        emit('http-error', {
+          transport: 'xhr',
+          status: xhr.status,
+          statusText: xhr.statusText,
+          url: xhr.__bugSpotterUrl,
+          method: xhr.__bugSpotterMethod,
+          duration: Date.now() - startedAt,
+          timestamp: new Date().toISOString(),
+          responseBody: parseBody(responseText),
+          responseText
+        });
+      });
+
+      xhr.addEventListener('error', () => {
+        if (isExtensionUrl(xhr.__bugSpotterUrl)) return;
+        emit('network-error', {
+          transport: 'xhr',
+          error: 'Network request failed',
+          url: xhr.__bugSpotterUrl,
+          method: xhr.__bugSpotterMethod,
+          timestamp: new Date().toISOString()
+        });
+      });
+
+      return originalSend.apply(this, args);
+    };
+  }
+
+  // ---- Erros não tratados ----
+  window.addEventListener('error', (event) => {
+    const err = event.error;
+    emit('uncaught-error', {
+      message: event.message || (err && err.message) || 'Unknown error',
+      filename: event.filename,
+      lineno: event.lineno,
+      colno: event.colno,
+      stack: err && err.stack ? String(err.stack) : undefined,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  window.addEventListener('unhandledrejection', (event) => {
+    const reason = event.reason;
+    const isError = reason instanceof Error;
+    emit('unhandled-rejection', {
+      message: `Unhandled Promise Rejection: ${isError ? `${reason.name}: ${reason.message}` : serializeArg(reason)}`,
+      stack: isError && reason.stack ? String(reason.stack) : undefined,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // ---- console.* ----
+  CONSOLE_LEVELS.forEach((level) => {
+    const original = console[level];
+    if (typeof original !== 'function') return;
+    console[level] = function (...args) {
+      try {
+        const errorArg = args.find(a => a instanceof Error);
+        emit('console', {
+          level,
+          message: args.map(serializeArg).join(' '),
+          stack: errorArg && errorArg.stack ? String(errorArg.stack) : undefined,
+          timestamp: new Date().toISOString()
+        });
+      } catch (_) {}
+      return original.apply(this, args);
+    };
+  });
+
+  const originalAssert = console.assert;
+  if (typeof originalAssert === 'function') {
+    console.assert = function (condition, ...args) {
+      if (!condition) {
+        emit('console', {
+          level: 'error',
+          message: `Assertion failed: ${args.map(serializeArg).join(' ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      return originalAssert.apply(this, [condition, ...args]);
+    };
+  }
+})();
@@ -0,0 +1,106 @@
+/**
+ * BugSpotter AI Report Cache
+ * Guarda no IndexedDB o relatório AI de cada erro, indexado pelo fingerprint normalizado
+ * (o mesmo do IssueTracker), para que o mesmo erro noutra aba ou depois de reiniciar o
+ * browser reutilize o relatório em vez de voltar a chamar a AI.
+ */
+class AIReportCache {
+  /**
+   * @param {Object} options
+   * @param {Object} options.dbManager - IndexedDBManager
+   * @param {string} [options.storeName='cache']
+   * @param {number} [options.ttl=7 dias] - Validade de cada relatório (ms)
+   */
+  constructor(options = {}) {
+    this.dbManager = options.dbManager || null;
+    this.storeName = options.storeName || 'cache';
+    this.ttl = options.ttl || 7 * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * @param {string} fingerprint
+   * @returns {Promise<{ fingerprint: string, report: Object, cachedAt: number }|null>}
+   */
+  async get(fingerprint) {
+    if (!this.dbManager || !fingerprint) return null;
+    try {
+      return await this.dbManager.retrieve(this.storeName, AIReportCache.key(fingerprint));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Guarda um relatório gerado pela AI (relatórios básicos, sem AI, não são guardados)
+   * @param {string} fingerprint
+   * @param {Object} report - Resultado de AIService.generateBugReport
+   * @param {Object} [options] - { ttl }
+   * @returns {Promise<boolean>}
+   */
+  async set(fingerprint, report, { ttl = this.ttl } = {}) {
+    if (!this.dbManager || !fingerprint || !AIReportCache.isCacheable(report)) return false;
+    const entry = { fingerprint, report, cachedAt: Date.now() };
+    await this.dbManager.store(this.storeName, AIReportCache.key(fingerprint), entry, { type: 'ai-report', ttl });
+    return true;
+  }
+
+  async remove(fingerprint) {
+    if (!this.dbManager || !fingerprint) return false;
+    return this.dbManager.remove(this.storeName, AIReportCache.key(fingerprint));
+  }
+
+  /**
+   * Remove todos os relatórios em cache (mantém os source maps do mesmo store)
+   * @returns {Promise<number>} Entradas removidas
+   */
+  async clear() {
+    if (!this.dbManager) return 0;
+    const keys = await this.dbManager.listKeys(this.storeName).catch(() => []);
+    const ownKeys = keys.filter(key => String(key).startsWith(AIReportCache.KEY_PREFIX));
+    for (const key of ownKeys) {
+      await this.dbManager.remove(this.storeName, key);
+    }
+    return ownKeys.length;
+  }
+
+  static key(fingerprint) {
+    return `${AIReportCache.KEY_PREFIX}${fingerprint}`;
+  }
+
+  static isCacheable(report) {
+    return Boolean(report && report.metadata?.aiProvider && !report.note);
+  }
+
+  /**
+   * Copia o relatório em cache com o contexto da nova ocorrência (URL, hora, user agent)
+   * @param {Object} entry - Entrada devolvida por get()
+   * @param {Object} errorLog - Nova ocorrência do erro
+   * @returns {Object} Relatório pronto a guardar
+   */
+  static restamp(entry, errorLog = {}) {
+    const report = JSON.parse(JSON.stringify(entry.report));
+    const now = new Date().toISOString();
+    if (report.details && typeof report.details === 'object') {
+      if (errorLog.url) report.details.url = errorLog.url;
+      report.details.timestamp = errorLog.timestamp || now;
+      if (typeof navigator !== 'undefined' && navigator.userAgent) report.details.userAgent = navigator.userAgent;
+    }
+    report.metadata = {
+      ...report.metadata,
+      generatedAt: now,
+      cached: true,
+      cachedAt: new Date(entry.cachedAt).toISOString(),
+      originalGeneratedAt: entry.report.metadata?.generatedAt || null
+    };
+    return report;
+  }
+}
+
+AIReportCache.KEY_PREFIX = 'ai-report:';
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AIReportCache;
+} else if (typeof window !== 'undefined') {
+  window.AIReportCache = AIReportCache;
+}
@@ -14,6 +14,21 @@ class AIService {
         this.model = 'gemini-2.0-flash';
         this.claudeModel = 'claude-3-haiku-20240307';
         this.openaiModel = 'gpt-4-turbo-preview';
+        // Provider 'local': servidor OpenAI-compatible (vLLM, LM Studio, llama.cpp) ou Ollama, sem enviar dados para clouds públicas
+        this.localConfig = AIService.normalizeLocalConfig();
+        // Cadeia de fallback: providers/modelos tentados por ordem quando o principal falha (429, 503, timeout)
+        this.fallbackChain = [];
+        this.providerKeys = {};
+        this.providerTimeoutMs = 45000;
+        this.healthStorageKey = 'ai_provider_health';
+        // AIUsageTracker (opcional, injetado pelo background): tokens, custo e orçamento
+        this.usageTracker = null;
+        // Templates de prompt por domínio/projeto (editados no separador AI das definições)
+        this.promptTemplates = AIService.normalizePromptTemplates();
+        this.promptTemplatesStorageKey = 'ai_prompt_templates';
+        // Regras de redação partilhadas (definições > Privacy) e registo dos prompts enviados (OutboundAuditLog, injetado pelo background)
+        this.redaction = AIService.createRedactionEngine();
+        this.outboundAudit = null;
         this.isEnabled = false;
         this.rateLimiter = {
             requests: 0,
@@ -27,104 +42,21 @@ class AIService {
         };
     }
 
+    // Redação dos dados enviados à AI: regras partilhadas do RedactionEngine (destino 'ai')
     _redactText(value) {
-        try {
-            if (value === null || value === undefined) return '';
-            let str = typeof value === 'string' ? value : JSON.stringify(value);
-
-            str = str.replace(/([A-Z0-9._%+-])([A-Z0-9._%+-]*?)@([A-Z0-9.-]+\.[A-Z]{2,})/gi, (_, first, _mid, domain) => `${first}***@${domain}`);
-
-            str = str.replace(/\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g, (m) => `${m.slice(0, 8)}…${m.slice(-6)}`);
-            str = str.replace(/\b(?:sk-|rk-|pk_)[A-Za-z0-9_\-]{10,}\b/g, (m) => `${m.slice(0, 6)}…${m.slice(-4)}`);
-            str = str.replace(/\b[0-9a-f]{32,}\b/gi, (m) => `${m.slice(0, 6)}…${m.slice(-4)}`);
-
-            str = str.replace(/(\b(?:authorization|cookie|set-cookie)\b\s*[:=]\s*)([^\s,;]+)/gi, (_, k) => `${k}[REDACTED]`);
-            str = str.replace(/(\bBearer\s+)([A-Za-z0-9._\-]{10,})/g, (_, k) => `${k}[REDACTED]`);
-
-            str = str.replace(/(\b(?:password|passwd|pwd|passcode|secret|api[_-]?key|access[_-]?token|refresh[_-]?token|id[_-]?token|token)\b\s*[:=]\s*)([^\s,;]+)/gi, (_, k) => `${k}[REDACTED]`);
-
-            str = str.replace(/\b\d{3}[-.\s]?\d{3}[-.\s]?\d{4}\b/g, (m) => `${m.slice(0, 2)}…${m.slice(-2)}`);
-            str = str.replace(/\b(?:\d[ -]*?){13,19}\b/g, (m) => {
-                const digits = m.replace(/\D/g, '');
-                if (digits.length < 13 || digits.length > 19) return m;
-                return `**** **** **** ${digits.slice(-4)}`;
-            });
-
-            return str;
-        } catch (_) {
-            return '';
-        }
+        return this.redaction.redactText(value);
     }
 
     _isSensitiveKey(key) {
-        try {
-            const k = String(key || '').toLowerCase();
-            return (
-                k.includes('password') ||
-                k.includes('passwd') ||
-                k === 'pwd' ||
-                k.includes('token') ||
-                k.includes('secret') ||
-                k.includes('api_key') ||
-                k.includes('apikey') ||
-                k.includes('authorization') ||
-                k.includes('cookie') ||
-                k.includes('session') ||
-                k.includes('email')
-            );
-        } catch (_) {
-            return false;
-        }
+        return this.redaction.isSensitiveKey(key);
     }
 
-    _redactObject(value, depth = 0) {
-        try {
-            if (value === null || value === undefined) return value;
-            if (depth > 6) return '[TRUNCATED]';
-            if (typeof value === 'string') return this._redactText(value);
-            if (typeof value === 'number' || typeof value === 'boolean') return value;
-            if (Array.isArray(value)) {
-                return value.slice(0, 50).map(v => this._redactObject(v, depth + 1));
-            }
-            if (typeof value === 'object') {
-                const out = {};
-                const entries = Object.entries(value).slice(0, 80);
-                for (const [k, v] of entries) {
-                    if (this._isSensitiveKey(k)) {
-                        out[k] = '[REDACTED]';
-                    } else {
-                        out[k] = this._redactObject(v, depth + 1);
-                    }
-                }
-                return out;
-            }
-            return String(value);
-        } catch (_) {
-            return '[REDACTED]';
-        }
+    _redactObject(value) {
+        return this.redaction.redactObject(value, { maxDepth: 6, maxArrayItems: 50, maxKeys: 80 });
     }
 
     _sanitizeUrl(url) {
-        try {
-            if (!url || typeof url !== 'string') return url || '';
-            const u = new URL(url);
-            const params = new URLSearchParams(u.search);
-            const redacted = new URLSearchParams();
-            for (const [k, v] of params.entries()) {
-                if (this._isSensitiveKey(k)) {
-                    redacted.set(k, '[REDACTED]');
-                    continue;
-                }
-                const vv = typeof v === 'string' ? v : String(v);
-                const looksSensitive = /eyJ[A-Za-z0-9_-]{10,}\./.test(vv) || /^[0-9a-f]{32,}$/i.test(vv) || vv.length > 64;
-                redacted.set(k, looksSensitive ? '[REDACTED]' : vv.slice(0, 32));
-            }
-            u.search = redacted.toString() ? `?${redacted.toString()}` : '';
-            u.hash = '';
-            return u.toString();
-        } catch (_) {
-            return url || '';
-        }
+        return this.redaction.redactUrl(url, { maxValueLength: 32, stripHash: true });
     }
 
     /**
@@ -143,9 +75,12 @@ class AIService {
             
             this.isEnabled = settings.aiEnabled || false;
             this.provider = settings.aiProvider || 'gemini';
+            this.localConfig = AIService.normalizeLocalConfig(settings.aiLocalConfig);
+            this.fallbackChain = AIService.normalizeFallbackChain(settings.aiFallbackChain);
+            this.providerKeys = settings.aiKeys && typeof settings.aiKeys === 'object' ? settings.aiKeys : {};
             
-            // Se AI está habilitada mas não há API key válida, desabilitar
-            if (this.isEnabled && (!this.apiKey || this.apiKey === '')) {
+            // Se AI está habilitada mas não há API key válida, desabilitar (servidores locais normalmente não usam key)
+            if (this.isEnabled && this.provider !== 'local' && (!this.apiKey || this.apiKey === '')) {
                 console.warn('[AIService] AI enabled but API key not configured. Disabling AI.');
                 this.isEnabled = false;
             }
@@ -166,7 +101,10 @@ class AIService {
             chrome.storage.sync.get([
                 'aiApiKey',
                 'aiEnabled',
-                'aiProvider'
+                'aiProvider',
+                'aiLocalConfig',
+                'aiFallbackChain',
+                'aiKeys'
             ], (result) => {
                 resolve(result);
             });
@@ -177,6 +115,9 @@ class AIService {
      * Verifica se o serviço está configurado
      */
     isConfigured() {
+        if (this.provider === 'local') {
+            return Boolean(this.isEnabled && this.localConfig.baseUrl && this.localConfig.model);
+        }
         return this.isEnabled && 
                this.apiKey && 
                typeof this.apiKey === 'string' && 
@@ -265,21 +206,34 @@ class AIService {
             return this.createBasicReport(errorData);
         }
 
+        const budget = await this.checkBudget();
+        if (budget?.exceeded) {
+            console.warn(`[AIService] Orçamento ${budget.period} de AI atingido ($${budget.spent} de $${budget.limit}). Gerando relatório básico.`);
+            return { ...this.createBasicReport(errorData), note: `Report generated without AI: ${budget.period} AI budget reached` };
+        }
+
         try {
             this.rateLimiter.requests++;
             
-            const prompt = this.buildPrompt(errorData);
-            const response = await this.callAIProvider(prompt);
+            await this.loadPromptTemplates();
+            await this.loadRedactionRules();
+            // Exceções JS (source 'console') têm prompt e formato próprios: stack, logs à volta e componentes
+            const isJsError = AIService.isJavaScriptError(errorData);
+            const prompt = isJsError ? this.buildJsErrorPrompt(errorData) : this.buildPrompt(errorData);
+            const schema = isJsError ? AIService.JS_ERROR_REPORT_SCHEMA : AIService.BUG_REPORT_SCHEMA;
+            const { value: bugReport, provider, model, attempts, repaired } = await this.requestStructuredOutput(prompt, schema);
             
-            // Parse da resposta JSON
-            const bugReport = this.parseAIResponse(response);
-            
-            // Adiciona metadados
+            // Adiciona metadados (provider que realmente gerou o relatório)
             bugReport.metadata = {
                 generatedAt: new Date().toISOString(),
-                aiProvider: this.provider,
+                aiProvider: provider,
+                aiModel: model,
+                schemaRepaired: repaired,
                 version: '1.0.0'
             };
+            if (attempts.length > 0) {
+                bugReport.metadata.fallbackFrom = attempts.map(attempt => attempt.provider);
+            }
             
             // Bug report gerado - silenciado
             return bugReport;
@@ -288,7 +242,10 @@ class AIService {
             console.error('[AIService] Erro ao gerar bug report:', error);
             
             // Tratamento específico para diferentes tipos de erro
-            if (error.message && error.message.includes('API Key não configurada')) {
+            if (error.providerAttempts) {
+                // Cadeia esgotada: cada provider já ficou em cooldown próprio, não pausar a AI globalmente
+                console.warn(`[AIService] Todos os providers falharam: ${error.providerAttempts.map(a => `${a.provider} (${a.reason})`).join(', ')}`);
+            } else if (error.message && error.message.includes('API Key não configurada')) {
                 console.error('[AIService] API Key inválida ou não configurada');
             } else if (error.message && error.message.includes('Base URL não configurada')) {
                 console.error('[AIService] Base URL inválida');
@@ -374,8 +331,8 @@ class AIService {
 
     /**
      * Aprimora campos do bug report usando interações do usuário e contexto
-     * @param {Object} payload - { fields: {title, description, steps}, interactions: Array, context: Object }
-     * @returns {Promise<Object>} Sugestões de aprimoramento { title, description, stepsToReproduce }
+     * @param {Object} payload - { fields: {title, description, steps}, interactions: Array, context: Object, screenshot?: Object }
+     * @returns {Promise<Object>} Sugestões de aprimoramento { title, description, stepsToReproduce, screenshotAnalyzed }
      */
     async enhanceBugFields(payload) {
         console.log('[AIService] Enhancing bug fields...');
@@ -412,7 +369,7 @@ class AIService {
         }
         
         // Simplificando verificação de pausa/rate limit para logs claros
-        if (await this.shouldPauseAI() || !this.checkRateLimit()) {
+        if (await this.shouldPauseAI() || !this.checkRateLimit() || (await this.checkBudget())?.exceeded) {
              let stepsNormalized = Array.isArray(payload?.fields?.steps) ? payload.fields.steps : [];
             if ((!stepsNormalized || stepsNormalized.length === 0) && Array.isArray(payload?.interactions) && payload.interactions.length) {
                 stepsNormalized = this._generateDeterministicSteps(payload.interactions);
@@ -431,32 +388,18 @@ class AIService {
         try {
             this.rateLimiter.requests++;
             console.log('[AIService] Calling AI Provider:', this.provider);
+            await this.loadPromptTemplates();
+            await this.loadRedactionRules();
             const prompt = this.buildEnhancementPrompt(payload);
-            const response = await this.callAIProvider(prompt);
+            // Screenshot (já reduzido e mascarado pelo popup) só segue para providers com input de imagem
+            const image = AIService.normalizeImageInput(payload?.screenshot);
+            // O schema garante stepsToReproduce como array (máx. 20) e severity em minúsculas
+            const { value: parsed, imageUsed } = await this.requestStructuredOutput(prompt, AIService.ENHANCEMENT_SCHEMA, { image });
             console.log('[AIService] AI Response received');
-            const parsed = this.parseAIResponse(response);
-            // Normalize steps field from possible variants
-            let stepsNormalized = [];
-            if (Array.isArray(parsed.stepsToReproduce)) {
-                stepsNormalized = parsed.stepsToReproduce;
-            } else if (Array.isArray(parsed.steps)) {
-                stepsNormalized = parsed.steps;
-            } else if (Array.isArray(parsed.steps_to_reproduce)) {
-                stepsNormalized = parsed.steps_to_reproduce;
-            } else if (typeof parsed.stepsToReproduce === 'string') {
-                stepsNormalized = parsed.stepsToReproduce.split('\n').map(s => s.trim()).filter(Boolean);
-            } else if (typeof parsed.steps === 'string') {
-                stepsNormalized = parsed.steps.split('\n').map(s => s.trim()).filter(Boolean);
-            } else if (typeof parsed.steps_to_reproduce === 'string') {
-                stepsNormalized = parsed.steps_to_reproduce.split('\n').map(s => s.trim()).filter(Boolean);
-            }
+            let stepsNormalized = parsed.stepsToReproduce;
             // Deterministic fallback: derive steps across pages if AI returned none
-            if ((!stepsNormalized || stepsNormalized.length === 0) && Array.isArray(payload?.interactions) && payload.interactions.length) {
-                stepsNormalized = this._generateDeterministicSteps(payload.interactions);
-            }
-            // Cap steps to 20 for readability in UI
-            if (stepsNormalized.length > 20) {
-                stepsNormalized = stepsNormalized.slice(0, 20);
+            if (stepsNormalized.length === 0 && Array.isArray(payload?.interactions) && payload.interactions.length) {
+                stepsNormalized = this._generateDeterministicSteps(payload.interactions).slice(0, 20);
             }
             return {
                 title: parsed.title || payload?.fields?.title || '',
@@ -464,11 +407,14 @@ class AIService {
                 stepsToReproduce: stepsNormalized.length ? stepsNormalized : (Array.isArray(payload?.fields?.steps) ? payload.fields.steps : []),
                 expectedBehavior: parsed.expectedBehavior || payload?.fields?.expectedBehavior || '',
                 actualBehavior: parsed.actualBehavior || payload?.fields?.actualBehavior || '',
-                severity: (parsed.severity || 'medium').toString().toLowerCase(),
+                severity: parsed.severity,
                 priority: parsed.priority || '',
-                environment: parsed.environment || ''
+                // Ambiente das regras do EnvironmentDetector quando existe; a AI só o sugere sem regras
+                environment: payload?.context?.environment?.environment || parsed.environment || '',
+                screenshotAnalyzed: Boolean(imageUsed)
             };
         } catch (error) {
+            console.warn('[AIService] Enhancement failed, keeping current fields:', error.message);
             return {
                 title: payload?.fields?.title || '',
                 description: payload?.fields?.description || '',
@@ -477,7 +423,7 @@ class AIService {
                 actualBehavior: payload?.fields?.actualBehavior || '',
                 severity: 'medium',
                 priority: '',
-                environment: ''
+                environment: payload?.context?.environment?.environment || ''
             };
         }
     }
@@ -514,32 +460,75 @@ class AIService {
             pageTitle: context.pageTitle || 'Unknown'
         };
 
-        const prompt = `You are a QA assistant. Improve the bug report fields in English using the user's recent interactions and current values.
+        const profile = this.resolvePromptProfile(sanitized.pageUrl);
+        const prompt = AIService.renderTemplate(profile.enhancement, {
+            input: JSON.stringify(sanitized, null, 2),
+            interactions: JSON.stringify(sanitized.userInteractions, null, 2),
+            pageUrl: sanitized.pageUrl,
+            availablePriorities,
+            environmentRules: AIService.describeDetectedEnvironment(context.environment) || profile.environmentRules,
+            profileName: profile.name
+        });
+        return `${prompt}\n\n${AIService.PROMPT_OUTPUT_FORMATS.enhancement}`;
+    }
+
+    /**
+     * Cenários Gherkin para um relatório (a sintaxe .feature é gerada pelo GherkinGenerator).
+     * Devolve null quando a AI não está disponível (não configurada, pausada, rate limit ou orçamento)
+     * ou falha: quem chama usa então o modo determinístico.
+     * @param {Object} payload - { report: { title, description, steps, expectedBehavior, actualBehavior, url, originalError }, steps: Array<string> }
+     * @returns {Promise<{ featureDescription: string, scenarios: Array<{ name, given, when, then }> }|null>}
+     */
+    async generateGherkinScenarios(payload) {
+        if (!this.isConfigured() || await this.shouldPauseAI() || !this.checkRateLimit() || (await this.checkBudget())?.exceeded) {
+            return null;
+        }
+        try {
+            this.rateLimiter.requests++;
+            await this.loadRedactionRules();
+            const { value } = await this.requestStructuredOutput(this.buildGherkinPrompt(payload), AIService.GHERKIN_SCHEMA);
+            return value;
+        } catch (error) {
+            console.warn('[AIService] Gherkin generation failed, using deterministic scenario:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Prompt para os cenários Gherkin (campos do relatório sanitizados)
+     */
+    buildGherkinPrompt(payload) {
+        const report = payload?.report || {};
+        const steps = Array.isArray(payload?.steps) && payload.steps.length > 0
+            ? payload.steps
+            : (Array.isArray(report.stepsToReproduce) ? report.stepsToReproduce : (Array.isArray(report.steps) ? report.steps : String(report.steps || '').split('\n')));
+        const failing = report.originalError && report.originalError.url ? {
+            url: this._sanitizeUrl(report.originalError.url),
+            method: report.originalError.method || '',
+            status: report.originalError.status || ''
+        } : null;
+        const sanitized = {
+            title: this._redactText(report.title || ''),
+            description: this._redactText(report.description || ''),
+            stepsToReproduce: steps.map(step => this._redactText(step)).filter(Boolean).slice(0, 20),
+            expectedBehavior: this._redactText(report.expectedBehavior || ''),
+            actualBehavior: this._redactText(report.actualBehavior || ''),
+            pageUrl: this._sanitizeUrl(report.url || report.pageUrl || ''),
+            failingRequest: failing
+        };
+
+        return `You are a QA engineer writing BDD test cases. Convert this bug report into Gherkin scenarios in English that pass once the bug is fixed.
 
 Strict instructions:
-- Use only real information present in the provided input. Do not invent data.
-- Limit stepsToReproduce to a maximum of 20 items.
-- If there is insufficient information, keep the existing values or return empty strings.
- - ALWAYS Provide concise 'expectedBehavior' and 'actualBehavior' based on context, even if you have to infer generic behavior (e.g., "The button should trigger X" vs "The button did nothing"). Avoid empty strings for these fields if at all possible.
-  - Provide a simple severity estimate: one of "low", "medium", "high".
-  - Infer the 'environment' based on the 'pageUrl': if the hostname starts with 'pp' (e.g., pp.daloop.app), set it to "Staging"; otherwise, set it to "Production".
-  - Suggest a 'priority' level from the following options: ${availablePriorities}.
+- Use only real information present in the report. Do not invent pages, fields or data.
+- Write one main scenario that reproduces the steps and checks the expected behavior; add at most 2 extra scenarios only for clearly distinct cases in the report.
+- Steps are plain sentences without the Given/When/Then keywords, written from the user's point of view ("I click on ...").
+- "then" steps describe the expected behavior, never the actual (buggy) behavior.
 
-Input JSON:
+Bug report JSON:
 ${JSON.stringify(sanitized, null, 2)}
 
-Output ONLY a valid JSON object with fields:
-{
-  "title": "Improved concise title",
-  "description": "Improved description summarizing impact and context",
-  "stepsToReproduce": ["Step 1", "Step 2", "... up to 20"],
-  "expectedBehavior": "What should have happened (inferred if necessary)",
-  "actualBehavior": "What actually happened (inferred if necessary)",
-  "severity": "low|medium|high",
-  "priority": "One of the provided options",
-  "environment": "Production|Staging"
-}`;
-        return prompt;
+${AIService.PROMPT_OUTPUT_FORMATS.gherkin}`;
     }
 
     /**
@@ -548,6 +537,10 @@ Output ONLY a valid JSON object with fields:
      * @returns {Object} Bug report básico estruturado
      */
     createBasicReport(errorData) {
+        if (AIService.isJavaScriptError(errorData)) {
+            return this.createBasicJsErrorReport(errorData);
+        }
+
         // Extrair dados do erro e contexto da estrutura aninhada
         const error = errorData.error || errorData;
         const context = errorData.context || {};
@@ -592,6 +585,100 @@ Output ONLY a valid JSON object with fields:
         };
     }
 
+    /**
+     * Relatório básico (sem AI) para exceções JavaScript
+     * @param {Object} errorData - { error: errorLog, context }
+     * @returns {Object} Bug report no formato de JS_ERROR_REPORT_SCHEMA
+     */
+    createBasicJsErrorReport(errorData) {
+        const error = errorData.error || errorData;
+        const context = errorData.context || {};
+        const message = String(error.message || 'Unknown error').split('\n')[0].replace(/^Uncaught\s+/, '');
+        const category = AIService.classifyJsError(error, context);
+        const label = category === 'Other' ? 'JavaScript Error' : category;
+        const frames = Array.isArray(context.stackFrames) ? context.stackFrames : [];
+        const topFrame = frames.find(frame => frame.inApp) || frames[0] || null;
+        const location = topFrame ? `${topFrame.url || 'unknown'}:${topFrame.line || '?'}` : '';
+        const components = AIService.extractComponentHints(frames, context.userInteractions);
+
+        return {
+            title: (message.startsWith(label) ? message : `${label}: ${message}`).slice(0, 200),
+            description: `A JavaScript error was thrown${location ? ` at ${location}` : ''}${context.pageUrl ? ` on ${context.pageUrl}` : ''}: ${message}`,
+            category,
+            stepsToReproduce: [
+                '1. Navigate to the page where the error occurred',
+                '2. Repeat the last interaction before the error',
+                '3. Observe the error in the console'
+            ],
+            expectedBehavior: 'The page should run without JavaScript errors',
+            actualBehavior: `${label} thrown: ${message}`,
+            details: {
+                errorName: context.errorType || AIService.extractErrorName(message) || 'Error',
+                message,
+                file: topFrame?.url || '',
+                line: topFrame?.line || '',
+                column: topFrame?.column || '',
+                functionName: topFrame?.functionName || '',
+                component: components[0] || '',
+                stack: error.resolvedStack || error.stack || '',
+                timestamp: error.timestamp || context.timestamp || new Date().toISOString(),
+                userAgent: error.userAgent || context.userAgent || navigator.userAgent
+            },
+            severity: category === 'Unhandled Rejection' || category === 'Resource Error' ? 'medium' : 'high',
+            errorType: 'JavaScript Error',
+            note: 'Report generated without AI due to quota limitations'
+        };
+    }
+
+    /**
+     * Prompt para exceções JavaScript: stack (mapeado quando possível), logs da consola à volta do erro,
+     * interações recentes e pistas de componentes
+     */
+    buildJsErrorPrompt(errorData) {
+        const error = errorData.error || errorData;
+        const context = errorData.context || {};
+        const frames = Array.isArray(context.stackFrames) ? context.stackFrames : [];
+        const interactions = Array.isArray(context.userInteractions) ? context.userInteractions.slice(-30) : [];
+        const stack = error.resolvedStack || error.stack;
+
+        const sanitizedData = {
+            message: this._redactText(error.message || 'Unknown'),
+            detectedCategory: AIService.classifyJsError(error, context),
+            errorKind: error.errorKind || 'console-error',
+            timestamp: error.timestamp || context.timestamp || new Date().toISOString(),
+            pageUrl: this._sanitizeUrl(context.pageUrl || error.url || 'Unknown'),
+            userAgent: error.userAgent || context.userAgent || 'N/A',
+            stackTrace: stack ? this._redactText(stack) : 'N/A',
+            stackTraceSourceMapped: !!error.resolvedStack,
+            stackFrames: frames.slice(0, 15).map(frame => ({
+                functionName: frame.functionName || '<anonymous>',
+                file: this._sanitizeUrl(frame.url || ''),
+                line: frame.line ?? null,
+                column: frame.column ?? null,
+                inApp: !!frame.inApp
+            })),
+            componentHints: AIService.extractComponentHints(frames, interactions),
+            consoleLogs: this._redactObject(context.recentLogs || context.consoleLogs || []),
+            userInteractions: this._redactObject(interactions)
+        };
+        if (error.sourceExcerpt) {
+            sanitizedData.sourceExcerpt = this._redactText(error.sourceExcerpt);
+        }
+
+        const pageUrl = sanitizedData.pageUrl === 'Unknown' ? '' : sanitizedData.pageUrl;
+        const profile = this.resolvePromptProfile(pageUrl);
+        const prompt = AIService.renderTemplate(profile.jsError, {
+            errorContext: JSON.stringify(sanitizedData, null, 2),
+            interactions: JSON.stringify(sanitizedData.userInteractions, null, 2),
+            pageUrl: pageUrl || 'Unknown',
+            availablePriorities: 'Lowest|Low|Medium|High|Highest',
+            environmentRules: AIService.describeDetectedEnvironment(context.environment) || profile.environmentRules,
+            profileName: profile.name
+        });
+
+        return `${prompt}\n\n${AIService.PROMPT_OUTPUT_FORMATS.jsError}`;
+    }
+
     /**
      * Constrói o prompt para a AI
      */
@@ -617,30 +704,28 @@ Output ONLY a valid JSON object with fields:
             userInteractions: this._redactObject(context.userInteractions || [])
         });
 
-        const prompt = `You are a web debugging expert. Analyze this HTTP error and generate a structured bug report in English.
-
-Strict instructions:
-- Use only real information present in the provided context. Do not invent data.
-- Limit stepsToReproduce to a maximum of 7 items.
-- If a field is unknown, use "N/A" or an empty string.
-
-**ERROR CONTEXT (sanitized):**
-${JSON.stringify(sanitizedData, null, 2)}
+        // Erros JS: stack já mapeado para o código original (SourceMapResolver) quando disponível
+        const stack = error.resolvedStack || error.stack;
+        if (stack) {
+            sanitizedData.stackTrace = this._redactText(stack);
+            sanitizedData.stackTraceSourceMapped = !!error.resolvedStack;
+        }
+        if (error.sourceExcerpt) {
+            sanitizedData.sourceExcerpt = this._redactText(error.sourceExcerpt);
+        }
 
-Output ONLY a valid JSON object with fields:
-{
-  "title": "Short, clear title summarizing the issue",
-  "description": "Detailed description of what happened",
-  "category": "Network Error|API Error|Server Error|Client Error",
-  "stepsToReproduce": ["Step 1", "Step 2", "Step 3"],
-  "expectedBehavior": "What should have happened",
-  "actualBehavior": "What actually happened",
-  "errorType": "HTTP Error",
-  "severity": "low|medium|high",
-  "details": { "url": "...", "method": "...", "status": "...", "statusText": "...", "responseBody": "...", "probableCause": "short hypothesis based on context" }
-            }`;
+        const pageUrl = this._sanitizeUrl(context.pageUrl || error.pageUrl || error.url || context.url || '');
+        const profile = this.resolvePromptProfile(pageUrl);
+        const prompt = AIService.renderTemplate(profile.bugReport, {
+            errorContext: JSON.stringify(sanitizedData, null, 2),
+            interactions: JSON.stringify(sanitizedData.userInteractions, null, 2),
+            pageUrl: pageUrl || 'Unknown',
+            availablePriorities: 'Lowest|Low|Medium|High|Highest',
+            environmentRules: AIService.describeDetectedEnvironment(context.environment) || profile.environmentRules,
+            profileName: profile.name
+        });
 
-        return prompt;
+        return `${prompt}\n\n${AIService.PROMPT_OUTPUT_FORMATS.bugReport}`;
     }
 
     /**
@@ -655,9 +740,23 @@ Output ONLY a valid JSON object with fields:
             temperature: 0.1,
             system: "You are a QA assistant helping to generate bug reports. Return ONLY valid JSON.",
             messages: [
-                { role: "user", content: prompt }
+                { role: "user", content: this.requestImage
+                    ? [
+                        { type: 'image', source: { type: 'base64', media_type: this.requestImage.mimeType, data: this.requestImage.data } },
+                        { type: 'text', text: prompt }
+                    ]
+                    : prompt }
             ]
         };
+        // Claude não tem modo JSON: forçar uma tool cujo input_schema é o schema pedido
+        if (this.responseSchema) {
+            requestBody.tools = [{
+                name: this.responseSchema.title,
+                description: 'Return the result as structured data.',
+                input_schema: this.responseSchema
+            }];
+            requestBody.tool_choice = { type: 'tool', name: this.responseSchema.title };
+        }
 
         try {
             const response = await fetch(this.claudeBaseUrl, {
@@ -687,7 +786,12 @@ Output ONLY a valid JSON object with fields:
             }
 
             const data = await response.json();
+            this.lastUsage = AIService.extractUsage(data);
             
+            const toolUse = Array.isArray(data.content) ? data.content.find(block => block.type === 'tool_use') : null;
+            if (toolUse) {
+                return JSON.stringify(toolUse.input);
+            }
             if (!data.content || !data.content[0] || !data.content[0].text) {
                 throw new Error('Invalid response from Claude API');
             }
@@ -713,11 +817,341 @@ Output ONLY a valid JSON object with fields:
             return this.callClaudeAPI(prompt, retryCount);
         } else if (this.provider === 'openai') {
             return this.callOpenAIAPI(prompt, retryCount);
+        } else if (this.provider === 'local') {
+            return this.callLocalAPI(prompt);
         } else {
             return this.callGeminiAPI(prompt, retryCount);
         }
     }
 
+    /**
+     * Providers a tentar, por ordem: o principal e depois a cadeia de fallback (apenas os que têm credenciais)
+     * @returns {Array<{ provider: string, model: string }>}
+     */
+    getProviderChain() {
+        const primary = { provider: this.provider, model: this._defaultModelFor(this.provider) };
+        const seen = new Set();
+        return [primary, ...this.fallbackChain]
+            .map(entry => ({ provider: entry.provider, model: entry.model || this._defaultModelFor(entry.provider) }))
+            .filter(entry => {
+                const id = AIService.providerId(entry);
+                if (seen.has(id)) return false;
+                seen.add(id);
+                return entry.provider === 'local' || Boolean(this._keyFor(entry.provider));
+            });
+    }
+
+    /**
+     * Chama os providers da cadeia por ordem até um responder.
+     * 429, 503, timeouts e falhas de rede passam ao seguinte e põem o provider em cooldown;
+     * outros erros (ex.: key inválida) são propagados.
+     * @param {string} prompt
+     * @param {Object} [options] - { schema } para os modos de output estruturado de cada provider,
+     *   { image } ({ mimeType, data }) enviado apenas aos providers/modelos com input de imagem
+     * @returns {Promise<{ text: string, provider: string, model: string, attempts: Array<Object>, imageUsed: boolean }>}
+     */
+    async callWithFallback(prompt, { schema = null, image = null } = {}) {
+        const chain = this.getProviderChain();
+        if (chain.length === 0) throw new Error('API Key não configurada');
+        const health = await this.getProviderHealth();
+        const now = Date.now();
+        const attempts = [];
+        let lastError = null;
+
+        for (const entry of chain) {
+            const id = AIService.providerId(entry);
+            if ((health[id]?.cooldownUntil || 0) > now) {
+                attempts.push({ ...entry, reason: 'cooldown' });
+                continue;
+            }
+
+            try {
+                const withImage = Boolean(image) && AIService.supportsImageInput(entry, this.localConfig);
+                const result = await this._callProvider(entry, prompt, schema, withImage ? image : null);
+                await this.recordProviderSuccess(entry);
+                await this.recordUsage(entry, result.prompt, result.text, result.usage);
+                return { text: result.text, ...entry, attempts, imageUsed: result.imageUsed };
+            } catch (error) {
+                const reason = AIService.classifyProviderError(error);
+                await this.recordProviderFailure(entry, error, reason);
+                if (!reason) throw error;
+                console.warn(`[AIService] ${id} falhou (${reason}), a tentar o próximo provider...`);
+                attempts.push({ ...entry, reason });
+                lastError = error;
+            }
+        }
+
+        const error = new Error(lastError
+            ? `All AI providers failed: ${lastError.message}`
+            : 'All AI providers are cooling down');
+        error.providerAttempts = attempts;
+        throw error;
+    }
+
+    /**
+     * Uma chamada a um provider da cadeia. Com imagem, acrescenta ao prompt as instruções de análise visual;
+     * se o modelo recusar a imagem (sem suporte de visão), repete só com texto.
+     * @returns {Promise<{ text: string, prompt: string, usage: Object|null, imageUsed: boolean }>}
+     */
+    async _callProvider(entry, prompt, schema, image) {
+        const runner = this._createProviderRunner(entry);
+        runner.responseSchema = schema;
+        if (image) {
+            runner.requestImage = image;
+            const visualPrompt = `${prompt}\n\n${AIService.buildScreenshotNote(image)}`;
+            await this.recordOutbound(entry, visualPrompt, image);
+            try {
+                const text = await this._withTimeout(runner.callAIProvider(visualPrompt), entry);
+                return { text, prompt: visualPrompt, usage: runner.lastUsage, imageUsed: true };
+            } catch (error) {
+                if (!AIService.isImageUnsupportedError(error)) throw error;
+                console.warn(`[AIService] ${AIService.providerId(entry)} não aceita imagens, a repetir só com texto:`, error.message);
+                runner.requestImage = null;
+                runner.lastUsage = null;
+            }
+        }
+        await this.recordOutbound(entry, prompt, null);
+        const text = await this._withTimeout(runner.callAIProvider(prompt), entry);
+        return { text, prompt, usage: runner.lastUsage, imageUsed: false };
+    }
+
+    /**
+     * Regista no OutboundAuditLog o prompt (e o screenshot) exatamente como seguem para o provider.
+     * Tal como a contabilidade, nunca impede o pedido.
+     */
+    async recordOutbound(entry, prompt, image) {
+        if (!this.outboundAudit) return;
+        try {
+            await this.outboundAudit.record({
+                destination: 'ai',
+                target: AIService.providerId(entry),
+                payload: prompt,
+                attachments: image ? [{ name: `screenshot.${image.mimeType.split('/')[1]}`, data: image.data }] : []
+            });
+        } catch (error) {
+            console.warn('[AIService] Error recording outbound prompt:', error);
+        }
+    }
+
+    /**
+     * Regista tokens e custo da chamada; estima os tokens quando o provider não os devolve.
+     * A contabilidade nunca deve impedir a geração do relatório.
+     */
+    async recordUsage(entry, prompt, text, usage) {
+        if (!this.usageTracker) return;
+        try {
+            await this.usageTracker.record({
+                provider: entry.provider,
+                model: entry.model,
+                promptTokens: usage ? usage.promptTokens : Math.ceil(String(prompt || '').length / 4),
+                completionTokens: usage ? usage.completionTokens : Math.ceil(String(text || '').length / 4),
+                estimated: !usage
+            });
+        } catch (error) {
+            console.warn('[AIService] Error recording AI usage:', error);
+        }
+    }
+
+    /**
+     * Estado do orçamento de AI (null quando não há tracker ou não foi possível lê-lo)
+     * @returns {Promise<{ exceeded: boolean, period: string|null, spent: number, limit: number }|null>}
+     */
+    async checkBudget() {
+        if (!this.usageTracker) return null;
+        try {
+            return await this.usageTracker.checkBudget();
+        } catch (error) {
+            console.warn('[AIService] Error checking AI budget:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Estado de saúde por provider/modelo (chrome.storage.local)
+     * @returns {Promise<Object>} { 'gemini:gemini-2.0-flash': { successes, failures, consecutiveFailures, cooldownUntil, lastError, ... } }
+     */
+    async getProviderHealth() {
+        const result = await new Promise((resolve) => {
+            chrome.storage.local.get([this.healthStorageKey], resolve);
+        });
+        return (result && result[this.healthStorageKey]) || {};
+    }
+
+    async recordProviderSuccess(entry) {
+        await this._updateProviderHealth(entry, (record) => {
+            record.successes++;
+            record.consecutiveFailures = 0;
+            record.cooldownUntil = 0;
+            record.lastSuccessAt = Date.now();
+        });
+    }
+
+    async recordProviderFailure(entry, error, reason) {
+        await this._updateProviderHealth(entry, (record) => {
+            record.failures++;
+            record.consecutiveFailures++;
+            record.lastError = String(error?.message || error).substring(0, 200);
+            record.lastErrorAt = Date.now();
+            if (reason) {
+                record.cooldownUntil = Date.now() + this.calculateCooldownMs(reason, record.consecutiveFailures, error);
+            }
+        });
+    }
+
+    async resetProviderHealth() {
+        await new Promise((resolve) => {
+            chrome.storage.local.set({ [this.healthStorageKey]: {} }, resolve);
+        });
+    }
+
+    /**
+     * Cooldown após uma falha: Retry-After sugerido pela API ou base por motivo, a duplicar por falha consecutiva
+     */
+    calculateCooldownMs(reason, consecutiveFailures, error) {
+        const suggested = reason === 'rate_limit' ? this.parseRetryAfterSeconds(error?.message) : null;
+        if (suggested && isFinite(suggested)) {
+            return Math.min(suggested * 1000, AIService.COOLDOWN_MS.max);
+        }
+        const base = AIService.COOLDOWN_MS[reason] || AIService.COOLDOWN_MS.timeout;
+        return Math.min(base * Math.pow(2, Math.max(0, consecutiveFailures - 1)), AIService.COOLDOWN_MS.max);
+    }
+
+    async _updateProviderHealth(entry, mutate) {
+        try {
+            const health = await this.getProviderHealth();
+            const id = AIService.providerId(entry);
+            const record = health[id] || {
+                provider: entry.provider,
+                model: entry.model,
+                successes: 0,
+                failures: 0,
+                consecutiveFailures: 0,
+                cooldownUntil: 0
+            };
+            mutate(record);
+            health[id] = record;
+            await new Promise((resolve) => {
+                chrome.storage.local.set({ [this.healthStorageKey]: health }, resolve);
+            });
+        } catch (error) {
+            console.warn('[AIService] Error updating provider health:', error);
+        }
+    }
+
+    /**
+     * Instância "sombra" com provider/modelo/key próprios: partilha o rate limiter
+     * sem alterar o estado do serviço (pedidos em paralelo podem usar providers diferentes)
+     */
+    _createProviderRunner(entry) {
+        const runner = Object.create(this);
+        runner.provider = entry.provider;
+        runner.apiKey = entry.provider === this.provider ? this.apiKey : (this._keyFor(entry.provider) || null);
+        runner.managedByFallbackChain = true;
+        runner.lastUsage = null;
+        runner.requestImage = null;
+        if (entry.provider === 'claude') runner.claudeModel = entry.model;
+        else if (entry.provider === 'openai') runner.openaiModel = entry.model;
+        else if (entry.provider === 'local') runner.localConfig = { ...this.localConfig, model: entry.model };
+        else runner.model = entry.model;
+        return runner;
+    }
+
+    _withTimeout(promise, entry) {
+        // O provider local tem timeout próprio (configurável)
+        if (entry.provider === 'local') return promise;
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`AI provider ${entry.provider} timed out after ${this.providerTimeoutMs / 1000}s`)), this.providerTimeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    _keyFor(provider) {
+        if (provider === this.provider && this.apiKey) return this.apiKey;
+        const key = this.providerKeys[provider];
+        return typeof key === 'string' && key.trim() ? key.trim() : null;
+    }
+
+    _defaultModelFor(provider) {
+        if (provider === 'claude') return this.claudeModel;
+        if (provider === 'openai') return this.openaiModel;
+        if (provider === 'local') return this.localConfig.model;
+        return this.model;
+    }
+
+    /**
+     * Chama um servidor local/self-hosted (API OpenAI-compatible ou API nativa do Ollama)
+     */
+    async callLocalAPI(prompt) {
+        const config = this.localConfig;
+        if (!config.baseUrl) throw new Error('Base URL não configurada');
+        if (!config.model) throw new Error('Local AI model not configured');
+
+        const system = "You are a QA assistant helping to generate bug reports. Return ONLY valid JSON.";
+        const isOllama = config.format === 'ollama';
+        const image = this.requestImage;
+        // Ollama recebe as imagens em base64 na mensagem; servidores OpenAI-compatible usam image_url
+        const userMessage = !image
+            ? { role: "user", content: prompt }
+            : isOllama
+                ? { role: "user", content: prompt, images: [image.data] }
+                : { role: "user", content: AIService.toOpenAIImageContent(prompt, image) };
+        const messages = [
+            { role: "system", content: system },
+            userMessage
+        ];
+        const url = AIService.buildLocalEndpoint(config);
+        // Sem schema não enviar response_format: nem todos os servidores compatíveis suportam json_object
+        const requestBody = isOllama
+            ? { model: config.model, messages, stream: false, format: this.responseSchema || 'json', options: { temperature: 0.1 } }
+            : { model: config.model, messages, temperature: 0.1, stream: false };
+        if (!isOllama && this.responseSchema) {
+            // vLLM, LM Studio e llama.cpp aceitam json_schema
+            requestBody.response_format = { type: 'json_schema', json_schema: { name: this.responseSchema.title, schema: this.responseSchema } };
+        }
+
+        const headers = { 'Content-Type': 'application/json', ...config.headers };
+        const hasAuthHeader = Object.keys(headers).some(name => name.toLowerCase() === 'authorization');
+        if (this.apiKey && !hasAuthHeader) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        // Modelos locais podem demorar (carregamento em memória); abortar após o timeout configurado
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), config.timeoutMs) : null;
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(requestBody),
+                signal: controller ? controller.signal : undefined
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Local AI request timed out after ${config.timeoutMs / 1000}s`);
+            }
+            throw new Error(`Local AI endpoint unreachable (${url}): ${error.message}`);
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const detail = errorData.error?.message || errorData.error || response.statusText;
+            throw new Error(`Local AI Error: ${response.status} - ${detail}`);
+        }
+
+        const data = await response.json();
+        this.lastUsage = AIService.extractUsage(data);
+        const content = isOllama ? data.message?.content : data.choices?.[0]?.message?.content;
+        if (!content) {
+            throw new Error('Invalid response from local AI endpoint');
+        }
+        return content;
+    }
+
     /**
      * Chama a API da OpenAI
      */
@@ -733,11 +1167,14 @@ Output ONLY a valid JSON object with fields:
                 },
                 {
                     role: "user",
-                    content: prompt
+                    content: this.requestImage ? AIService.toOpenAIImageContent(prompt, this.requestImage) : prompt
                 }
             ],
             temperature: 0.1,
-            response_format: { type: "json_object" }
+            // json_schema só nos modelos com Structured Outputs; os restantes (ex.: gpt-4-turbo-preview) devolvem 400
+            response_format: this.responseSchema && AIService.supportsStructuredOutputs(this.openaiModel || 'gpt-4o-mini')
+                ? { type: "json_schema", json_schema: { name: this.responseSchema.title, schema: this.responseSchema } }
+                : { type: "json_object" }
         };
 
         try {
@@ -772,6 +1209,7 @@ Output ONLY a valid JSON object with fields:
             }
 
             const data = await response.json();
+            this.lastUsage = AIService.extractUsage(data);
             
             if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
                 throw new Error('Invalid response from OpenAI API');
@@ -810,16 +1248,18 @@ Output ONLY a valid JSON object with fields:
         
         const requestBody = {
             contents: [{
-                parts: [{
-                    text: prompt
-                }]
+                parts: [
+                    { text: prompt },
+                    ...(this.requestImage ? [{ inlineData: { mimeType: this.requestImage.mimeType, data: this.requestImage.data } }] : [])
+                ]
             }],
             generationConfig: {
                 temperature: 0.1, // Baixa criatividade para consistência
                 topK: 1,
                 topP: 1,
                 maxOutputTokens: 1000,
-                responseMimeType: 'application/json'
+                responseMimeType: 'application/json',
+                ...(this.responseSchema ? { responseSchema: AIService.toGeminiSchema(this.responseSchema) } : {})
             },
             safetySettings: [
                 {
@@ -857,8 +1297,11 @@ Output ONLY a valid JSON object with fields:
                         this.rateLimiter.requests = Math.max(0, this.rateLimiter.requests - 1);
                         return this.callGeminiAPI(prompt, retryCount + 1, modelToUse);
                     } else {
-                        const pauseMinutes = suggestedSeconds && isFinite(suggestedSeconds) ? Math.ceil(suggestedSeconds / 60) : 10;
-                        await this.setPauseAI(Math.max(1, pauseMinutes));
+                        // Na cadeia de fallback o cooldown é por provider (ver recordProviderFailure)
+                        if (!this.managedByFallbackChain) {
+                            const pauseMinutes = suggestedSeconds && isFinite(suggestedSeconds) ? Math.ceil(suggestedSeconds / 60) : 10;
+                            await this.setPauseAI(Math.max(1, pauseMinutes));
+                        }
                     }
                 }
                 
@@ -880,6 +1323,7 @@ Output ONLY a valid JSON object with fields:
             }
 
             const data = await response.json();
+            this.lastUsage = AIService.extractUsage(data);
             
             if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
                 throw new Error('Resposta inválida da API Gemini');
@@ -931,128 +1375,130 @@ Output ONLY a valid JSON object with fields:
     }
 
     /**
-     * Parse da resposta da AI
+     * Carrega os templates de prompt guardados (lidos a cada pedido: são editados fora do service worker)
      */
-    parseAIResponse(response) {
+    async loadPromptTemplates() {
         try {
-            // Remove possível markdown ou texto extra
-            let cleanResponse = response.trim();
-            
-            // Remove markdown code blocks (```json ... ```)
-            cleanResponse = cleanResponse.replace(/```json\s*([\s\S]*?)\s*```/g, '$1');
-            cleanResponse = cleanResponse.replace(/```([\s\S]*?)```/g, '$1');
-            
-            // Remove texto antes e depois do JSON
-            cleanResponse = cleanResponse.trim();
-            
-            // Procura por JSON válido na resposta
-            const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                cleanResponse = jsonMatch[0];
-            }
-            
-            // Remove possíveis caracteres inválidos no início e fim
-            cleanResponse = cleanResponse.replace(/^[^{]*/, '');
-            cleanResponse = cleanResponse.replace(/[^}]*$/, '');
-            
-            // Sanitiza valores undefined no JSON antes do parsing
-            cleanResponse = this.sanitizeJsonString(cleanResponse);
-            
-            // JSON limpo para parsing - silenciado
-            
-            const parsed = JSON.parse(cleanResponse);
-            
-            // Sanitiza o objeto parseado
-            const sanitizedParsed = this.sanitizeParsedObject(parsed);
-            
-            // Validação básica da estrutura
-            if (!sanitizedParsed.title || !sanitizedParsed.description) {
-                throw new Error('Estrutura de bug report inválida');
-            }
-            
-            return sanitizedParsed;
-            
+            const result = await new Promise((resolve) => {
+                chrome.storage.local.get([this.promptTemplatesStorageKey], resolve);
+            });
+            this.promptTemplates = AIService.normalizePromptTemplates(result[this.promptTemplatesStorageKey]);
         } catch (error) {
-            console.error('[AIService] Erro ao fazer parse da resposta:', error);
-            console.error('[AIService] Resposta original:', response);
-            
-            // Fallback: bug report básico
-            return this.createFallbackReport(response);
+            console.warn('[AIService] Error loading prompt templates:', error);
         }
+        return this.promptTemplates;
     }
 
     /**
-     * Sanitiza string JSON removendo valores undefined
+     * Carrega as regras de redação guardadas (lidas a cada pedido, como os templates)
      */
-    sanitizeJsonString(jsonString) {
-        // Remove valores undefined do JSON
-        return jsonString
-            .replace(/:\s*undefined/g, ': "Unknown"')
-            .replace(/"undefined"/g, '"Unknown"')
-            .replace(/,\s*undefined/g, ', "Unknown"')
-            .replace(/undefined,/g, '"Unknown",');
+    async loadRedactionRules() {
+        try {
+            const storageKey = AIService.getRedactionEngineClass().STORAGE_KEY;
+            const result = await new Promise((resolve) => {
+                chrome.storage.local.get([storageKey], resolve);
+            });
+            this.redaction = AIService.createRedactionEngine(result[storageKey]);
+        } catch (error) {
+            console.warn('[AIService] Error loading redaction rules:', error);
+        }
+        return this.redaction;
     }
 
     /**
-     * Sanitiza objeto parseado recursivamente
+     * Escolhe o perfil de prompts para a página: o primeiro projeto cujo domínio corresponde, senão o default.
+     * Campos vazios num projeto herdam do default.
+     * @param {string} pageUrl
+     * @returns {{ id: string, name: string, bugReport: string, enhancement: string, jsError: string, environmentRules: string }}
      */
-    sanitizeParsedObject(obj) {
-        if (obj === null || obj === undefined) {
-            return 'Unknown';
-        }
-        
-        if (Array.isArray(obj)) {
-            return obj.map(item => this.sanitizeParsedObject(item));
+    resolvePromptProfile(pageUrl) {
+        const { defaults, projects } = this.promptTemplates;
+        let hostname = '';
+        try {
+            hostname = new URL(pageUrl).hostname.toLowerCase();
+        } catch (_) {}
+
+        const project = hostname && projects.find(candidate =>
+            candidate.domains.some(pattern => AIService.matchesDomain(hostname, pattern)));
+        const base = { id: 'default', name: 'Default', ...defaults };
+        if (!project) return base;
+
+        return {
+            id: project.id,
+            name: project.name,
+            bugReport: project.bugReport || base.bugReport,
+            enhancement: project.enhancement || base.enhancement,
+            jsError: project.jsError || base.jsError,
+            environmentRules: project.environmentRules || base.environmentRules
+        };
+    }
+
+    /**
+     * Pede uma resposta estruturada e valida-a contra o schema.
+     * Se não for válida, envia um único prompt de reparação com os erros encontrados.
+     * @param {string} prompt
+     * @param {Object} schema - AIService.BUG_REPORT_SCHEMA | AIService.ENHANCEMENT_SCHEMA
+     * @param {Object} [options] - { image } para análise visual (a reparação só corrige o JSON, segue sem imagem)
+     * @returns {Promise<{ value: Object, provider: string, model: string, attempts: Array, repaired: boolean, imageUsed: boolean }>}
+     */
+    async requestStructuredOutput(prompt, schema, { image = null } = {}) {
+        const first = await this.callWithFallback(prompt, { schema, image });
+        const check = this.validateAIOutput(first.text, schema);
+        if (check.valid) {
+            return { ...first, value: check.value, repaired: false };
         }
-        
-        if (typeof obj === 'object') {
-            const sanitized = {};
-            for (const [key, value] of Object.entries(obj)) {
-                sanitized[key] = this.sanitizeParsedObject(value);
-            }
-            return sanitized;
+
+        console.warn('[AIService] Resposta fora do schema, a pedir reparação:', check.errors);
+        this.rateLimiter.requests++;
+        const repair = await this.callWithFallback(this.buildRepairPrompt(first.text, check.errors, schema), { schema });
+        const recheck = this.validateAIOutput(repair.text, schema);
+        if (!recheck.valid) {
+            const error = new Error(`AI output failed schema validation: ${recheck.errors.slice(0, 5).join('; ')}`);
+            error.schemaErrors = recheck.errors;
+            throw error;
         }
-        
-        // Para valores primitivos undefined
-        if (obj === undefined) {
-            return 'Unknown';
+        return { ...repair, attempts: [...first.attempts, ...repair.attempts], value: recheck.value, repaired: true, imageUsed: first.imageUsed };
+    }
+
+    /**
+     * Faz o parse da resposta (apenas remove blocos markdown) e valida-a
+     * @returns {{ valid: boolean, value: Object|null, errors: Array<string> }}
+     */
+    validateAIOutput(text, schema) {
+        let value;
+        try {
+            const unfenced = String(text || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+            value = JSON.parse(unfenced);
+        } catch (error) {
+            return { valid: false, value: null, errors: [`Response is not valid JSON: ${error.message}`] };
         }
-        
-        return obj;
+        const errors = AIService.validateSchema(value, schema);
+        return { valid: errors.length === 0, value: errors.length === 0 ? value : null, errors };
     }
 
     /**
-     * Cria um bug report básico como fallback
+     * Prompt de reparação: a resposta anterior, os erros de validação e o schema esperado
      */
-    createFallbackReport(originalResponse) {
-        return {
-            title: "HTTP Error Detected",
-            description: "An HTTP error was automatically detected by BugSpotter. The AI could not fully process the data.",
-            category: "Network Error",
-            stepsToReproduce: [
-                "Navigate to the page where the error occurred",
-                "Reproduce the action that caused the error",
-                "Observe the error in network/console"
-            ],
-            expectedBehavior: "Request should be processed successfully",
-            actualBehavior: "Request failed with an HTTP error",
-            errorType: "HTTP Error",
-            severity: "medium",
-            details: {
-                url: 'Unknown',
-                method: 'GET',
-                status: 'Unknown',
-                statusText: 'Unknown',
-                rawAIResponse: typeof originalResponse === 'string' ? originalResponse.slice(0, 200) : 'N/A'
-            }
-        };
+    buildRepairPrompt(previousOutput, errors, schema) {
+        return `Your previous answer did not match the required JSON schema.
+
+Validation errors:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous answer:
+${String(previousOutput || '').substring(0, 4000)}
+
+Required JSON schema:
+${JSON.stringify(schema, null, 2)}
+
+Return ONLY the corrected JSON object. Keep the original content and fix only what the errors describe. Do not invent data.`;
     }
 
     /**
      * Testa a conexão com a API
      */
     async testConnection() {
-        if (!this.apiKey) {
+        if (!this.apiKey && this.provider !== 'local') {
             throw new Error('API Key não configurada');
         }
 
@@ -1061,7 +1507,7 @@ Output ONLY a valid JSON object with fields:
             const response = await this.callAIProvider(testPrompt);
             
             // Teste de conexão bem-sucedido - silenciado
-            return { success: true, message: `Connection to ${this.provider === 'claude' ? 'Claude' : 'Gemini'} AI established` };
+            return { success: true, message: `Connection to ${AIService.PROVIDER_NAMES[this.provider] || 'Gemini'} AI established` };
             
         } catch (error) {
             console.error('[AIService] Connection test failed:', error);
@@ -1085,11 +1531,624 @@ Output ONLY a valid JSON object with fields:
         if (settings.aiModel !== undefined) {
             this.model = settings.aiModel;
         }
+        if (settings.aiLocalConfig !== undefined) {
+            this.localConfig = AIService.normalizeLocalConfig(settings.aiLocalConfig);
+        }
+        if (settings.aiFallbackChain !== undefined) {
+            this.fallbackChain = AIService.normalizeFallbackChain(settings.aiFallbackChain);
+        }
+        if (settings.aiKeys !== undefined) {
+            this.providerKeys = settings.aiKeys || {};
+        }
         
         // Configurações atualizadas - silenciado
     }
+
+    /**
+     * Normaliza a configuração do provider local (valores por omissão apontam para o Ollama em localhost)
+     * @param {Object} [config] - { format: 'openai'|'ollama', baseUrl, model, headers, timeoutMs, vision }
+     * @returns {Object}
+     */
+    static normalizeLocalConfig(config = {}) {
+        const source = config || {};
+        const format = source.format === 'ollama' ? 'ollama' : 'openai';
+        const headers = {};
+        Object.entries(source.headers && typeof source.headers === 'object' ? source.headers : {}).forEach(([name, value]) => {
+            if (name && value !== undefined && value !== null) headers[String(name).trim()] = String(value);
+        });
+        const timeoutMs = Number(source.timeoutMs);
+
+        return {
+            format,
+            baseUrl: String(source.baseUrl || (format === 'ollama' ? 'http://localhost:11434' : 'http://localhost:11434/v1')).trim().replace(/\/+$/, ''),
+            model: String(source.model || 'llama3.1').trim(),
+            headers,
+            timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? Math.min(timeoutMs, 300000) : 60000,
+            // Modelos locais com visão (llava, qwen2-vl, llama3.2-vision) não se distinguem pelo nome
+            vision: source.vision === true
+        };
+    }
+
+    /**
+     * Normaliza os templates guardados: { defaults: {bugReport, enhancement, jsError, environmentRules}, projects: [...] }
+     * Templates vazios voltam ao texto original.
+     */
+    static normalizePromptTemplates(config = {}) {
+        const source = config && typeof config === 'object' ? config : {};
+        const text = (value) => (typeof value === 'string' ? value.trim() : '');
+        const defaults = source.defaults || {};
+
+        return {
+            defaults: {
+                bugReport: text(defaults.bugReport) || AIService.DEFAULT_PROMPT_TEMPLATES.bugReport,
+                enhancement: text(defaults.enhancement) || AIService.DEFAULT_PROMPT_TEMPLATES.enhancement,
+                jsError: text(defaults.jsError) || AIService.DEFAULT_PROMPT_TEMPLATES.jsError,
+                environmentRules: text(defaults.environmentRules) || AIService.DEFAULT_PROMPT_TEMPLATES.environmentRules
+            },
+            projects: (Array.isArray(source.projects) ? source.projects : [])
+                .filter(project => project && text(project.name))
+                .map((project, index) => ({
+                    id: text(project.id) || `project-${index + 1}`,
+                    name: text(project.name),
+                    domains: (Array.isArray(project.domains) ? project.domains : String(project.domains || '').split(/[\n,]/))
+                        .map(domain => AIService.normalizeDomainPattern(domain))
+                        .filter(Boolean),
+                    bugReport: text(project.bugReport),
+                    enhancement: text(project.enhancement),
+                    jsError: text(project.jsError),
+                    environmentRules: text(project.environmentRules)
+                }))
+        };
+    }
+
+    /**
+     * RedactionEngine para os prompts (destino 'ai') com as regras guardadas
+     * @param {Object} [config] - Configuração em chrome.storage.local (RedactionEngine.STORAGE_KEY)
+     */
+    static createRedactionEngine(config = {}) {
+        const Engine = AIService.getRedactionEngineClass();
+        return new Engine({ ...(config || {}), scope: 'ai' });
+    }
+
+    // Global nas páginas/service worker (carregado antes do AIService); require nos testes
+    static getRedactionEngineClass() {
+        return typeof RedactionEngine !== 'undefined' ? RedactionEngine : require('./RedactionEngine.js');
+    }
+
+    /**
+     * O relatório segue o caminho de exceções JavaScript? (erros capturados na consola/página)
+     * @param {Object} errorData - errorLog ou { error: errorLog, context }
+     */
+    static isJavaScriptError(errorData) {
+        const error = (errorData && errorData.error) || errorData || {};
+        return error.source === 'console';
+    }
+
+    /**
+     * Categoria da exceção a partir do tipo (kind vindo da página, nome do erro no stack ou na mensagem)
+     * @param {Object} error - errorLog ({ message, stack, errorKind })
+     * @param {Object} [context] - { errorType } extraído do stack pelo StackTraceParser
+     * @returns {string} Um de AIService.JS_ERROR_CATEGORIES
+     */
+    static classifyJsError(error = {}, context = {}) {
+        const message = String(error.message || '');
+        if (error.errorKind === 'unhandled-rejection' || /^(?:Uncaught )?\(in promise\)|Unhandled(?: promise)? rejection/i.test(message)) {
+            return 'Unhandled Rejection';
+        }
+        if (error.errorKind === 'resource-error') return 'Resource Error';
+
+        const name = context.errorType || AIService.extractErrorName(message) || AIService.extractErrorName(error.stack);
+        if (name && AIService.JS_ERROR_CATEGORIES.includes(name)) return name;
+        if (/Loading chunk [\w-]+ failed/i.test(message)) return 'ChunkLoadError';
+        return 'Other';
+    }
+
+    // "Uncaught TypeError: x is undefined" -> "TypeError"
+    static extractErrorName(text) {
+        const match = /^(?:Uncaught\s+)?([A-Z][A-Za-z]*(?:Error|Exception))\b/.exec(String(text || '').trim());
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Pistas dos componentes envolvidos: funções em PascalCase e ficheiros de componentes nos frames da app,
+     * mais o elemento da última interação
+     * @param {Array<Object>} frames - Frames do StackTraceParser ({ functionName, url, inApp })
+     * @param {Array<Object>} [interactions]
+     * @returns {Array<string>} Até 5 pistas, sem duplicados
+     */
+    static extractComponentHints(frames = [], interactions = []) {
+        const hints = [];
+        const add = (hint) => {
+            if (hint && !hints.includes(hint)) hints.push(hint);
+        };
+        (Array.isArray(frames) ? frames : []).filter(frame => frame && frame.inApp !== false).forEach(frame => {
+            const name = String(frame.functionName || '').split('.').pop();
+            if (/^[A-Z][a-z0-9]+(?:[A-Z][A-Za-z0-9]*)+$|^[A-Z][a-z0-9]{2,}$/.test(name)) add(name);
+            const file = /(?:^|\/)(?:components?|views?|pages?|screens?|widgets?)\/(?:[\w.-]+\/)*([A-Z][\w-]*)\.(?:jsx?|tsx?|vue|svelte)(?:[?#]|$)/.exec(String(frame.url || ''));
+            if (file) add(file[1]);
+        });
+        const last = (Array.isArray(interactions) ? interactions : []).slice(-1)[0];
+        const selector = last && (last.selector || last.path);
+        if (selector) add(`${last.kind || last.type || 'interaction'} on ${selector}`);
+        return hints.slice(0, 5);
+    }
+
+    /**
+     * Instrução de ambiente quando o EnvironmentDetector já o determinou ({{environmentRules}} deixa de pedir à AI que o infira)
+     * @param {Object} [detected] - { environment, version }
+     * @returns {string}
+     */
+    static describeDetectedEnvironment(detected) {
+        if (!detected || !detected.environment) return '';
+        const build = detected.version ? ` (build ${detected.version})` : '';
+        return `The environment is "${detected.environment}"${build}, detected by BugSpotter's environment rules: use it as is for 'environment' and do not infer it from the URL.`;
+    }
+
+    /**
+     * Substitui {{variavel}} pelos valores; variáveis desconhecidas ficam como estão para serem visíveis na pré-visualização
+     */
+    static renderTemplate(template, variables) {
+        return String(template || '').replace(/\{\{\s*([a-zA-Z]+)\s*\}\}/g, (match, name) =>
+            Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name] ?? '') : match);
+    }
+
+    /**
+     * Aceita "example.com", "*.example.com" ou um URL completo; devolve só o host em minúsculas
+     */
+    static normalizeDomainPattern(value) {
+        let pattern = String(value || '').trim().toLowerCase();
+        if (pattern.includes('://')) {
+            try {
+                pattern = new URL(pattern).hostname;
+            } catch (_) {
+                return '';
+            }
+        }
+        return pattern.replace(/\/.*$/, '');
+    }
+
+    // "*.example.com" corresponde a example.com e a qualquer subdomínio
+    static matchesDomain(hostname, pattern) {
+        if (!pattern) return false;
+        if (pattern.startsWith('*.')) {
+            const base = pattern.slice(2);
+            return hostname === base || hostname.endsWith(`.${base}`);
+        }
+        return hostname === pattern;
+    }
+
+    /**
+     * Valida a cadeia de fallback guardada nas definições
+     * @param {Array<{ provider: string, model?: string }>} chain
+     * @returns {Array<{ provider: string, model: string }>}
+     */
+    static normalizeFallbackChain(chain) {
+        return (Array.isArray(chain) ? chain : [])
+            .filter(entry => entry && Object.prototype.hasOwnProperty.call(AIService.PROVIDER_NAMES, entry.provider))
+            .map(entry => ({ provider: entry.provider, model: String(entry.model || '').trim() }))
+            .slice(0, 5);
+    }
+
+    /**
+     * Valida um valor contra um subconjunto de JSON Schema
+     * (type, enum, required, properties, items, minLength/maxLength, minItems/maxItems)
+     * @returns {Array<string>} Erros no formato "$.campo must ..."
+     */
+    static validateSchema(value, schema, path = '$') {
+        const errors = [];
+        const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+        const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+        const matchesType = (type) => type === 'integer' ? Number.isInteger(value) : typeOf(value) === type;
+
+        if (types.length > 0 && !types.some(matchesType)) {
+            errors.push(`${path} must be ${types.join(' or ')} (got ${typeOf(value)})`);
+            return errors;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+        }
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${path} must have at least ${schema.minLength} characters`);
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must have at most ${schema.maxLength} characters`);
+        }
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+            if (schema.items) {
+                value.forEach((item, index) => errors.push(...AIService.validateSchema(item, schema.items, `${path}[${index}]`)));
+            }
+        }
+        if (typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined) errors.push(...AIService.validateSchema(value[key], propertySchema, `${path}.${key}`));
+            });
+        }
+        return errors;
+    }
+
+    /**
+     * Converte o schema para o formato responseSchema do Gemini (subconjunto OpenAPI, um só tipo por campo)
+     */
+    static toGeminiSchema(schema) {
+        const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+        const converted = { type: String(type).toUpperCase() };
+        if (schema.enum) converted.enum = schema.enum;
+        if (schema.items) converted.items = AIService.toGeminiSchema(schema.items);
+        if (schema.maxItems !== undefined) converted.maxItems = schema.maxItems;
+        if (schema.properties) {
+            converted.properties = Object.fromEntries(Object.entries(schema.properties)
+                .map(([key, propertySchema]) => [key, AIService.toGeminiSchema(propertySchema)]));
+        }
+        if (schema.required) converted.required = schema.required;
+        return converted;
+    }
+
+    /**
+     * Contagens de tokens nos formatos Gemini (usageMetadata), OpenAI (usage.prompt_tokens),
+     * Claude (usage.input_tokens) e Ollama (prompt_eval_count)
+     * @returns {{ promptTokens: number, completionTokens: number }|null}
+     */
+    static extractUsage(data) {
+        if (!data || typeof data !== 'object') return null;
+        const pairs = [
+            [data.usageMetadata?.promptTokenCount, data.usageMetadata?.candidatesTokenCount],
+            [data.usage?.prompt_tokens, data.usage?.completion_tokens],
+            [data.usage?.input_tokens, data.usage?.output_tokens],
+            [data.prompt_eval_count, data.eval_count]
+        ];
+        const found = pairs.find(([promptTokens, completionTokens]) => Number.isFinite(promptTokens) || Number.isFinite(completionTokens));
+        return found ? { promptTokens: found[0] || 0, completionTokens: found[1] || 0 } : null;
+    }
+
+    /**
+     * Aceita um data URL ou { mimeType, data } (base64) de uma imagem PNG/JPEG/WebP dentro do limite de tamanho
+     * @returns {{ mimeType: string, data: string, width?: number, height?: number, masked: boolean }|null}
+     */
+    static normalizeImageInput(input) {
+        if (!input) return null;
+        let mimeType = input.mimeType;
+        let data = input.data;
+        const source = typeof input === 'string' ? input : (typeof data === 'string' && data.startsWith('data:') ? data : null);
+        if (source) {
+            const match = /^data:([^;,]+);base64,(.*)$/s.exec(source);
+            if (!match) return null;
+            [, mimeType, data] = match;
+        }
+        if (!AIService.IMAGE_MIME_TYPES.includes(mimeType) || typeof data !== 'string' || !data) return null;
+        if (data.length > AIService.MAX_IMAGE_BASE64_LENGTH) return null;
+        return {
+            mimeType,
+            data,
+            width: Number(input.width) || undefined,
+            height: Number(input.height) || undefined,
+            masked: input.masked === true
+        };
+    }
+
+    /**
+     * Indica se o provider/modelo aceita imagens. Na dúvida devolve true: se o modelo recusar,
+     * _callProvider repete o pedido só com texto.
+     */
+    static supportsImageInput(entry, localConfig = {}) {
+        const model = String(entry?.model || '').toLowerCase();
+        switch (entry?.provider) {
+            case 'gemini':
+                // gemini-pro / gemini-1.0-pro eram só texto
+                return !/^gemini-(?:1\.0-)?pro$/.test(model);
+            case 'openai':
+                return /^(?:gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o1(?!-mini)|o3(?!-mini)|o4)|^gpt-4-turbo(?:-\d{4}-\d{2}-\d{2})?$|vision/.test(model);
+            case 'claude':
+                return /^claude-/.test(model) && !/^claude-(?:2|instant)/.test(model);
+            case 'local':
+                return localConfig?.vision === true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Indica se o modelo da OpenAI aceita response_format json_schema (Structured Outputs):
+     * gpt-4o (exceto o snapshot de 2024-05-13), gpt-4.1, gpt-4.5, gpt-5 e a série o (exceto o1-mini/o1-preview)
+     */
+    static supportsStructuredOutputs(model) {
+        const name = String(model || '').toLowerCase();
+        if (/^gpt-4o-2024-05-13$|^o1-(?:mini|preview)/.test(name)) return false;
+        return /^(?:gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o1|o3|o4)/.test(name);
+    }
+
+    /**
+     * Erro de um modelo sem suporte de imagens (ex.: 400 "does not support image input")
+     */
+    static isImageUnsupportedError(error) {
+        if (AIService.classifyProviderError(error)) return false;
+        const message = String(error?.message || '');
+        return /\b(?:image|images|image_url|inline_?data|vision|multimodal)\b/i.test(message);
+    }
+
+    static toOpenAIImageContent(prompt, image) {
+        return [
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }
+        ];
+    }
+
+    /**
+     * Instruções acrescentadas ao prompt quando o screenshot segue com o pedido
+     */
+    static buildScreenshotNote(image) {
+        const masked = image?.masked
+            ? ' Solid grey boxes hide form fields and personal data: they are masking, not part of the UI, and never a bug.'
+            : '';
+        return `A screenshot of the page taken when the bug was reported is attached (downscaled).${masked}
+Check it for visible problems (broken or overlapping layout, cut-off or wrong labels, missing elements, wrong values) and:
+- describe what is visibly wrong in 'actualBehavior' and mention it in 'description';
+- propose what the page should show instead in 'expectedBehavior'.
+Only describe what you can actually see in the screenshot. If nothing looks wrong, rely on the other input.`;
+    }
+
+    static providerId(entry) {
+        return `${entry.provider}:${entry.model || 'default'}`;
+    }
+
+    /**
+     * Motivo para passar ao provider seguinte, ou null se o erro não deve acionar o fallback
+     * @returns {'rate_limit'|'overloaded'|'timeout'|null}
+     */
+    static classifyProviderError(error) {
+        const message = String(error?.message || '');
+        if (/\b429\b|quota|rate limit/i.test(message)) return 'rate_limit';
+        if (/\b(?:503|502|504|529)\b|overloaded/i.test(message)) return 'overloaded';
+        if (/timed out|unreachable|failed to fetch|networkerror/i.test(message) || error?.name === 'AbortError') {
+            return 'timeout';
+        }
+        return null;
+    }
+
+    /**
+     * URL do endpoint de chat: aceita a base (".../v1") ou o endpoint completo
+     */
+    static buildLocalEndpoint(config) {
+        const base = config.baseUrl.replace(/\/+$/, '');
+        if (config.format === 'ollama') {
+            return /\/api\/chat$/.test(base) ? base : `${base}/api/chat`;
+        }
+        return /\/chat\/completions$/.test(base) ? base : `${base}/chat/completions`;
+    }
+
+    /**
+     * Converte "Header: valor" (um por linha) num objeto de headers
+     */
+    static parseHeaderLines(text) {
+        const headers = {};
+        String(text || '').split('\n').forEach(line => {
+            const index = line.indexOf(':');
+            if (index <= 0) return;
+            const name = line.slice(0, index).trim();
+            if (name) headers[name] = line.slice(index + 1).trim();
+        });
+        return headers;
+    }
 }
 
+// Formato esperado das respostas (validado em requestStructuredOutput e enviado aos modos estruturados dos providers)
+AIService.BUG_REPORT_SCHEMA = {
+    title: 'bug_report',
+    type: 'object',
+    required: ['title', 'description', 'stepsToReproduce', 'expectedBehavior', 'actualBehavior', 'severity'],
+    properties: {
+        title: { type: 'string', minLength: 5, maxLength: 200 },
+        description: { type: 'string', minLength: 10 },
+        category: { type: 'string' },
+        stepsToReproduce: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 20 },
+        expectedBehavior: { type: 'string', minLength: 1 },
+        actualBehavior: { type: 'string', minLength: 1 },
+        errorType: { type: 'string' },
+        severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+        details: {
+            type: 'object',
+            properties: {
+                url: { type: 'string' },
+                method: { type: 'string' },
+                status: { type: ['string', 'number'] },
+                statusText: { type: 'string' },
+                responseBody: { type: 'string' },
+                probableCause: { type: 'string' }
+            }
+        }
+    }
+};
+
+AIService.JS_ERROR_CATEGORIES = ['TypeError', 'ReferenceError', 'SyntaxError', 'RangeError', 'URIError', 'EvalError', 'ChunkLoadError', 'Unhandled Rejection', 'Resource Error', 'Other'];
+
+AIService.JS_ERROR_REPORT_SCHEMA = {
+    title: 'js_error_report',
+    type: 'object',
+    required: ['title', 'description', 'category', 'stepsToReproduce', 'expectedBehavior', 'actualBehavior', 'severity', 'details'],
+    properties: {
+        title: { type: 'string', minLength: 5, maxLength: 200 },
+        description: { type: 'string', minLength: 10 },
+        category: { type: 'string', enum: AIService.JS_ERROR_CATEGORIES },
+        stepsToReproduce: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 20 },
+        expectedBehavior: { type: 'string', minLength: 1 },
+        actualBehavior: { type: 'string', minLength: 1 },
+        errorType: { type: 'string' },
+        severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+        details: {
+            type: 'object',
+            required: ['errorName', 'message'],
+            properties: {
+                errorName: { type: 'string', minLength: 1 },
+                message: { type: 'string' },
+                file: { type: 'string' },
+                line: { type: ['number', 'string'] },
+                column: { type: ['number', 'string'] },
+                functionName: { type: 'string' },
+                component: { type: 'string' },
+                probableCause: { type: 'string' },
+                suggestedFix: { type: 'string' }
+            }
+        }
+    }
+};
+
+AIService.ENHANCEMENT_SCHEMA = {
+    title: 'bug_enhancement',
+    type: 'object',
+    required: ['title', 'description', 'stepsToReproduce', 'expectedBehavior', 'actualBehavior', 'severity'],
+    properties: {
+        title: { type: 'string', maxLength: 200 },
+        description: { type: 'string' },
+        stepsToReproduce: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 20 },
+        expectedBehavior: { type: 'string' },
+        actualBehavior: { type: 'string' },
+        severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+        priority: { type: 'string' },
+        environment: { type: 'string' }
+    }
+};
+
+AIService.GHERKIN_SCHEMA = {
+    title: 'gherkin_scenarios',
+    type: 'object',
+    required: ['scenarios'],
+    properties: {
+        featureDescription: { type: 'string' },
+        scenarios: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 3,
+            items: {
+                type: 'object',
+                required: ['name', 'given', 'when', 'then'],
+                properties: {
+                    name: { type: 'string', minLength: 3, maxLength: 200 },
+                    given: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 10 },
+                    when: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 20 },
+                    then: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 10 }
+                }
+            }
+        }
+    }
+};
+
+// Templates de prompt por omissão. A estrutura JSON de saída (PROMPT_OUTPUT_FORMATS) é sempre acrescentada
+// e não é editável: é o contrato validado pelos schemas acima.
+AIService.DEFAULT_PROMPT_TEMPLATES = {
+    bugReport: `You are a web debugging expert. Analyze this HTTP error and generate a structured bug report in English.
+
+Strict instructions:
+- Use only real information present in the provided context. Do not invent data.
+- Limit stepsToReproduce to a maximum of 7 items.
+- If a field is unknown, use "N/A" or an empty string.
+
+**ERROR CONTEXT (sanitized):**
+{{errorContext}}`,
+    enhancement: `You are a QA assistant. Improve the bug report fields in English using the user's recent interactions and current values.
+
+Strict instructions:
+- Use only real information present in the provided input. Do not invent data.
+- Limit stepsToReproduce to a maximum of 20 items.
+- If there is insufficient information, keep the existing values or return empty strings.
+- ALWAYS Provide concise 'expectedBehavior' and 'actualBehavior' based on context, even if you have to infer generic behavior (e.g., "The button should trigger X" vs "The button did nothing"). Avoid empty strings for these fields if at all possible.
+- Provide a simple severity estimate: one of "low", "medium", "high".
+- {{environmentRules}}
+- Suggest a 'priority' level from the following options: {{availablePriorities}}.
+
+Input JSON:
+{{input}}`,
+    jsError: `You are a frontend debugging expert. Analyze this JavaScript exception and generate a structured bug report in English.
+
+Strict instructions:
+- Use only real information present in the provided context. Do not invent data.
+- Base the location on the first in-app stack frame (inApp: true); library frames only explain how it was reached.
+- Use the console logs and user interactions right before the error to write stepsToReproduce (maximum 7 items).
+- Name the UI component when the stack frames or componentHints make it clear; otherwise leave it empty.
+- Keep detectedCategory unless the stack clearly shows another error type.
+- If a field is unknown, use "N/A" or an empty string.
+
+**ERROR CONTEXT (sanitized):**
+{{errorContext}}`,
+    environmentRules: `Infer the 'environment' based on the 'pageUrl': if the hostname starts with 'pp' (e.g., pp.daloop.app), set it to "Staging"; otherwise, set it to "Production".`
+};
+
+// Variáveis disponíveis nos templates (mostradas nas definições)
+AIService.PROMPT_VARIABLES = {
+    errorContext: 'Sanitized error context (JSON, bug and JavaScript error reports only)',
+    input: 'Current fields and interactions (JSON, enhancement only)',
+    interactions: 'Sanitized user interactions (JSON)',
+    pageUrl: 'Page URL (sensitive query params redacted)',
+    availablePriorities: 'Jira priorities, separated by |',
+    environmentRules: 'Environment rules of the matching project',
+    profileName: 'Name of the matching project'
+};
+
+AIService.PROMPT_OUTPUT_FORMATS = {
+    bugReport: `Output ONLY a valid JSON object with fields:
+{
+  "title": "Short, clear title summarizing the issue",
+  "description": "Detailed description of what happened",
+  "category": "Network Error|API Error|Server Error|Client Error",
+  "stepsToReproduce": ["Step 1", "Step 2", "Step 3"],
+  "expectedBehavior": "What should have happened",
+  "actualBehavior": "What actually happened",
+  "errorType": "HTTP Error",
+  "severity": "low|medium|high",
+  "details": { "url": "...", "method": "...", "status": "...", "statusText": "...", "responseBody": "...", "probableCause": "short hypothesis based on context" }
+}`,
+    jsError: `Output ONLY a valid JSON object with fields:
+{
+  "title": "Short, clear title with the error type and where it happens",
+  "description": "What failed, in which code and during which user action",
+  "category": "${AIService.JS_ERROR_CATEGORIES.join('|')}",
+  "stepsToReproduce": ["Step 1", "Step 2", "Step 3"],
+  "expectedBehavior": "What should have happened",
+  "actualBehavior": "What actually happened (error message and visible effect)",
+  "errorType": "JavaScript Error",
+  "severity": "low|medium|high",
+  "details": { "errorName": "TypeError", "message": "...", "file": "...", "line": 0, "column": 0, "functionName": "...", "component": "...", "probableCause": "short hypothesis based on the stack and logs", "suggestedFix": "short suggestion for the developer" }
+}`,
+    enhancement: `Output ONLY a valid JSON object with fields:
+{
+  "title": "Improved concise title",
+  "description": "Improved description summarizing impact and context",
+  "stepsToReproduce": ["Step 1", "Step 2", "... up to 20"],
+  "expectedBehavior": "What should have happened (inferred if necessary)",
+  "actualBehavior": "What actually happened (inferred if necessary)",
+  "severity": "low|medium|high",
+  "priority": "One of the provided options",
+  "environment": "Production|Staging"
+}`,
+    gherkin: `Output ONLY a valid JSON object with fields:
+{
+  "featureDescription": "One sentence describing the feature under test",
+  "scenarios": [
+    { "name": "Scenario name", "given": ["I am on \\"https://...\\""], "when": ["I click on \\"...\\""], "then": ["the ... should ..."] }
+  ]
+}`
+};
+
+// Cooldown base por motivo de falha (duplica a cada falha consecutiva, até ao máximo)
+AIService.COOLDOWN_MS = {
+    rate_limit: 10 * 60 * 1000,
+    overloaded: 5 * 60 * 1000,
+    timeout: 2 * 60 * 1000,
+    max: 30 * 60 * 1000
+};
+
+// Input de imagem (screenshots): formatos aceites por todos os providers e limite do base64 (~3,75 MB de imagem)
+AIService.IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+AIService.MAX_IMAGE_BASE64_LENGTH = 5 * 1024 * 1024;
+
+AIService.PROVIDER_NAMES = {
+    gemini: 'Gemini',
+    openai: 'OpenAI',
+    claude: 'Claude',
+    local: 'Local'
+};
+
 // Export para uso em outros módulos
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AIService;
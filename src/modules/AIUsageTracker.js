@@ -0,0 +1,215 @@
+/**
+ * BugSpotter AI Usage Tracker
+ * Contabiliza chamadas, tokens e custo estimado por provider (totais diários e mensais)
+ * e aplica o orçamento configurado: acima dele os relatórios são gerados sem AI.
+ */
+class AIUsageTracker {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey='ai_usage'] - Totais em chrome.storage.local
+   * @param {string} [options.configKey='aiUsageConfig'] - Preços e orçamento em chrome.storage.sync
+   * @param {number} [options.maxDays=62] - Dias guardados (os meses guardam o resto do histórico)
+   * @param {number} [options.maxMonths=12]
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'ai_usage';
+    this.configKey = options.configKey || 'aiUsageConfig';
+    this.maxDays = options.maxDays || 62;
+    this.maxMonths = options.maxMonths || 12;
+    // Serializa leituras/escritas: chamadas de reparação e de fallback terminam quase ao mesmo tempo
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Regista uma chamada concluída
+   * @param {Object} usage - { provider, model, promptTokens, completionTokens, estimated }
+   * @returns {Promise<{ cost: number, day: Object, month: Object }>} Custo desta chamada e totais do provider
+   */
+  async record(usage) {
+    const config = await this.getConfig();
+    const promptTokens = Math.max(0, Math.round(Number(usage.promptTokens) || 0));
+    const completionTokens = Math.max(0, Math.round(Number(usage.completionTokens) || 0));
+    const cost = AIUsageTracker.calculateCost(config.prices, usage.provider, usage.model, promptTokens, completionTokens);
+    const now = new Date();
+
+    return this._withUsage(data => {
+      const add = (buckets, key) => {
+        const bucket = buckets[key] || (buckets[key] = {});
+        const totals = bucket[usage.provider] || (bucket[usage.provider] = AIUsageTracker.emptyTotals());
+        totals.calls++;
+        totals.promptTokens += promptTokens;
+        totals.completionTokens += completionTokens;
+        totals.cost = AIUsageTracker.roundCost(totals.cost + cost);
+        if (usage.estimated) totals.estimatedCalls++;
+        return { ...totals };
+      };
+
+      const day = add(data.daily, AIUsageTracker.dayKey(now));
+      const month = add(data.monthly, AIUsageTracker.monthKey(now));
+      this._prune(data);
+      return { cost, day, month };
+    });
+  }
+
+  /**
+   * Totais de hoje e do mês corrente, por provider e agregados, com o estado do orçamento
+   * @returns {Promise<Object>}
+   */
+  async getSummary(now = new Date()) {
+    const [data, config] = await Promise.all([this._read(), this.getConfig()]);
+    const period = (providers = {}) => ({ providers, total: AIUsageTracker.sumTotals(Object.values(providers)) });
+    const today = period(data.daily[AIUsageTracker.dayKey(now)]);
+    const month = period(data.monthly[AIUsageTracker.monthKey(now)]);
+
+    return {
+      day: AIUsageTracker.dayKey(now),
+      month: AIUsageTracker.monthKey(now),
+      today,
+      thisMonth: month,
+      budget: AIUsageTracker.evaluateBudget(config.budget, today.total.cost, month.total.cost),
+      config
+    };
+  }
+
+  /**
+   * Indica se o orçamento diário ou mensal já foi atingido
+   * @returns {Promise<{ exceeded: boolean, period: string|null, spent: number, limit: number }>}
+   */
+  async checkBudget(now = new Date()) {
+    const summary = await this.getSummary(now);
+    return summary.budget;
+  }
+
+  async getConfig() {
+    const data = await chrome.storage.sync.get(this.configKey);
+    return AIUsageTracker.normalizeConfig(data[this.configKey]);
+  }
+
+  async saveConfig(config) {
+    const normalized = AIUsageTracker.normalizeConfig(config);
+    await chrome.storage.sync.set({ [this.configKey]: normalized });
+    return normalized;
+  }
+
+  async reset() {
+    return this._withUsage(data => {
+      data.daily = {};
+      data.monthly = {};
+      return true;
+    });
+  }
+
+  _prune(data) {
+    const dropOldest = (buckets, max) => Object.keys(buckets)
+      .sort()
+      .slice(0, Math.max(0, Object.keys(buckets).length - max))
+      .forEach(key => delete buckets[key]);
+    dropOldest(data.daily, this.maxDays);
+    dropOldest(data.monthly, this.maxMonths);
+  }
+
+  async _read() {
+    const data = await chrome.storage.local.get(this.storageKey);
+    const usage = data[this.storageKey] || {};
+    return { daily: usage.daily || {}, monthly: usage.monthly || {} };
+  }
+
+  _withUsage(mutator) {
+    const run = this._queue.then(async () => {
+      const data = await this._read();
+      const result = mutator(data);
+      await chrome.storage.local.set({ [this.storageKey]: data });
+      return result;
+    });
+    // Um erro numa operação não deve bloquear as seguintes
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Preço por milhão de tokens: primeiro "provider:model", depois o provider
+   */
+  static calculateCost(prices, provider, model, promptTokens, completionTokens) {
+    const price = prices[`${provider}:${model}`] || prices[provider];
+    if (!price) return 0;
+    return AIUsageTracker.roundCost((promptTokens * price.input + completionTokens * price.output) / 1e6);
+  }
+
+  static evaluateBudget(budget, dailyCost, monthlyCost) {
+    if (budget.dailyUsd > 0 && dailyCost >= budget.dailyUsd) {
+      return { exceeded: true, period: 'daily', spent: dailyCost, limit: budget.dailyUsd };
+    }
+    if (budget.monthlyUsd > 0 && monthlyCost >= budget.monthlyUsd) {
+      return { exceeded: true, period: 'monthly', spent: monthlyCost, limit: budget.monthlyUsd };
+    }
+    return { exceeded: false, period: null, spent: monthlyCost, limit: budget.monthlyUsd };
+  }
+
+  /**
+   * Preços em USD por milhão de tokens ({ input, output }) e limites em USD (0 = sem limite)
+   */
+  static normalizeConfig(config = {}) {
+    const source = config && typeof config === 'object' ? config : {};
+    const amount = value => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : 0);
+    const prices = { ...AIUsageTracker.DEFAULT_PRICES };
+    Object.entries(source.prices || {}).forEach(([key, price]) => {
+      if (!key || !price || typeof price !== 'object') return;
+      prices[key.trim()] = { input: amount(price.input), output: amount(price.output) };
+    });
+
+    return {
+      prices,
+      budget: {
+        dailyUsd: amount(source.budget?.dailyUsd),
+        monthlyUsd: amount(source.budget?.monthlyUsd)
+      }
+    };
+  }
+
+  // Quando o provider não devolve contagens (alguns servidores locais): ~4 caracteres por token
+  static estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  static emptyTotals() {
+    return { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, estimatedCalls: 0 };
+  }
+
+  static sumTotals(list) {
+    return list.reduce((sum, totals) => ({
+      calls: sum.calls + totals.calls,
+      promptTokens: sum.promptTokens + totals.promptTokens,
+      completionTokens: sum.completionTokens + totals.completionTokens,
+      cost: AIUsageTracker.roundCost(sum.cost + totals.cost),
+      estimatedCalls: sum.estimatedCalls + totals.estimatedCalls
+    }), AIUsageTracker.emptyTotals());
+  }
+
+  static roundCost(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+
+  // Datas locais: o "dia" do orçamento é o do utilizador, não UTC
+  static dayKey(date) {
+    return `${AIUsageTracker.monthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  static monthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+}
+
+// Preços por omissão (USD por milhão de tokens) dos modelos usados por omissão; editáveis nas definições
+AIUsageTracker.DEFAULT_PRICES = {
+  gemini: { input: 0.10, output: 0.40 },
+  openai: { input: 10, output: 30 },
+  claude: { input: 0.25, output: 1.25 },
+  local: { input: 0, output: 0 }
+};
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AIUsageTracker;
+} else if (typeof window !== 'undefined') {
+  window.AIUsageTracker = AIUsageTracker;
+}
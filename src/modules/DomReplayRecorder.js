@@ -0,0 +1,392 @@
+/**
+ * DomReplayRecorder - Gravação de sessão baseada em snapshots do DOM
+ * Serializa o DOM completo e depois regista diffs do MutationObserver, inputs, scroll e
+ * viewport numa janela temporal rotativa. Não precisa de screen-share como o vídeo.
+ *
+ * Formato exportado (format 'bugspotter-dom-replay'):
+ *   { snapshot: { t, node }, events: [{ t, type, ... }], baseUrl, startedAt, endedAt }
+ * Eventos 'snapshot' intermédios (checkpoints) substituem o DOM inteiro no player.
+ *
+ * @author BugSpotter Team
+ * @version 1.0.0
+ */
+class DomReplayRecorder {
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 60000; // Janela rotativa: último minuto
+    this.checkpointMs = options.checkpointMs || 30000; // Novo snapshot completo a cada 30s
+    this.maxEvents = options.maxEvents || 5000; // Limite por segmento
+    this.maxTextLength = options.maxTextLength || 20000;
+    this.maxCssLength = options.maxCssLength || 200000;
+
+    this.nodeIds = new WeakMap();
+    this.nextId = 1;
+    this.segments = [];
+    this.observer = null;
+    this.listeners = [];
+    this.checkpointTimer = null;
+    this.recording = false;
+    this.scrollThrottle = new WeakMap();
+  }
+
+  /**
+   * Inicia a gravação (snapshot completo + observers)
+   */
+  start() {
+    if (this.recording || typeof document === 'undefined' || !document.documentElement) return;
+    this.recording = true;
+
+    this.takeCheckpoint();
+
+    if (typeof MutationObserver !== 'undefined') {
+      this.observer = new MutationObserver((records) => this.handleMutations(records));
+      this.observer.observe(document, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        characterData: true
+      });
+    }
+
+    this.listen(document, 'input', (e) => this.handleInput(e), true);
+    this.listen(document, 'change', (e) => this.handleInput(e), true);
+    this.listen(document, 'scroll', (e) => this.handleScroll(e), { capture: true, passive: true });
+    this.listen(document, 'click', (e) => this.handleClick(e), true);
+    this.listen(window, 'resize', () => this.handleViewport(), { passive: true });
+
+    this.checkpointTimer = setInterval(() => this.takeCheckpoint(), this.checkpointMs);
+  }
+
+  /**
+   * Para a gravação e remove listeners
+   */
+  stop() {
+    this.recording = false;
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      try { target.removeEventListener(type, handler, options); } catch (_) {}
+    });
+    this.listeners = [];
+    if (this.checkpointTimer) {
+      clearInterval(this.checkpointTimer);
+      this.checkpointTimer = null;
+    }
+  }
+
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+
+  /**
+   * Inicia um novo segmento com snapshot completo e descarta os que saíram da janela
+   */
+  takeCheckpoint() {
+    const t = Date.now();
+    this.segments.push({
+      snapshot: { t, node: this.serializeNode(document) },
+      viewport: this.getViewport(),
+      events: []
+    });
+    this.prune(t);
+  }
+
+  /**
+   * Mantém apenas os segmentos necessários para reconstruir os últimos windowMs
+   * @param {number} now - Timestamp atual
+   */
+  prune(now = Date.now()) {
+    const cutoff = now - this.windowMs;
+    // Um segmento pode sair quando o seguinte já começou antes do cutoff
+    while (this.segments.length > 1 && this.segments[1].snapshot.t <= cutoff) {
+      this.segments.shift();
+    }
+  }
+
+  pushEvent(event) {
+    const segment = this.segments[this.segments.length - 1];
+    if (!segment) return;
+    segment.events.push({ t: Date.now(), ...event });
+    if (segment.events.length > this.maxEvents) {
+      // Demasiados eventos: começar novo checkpoint em vez de crescer sem limite
+      this.takeCheckpoint();
+    }
+  }
+
+  getId(node) {
+    if (!node) return null;
+    let id = this.nodeIds.get(node);
+    if (!id) {
+      id = this.nextId++;
+      this.nodeIds.set(node, id);
+    }
+    return id;
+  }
+
+  getViewport() {
+    return {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      scrollX: window.scrollX || 0,
+      scrollY: window.scrollY || 0
+    };
+  }
+
+  /**
+   * Serializa um nó (e sub-árvore) num objeto JSON
+   * @param {Node} node
+   * @returns {Object|null}
+   */
+  serializeNode(node) {
+    if (!node) return null;
+    const id = this.getId(node);
+
+    switch (node.nodeType) {
+      case 9: // Document
+        return {
+          id,
+          type: 9,
+          childNodes: this.serializeChildren(node)
+        };
+      case 10: // DocumentType
+        return { id, type: 10, name: node.name, publicId: node.publicId || '', systemId: node.systemId || '' };
+      case 1: { // Element
+        const tagName = node.tagName.toLowerCase();
+        const serialized = {
+          id,
+          type: 1,
+          tagName,
+          attributes: this.serializeAttributes(node)
+        };
+        if (node.namespaceURI && node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+          serialized.ns = node.namespaceURI;
+        }
+        // Scripts nunca são reproduzidos: guardar apenas a tag
+        serialized.childNodes = tagName === 'script' || tagName === 'noscript' ? [] : this.serializeChildren(node);
+        // Folhas de estilo externas/CSSOM: o player não as consegue carregar (CSP da extensão)
+        if (tagName === 'link' || tagName === 'style') {
+          const cssText = this.readStylesheet(node);
+          if (cssText) serialized.cssText = cssText;
+        }
+        if (this.isFormField(node)) {
+          const value = this.maskValue(node, node.value);
+          if (value !== undefined) serialized.value = value;
+          if (node.type === 'checkbox' || node.type === 'radio') serialized.checked = !!node.checked;
+        }
+        return serialized;
+      }
+      case 3: // Text
+        return { id, type: 3, text: this.truncate(node.textContent || '') };
+      case 8: // Comment
+        return { id, type: 8, text: '' };
+      default:
+        return null;
+    }
+  }
+
+  readStylesheet(el) {
+    try {
+      const tagName = el.tagName.toLowerCase();
+      if (tagName === 'link' && !/stylesheet/i.test(el.getAttribute('rel') || '')) return null;
+      // <style> com texto já é reproduzido tal como está; só interessa o CSSOM injetado (insertRule)
+      if (tagName === 'style' && (el.textContent || '').trim()) return null;
+      const rules = el.sheet && el.sheet.cssRules;
+      if (!rules || rules.length === 0) return null;
+      const css = Array.from(rules).map(rule => rule.cssText).join('\n');
+      return css.length > this.maxCssLength ? css.slice(0, this.maxCssLength) : css;
+    } catch (_) {
+      // Folhas cross-origin não são legíveis
+      return null;
+    }
+  }
+
+  serializeChildren(node) {
+    const children = [];
+    node.childNodes.forEach(child => {
+      const serialized = this.serializeNode(child);
+      if (serialized) children.push(serialized);
+    });
+    return children;
+  }
+
+  serializeAttributes(el) {
+    const attrs = {};
+    for (const attr of Array.from(el.attributes || [])) {
+      attrs[attr.name] = attr.name === 'value' ? this.maskValue(el, attr.value) : attr.value;
+    }
+    return attrs;
+  }
+
+  isFormField(el) {
+    const tag = el.tagName ? el.tagName.toLowerCase() : '';
+    return tag === 'input' || tag === 'textarea' || tag === 'select';
+  }
+
+  // Mesma política de sanitizeValue do content script: passwords nunca saem da página
+  maskValue(el, value) {
+    if (value === undefined || value === null) return value;
+    if ((el.type || '').toLowerCase() === 'password') return value ? '***' : '';
+    return this.truncate(String(value));
+  }
+
+  truncate(text) {
+    return text.length > this.maxTextLength ? text.slice(0, this.maxTextLength) : text;
+  }
+
+  handleMutations(records) {
+    if (!this.recording) return;
+    const adds = [];
+    const removes = [];
+    const attributes = [];
+    const texts = [];
+
+    for (const record of records) {
+      if (this.isIgnored(record.target)) continue;
+      switch (record.type) {
+        case 'childList': {
+          const parentId = this.getId(record.target);
+          record.removedNodes.forEach(node => {
+            const id = this.nodeIds.get(node);
+            if (id) removes.push({ parentId, id });
+          });
+          // Do último para o primeiro: num fragmento (A, B antes de C) o irmão seguinte já tem id quando
+          // o nó é serializado, e o replay insere C ← B ← A pela mesma ordem
+          Array.from(record.addedNodes).reverse().forEach(node => {
+            if (!node.parentNode) return; // Já removido noutro record
+            const serialized = this.serializeNode(node);
+            if (!serialized) return;
+            adds.push({
+              parentId,
+              nextId: node.nextSibling ? this.nodeIds.get(node.nextSibling) || null : null,
+              node: serialized
+            });
+          });
+          break;
+        }
+        case 'attributes': {
+          const value = record.target.getAttribute(record.attributeName);
+          attributes.push({
+            id: this.getId(record.target),
+            name: record.attributeName,
+            value: record.attributeName === 'value' ? this.maskValue(record.target, value) : value
+          });
+          break;
+        }
+        case 'characterData':
+          texts.push({ id: this.getId(record.target), value: this.truncate(record.target.textContent || '') });
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (adds.length || removes.length || attributes.length || texts.length) {
+      this.pushEvent({ type: 'mutation', adds, removes, attributes, texts });
+    }
+  }
+
+  // Conteúdo de <script> não é gravado, logo as suas mutações também não
+  isIgnored(node) {
+    const el = node && node.nodeType === 3 ? node.parentNode : node;
+    return !!(el && el.tagName && el.tagName.toLowerCase() === 'script');
+  }
+
+  handleInput(event) {
+    const el = event.target;
+    if (!el || !this.isFormField(el)) return;
+    const input = { type: 'input', id: this.getId(el), value: this.maskValue(el, el.value) };
+    if (el.type === 'checkbox' || el.type === 'radio') input.checked = !!el.checked;
+    this.pushEvent(input);
+  }
+
+  handleScroll(event) {
+    const target = event.target === document ? document : event.target;
+    const now = Date.now();
+    const last = this.scrollThrottle.get(target) || 0;
+    if (now - last < 100) return;
+    this.scrollThrottle.set(target, now);
+
+    if (target === document) {
+      this.pushEvent({ type: 'scroll', id: this.getId(document), x: window.scrollX || 0, y: window.scrollY || 0 });
+    } else {
+      this.pushEvent({ type: 'scroll', id: this.getId(target), x: target.scrollLeft || 0, y: target.scrollTop || 0 });
+    }
+  }
+
+  handleClick(event) {
+    this.pushEvent({ type: 'click', id: this.getId(event.target), x: event.clientX, y: event.clientY });
+  }
+
+  handleViewport() {
+    const { width, height } = this.getViewport();
+    this.pushEvent({ type: 'viewport', width, height });
+  }
+
+  /**
+   * Exporta a janela atual: snapshot mais antigo retido + eventos seguintes
+   * @returns {Object|null}
+   */
+  exportReplay() {
+    this.prune();
+    if (this.segments.length === 0) return null;
+
+    const [first, ...rest] = this.segments;
+    const events = [...first.events];
+    for (const segment of rest) {
+      events.push({ t: segment.snapshot.t, type: 'snapshot', node: segment.snapshot.node, viewport: segment.viewport });
+      events.push(...segment.events);
+    }
+
+    return {
+      format: 'bugspotter-dom-replay',
+      version: '1.0.0',
+      baseUrl: typeof location !== 'undefined' ? location.href : '',
+      startedAt: first.snapshot.t,
+      endedAt: Date.now(),
+      viewport: first.viewport,
+      snapshot: first.snapshot,
+      events
+    };
+  }
+
+  /**
+   * Comprime uma string com gzip e devolve um data URL (base64)
+   * @param {string} text
+   * @returns {Promise<string|null>} data URL ou null se CompressionStream não existir
+   */
+  static async gzipToDataUrl(text) {
+    if (typeof CompressionStream === 'undefined') return null;
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    const buffer = await new Response(stream).arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return `data:application/gzip;base64,${btoa(binary)}`;
+  }
+
+  /**
+   * Descomprime um data URL gzip gerado por gzipToDataUrl
+   * @param {string} dataUrl
+   * @returns {Promise<string>}
+   */
+  static async gunzipDataUrl(dataUrl) {
+    const base64 = String(dataUrl).split(',')[1] || '';
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  }
+}
+
+// Export for use in content/replay player
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DomReplayRecorder;
+} else if (typeof window !== 'undefined') {
+  window.DomReplayRecorder = DomReplayRecorder;
+}
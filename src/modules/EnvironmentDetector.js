@@ -0,0 +1,160 @@
+/**
+ * BugSpotter Environment Detector
+ * Decide o ambiente (Production, Staging, QA, ...) e a versão/build de uma página a partir de regras
+ * configuradas nas definições, em vez de deixar a AI adivinhar pelo hostname.
+ * Cada regra testa o hostname, o caminho do URL ou o conteúdo de uma meta tag (ex.: <meta name="app-version">)
+ * com uma expressão regular; a primeira regra com `environment` que corresponde define o ambiente e a
+ * primeira com `version` define a versão ($1, $2, ... e $& referem o texto encontrado).
+ */
+class EnvironmentDetector {
+  /**
+   * @param {Object} [config] - { rules: Array<{ id, type, pattern, metaName, environment, version }>, defaultEnvironment }
+   */
+  constructor(config = {}) {
+    const normalized = EnvironmentDetector.normalizeConfig(config);
+    this.defaultEnvironment = normalized.defaultEnvironment;
+    this.rules = normalized.rules
+      .map(rule => {
+        try {
+          return { ...rule, regex: new RegExp(rule.pattern || '^[\\s\\S]*$', 'i') };
+        } catch (_) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Nomes das meta tags usadas pelas regras (para ler só essas na página)
+   * @returns {Array<string>}
+   */
+  getMetaNames() {
+    return [...new Set(this.rules.filter(rule => rule.type === 'meta').map(rule => rule.metaName))];
+  }
+
+  /**
+   * @param {Object} page
+   * @param {string} page.url - URL da página
+   * @param {Object<string, string>} [page.meta] - Conteúdo das meta tags por nome
+   * @returns {{ environment: string, version: string, environmentRule: string|null, versionRule: string|null }}
+   */
+  detect({ url = '', meta = {} } = {}) {
+    let hostname = '';
+    let path = '';
+    try {
+      const parsed = new URL(url);
+      hostname = parsed.hostname;
+      path = `${parsed.pathname}${parsed.search}`;
+    } catch (_) {}
+
+    const result = { environment: '', version: '', environmentRule: null, versionRule: null };
+    for (const rule of this.rules) {
+      if ((result.environment || !rule.environment) && (result.version || !rule.version)) continue;
+      const subject = rule.type === 'hostname' ? hostname : (rule.type === 'path' ? path : EnvironmentDetector.metaValue(meta, rule.metaName));
+      if (typeof subject !== 'string' || (rule.type !== 'meta' && !subject)) continue;
+      const match = rule.regex.exec(subject);
+      if (!match) continue;
+
+      if (!result.environment && rule.environment) {
+        result.environment = rule.environment;
+        result.environmentRule = rule.id;
+      }
+      if (!result.version && rule.version) {
+        const version = rule.version.replace(/\$(&|\d)/g, (_, ref) => (ref === '&' ? match[0] : match[Number(ref)] || '')).trim();
+        if (version) {
+          result.version = version;
+          result.versionRule = rule.id;
+        }
+      }
+    }
+    if (!result.environment) result.environment = this.defaultEnvironment;
+    return result;
+  }
+
+  // Meta tags sem distinção de maiúsculas (name="App-Version" e name="app-version")
+  static metaValue(meta, name) {
+    if (!meta || !name) return undefined;
+    const key = Object.keys(meta).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+    return key === undefined ? undefined : String(meta[key] ?? '');
+  }
+
+  /**
+   * Valida e normaliza a configuração guardada em settings.environmentDetection
+   */
+  static normalizeConfig(config = {}) {
+    const source = config && typeof config === 'object' ? config : {};
+    const rules = Array.isArray(source.rules) ? source.rules : EnvironmentDetector.DEFAULT_CONFIG.rules;
+    return {
+      rules: rules
+        .filter(rule => rule && EnvironmentDetector.RULE_TYPES.includes(rule.type))
+        .map((rule, index) => ({
+          id: String(rule.id || `env-rule-${index + 1}`),
+          type: rule.type,
+          pattern: String(rule.pattern || '').trim(),
+          metaName: rule.type === 'meta' ? String(rule.metaName || '').trim() : '',
+          environment: String(rule.environment || '').trim(),
+          version: String(rule.version || '').trim()
+        }))
+        .filter(rule => (rule.type === 'meta' ? rule.metaName : rule.pattern) && (rule.environment || rule.version)),
+      defaultEnvironment: typeof source.defaultEnvironment === 'string'
+        ? source.defaultEnvironment.trim()
+        : EnvironmentDetector.DEFAULT_CONFIG.defaultEnvironment,
+      jiraEnvironmentField: String(source.jiraEnvironmentField || '').trim(),
+      jiraVersionField: String(source.jiraVersionField || '').trim()
+    };
+  }
+
+  /**
+   * @returns {Array<string>} Erros da configuração (regex inválidas, regras incompletas, campos do Jira)
+   */
+  static validateConfig(config = {}) {
+    const errors = [];
+    (Array.isArray(config.rules) ? config.rules : []).forEach((rule, index) => {
+      const label = `Rule ${index + 1}`;
+      if (!EnvironmentDetector.RULE_TYPES.includes(rule.type)) {
+        errors.push(`${label}: unknown type`);
+        return;
+      }
+      if (rule.type === 'meta' && !String(rule.metaName || '').trim()) {
+        errors.push(`${label}: meta tag name is empty`);
+      } else if (rule.type !== 'meta' && !String(rule.pattern || '').trim()) {
+        errors.push(`${label}: pattern is empty`);
+      }
+      if (!String(rule.environment || '').trim() && !String(rule.version || '').trim()) {
+        errors.push(`${label}: set an environment, a version or both`);
+      }
+      try {
+        new RegExp(rule.pattern || '', 'i');
+      } catch (error) {
+        errors.push(`${label}: invalid regular expression (${error.message})`);
+      }
+    });
+    ['jiraEnvironmentField', 'jiraVersionField'].forEach(key => {
+      const field = String(config[key] || '').trim();
+      if (field && !/^(?:customfield_\d+|environment)$/.test(field)) {
+        errors.push(`Invalid Jira field "${field}" (use customfield_NNNNN or environment)`);
+      }
+    });
+    return errors;
+  }
+}
+
+EnvironmentDetector.RULE_TYPES = ['hostname', 'path', 'meta'];
+
+// Equivalente às regras que estavam no prompt da AI: hostnames "pp..." são Staging, o resto Production
+EnvironmentDetector.DEFAULT_CONFIG = {
+  rules: [
+    { id: 'env-rule-1', type: 'hostname', pattern: '^pp', environment: 'Staging' },
+    { id: 'env-rule-2', type: 'meta', metaName: 'app-version', pattern: '', version: '$&' }
+  ],
+  defaultEnvironment: 'Production',
+  jiraEnvironmentField: '',
+  jiraVersionField: ''
+};
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EnvironmentDetector;
+} else if (typeof window !== 'undefined') {
+  window.EnvironmentDetector = EnvironmentDetector;
+}
@@ -3,27 +3,61 @@
  * Generates deterministic fingerprints for bugs to prevent duplicates.
  */
 class FingerprintManager {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.stackParser] - StackTraceParser used by the 'stack' strategy
+   * @param {string} [options.strategy='default'] - 'default' (URL + error message) or 'stack'
+   * @param {number} [options.frameCount=5] - In-app frames hashed by the 'stack' strategy
+   * @param {Object} [options.masking] - User masking config (see FingerprintManager.compileMasking)
+   */
+  constructor(options = {}) {
     this.storageKey = 'bug_fingerprints';
     this.TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days default TTL
+    this.PENDING_TTL_MS = 5 * 60 * 1000; // Reservations older than this are considered abandoned
     this._memoryLocks = new Set(); // In-memory lock for race condition prevention
+    this.stackParser = options.stackParser || null;
+    this.strategy = options.strategy || 'default';
+    this.frameCount = options.frameCount || 5;
+    this.masking = FingerprintManager.compileMasking(options.masking);
   }
 
   /**
    * Generates a deterministic fingerprint for a bug report
    * @param {Object} bugData - The bug report data
+   * @param {Object} [options] - { strategy, frameCount, masking } overriding the instance defaults
    * @returns {Promise<string>} SHA-256 hash
    */
-  async generateFingerprint(bugData) {
+  async generateFingerprint(bugData, options = {}) {
+    const { signal } = this.buildFingerprintSignal(bugData, options);
+    return this._hashString(signal);
+  }
+
+  /**
+   * Builds the normalized string that gets hashed (also used by the settings preview)
+   * @param {Object} bugData - The bug report data
+   * @param {Object} [options] - { strategy, frameCount, masking }
+   * @returns {{ strategy: string, signal: string }} Strategy actually used and the normalized string
+   */
+  buildFingerprintSignal(bugData, options = {}) {
+    const strategy = options.strategy || this.strategy;
+    const masking = options.masking ? FingerprintManager.compileMasking(options.masking) : this.masking;
+
+    // Stack strategy: same crash = same top in-app frames, whatever the message says.
+    // Falls back to the default strategy when there is no usable stack.
+    if (strategy === 'stack') {
+      const stackSignal = this._buildStackSignal(bugData, options.frameCount || this.frameCount);
+      if (stackSignal) return { strategy: 'stack', signal: stackSignal };
+    }
+
     // 1. Normalize data to ensure determinism
     const components = [];
 
     // URL: Normalize structure and params
-    components.push(this._normalizeUrl(bugData.url));
+    components.push(this._normalizeUrl(bugData.url, masking));
 
     // Technical Signals (Errors/Logs) are more reliable than user input
-    const errorSignal = bugData.originalError ? this._normalizeError(bugData.originalError) : '';
-    const logSignal = this._findSignificantConsoleError(bugData.logs);
+    const errorSignal = bugData.originalError ? this._normalizeError(bugData.originalError, masking) : '';
+    const logSignal = this._findSignificantConsoleError(bugData.logs, masking);
 
     if (errorSignal || logSignal) {
       // If we have technical signals, use them and IGNORE the title
@@ -35,11 +69,10 @@ class FingerprintManager {
       // If no technical error, rely on the user's input (Title)
       // We normalize the title AND mask dynamic content to catch "Error in Order 123" vs "Error in Order 456"
       const rawTitle = (bugData.title || '').trim();
-      components.push(this._maskDynamicContent(rawTitle));
+      components.push(this._maskDynamicContent(rawTitle, masking));
     }
 
-    const fingerprintString = components.join('|');
-    return this._hashString(fingerprintString);
+    return { strategy: 'default', signal: components.join('|') };
   }
 
   /**
@@ -92,8 +125,7 @@ class FingerprintManager {
         }
         
         // Se estiver pendente, verificar se expirou (ex: reserva de 5 min)
-        const PENDING_TTL = 5 * 60 * 1000;
-        if (Date.now() - existing.savedAt < PENDING_TTL) {
+        if (Date.now() - existing.savedAt < this.PENDING_TTL_MS) {
           this._memoryLocks.delete(fingerprint); // Not ours to process
           return false; // Ainda está reservado por outro processo
         }
@@ -191,13 +223,211 @@ class FingerprintManager {
     await chrome.storage.local.set({ [this.storageKey]: registry });
   }
 
-  _normalizeUrl(url) {
+  /**
+   * Lists registry entries for the settings management panel
+   * @returns {Promise<Array<Object>>} Entries with { fingerprint, status, ticketKey, title, savedAt, ageMs, expiresAt, stale }, newest first
+   */
+  async listEntries() {
+    const data = await chrome.storage.local.get(this.storageKey);
+    const registry = data[this.storageKey] || {};
+    const now = Date.now();
+
+    return Object.entries(registry)
+      .map(([fingerprint, entry]) => {
+        // Entries written by saveFingerprint() have no status: they always carry a ticket
+        const status = entry.status || 'confirmed';
+        const savedAt = entry.savedAt || 0;
+        return {
+          ...entry,
+          fingerprint,
+          status,
+          savedAt,
+          ageMs: now - savedAt,
+          expiresAt: savedAt + this.TTL_MS,
+          stale: status === 'pending' && now - savedAt >= this.PENDING_TTL_MS
+        };
+      })
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Removes pending reservations left behind by submissions that never finished
+   * @param {Object} [options]
+   * @param {boolean} [options.includeActive=false] - Also release reservations younger than PENDING_TTL_MS
+   * @returns {Promise<number>} Number of released reservations
+   */
+  async releaseStalePending({ includeActive = false } = {}) {
+    const data = await chrome.storage.local.get(this.storageKey);
+    const registry = data[this.storageKey] || {};
+    const now = Date.now();
+    let released = 0;
+
+    for (const [fingerprint, entry] of Object.entries(registry)) {
+      if (entry.status !== 'pending') continue;
+      if (!includeActive && now - (entry.savedAt || 0) < this.PENDING_TTL_MS) continue;
+      delete registry[fingerprint];
+      this._memoryLocks.delete(fingerprint);
+      released++;
+    }
+
+    if (released > 0) {
+      await chrome.storage.local.set({ [this.storageKey]: registry });
+    }
+    return released;
+  }
+
+  /**
+   * Manually links a fingerprint to an existing ticket (future reports with it become duplicates)
+   * @param {string} fingerprint - SHA-256 hex
+   * @param {Object} metadata - { ticketKey, title }
+   * @returns {Promise<Object>} The stored entry
+   */
+  async linkFingerprint(fingerprint, metadata = {}) {
+    const hash = String(fingerprint || '').trim().toLowerCase();
+    if (!FingerprintManager.FINGERPRINT_PATTERN.test(hash)) {
+      throw new Error('Invalid fingerprint: expected a 64-character SHA-256 hex string');
+    }
+    const ticketKey = String(metadata.ticketKey || '').trim().toUpperCase();
+    if (!FingerprintManager.TICKET_KEY_PATTERN.test(ticketKey)) {
+      throw new Error(`Invalid ticket key: ${metadata.ticketKey || '(empty)'}`);
+    }
+
+    const data = await chrome.storage.local.get(this.storageKey);
+    const registry = data[this.storageKey] || {};
+    const existing = registry[hash] || {};
+    const entry = {
+      ticketKey,
+      title: metadata.title || existing.title || '',
+      timestamp: Date.now(),
+      status: 'confirmed',
+      linkedManually: true,
+      savedAt: Date.now()
+    };
+    registry[hash] = entry;
+    this._memoryLocks.delete(hash);
+
+    await chrome.storage.local.set({ [this.storageKey]: registry });
+    return { fingerprint: hash, ...entry };
+  }
+
+  /**
+   * Removes a single entry (pending or confirmed)
+   * @param {string} fingerprint
+   * @returns {Promise<boolean>} True if the entry existed
+   */
+  async removeEntry(fingerprint) {
+    this._memoryLocks.delete(fingerprint);
+    const data = await chrome.storage.local.get(this.storageKey);
+    const registry = data[this.storageKey] || {};
+    if (!registry[fingerprint]) return false;
+
+    delete registry[fingerprint];
+    await chrome.storage.local.set({ [this.storageKey]: registry });
+    return true;
+  }
+
+  /**
+   * Exports the confirmed, non-expired entries so teammates can share dedup state
+   * @returns {Promise<Object>} { type, version, exportedAt, entries }
+   */
+  async exportRegistry() {
+    const data = await chrome.storage.local.get(this.storageKey);
+    const registry = data[this.storageKey] || {};
+    const now = Date.now();
+    const entries = {};
+
+    for (const [fingerprint, entry] of Object.entries(registry)) {
+      // Pending reservations are local in-flight locks, meaningless on another browser
+      if (entry.status === 'pending' || now - (entry.savedAt || 0) > this.TTL_MS) continue;
+      entries[fingerprint] = FingerprintManager._sanitizeEntry(entry);
+    }
+
+    return {
+      type: FingerprintManager.EXPORT_TYPE,
+      version: 1,
+      exportedAt: new Date(now).toISOString(),
+      entries
+    };
+  }
+
+  /**
+   * Imports a registry exported by exportRegistry()
+   * In 'merge' mode imported tickets replace local reservations and older entries;
+   * in 'replace' mode all local confirmed entries are dropped first (reservations in flight are kept).
+   * @param {Object} payload - Parsed export file
+   * @param {Object} [options] - { mode: 'merge' | 'replace' }
+   * @returns {Promise<{ added: number, updated: number, skipped: number }>}
+   */
+  async importRegistry(payload, { mode = 'merge' } = {}) {
+    if (!['merge', 'replace'].includes(mode)) {
+      throw new Error(`Unsupported import mode: ${mode}`);
+    }
+    if (!payload || payload.type !== FingerprintManager.EXPORT_TYPE || !payload.entries || typeof payload.entries !== 'object') {
+      throw new Error('Invalid fingerprint registry file');
+    }
+
+    const data = await chrome.storage.local.get(this.storageKey);
+    const registry = data[this.storageKey] || {};
+    if (mode === 'replace') {
+      Object.keys(registry).forEach(fingerprint => {
+        if (registry[fingerprint].status !== 'pending') delete registry[fingerprint];
+      });
+    }
+
+    const now = Date.now();
+    const result = { added: 0, updated: 0, skipped: 0 };
+
+    for (const [fingerprint, incoming] of Object.entries(payload.entries)) {
+      const valid = FingerprintManager.FINGERPRINT_PATTERN.test(fingerprint) &&
+        incoming && FingerprintManager.TICKET_KEY_PATTERN.test(String(incoming.ticketKey || '')) &&
+        now - (Number(incoming.savedAt) || 0) <= this.TTL_MS;
+      if (!valid) {
+        result.skipped++;
+        continue;
+      }
+
+      const existing = registry[fingerprint];
+      const entry = FingerprintManager._sanitizeEntry(incoming);
+      if (!existing) {
+        registry[fingerprint] = entry;
+        result.added++;
+      } else if (existing.status === 'pending' || (existing.savedAt || 0) < entry.savedAt) {
+        registry[fingerprint] = entry;
+        result.updated++;
+      } else {
+        result.skipped++;
+      }
+    }
+
+    await chrome.storage.local.set({ [this.storageKey]: registry });
+    return result;
+  }
+
+  // Only the fields the registry needs: imported files must not inject arbitrary data
+  static _sanitizeEntry(entry) {
+    return {
+      ticketKey: String(entry.ticketKey || ''),
+      title: String(entry.title || '').substring(0, 255),
+      timestamp: Number(entry.timestamp) || Number(entry.savedAt) || 0,
+      status: 'confirmed',
+      savedAt: Number(entry.savedAt) || 0,
+      ...(entry.linkedManually ? { linkedManually: true } : {})
+    };
+  }
+
+  _normalizeUrl(url, masking = this.masking) {
     if (!url) return '';
     try {
       const urlObj = new URL(url);
+
+      // Per-domain path templates (e.g. {tenant}.example.com + /tenants/{tenant}/orders/{id})
+      const template = this._matchPathTemplate(urlObj, masking);
+      const origin = template?.host
+        ? `${urlObj.protocol}//${template.host}${urlObj.port ? ':' + urlObj.port : ''}`
+        : urlObj.origin;
       
       // Mask Pathname (e.g. /stations/123 -> /stations/{id})
-      const maskedPath = this._maskDynamicContent(urlObj.pathname);
+      const maskedPath = template?.path || this._maskDynamicContent(urlObj.pathname, masking);
 
       // 1. Sort Query Params (a=1&b=2 is same as b=2&a=1)
       const searchParams = new URLSearchParams(urlObj.search);
@@ -207,45 +437,106 @@ class FingerprintManager {
       const filteredParams = sortedParams
         .filter(([key]) => {
           const lowerKey = key.toLowerCase();
-          // Remove tracking, timestamps, sessions, random seeds
-          return !lowerKey.match(/^(utm_|fbclid|gclid|_t|timestamp|session|token|sid|rand)/);
+          // Remove tracking, timestamps, sessions, random seeds (prefix match)
+          return !masking.ignoredParams.some(prefix => lowerKey.startsWith(prefix));
         })
         .map(([key, value]) => {
           // Mask the value to handle dynamic IDs in query params
-          return [key, this._maskDynamicContent(value)];
+          return [key, this._maskDynamicContent(value, masking)];
         });
 
       // Reconstruct sorted query string
       const queryString = filteredParams.map(([k, v]) => `${k}=${v}`).join('&');
       
       // Return Origin + Masked Path + Sorted/Filtered/Masked Query
-      return (urlObj.origin + maskedPath + (queryString ? '?' + queryString : '')).toLowerCase();
+      return (origin + maskedPath + (queryString ? '?' + queryString : '')).toLowerCase();
     } catch (e) {
-      return this._maskDynamicContent(url || '').toLowerCase();
+      return this._maskDynamicContent(url || '', masking).toLowerCase();
+    }
+  }
+
+  /**
+   * Finds the first path template whose domain and path match the URL
+   * @returns {{ host: string|null, path: string|null }|null} Normalized host (when the domain
+   *   has placeholders) and templated path (when the path matches), or null
+   */
+  _matchPathTemplate(urlObj, masking) {
+    const hostLabels = urlObj.hostname.toLowerCase().split('.');
+    const pathSegments = urlObj.pathname.split('/').filter(Boolean);
+    const isPlaceholder = part => part === '*' || /^\{[^}]+\}$/.test(part);
+    const matches = (patternParts, parts) => patternParts.length === parts.length &&
+      patternParts.every((part, i) => isPlaceholder(part) || part.toLowerCase() === parts[i].toLowerCase());
+
+    let hostOnly = null;
+    for (const { domain, template } of masking.pathTemplates) {
+      const domainParts = domain && domain !== '*' ? domain.split('.') : null;
+      if (domainParts && !matches(domainParts, hostLabels)) continue;
+
+      const host = domainParts && domainParts.some(isPlaceholder) ? domain.toLowerCase() : null;
+      const templateParts = template.split('/').filter(Boolean);
+      if (matches(templateParts, pathSegments)) {
+        return { host, path: '/' + templateParts.map(part => isPlaceholder(part) ? part : part.toLowerCase()).join('/') };
+      }
+      // Domínio reconhecido mas caminho diferente: normalizar apenas o host (ex.: subdomínio do tenant)
+      if (host && !hostOnly) hostOnly = { host, path: null };
     }
+    return hostOnly;
   }
 
-  _normalizeError(error) {
+  _normalizeError(error, masking = this.masking) {
     if (!error) return '';
     // Combine type and message
     const raw = `${error.type || ''}:${error.message || ''}`;
-    return this._maskDynamicContent(raw);
+    return this._maskDynamicContent(raw, masking);
+  }
+
+  /**
+   * Builds the 'stack' strategy signal from the top N normalized in-app frames
+   * @returns {string} Empty when no stack with in-app frames is available
+   */
+  _buildStackSignal(bugData, frameCount) {
+    if (!this.stackParser) return '';
+
+    const error = bugData.originalError || {};
+    const firstErrorLog = Array.isArray(bugData.logs)
+      ? bugData.logs.find(log => (log.type === 'error' || log.level === 'error') && log.stack)
+      : null;
+
+    // Prefer the source-mapped stack: original names/paths are stable across builds
+    const candidates = [error.resolvedStack, error.stack, firstErrorLog?.stack].filter(Boolean);
+    for (const stack of candidates) {
+      const signature = this.stackParser.getInAppSignature(stack, Math.max(1, Number(frameCount) || 5));
+      if (signature.frames.length > 0) {
+        return ['stack', signature.errorType || error.type || '', ...signature.frames].join('|');
+      }
+    }
+    return '';
   }
 
-  _findSignificantConsoleError(logs) {
+  _findSignificantConsoleError(logs, masking = this.masking) {
     if (!Array.isArray(logs)) return '';
     
     // Prefer the FIRST error as it's often the root cause
     const firstError = logs.find(log => log.type === 'error');
     if (firstError) {
-      return this._maskDynamicContent(firstError.message || '');
+      return this._maskDynamicContent(firstError.message || '', masking);
     }
     return '';
   }
 
-  _maskDynamicContent(str) {
+  _maskDynamicContent(str, masking = this.masking) {
     if (!str) return '';
-    return str.toLowerCase()
+
+    // User rules run first, in order, on the original text
+    let value = str;
+    for (const rule of masking.rules) {
+      value = value.replace(rule.regex, rule.replacement);
+    }
+    if (!masking.useDefaultRules) {
+      return value.toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    return value.toLowerCase()
       // Mask UUIDs (e.g. 123e4567-e89b-...)
       .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/g, '{uuid}')
       // Mask Mixed Alphanumeric IDs (must contain digit, length >= 4)
@@ -268,6 +559,40 @@ class FingerprintManager {
       .trim();
   }
 
+  /**
+   * Validates and compiles a user masking config
+   * @param {Object} [config]
+   * @param {Array<{pattern: string, replacement?: string, flags?: string}>} [config.rules] - Ordered regex rules
+   * @param {Array<{domain: string, template: string}>} [config.pathTemplates] - e.g. { domain: '{tenant}.example.com', template: '/orders/{id}' }
+   * @param {Array<string>} [config.ignoredParams] - Query param prefixes removed from URLs
+   * @param {boolean} [config.useDefaultRules=true] - Keep the built-in UUID/ID/hex/date masks
+   * @returns {{ rules: Array, pathTemplates: Array, ignoredParams: Array<string>, useDefaultRules: boolean, errors: Array<string> }}
+   */
+  static compileMasking(config = {}) {
+    const errors = [];
+    const rules = [];
+
+    (Array.isArray(config.rules) ? config.rules : []).forEach((rule, index) => {
+      if (!rule || !rule.pattern) return;
+      try {
+        const flags = [...new Set(`g${rule.flags ?? 'i'}`)].join('');
+        rules.push({ regex: new RegExp(rule.pattern, flags), replacement: rule.replacement ?? '' });
+      } catch (error) {
+        errors.push(`Rule ${index + 1}: ${error.message}`);
+      }
+    });
+
+    const pathTemplates = (Array.isArray(config.pathTemplates) ? config.pathTemplates : [])
+      .filter(entry => entry && typeof entry.template === 'string' && entry.template.trim())
+      .map(entry => ({ domain: String(entry.domain || '').trim(), template: entry.template.trim() }));
+
+    const ignoredParams = (Array.isArray(config.ignoredParams) ? config.ignoredParams : FingerprintManager.DEFAULT_IGNORED_PARAMS)
+      .map(param => String(param).trim().toLowerCase())
+      .filter(Boolean);
+
+    return { rules, pathTemplates, ignoredParams, useDefaultRules: config.useDefaultRules !== false, errors };
+  }
+
   async _hashString(message) {
     const msgBuffer = new TextEncoder().encode(message);
     const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
@@ -276,6 +601,13 @@ class FingerprintManager {
   }
 }
 
+// Query param prefixes dropped from URLs unless the user configures their own list
+FingerprintManager.DEFAULT_IGNORED_PARAMS = ['utm_', 'fbclid', 'gclid', '_t', 'timestamp', 'session', 'token', 'sid', 'rand'];
+
+FingerprintManager.FINGERPRINT_PATTERN = /^[0-9a-f]{64}$/;
+FingerprintManager.TICKET_KEY_PATTERN = /^[A-Z][A-Z0-9_]*-\d+$/;
+FingerprintManager.EXPORT_TYPE = 'bugspotter-fingerprints';
+
 // Export for use in background/popup
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = FingerprintManager;
@@ -0,0 +1,191 @@
+/**
+ * BugSpotter Gherkin Generator
+ * Converte um relatório (passos, comportamento esperado e atual) num ficheiro .feature
+ * (Feature/Scenario) para servir de base aos testes BDD escritos a partir dos tickets.
+ * O modo determinístico usa os passos do relatório ou os de AIService._generateDeterministicSteps
+ * ("Navigate to", "Click on", "Enter value in", "Submit form"); o modo AI só fornece os cenários,
+ * a sintaxe é sempre gerada aqui.
+ */
+class GherkinGenerator {
+  constructor(options = {}) {
+    this.maxSteps = options.maxSteps || 20;
+    this.tags = options.tags || ['@bugspotter', '@bug'];
+  }
+
+  /**
+   * Gera o ficheiro .feature
+   * @param {Object} report - { title, description, steps|stepsToReproduce, expectedBehavior, actualBehavior, url, originalError, jiraKey }
+   * @param {Object} [options]
+   * @param {Array<string>} [options.steps] - Passos a usar quando o relatório não tem nenhum (ex.: derivados das interações)
+   * @param {Object} [options.model] - Cenários gerados pela AI ({ featureDescription, scenarios: [{ name, given, when, then }] })
+   * @returns {{ feature: string, fileName: string, scenarioCount: number, source: 'ai'|'deterministic' }}
+   */
+  generate(report = {}, { steps = null, model = null } = {}) {
+    const title = GherkinGenerator.singleLine(report.title) || 'Reported bug';
+    const scenarios = model && Array.isArray(model.scenarios) && model.scenarios.length > 0
+      ? model.scenarios.map(scenario => this.normalizeScenario(scenario, title)).filter(Boolean)
+      : [];
+    const source = scenarios.length > 0 ? 'ai' : 'deterministic';
+    if (scenarios.length === 0) {
+      scenarios.push(this.buildScenario(report, steps));
+    }
+
+    const description = source === 'ai' && model.featureDescription
+      ? model.featureDescription
+      : report.description;
+    const lines = [this.buildTags(report).join(' '), `Feature: ${title}`];
+    GherkinGenerator.textLines(description).slice(0, 5).forEach(line => lines.push(`  ${line}`));
+
+    scenarios.forEach(scenario => {
+      lines.push('', `  Scenario: ${scenario.name}`);
+      scenario.comments.forEach(comment => lines.push(`    # ${comment}`));
+      [['Given', scenario.given], ['When', scenario.when], ['Then', scenario.then]].forEach(([keyword, list]) => {
+        list.forEach((step, index) => lines.push(`    ${index === 0 ? keyword : 'And'} ${step}`));
+      });
+    });
+
+    return {
+      feature: lines.join('\n') + '\n',
+      fileName: `bugspotter_${Date.now()}.feature`,
+      scenarioCount: scenarios.length,
+      source
+    };
+  }
+
+  /**
+   * Cenário determinístico: primeira navegação como Given, restantes passos como When,
+   * comportamento esperado (e o pedido que falhou) como Then; o comportamento atual fica em comentário
+   */
+  buildScenario(report, fallbackSteps = null) {
+    let rawSteps = GherkinGenerator.normalizeSteps(report.stepsToReproduce || report.steps);
+    if (rawSteps.length === 0) rawSteps = GherkinGenerator.normalizeSteps(fallbackSteps);
+    const stepsList = rawSteps.slice(0, this.maxSteps).map(step => GherkinGenerator.toGherkinStep(step));
+
+    const given = [];
+    const when = [];
+    stepsList.forEach(step => {
+      if (given.length === 0 && when.length === 0 && step.navigation) {
+        given.push(`I am on "${step.url}"`);
+      } else {
+        when.push(step.text);
+      }
+    });
+    const pageUrl = report.url || report.pageUrl;
+    if (given.length === 0 && pageUrl) {
+      given.push(`I am on "${GherkinGenerator.escape(pageUrl)}"`);
+    }
+    if (when.length === 0) {
+      when.push('I repeat the actions described in the report');
+    }
+
+    const then = GherkinGenerator.textLines(report.expectedBehavior).map(line => GherkinGenerator.sentence(line));
+    const failing = report.originalError;
+    if (failing && failing.url && Number(failing.status) >= 400) {
+      then.push(`the ${String(failing.method || 'GET').toUpperCase()} request to "${GherkinGenerator.escape(failing.url)}" should not fail with status ${failing.status}`);
+    }
+    if (then.length === 0) {
+      then.push('the reported problem should not occur');
+    }
+
+    const actual = GherkinGenerator.textLines(report.actualBehavior);
+    return {
+      name: GherkinGenerator.singleLine(report.title) || 'Reproduce the reported bug',
+      comments: actual.length ? [`Actual behavior (bug): ${actual.join(' ')}`] : [],
+      given,
+      when,
+      then
+    };
+  }
+
+  normalizeScenario(scenario, fallbackName) {
+    if (!scenario || typeof scenario !== 'object') return null;
+    const clean = list => GherkinGenerator.normalizeSteps(list)
+      .map(step => GherkinGenerator.stripKeyword(step))
+      .filter(Boolean)
+      .slice(0, this.maxSteps);
+    const result = {
+      name: GherkinGenerator.singleLine(scenario.name) || fallbackName,
+      comments: [],
+      given: clean(scenario.given),
+      when: clean(scenario.when),
+      then: clean(scenario.then)
+    };
+    return result.when.length > 0 || result.then.length > 0 ? result : null;
+  }
+
+  buildTags(report) {
+    const tags = [...this.tags];
+    const key = report.jiraKey || report.ticketKey;
+    if (key && /^[A-Z][A-Z0-9_]+-\d+$/.test(key)) tags.push(`@${key}`);
+    return tags;
+  }
+
+  /**
+   * Converte um passo em texto (incluindo o formato de _generateDeterministicSteps) num passo Gherkin
+   * @param {string} step
+   * @returns {{ text: string, navigation: boolean, url?: string }}
+   */
+  static toGherkinStep(step) {
+    const text = GherkinGenerator.stripKeyword(step);
+    const escape = GherkinGenerator.escape;
+    let match = /^Navigate to (\S+)$/i.exec(text);
+    if (match) {
+      return { text: `I navigate to "${escape(match[1])}"`, navigation: true, url: escape(match[1]) };
+    }
+    match = /^Click on (.+?)(?: \((.+)\))?$/i.exec(text);
+    if (match) {
+      return { text: `I click on "${escape(match[2] || match[1])}"`, navigation: false };
+    }
+    match = /^Enter value in (.+?)(?: \((.+)\))?$/i.exec(text);
+    if (match) {
+      return { text: match[2] ? `I fill "${escape(match[1])}" with "${escape(match[2])}"` : `I fill "${escape(match[1])}"`, navigation: false };
+    }
+    match = /^Submit form (.+)$/i.exec(text);
+    if (match) {
+      return { text: `I submit the form "${escape(match[1])}"`, navigation: false };
+    }
+    if (/^I\b/.test(text)) return { text, navigation: false };
+    return { text: `I ${text.charAt(0).toLowerCase()}${text.slice(1)}`, navigation: false };
+  }
+
+  // Passos em array ou texto (uma linha por passo), sem numeração nem linhas vazias
+  static normalizeSteps(steps) {
+    const list = Array.isArray(steps)
+      ? steps
+      : (typeof steps === 'string' ? steps.split(/\r?\n/) : []);
+    return list
+      .map(step => (typeof step === 'string' ? step : (step && (step.text || step.description)) || ''))
+      .map(step => GherkinGenerator.singleLine(step.replace(/^\s*(?:(?:\(\d+\)|\d+\s*[.)\-–—])\s*)?(?:[-•*]\s*)?/, '')))
+      .filter(step => step && !/^-+\s*AI suggestions\s*-+$/i.test(step));
+  }
+
+  static stripKeyword(step) {
+    return GherkinGenerator.singleLine(step).replace(/^(?:Given|When|Then|And|But)\s+/i, '').replace(/[.;]+$/, '');
+  }
+
+  // Texto livre -> linhas não vazias
+  static textLines(text) {
+    return String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  }
+
+  static singleLine(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // Comportamento esperado como passo Then ("The order is created." -> "the order is created")
+  static sentence(text) {
+    const clean = GherkinGenerator.stripKeyword(text);
+    return /^[A-Z][a-z]/.test(clean) ? clean.charAt(0).toLowerCase() + clean.slice(1) : clean;
+  }
+
+  static escape(value) {
+    return GherkinGenerator.singleLine(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  }
+}
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GherkinGenerator;
+} else if (typeof window !== 'undefined') {
+  window.GherkinGenerator = GherkinGenerator;
+}
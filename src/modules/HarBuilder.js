@@ -0,0 +1,234 @@
+/**
+ * BugSpotter HAR Builder
+ * Converts the network entries captured via the Chrome Debugger (debuggerSessions /
+ * persistentLogs) into a HAR 1.2 document that can be opened in DevTools or attached to Jira.
+ */
+class HarBuilder {
+  constructor(options = {}) {
+    this.creatorName = options.creatorName || 'BugSpotter';
+    this.creatorVersion = options.creatorVersion || '1.0.0';
+    this.maxBodySize = options.maxBodySize || 256 * 1024; // 256KB por corpo
+    // Regras de redação partilhadas (headers, query params e corpos); destino 'exports' por omissão
+    this.redaction = options.redaction
+      || new (typeof RedactionEngine !== 'undefined' ? RedactionEngine : require('./RedactionEngine.js'))({ scope: 'exports' });
+  }
+
+  /**
+   * Builds a HAR 1.2 log
+   * @param {Array<Object>} requests - Network entries from getDebuggerLogs().networkRequests
+   * @param {Object} options
+   * @param {string} [options.pageUrl] - URL da página (título da page no HAR)
+   * @param {Object} [options.bodies] - Map requestId -> { body, base64Encoded }
+   * @param {Array} [options.trace] - Recebe as alterações feitas pela redação (auditoria)
+   * @returns {{ log: Object }} HAR document
+   */
+  build(requests, { pageUrl = '', bodies = {}, trace = null } = {}) {
+    const entries = this._mergeByRequestId(requests || [])
+      .filter(req => req.url && /^https?:/i.test(req.url))
+      .sort((a, b) => this._startedMs(a) - this._startedMs(b))
+      .map((req, index) => this._buildEntry(req, bodies[req.requestId], { trace, path: `$.log.entries[${index}]` }));
+
+    const firstStart = entries.length > 0 ? entries[0].startedDateTime : new Date().toISOString();
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: this.creatorName, version: this.creatorVersion },
+        pages: [{
+          startedDateTime: firstStart,
+          id: 'page_1',
+          title: pageUrl || 'BugSpotter capture',
+          pageTimings: { onContentLoad: -1, onLoad: -1 }
+        }],
+        entries: entries.map(entry => ({ pageref: 'page_1', ...entry }))
+      }
+    };
+  }
+
+  /**
+   * Masks sensitive header values (RedactionEngine, same rules as the popup and the Jira attachments)
+   * @param {Object} headers
+   * @param {Object} [options] - { trace, path }
+   * @returns {Object}
+   */
+  redactHeaders(headers, options = {}) {
+    return this.redaction.redactHeaders(headers, options);
+  }
+
+  /**
+   * Computes HAR timings from CDP ResourceTiming (ms relative to requestTime)
+   * @param {Object} req - Merged network entry
+   * @returns {Object} HAR timings object
+   */
+  computeTimings(req) {
+    const t = req.timing;
+    const positive = (v) => (typeof v === 'number' && v >= 0 ? v : -1);
+    const span = (start, end) => (start >= 0 && end >= 0 ? Math.max(0, end - start) : -1);
+
+    if (t && typeof t.requestTime === 'number') {
+      const firstPhase = [t.dnsStart, t.connectStart, t.sendStart].find(v => typeof v === 'number' && v >= 0);
+      const blocked = positive(firstPhase);
+      const dns = span(t.dnsStart, t.dnsEnd);
+      const connect = span(t.connectStart, t.connectEnd);
+      const ssl = span(t.sslStart, t.sslEnd);
+      const send = Math.max(0, span(t.sendStart, t.sendEnd));
+      const wait = Math.max(0, span(t.sendEnd, t.receiveHeadersEnd));
+      let receive = 0;
+      if (typeof req.finishedTime === 'number') {
+        receive = Math.max(0, (req.finishedTime - t.requestTime) * 1000 - t.receiveHeadersEnd);
+      }
+      return this._roundTimings({ blocked, dns, connect, ssl, send, wait, receive });
+    }
+
+    // Sem ResourceTiming (ex.: entradas persistidas antigas): estimar pelos timestamps
+    const started = this._startedMs(req);
+    const responded = req.responseTimestamp ? new Date(req.responseTimestamp).getTime() : NaN;
+    const finished = typeof req.finishedTime === 'number' && typeof req.requestMonotonic === 'number'
+      ? started + (req.finishedTime - req.requestMonotonic) * 1000
+      : NaN;
+    const wait = !isNaN(responded) ? Math.max(0, responded - started) : 0;
+    const receive = !isNaN(finished) && !isNaN(responded) ? Math.max(0, finished - responded) : 0;
+    return this._roundTimings({ blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait, receive });
+  }
+
+  // Junta entradas request/response/finished/failed do mesmo requestId
+  _mergeByRequestId(requests) {
+    const merged = new Map();
+    const anonymous = [];
+    for (const req of requests) {
+      if (!req) continue;
+      if (!req.requestId) {
+        anonymous.push(req);
+        continue;
+      }
+      const current = merged.get(req.requestId) || {};
+      const next = { ...current };
+      for (const [key, value] of Object.entries(req)) {
+        if (value === undefined || value === null) continue;
+        // Dados do pedido vêm do primeiro evento (loadingFailed não traz URL nem método)
+        if (HarBuilder.REQUEST_KEYS.includes(key) && current[key] != null) continue;
+        next[key] = value;
+      }
+      merged.set(req.requestId, next);
+    }
+    return [...merged.values(), ...anonymous];
+  }
+
+  _buildEntry(req, bodyInfo, { trace = null, path = '$' } = {}) {
+    const requestHeaders = this.redactHeaders(req.requestHeaders || {}, { trace, path: `${path}.request.headers` });
+    const responseHeaders = this.redactHeaders(req.responseHeaders || {}, { trace, path: `${path}.response.headers` });
+    const url = this.redaction.redactUrl(req.url, { trace, path: `${path}.request.url` });
+    const timings = this.computeTimings(req);
+    const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+      .reduce((sum, key) => sum + (timings[key] > 0 ? timings[key] : 0), 0);
+    const failed = req.type === 'network-failed' || !!req.errorText;
+
+    const entry = {
+      startedDateTime: new Date(this._startedMs(req)).toISOString(),
+      time: Math.round(time * 1000) / 1000,
+      request: {
+        method: req.method || 'GET',
+        url,
+        httpVersion: req.protocol || 'HTTP/1.1',
+        cookies: [],
+        headers: this._toNameValue(requestHeaders),
+        queryString: this._queryString(url),
+        headersSize: -1,
+        bodySize: req.postData ? req.postData.length : 0
+      },
+      response: {
+        status: failed && !req.status ? 0 : (req.status || 0),
+        statusText: failed && !req.status ? (req.errorText || 'Failed') : (req.statusText || ''),
+        httpVersion: req.protocol || 'HTTP/1.1',
+        cookies: [],
+        headers: this._toNameValue(responseHeaders),
+        content: this._buildContent(req, bodyInfo, { trace, path: `${path}.response.content.text` }),
+        redirectURL: responseHeaders.location || responseHeaders.Location || '',
+        headersSize: -1,
+        bodySize: typeof req.encodedDataLength === 'number' ? req.encodedDataLength : -1
+      },
+      cache: {},
+      timings
+    };
+
+    if (req.postData) {
+      const mimeType = this._headerValue(requestHeaders, 'content-type') || 'application/octet-stream';
+      entry.request.postData = { mimeType, text: this._truncate(this.redaction.redactBody(req.postData, { trace, path: `${path}.request.postData` })) };
+    }
+    if (req.remoteIPAddress) {
+      entry.serverIPAddress = req.remoteIPAddress;
+    }
+    if (failed) {
+      entry._error = req.errorText || 'Request failed';
+    }
+    return entry;
+  }
+
+  _buildContent(req, bodyInfo, { trace = null, path = '$' } = {}) {
+    const mimeType = req.mimeType || this._headerValue(req.responseHeaders || {}, 'content-type') || 'x-unknown';
+    const content = {
+      size: typeof req.encodedDataLength === 'number' ? req.encodedDataLength : 0,
+      mimeType
+    };
+    // Fallback: corpo já capturado pelo fluxo de erros HTTP (http-error-with-body)
+    const info = bodyInfo || (req.decodedBody != null ? { body: req.decodedBody, base64Encoded: false } : null);
+    if (info && typeof info.body === 'string') {
+      const tooLarge = info.body.length > this.maxBodySize;
+      if (!content.size) content.size = info.body.length;
+      if (info.base64Encoded && tooLarge) {
+        // Base64 truncado deixaria de ser decodificável
+        content.comment = 'Binary body omitted (too large)';
+      } else {
+        // Corpos em texto passam pela redação antes de truncar (JSON truncado já não seria interpretável)
+        content.text = info.base64Encoded ? info.body : this._truncate(this.redaction.redactBody(info.body, { trace, path }));
+        if (info.base64Encoded) content.encoding = 'base64';
+        if (tooLarge) content.comment = 'Body truncated by BugSpotter';
+      }
+    }
+    return content;
+  }
+
+  _startedMs(req) {
+    const ms = new Date(req.startedDateTime || req.timestamp || 0).getTime();
+    return isNaN(ms) ? 0 : ms;
+  }
+
+  _toNameValue(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+  }
+
+  _headerValue(headers, name) {
+    const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+    return key ? headers[key] : null;
+  }
+
+  _queryString(url) {
+    try {
+      return [...new URL(url).searchParams.entries()].map(([name, value]) => ({ name, value }));
+    } catch (_) {
+      return [];
+    }
+  }
+
+  _truncate(text) {
+    if (typeof text !== 'string') return text;
+    return text.length > this.maxBodySize ? text.slice(0, this.maxBodySize) : text;
+  }
+
+  _roundTimings(timings) {
+    const rounded = {};
+    for (const [key, value] of Object.entries(timings)) {
+      rounded[key] = value < 0 ? -1 : Math.round(value * 1000) / 1000;
+    }
+    return rounded;
+  }
+}
+
+HarBuilder.REQUEST_KEYS = ['url', 'method', 'timestamp', 'startedDateTime', 'requestHeaders', 'postData'];
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HarBuilder;
+} else if (typeof window !== 'undefined') {
+  window.HarBuilder = HarBuilder;
+}
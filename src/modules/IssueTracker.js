@@ -0,0 +1,268 @@
+/**
+ * BugSpotter Issue Tracker
+ * Agrupa erros HTTP/console por fingerprint (estilo Sentry): contagem de ocorrências,
+ * primeira/última vez, URLs e browsers afetados, amostras de eventos e estado (resolvido/ignorado).
+ */
+class IssueTracker {
+  /**
+   * @param {Object} options
+   * @param {Object} options.fingerprintManager - FingerprintManager usado para agrupar os erros
+   * @param {string} [options.storageKey='error_issues']
+   * @param {number} [options.maxIssues=200] - Issues mais antigos (por lastSeen) são descartados acima disto
+   * @param {number} [options.maxSamples=5] - Últimos eventos guardados por issue
+   * @param {number} [options.maxUrls=20] - URLs afetadas guardadas por issue
+   */
+  constructor(options = {}) {
+    this.fingerprintManager = options.fingerprintManager;
+    this.storageKey = options.storageKey || 'error_issues';
+    this.maxIssues = options.maxIssues || 200;
+    this.maxSamples = options.maxSamples || 5;
+    this.maxUrls = options.maxUrls || 20;
+    // Serializa leituras/escritas: erros chegam em rajadas e não podemos perder contagens
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Regista uma ocorrência de erro no issue correspondente (criando-o se necessário)
+   * @param {Object} errorLog - Erro HTTP ({ url, status, method }) ou de console ({ message, stack })
+   * @param {Object} [context] - { pageUrl, userAgent, fingerprint: { strategy, frameCount } }
+   * @returns {Promise<Object>} Issue atualizado
+   */
+  async recordOccurrence(errorLog, context = {}) {
+    const fingerprint = await this.fingerprintManager.generateFingerprint(
+      IssueTracker.toBugData(errorLog),
+      context.fingerprint || {}
+    );
+
+    return this._withRegistry(registry => {
+      const now = Date.now();
+      const occurredAt = Date.parse(errorLog.timestamp) || now;
+      const pageUrl = context.pageUrl || errorLog.url || '';
+      const browser = IssueTracker.detectBrowser(context.userAgent ?? (typeof navigator !== 'undefined' ? navigator.userAgent : ''));
+
+      let issue = registry[fingerprint];
+      if (!issue) {
+        issue = {
+          fingerprint,
+          title: IssueTracker.buildTitle(errorLog),
+          kind: errorLog.source === 'console' ? 'console' : 'http',
+          status: 'unresolved',
+          firstSeen: occurredAt,
+          lastSeen: occurredAt,
+          count: 0,
+          urls: [],
+          browsers: {},
+          samples: []
+        };
+        registry[fingerprint] = issue;
+      } else if (issue.status === 'resolved') {
+        // Voltou a acontecer depois de resolvido: regressão
+        issue.status = 'unresolved';
+        issue.regressedAt = now;
+      }
+
+      issue.count++;
+      issue.firstSeen = Math.min(issue.firstSeen, occurredAt);
+      issue.lastSeen = Math.max(issue.lastSeen, occurredAt);
+
+      if (pageUrl && !issue.urls.includes(pageUrl)) {
+        issue.urls.push(pageUrl);
+        if (issue.urls.length > this.maxUrls) issue.urls.shift();
+      }
+      issue.browsers[browser] = (issue.browsers[browser] || 0) + 1;
+
+      issue.samples.push(IssueTracker.buildSample(errorLog, occurredAt, pageUrl));
+      if (issue.samples.length > this.maxSamples) {
+        issue.samples.splice(0, issue.samples.length - this.maxSamples);
+      }
+
+      this._prune(registry);
+      return { ...issue };
+    });
+  }
+
+  /**
+   * Lista os issues ordenados
+   * @param {Object} [options]
+   * @param {string} [options.sortBy='lastSeen'] - 'lastSeen' | 'firstSeen' | 'count'
+   * @param {string} [options.status] - 'unresolved' | 'resolved' | 'ignored' (omitir = todos)
+   * @returns {Promise<Array<Object>>}
+   */
+  async listIssues({ sortBy = 'lastSeen', status = null } = {}) {
+    if (!IssueTracker.SORT_FIELDS.includes(sortBy)) {
+      throw new Error(`Unsupported sort field: ${sortBy}`);
+    }
+    const registry = await this._read();
+    return Object.values(registry)
+      .filter(issue => !status || issue.status === status)
+      .sort((a, b) => (b[sortBy] - a[sortBy]) || (b.lastSeen - a.lastSeen));
+  }
+
+  /**
+   * Altera o estado de um issue
+   * @param {string} fingerprint
+   * @param {string} status - 'unresolved' | 'resolved' | 'ignored'
+   * @returns {Promise<Object>} Issue atualizado
+   */
+  async updateStatus(fingerprint, status) {
+    if (!IssueTracker.STATUSES.includes(status)) {
+      throw new Error(`Invalid issue status: ${status}`);
+    }
+    return this._withRegistry(registry => {
+      const issue = registry[fingerprint];
+      if (!issue) throw new Error('Issue not found');
+      issue.status = status;
+      issue.statusChangedAt = Date.now();
+      if (status === 'resolved') issue.resolvedAt = issue.statusChangedAt;
+      return { ...issue };
+    });
+  }
+
+  /**
+   * Associa um relatório (AI) a um issue
+   */
+  async linkReport(fingerprint, reportId) {
+    return this._withRegistry(registry => {
+      const issue = registry[fingerprint];
+      if (!issue || !reportId) return null;
+      issue.reportIds = [...new Set([...(issue.reportIds || []), reportId])].slice(-10);
+      return { ...issue };
+    });
+  }
+
+  async removeIssue(fingerprint) {
+    return this._withRegistry(registry => {
+      const existed = Boolean(registry[fingerprint]);
+      delete registry[fingerprint];
+      return existed;
+    });
+  }
+
+  async clear() {
+    return this._withRegistry(registry => {
+      Object.keys(registry).forEach(key => delete registry[key]);
+      return true;
+    });
+  }
+
+  // Descarta os issues vistos há mais tempo quando o limite é ultrapassado
+  _prune(registry) {
+    const entries = Object.values(registry);
+    if (entries.length <= this.maxIssues) return;
+    entries
+      .sort((a, b) => a.lastSeen - b.lastSeen)
+      .slice(0, entries.length - this.maxIssues)
+      .forEach(issue => delete registry[issue.fingerprint]);
+  }
+
+  async _read() {
+    const data = await chrome.storage.local.get(this.storageKey);
+    return data[this.storageKey] || {};
+  }
+
+  _withRegistry(mutator) {
+    const run = this._queue.then(async () => {
+      const registry = await this._read();
+      const result = mutator(registry);
+      await chrome.storage.local.set({ [this.storageKey]: registry });
+      return result;
+    });
+    // Um erro numa operação não deve bloquear as seguintes
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Converte um erro capturado no formato esperado pelo FingerprintManager
+   */
+  static toBugData(errorLog) {
+    if (errorLog.source === 'console') {
+      return {
+        url: errorLog.url,
+        originalError: {
+          type: 'console',
+          message: errorLog.message || '',
+          stack: errorLog.stack,
+          resolvedStack: errorLog.resolvedStack
+        },
+        logs: []
+      };
+    }
+    // HTTP: o corpo da resposta e o statusText variam entre ocorrências; agrupar por endpoint + método + status
+    return {
+      url: errorLog.url,
+      originalError: {
+        type: errorLog.status ? `http ${errorLog.status}` : 'network',
+        message: (errorLog.method || 'GET').toUpperCase()
+      },
+      logs: []
+    };
+  }
+
+  /**
+   * O content script repete cada falha de rede do page-bridge como log de consola ("[HTTP ERROR] ...",
+   * "[NETWORK ERROR] ..."); essa cópia já chega como HTTP_ERROR/NETWORK_ERROR e não deve abrir outra issue
+   */
+  static isNetworkEcho(errorLog) {
+    return errorLog?.source === 'console' && /^\[(?:HTTP|NETWORK) ERROR\]/.test(String(errorLog.message || ''));
+  }
+
+  static buildTitle(errorLog) {
+    if (errorLog.source === 'console') {
+      const firstLine = String(errorLog.message || 'Console error').split('\n')[0];
+      return firstLine.length > 120 ? `${firstLine.substring(0, 117)}...` : firstLine;
+    }
+    let path = errorLog.url || '';
+    try {
+      const url = new URL(errorLog.url);
+      path = url.host + url.pathname;
+    } catch (_) {}
+    const status = errorLog.status ? `${errorLog.status} ` : 'Network error ';
+    return `${status}${(errorLog.method || 'GET').toUpperCase()} ${path}`.trim();
+  }
+
+  static buildSample(errorLog, occurredAt, pageUrl) {
+    const sample = {
+      timestamp: new Date(occurredAt).toISOString(),
+      pageUrl,
+      url: errorLog.url || '',
+      message: String(errorLog.message || errorLog.text || '').substring(0, 500)
+    };
+    if (errorLog.status) sample.status = errorLog.status;
+    if (errorLog.method) sample.method = errorLog.method;
+    const stack = errorLog.resolvedStack || errorLog.stack;
+    if (stack) sample.stack = String(stack).substring(0, 2000);
+    return sample;
+  }
+
+  /**
+   * Nome e versão principal do browser a partir do user agent
+   * @param {string} userAgent
+   * @returns {string} Ex.: "Chrome 120", "Edge 119", "Firefox 121"
+   */
+  static detectBrowser(userAgent) {
+    const ua = String(userAgent || '');
+    const rules = [
+      ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+      ['Opera', /OPR\/(\d+)/],
+      ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+      ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+      ['Safari', /Version\/(\d+)[\d.]* .*Safari\//]
+    ];
+    for (const [name, pattern] of rules) {
+      const match = ua.match(pattern);
+      if (match) return `${name} ${match[1]}`;
+    }
+    return 'Unknown';
+  }
+}
+
+IssueTracker.STATUSES = ['unresolved', 'resolved', 'ignored'];
+IssueTracker.SORT_FIELDS = ['lastSeen', 'firstSeen', 'count'];
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IssueTracker;
+} else if (typeof window !== 'undefined') {
+  window.IssueTracker = IssueTracker;
+}
@@ -0,0 +1,223 @@
+/**
+ * BugSpotter Jira ADF Builder
+ * Gera a descrição do ticket em Atlassian Document Format (ADF) para a REST API v3 do Jira Cloud,
+ * com as mesmas secções de formatJiraDescription (wiki markup, API v2): títulos, passos em lista
+ * numerada, blocos de código para corpos de resposta e stack traces, e links clicáveis.
+ * Sem dependências: os nós são objetos simples ({ type, attrs, content, text, marks }).
+ */
+class JiraAdfBuilder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxCodeLength=20000] - Caracteres por bloco de código (o Jira limita o tamanho do campo)
+   */
+  constructor(options = {}) {
+    this.maxCodeLength = options.maxCodeLength || 20000;
+  }
+
+  /**
+   * @param {Object} bugData - Mesmo formato que formatJiraDescription
+   * @param {Object} [options]
+   * @param {string} [options.intro] - Parágrafo em negrito antes das secções (ex.: comentário de duplicado)
+   * @returns {Object} Documento ADF ({ type: 'doc', version: 1, content })
+   */
+  buildDescription(bugData = {}, { intro = '' } = {}) {
+    const A = JiraAdfBuilder;
+    const content = [];
+    if (intro) content.push(A.paragraph(A.text(intro, [{ type: 'strong' }])));
+
+    content.push(A.heading('Description'), ...A.textBlocks(bugData.description));
+
+    content.push(A.heading('Steps to Reproduce'));
+    const steps = A.normalizeSteps(bugData.steps);
+    content.push(steps.length ? A.orderedList(steps.map(step => [A.paragraph(...A.inlineText(step))])) : A.paragraph(A.text('N/A')));
+
+    content.push(A.heading('Expected Behavior'), ...A.textBlocks(bugData.expectedBehavior));
+    content.push(A.heading('Actual Behavior'), ...A.textBlocks(bugData.actualBehavior));
+
+    const url = bugData.url || bugData.originalError?.url || '';
+    const details = [
+      ['URL', url],
+      ['Component', bugData.component],
+      ['Environment', bugData.environment],
+      bugData.buildVersion ? ['Build', bugData.buildVersion] : null,
+      ['Priority', bugData.priority || 'Medium'],
+      ['Timestamp', bugData.timestamp || bugData.originalError?.timestamp || new Date().toISOString()],
+      ['Evidence', `${bugData.attachments?.length || 0} file(s) attached to this ticket`]
+    ].filter(Boolean);
+    content.push(A.heading('Details'), A.fieldList(details));
+
+    const original = bugData.originalError;
+    if (original) {
+      const status = [original.status, original.statusText].filter(Boolean).join(' ');
+      content.push(A.heading('Original Error'), A.fieldList([
+        ['Status', status],
+        ['Method', original.method],
+        ['URL', original.url],
+        ['Timestamp', original.timestamp ? new Date(original.timestamp).toLocaleString() : '']
+      ]));
+
+      const jsError = bugData.jsErrorDetails;
+      if (jsError) {
+        const location = jsError.file ? [jsError.file, jsError.line, jsError.column].filter(part => part !== '' && part != null).join(':') : '';
+        content.push(A.heading('JavaScript Error'), A.fieldList([
+          ['Error', [jsError.errorName, jsError.message].filter(Boolean).join(': ')],
+          ['Location', location ? `${location}${jsError.functionName ? ` (${jsError.functionName})` : ''}` : ''],
+          ['Component', jsError.component],
+          ['Probable cause', jsError.probableCause],
+          ['Suggested fix', jsError.suggestedFix]
+        ]));
+      }
+
+      if (original.responseBody) {
+        const body = A.formatBody(original.responseBody);
+        content.push(A.heading('Response Body'), A.codeBlock(this.truncate(body.text), body.language));
+      }
+      const stack = original.resolvedStack || original.stack;
+      if (stack) {
+        content.push(A.heading(`Stack Trace${original.resolvedStack ? ' (source-mapped)' : ''}`), A.codeBlock(this.truncate(stack), 'javascript'));
+      }
+      if (original.sourceExcerpt) {
+        content.push(A.heading('Source'), A.codeBlock(this.truncate(original.sourceExcerpt), 'javascript'));
+      }
+    }
+
+    const links = bugData.crossLink ? [
+      ['Jira', bugData.crossLink.jiraUrl || bugData.crossLink.jiraKey],
+      ['EasyVista', bugData.crossLink.easyvistaUrl || bugData.crossLink.easyvistaId]
+    ].filter(([, value]) => value) : [];
+    if (links.length) {
+      content.push(A.heading('Linked Tickets'), A.fieldList(links));
+    }
+
+    return A.doc(content);
+  }
+
+  truncate(text) {
+    const value = String(text || '');
+    return value.length > this.maxCodeLength
+      ? `${value.slice(0, this.maxCodeLength)}\n... (${value.length - this.maxCodeLength} more characters)`
+      : value;
+  }
+
+  static doc(content) {
+    return { type: 'doc', version: 1, content };
+  }
+
+  static heading(text, level = 3) {
+    return { type: 'heading', attrs: { level }, content: [JiraAdfBuilder.text(text)] };
+  }
+
+  static paragraph(...content) {
+    const nodes = content.filter(Boolean);
+    return nodes.length ? { type: 'paragraph', content: nodes } : { type: 'paragraph' };
+  }
+
+  // O ADF rejeita nós de texto vazios: devolve null para serem filtrados
+  static text(value, marks = null) {
+    const text = String(value ?? '');
+    if (!text) return null;
+    return marks && marks.length ? { type: 'text', text, marks } : { type: 'text', text };
+  }
+
+  static link(text, href) {
+    return JiraAdfBuilder.text(text, [{ type: 'link', attrs: { href } }]);
+  }
+
+  static orderedList(items) {
+    return { type: 'orderedList', attrs: { order: 1 }, content: items.map(content => ({ type: 'listItem', content })) };
+  }
+
+  static bulletList(items) {
+    return { type: 'bulletList', content: items.map(content => ({ type: 'listItem', content })) };
+  }
+
+  static codeBlock(text, language = '') {
+    const node = { type: 'codeBlock', content: [JiraAdfBuilder.text(text || ' ')] };
+    if (language) node.attrs = { language };
+    return node;
+  }
+
+  // "Label: valor" em lista, com URLs como links; valores vazios ficam "N/A" como no wiki markup
+  static fieldList(fields) {
+    return JiraAdfBuilder.bulletList(fields.map(([label, value]) => [JiraAdfBuilder.paragraph(
+      JiraAdfBuilder.text(`${label}: `, [{ type: 'strong' }]),
+      ...JiraAdfBuilder.inlineText(value === undefined || value === null || value === '' ? 'N/A' : String(value))
+    )]));
+  }
+
+  /**
+   * Texto livre em parágrafos (linha vazia separa parágrafos, quebras de linha mantidas)
+   */
+  static textBlocks(value) {
+    const text = String(value || '').trim() || 'N/A';
+    return text.split(/\n\s*\n/).map(block => {
+      const nodes = [];
+      block.split('\n').forEach((line, index) => {
+        if (index > 0) nodes.push({ type: 'hardBreak' });
+        nodes.push(...JiraAdfBuilder.inlineText(line));
+      });
+      return JiraAdfBuilder.paragraph(...nodes);
+    });
+  }
+
+  /**
+   * Texto com URLs http(s) convertidos em links
+   * @returns {Array<Object>} Nós inline
+   */
+  static inlineText(value) {
+    const text = String(value ?? '');
+    const nodes = [];
+    const pattern = /https?:\/\/[^\s<>"']+[^\s<>"'.,;:!?)\]]/g;
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      nodes.push(JiraAdfBuilder.text(text.slice(last, match.index)));
+      nodes.push(JiraAdfBuilder.link(match[0], match[0]));
+      last = match.index + match[0].length;
+    }
+    nodes.push(JiraAdfBuilder.text(text.slice(last)));
+    return nodes.filter(Boolean);
+  }
+
+  // Passos em array ou texto (uma linha por passo), sem a numeração original
+  static normalizeSteps(steps) {
+    const list = Array.isArray(steps) ? steps : String(steps || '').split(/\r?\n/);
+    return list
+      .map(step => String(step || '').replace(/^\s*(?:(?:\(\d+\)|\d+\s*[.)\-–—])\s*)?(?:[-•*]\s*)?/, '').trim())
+      .filter(Boolean);
+  }
+
+  // Corpo de resposta: JSON indentado quando possível
+  static formatBody(body) {
+    if (body && typeof body === 'object') {
+      return { text: JSON.stringify(body, null, 2), language: 'json' };
+    }
+    const text = String(body);
+    try {
+      return { text: JSON.stringify(JSON.parse(text), null, 2), language: 'json' };
+    } catch (_) {
+      return { text, language: '' };
+    }
+  }
+
+  /**
+   * Acrescenta um parágrafo no fim do documento (ex.: linha do fingerprint, usada nas pesquisas JQL)
+   */
+  static appendParagraph(doc, text) {
+    return { ...doc, content: [...(doc.content || []), JiraAdfBuilder.paragraph(JiraAdfBuilder.text(text))] };
+  }
+
+  /**
+   * Texto simples para campos ADF curtos (ex.: campo de sistema "environment" na API v3)
+   */
+  static fromText(text) {
+    return JiraAdfBuilder.doc(JiraAdfBuilder.textBlocks(text));
+  }
+}
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JiraAdfBuilder;
+} else if (typeof window !== 'undefined') {
+  window.JiraAdfBuilder = JiraAdfBuilder;
+}
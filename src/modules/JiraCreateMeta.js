@@ -0,0 +1,172 @@
+/**
+ * BugSpotter Jira Create Meta
+ * Interpreta os metadados de criação ("createmeta") do projeto e tipo de issue configurados, para que o
+ * popup mostre os campos que o Jira pede (components, labels, fix versions, selects e user pickers
+ * personalizados) e o background os valide e converta no formato da API antes de criar o ticket.
+ * Sem pedidos de rede: o background obtém e guarda em cache a resposta do Jira.
+ */
+class JiraCreateMeta {
+  /**
+   * Campos de uma resposta createmeta. Aceita o endpoint atual
+   * (/issue/createmeta/{project}/issuetypes/{id}: { fields|values: [...] }) e o antigo
+   * (/issue/createmeta?expand=projects.issuetypes.fields: { projects: [{ issuetypes: [{ fields: {...} }] }] }).
+   * @param {Object} response
+   * @returns {Array<{ key: string, name: string, kind: string, required: boolean, hasDefaultValue: boolean, multiple: boolean, allowedValues: Array<{ id: string, name: string }> }>}
+   */
+  static parse(response = {}) {
+    let entries = [];
+    if (Array.isArray(response?.fields) || Array.isArray(response?.values)) {
+      entries = (response.fields || response.values).map(field => [field.fieldId || field.key, field]);
+    } else {
+      const fields = response?.projects?.[0]?.issuetypes?.[0]?.fields || response?.fields || {};
+      entries = Object.entries(fields).map(([key, field]) => [field.fieldId || field.key || key, field]);
+    }
+
+    return entries
+      .filter(([key, field]) => key && field && !JiraCreateMeta.MANAGED_FIELDS.includes(key))
+      .map(([key, field]) => {
+        const kind = JiraCreateMeta.kindOf(key, field.schema || {});
+        return {
+          key,
+          name: String(field.name || key),
+          kind,
+          required: Boolean(field.required),
+          hasDefaultValue: Boolean(field.hasDefaultValue),
+          multiple: ['components', 'versions', 'multiselect', 'labels'].includes(kind) || (kind === 'user' && field.schema?.type === 'array'),
+          allowedValues: (Array.isArray(field.allowedValues) ? field.allowedValues : [])
+            .filter(value => value && !value.archived && value.disabled !== true)
+            .map(value => ({ id: String(value.id ?? value.value ?? value.name), name: String(value.name || value.value || value.label || value.id) }))
+        };
+      })
+      // Obrigatórios primeiro, mantendo a ordem do Jira dentro de cada grupo
+      .sort((a, b) => Number(b.required) - Number(a.required));
+  }
+
+  /**
+   * Tipo de controlo a partir do schema do campo
+   * @returns {string} Um de JiraCreateMeta.KINDS
+   */
+  static kindOf(key, schema = {}) {
+    const custom = String(schema.custom || '');
+    const items = schema.items || '';
+    if (key === 'components' || schema.system === 'components') return 'components';
+    if (key === 'labels' || schema.system === 'labels' || custom.endsWith(':labels')) return 'labels';
+    if (['fixVersions', 'versions'].includes(key) || schema.type === 'version' || items === 'version') return 'versions';
+    if (schema.type === 'option' || schema.type === 'option-with-child') return 'select';
+    if (schema.type === 'array' && items === 'option') return 'multiselect';
+    if (schema.type === 'user' || (schema.type === 'array' && items === 'user')) return 'user';
+    if (schema.type === 'number') return 'number';
+    if (schema.type === 'date') return 'date';
+    if (schema.type === 'datetime') return 'datetime';
+    if (schema.type === 'string') {
+      return custom.endsWith(':textarea') || schema.system === 'environment' ? 'textarea' : 'text';
+    }
+    return 'unsupported';
+  }
+
+  static isEmpty(value) {
+    if (Array.isArray(value)) return value.filter(item => String(item ?? '').trim() !== '').length === 0;
+    return value === undefined || value === null || String(value).trim() === '';
+  }
+
+  /**
+   * @param {Array<Object>} fields - Resultado de parse()
+   * @param {Object<string, *>} values - Valores do formulário por chave do campo
+   * @param {Object} [options]
+   * @param {Array<string>} [options.providedKeys] - Campos já preenchidos por outra via (ex.: regras de ambiente)
+   * @returns {Array<string>} Erros
+   */
+  static validate(fields, values = {}, { providedKeys = [] } = {}) {
+    const errors = [];
+    (fields || []).forEach(field => {
+      const value = values[field.key];
+      if (JiraCreateMeta.isEmpty(value)) {
+        if (field.required && !field.hasDefaultValue && !providedKeys.includes(field.key)) {
+          errors.push(field.kind === 'unsupported'
+            ? `${field.name} is required by Jira but cannot be filled in BugSpotter (${field.key})`
+            : `${field.name} is required`);
+        }
+        return;
+      }
+      if (field.kind === 'number' && !Number.isFinite(Number(value))) {
+        errors.push(`${field.name} must be a number`);
+      }
+      if (['select', 'multiselect', 'components', 'versions'].includes(field.kind) && field.allowedValues.length > 0) {
+        const ids = field.allowedValues.map(option => option.id);
+        const invalid = [].concat(value).filter(item => !ids.includes(String(item)));
+        if (invalid.length > 0) errors.push(`${field.name}: unknown option "${invalid[0]}"`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Converte os valores do formulário no formato esperado pela API de criação de issues
+   * @param {Array<Object>} fields - Resultado de parse()
+   * @param {Object<string, *>} values
+   * @param {Object} [options]
+   * @param {Function} [options.toRichText] - Conversão dos campos de texto longo (ADF na API v3)
+   * @returns {Object} { [fieldKey]: valor Jira }
+   */
+  static toIssueFields(fields, values = {}, { toRichText = null } = {}) {
+    const result = {};
+    (fields || []).forEach(field => {
+      const value = values[field.key];
+      if (JiraCreateMeta.isEmpty(value) || field.kind === 'unsupported') return;
+      const list = [].concat(value).map(item => String(item).trim()).filter(Boolean);
+
+      switch (field.kind) {
+        case 'components':
+        case 'versions':
+        case 'multiselect':
+          result[field.key] = list.map(id => ({ id }));
+          break;
+        case 'select':
+          result[field.key] = { id: list[0] };
+          break;
+        case 'labels':
+          // Labels do Jira não aceitam espaços
+          result[field.key] = [...new Set(list.flatMap(item => item.split(',')).map(item => item.trim().replace(/\s+/g, '-')).filter(Boolean))];
+          break;
+        case 'user':
+          result[field.key] = field.multiple ? list.map(accountId => ({ accountId })) : { accountId: list[0] };
+          break;
+        case 'number':
+          result[field.key] = Number(value);
+          break;
+        case 'datetime':
+          // "2024-05-01T10:00" (datetime-local) → "2024-05-01T10:00:00.000+0000"
+          result[field.key] = new Date(value).toISOString().replace('Z', '+0000');
+          break;
+        case 'textarea':
+          result[field.key] = toRichText ? toRichText(String(value)) : String(value);
+          break;
+        default:
+          result[field.key] = String(value).trim();
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Chave de cache por instância, projeto e tipo de issue
+   */
+  static cacheKey({ baseUrl = '', projectKey = '', issueTypeId = '' } = {}) {
+    return `${String(baseUrl).replace(/\/+$/, '')}|${projectKey}|${issueTypeId}`;
+  }
+}
+
+// Preenchidos pelo próprio BugSpotter (título, descrição, anexos, prioridade) ou pelo Jira
+JiraCreateMeta.MANAGED_FIELDS = ['project', 'issuetype', 'summary', 'description', 'priority', 'reporter', 'attachment', 'issuelinks', 'parent'];
+
+JiraCreateMeta.KINDS = ['components', 'labels', 'versions', 'select', 'multiselect', 'user', 'text', 'textarea', 'number', 'date', 'datetime', 'unsupported'];
+
+// Os campos de um projeto raramente mudam; o popup permite forçar a atualização
+JiraCreateMeta.CACHE_TTL = 6 * 60 * 60 * 1000;
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JiraCreateMeta;
+} else if (typeof window !== 'undefined') {
+  window.JiraCreateMeta = JiraCreateMeta;
+}
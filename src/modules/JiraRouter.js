@@ -0,0 +1,159 @@
+/**
+ * BugSpotter Jira Router
+ * Escolhe o projeto, o tipo de issue, os components, as labels e o responsável de cada relatório a partir
+ * de regras configuradas nas definições (settings.jira.routing), em vez de um único projeto para todos os produtos.
+ * As regras são avaliadas por ordem e a primeira que corresponde decide; as condições vazias aceitam qualquer valor.
+ * Sem regra aplicável, seguem o projeto e o tipo de issue das definições do Jira.
+ */
+class JiraRouter {
+  /**
+   * @param {Object} [config] - { rules: Array<{ id, name, enabled, urlPattern, environments, severities, categories, projectKey, issueTypeId, components, labels, assigneeAccountId }> }
+   */
+  constructor(config = {}) {
+    this.rules = JiraRouter.normalizeConfig(config).rules
+      .map(rule => {
+        try {
+          return { ...rule, regex: rule.urlPattern ? new RegExp(rule.urlPattern, 'i') : null };
+        } catch (_) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * @param {Object} report
+   * @param {string} [report.url] - URL da página (ou do pedido que falhou)
+   * @param {string} [report.environment]
+   * @param {string} [report.severity] - Severidade do relatório AI ou prioridade do relatório manual
+   * @param {string|Array<string>} [report.category] - Categoria do erro (ver categoriesOf)
+   * @param {Object} [defaults] - { projectKey, issueTypeId } das definições do Jira
+   * @returns {{ projectKey: string, issueTypeId: string, components: Array<string>, labels: Array<string>, assigneeAccountId: string, ruleId: string|null, ruleName: string, evaluations: Array<{ ruleId: string, name: string, matched: boolean, reasons: Array<string> }> }}
+   */
+  route({ url = '', environment = '', severity = '', category = [] } = {}, defaults = {}) {
+    const categories = [].concat(category).filter(Boolean).map(value => String(value).toLowerCase());
+    const evaluations = [];
+    let selected = null;
+
+    for (const rule of this.rules) {
+      if (!rule.enabled) {
+        evaluations.push({ ruleId: rule.id, name: rule.name, matched: false, reasons: ['disabled'] });
+        continue;
+      }
+      if (selected) {
+        evaluations.push({ ruleId: rule.id, name: rule.name, matched: false, reasons: ['not evaluated (an earlier rule matched)'] });
+        continue;
+      }
+      const reasons = [];
+      if (rule.regex && !rule.regex.test(String(url || ''))) {
+        reasons.push(`URL does not match /${rule.urlPattern}/`);
+      }
+      if (rule.environments.length && !JiraRouter.includes(rule.environments, environment)) {
+        reasons.push(`environment "${environment || '(none)'}" is not ${rule.environments.join(' or ')}`);
+      }
+      if (rule.severities.length && !JiraRouter.includes(rule.severities, severity)) {
+        reasons.push(`severity "${severity || '(none)'}" is not ${rule.severities.join(' or ')}`);
+      }
+      if (rule.categories.length && !rule.categories.some(value => categories.includes(value.toLowerCase()))) {
+        reasons.push(`category "${categories.join(', ') || '(none)'}" is not ${rule.categories.join(' or ')}`);
+      }
+      evaluations.push({ ruleId: rule.id, name: rule.name, matched: reasons.length === 0, reasons });
+      if (reasons.length === 0) selected = rule;
+    }
+
+    return {
+      projectKey: selected?.projectKey || String(defaults.projectKey || ''),
+      issueTypeId: selected?.issueTypeId || String(defaults.issueTypeId || ''),
+      components: selected ? [...selected.components] : [],
+      labels: selected ? [...selected.labels] : [],
+      assigneeAccountId: selected?.assigneeAccountId || '',
+      ruleId: selected ? selected.id : null,
+      ruleName: selected ? selected.name : '',
+      evaluations
+    };
+  }
+
+  static includes(list, value) {
+    const needle = String(value || '').trim().toLowerCase();
+    return Boolean(needle) && list.some(item => item.toLowerCase() === needle);
+  }
+
+  /**
+   * Categorias de um relatório para as condições das regras: a categoria da AI (ex.: "TypeError",
+   * "Server Error"), o tipo de erro (ex.: "JavaScript Error") e "Manual" para relatórios do formulário
+   * @param {Object} bugData
+   * @returns {Array<string>}
+   */
+  static categoriesOf(bugData = {}) {
+    const categories = [bugData.category, bugData.errorType].filter(Boolean).map(String);
+    if (!bugData.isAIReport && !bugData.originalError) categories.push('Manual');
+    return [...new Set(categories)];
+  }
+
+  // "a, b" ou ["a", "b"] → ["a", "b"]
+  static list(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(items.map(item => String(item || '').trim()).filter(Boolean))];
+  }
+
+  /**
+   * Valida e normaliza a configuração guardada em settings.jira.routing
+   */
+  static normalizeConfig(config = {}) {
+    const source = config && typeof config === 'object' ? config : {};
+    return {
+      rules: (Array.isArray(source.rules) ? source.rules : [])
+        .filter(rule => rule && typeof rule === 'object')
+        .map((rule, index) => ({
+          id: String(rule.id || `route-${index + 1}`),
+          name: String(rule.name || '').trim() || `Rule ${index + 1}`,
+          enabled: rule.enabled !== false,
+          urlPattern: String(rule.urlPattern || '').trim(),
+          environments: JiraRouter.list(rule.environments),
+          severities: JiraRouter.list(rule.severities),
+          categories: JiraRouter.list(rule.categories),
+          projectKey: String(rule.projectKey || '').trim().toUpperCase(),
+          issueTypeId: String(rule.issueTypeId || '').trim(),
+          components: JiraRouter.list(rule.components),
+          // Labels do Jira não aceitam espaços
+          labels: JiraRouter.list(rule.labels).map(label => label.replace(/\s+/g, '-')),
+          assigneeAccountId: String(rule.assigneeAccountId || '').trim()
+        }))
+    };
+  }
+
+  /**
+   * @returns {Array<string>} Erros da configuração (regex inválidas, chaves de projeto, regras sem efeito)
+   */
+  static validateConfig(config = {}) {
+    const errors = [];
+    (Array.isArray(config.rules) ? config.rules : []).forEach((rule, index) => {
+      const label = `Rule ${index + 1}`;
+      try {
+        new RegExp(rule.urlPattern || '', 'i');
+      } catch (error) {
+        errors.push(`${label}: invalid URL pattern (${error.message})`);
+      }
+      const projectKey = String(rule.projectKey || '').trim();
+      if (projectKey && !/^[A-Za-z][A-Za-z0-9_]*$/.test(projectKey)) {
+        errors.push(`${label}: invalid project key "${projectKey}"`);
+      }
+      const issueTypeId = String(rule.issueTypeId || '').trim();
+      if (issueTypeId && !/^\d+$/.test(issueTypeId)) {
+        errors.push(`${label}: issue type must be a numeric id`);
+      }
+      const actions = [projectKey, issueTypeId, String(rule.assigneeAccountId || '').trim(), ...JiraRouter.list(rule.components), ...JiraRouter.list(rule.labels)];
+      if (!actions.some(Boolean)) {
+        errors.push(`${label}: set a project, issue type, components, labels or assignee`);
+      }
+    });
+    return errors;
+  }
+}
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = JiraRouter;
+} else if (typeof window !== 'undefined') {
+  window.JiraRouter = JiraRouter;
+}
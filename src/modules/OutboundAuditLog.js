@@ -0,0 +1,99 @@
+/**
+ * BugSpotter Outbound Audit Log
+ * Regista cada envio para fora do browser (prompts de AI, tickets do Jira/EasyVista, anexos, exportações)
+ * com o hash SHA-256 do conteúdo exato enviado e o número de substituições de cada regra de redação,
+ * para provar o que saiu sem guardar uma segunda cópia dos dados.
+ */
+class OutboundAuditLog {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey='outbound_audit'] - Entradas em chrome.storage.local
+   * @param {number} [options.maxEntries=500]
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'outbound_audit';
+    this.maxEntries = options.maxEntries || 500;
+    // Serializa escritas: o ticket e os anexos são registados quase ao mesmo tempo
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * @param {Object} entry
+   * @param {string} entry.destination - 'ai' | 'jira' | 'easyvista' | 'export'
+   * @param {string} [entry.target] - Provider, chave do issue ou nome do ficheiro
+   * @param {*} entry.payload - Conteúdo enviado (texto ou objeto serializado em JSON)
+   * @param {Array} [entry.changes] - Alterações devolvidas pelo RedactionEngine
+   * @param {Array<{ name: string, data: string }>} [entry.attachments] - Anexos enviados com o payload
+   * @returns {Promise<Object>} Entrada guardada
+   */
+  async record({ destination, target = '', payload, changes = [], attachments = [] }) {
+    const text = OutboundAuditLog.serialize(payload);
+    const record = {
+      id: `out-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      at: new Date().toISOString(),
+      destination,
+      target: String(target || ''),
+      sha256: await OutboundAuditLog.digest(text),
+      size: text.length,
+      redactions: OutboundAuditLog.countByRule(changes),
+      attachments: []
+    };
+    for (const attachment of attachments) {
+      const data = OutboundAuditLog.serialize(attachment && attachment.data);
+      record.attachments.push({ name: attachment?.name || 'attachment', sha256: await OutboundAuditLog.digest(data), size: data.length });
+    }
+
+    const run = this._queue.then(async () => {
+      const entries = await this.list();
+      entries.push(record);
+      await chrome.storage.local.set({ [this.storageKey]: entries.slice(-this.maxEntries) });
+      return record;
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async list() {
+    const data = await chrome.storage.local.get(this.storageKey);
+    return Array.isArray(data[this.storageKey]) ? data[this.storageKey] : [];
+  }
+
+  async clear() {
+    await chrome.storage.local.remove(this.storageKey);
+  }
+
+  /**
+   * Confirma que um conteúdo corresponde ao que foi registado (ex.: descrição copiada do ticket)
+   * @param {Object} entry - Entrada de list()
+   * @param {*} payload
+   * @returns {Promise<boolean>}
+   */
+  async verify(entry, payload) {
+    return Boolean(entry && entry.sha256) && entry.sha256 === await OutboundAuditLog.digest(OutboundAuditLog.serialize(payload));
+  }
+
+  static serialize(payload) {
+    if (payload === null || payload === undefined) return '';
+    return typeof payload === 'string' ? payload : JSON.stringify(payload);
+  }
+
+  static countByRule(changes = []) {
+    return (Array.isArray(changes) ? changes : []).reduce((counts, change) => {
+      counts[change.rule] = (counts[change.rule] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  static async digest(text) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+    const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OutboundAuditLog;
+} else if (typeof window !== 'undefined') {
+  window.OutboundAuditLog = OutboundAuditLog;
+}
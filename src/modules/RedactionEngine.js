@@ -0,0 +1,482 @@
+/**
+ * BugSpotter Redaction Engine
+ * Motor único de redação para tudo o que sai do browser: prompts de AI, descrições do Jira/EasyVista,
+ * anexos de texto (logs, detalhes de rede, HAR) e exportações.
+ * Regras embutidas (segredos em todos os destinos, dados pessoais só nos prompts de AI) mais as regras
+ * do utilizador: expressões regulares, caminhos JSON, nomes de headers e parâmetros de query.
+ * Com `trace`, cada substituição fica registada ({ path, rule, before, after }) para a pré-visualização.
+ */
+class RedactionEngine {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.rules] - Regras do utilizador ({ id, type, pattern, flags, replacement, enabled })
+   * @param {Array<string>} [options.disabledBuiltins] - Ids de regras embutidas desligadas
+   * @param {string} [options.scope='ai'] - Destino: 'ai' | 'jira' | 'attachments' | 'exports'
+   */
+  constructor(options = {}) {
+    const config = RedactionEngine.normalizeConfig(options);
+    this.rules = config.rules;
+    this.disabledBuiltins = config.disabledBuiltins;
+    this.scope = RedactionEngine.SCOPES.includes(options.scope) ? options.scope : 'ai';
+
+    const active = rule => !this.disabledBuiltins.includes(rule.id) && (!rule.scopes || rule.scopes.includes(this.scope));
+    const builtins = RedactionEngine.BUILTIN_RULES.filter(active);
+    const userRules = this.rules.filter(rule => rule.enabled);
+
+    this.textRules = builtins.filter(rule => rule.type === 'text')
+      .concat(userRules.filter(rule => rule.type === 'regex').map(rule => RedactionEngine.compileRegexRule(rule)).filter(Boolean));
+    this.keyRules = builtins.filter(rule => rule.type === 'key');
+    this.headerRules = builtins.filter(rule => rule.type === 'header');
+    this.urlRules = builtins.filter(rule => rule.type === 'url');
+    this.jsonPathRules = userRules.filter(rule => rule.type === 'jsonPath')
+      .map(rule => ({ ...rule, segments: RedactionEngine.parseJsonPath(rule.pattern) }))
+      .filter(rule => rule.segments.length > 0);
+    this.userHeaders = userRules.filter(rule => rule.type === 'header');
+    this.userParams = userRules.filter(rule => rule.type === 'queryParam');
+  }
+
+  /**
+   * Mesmo conjunto de regras para outro destino
+   */
+  forScope(scope) {
+    return new RedactionEngine({ rules: this.rules, disabledBuiltins: this.disabledBuiltins, scope });
+  }
+
+  /**
+   * Redige texto livre (padrões embutidos, regex do utilizador e parâmetros de query configurados)
+   * @param {*} value - Texto (outros valores são serializados em JSON)
+   * @param {Object} [options] - { trace: Array, path: string }
+   * @returns {string}
+   */
+  redactText(value, { trace = null, path = '$' } = {}) {
+    try {
+      if (value === null || value === undefined) return '';
+      let text = typeof value === 'string' ? value : JSON.stringify(value);
+
+      this.textRules.forEach(rule => {
+        text = text.replace(rule.regex, (...args) => {
+          const result = rule.replace(...args);
+          if (trace && result !== args[0]) trace.push({ path, rule: rule.id, before: args[0], after: result });
+          return result;
+        });
+      });
+
+      // Parâmetros de query do utilizador também dentro de URLs escritos no texto
+      this.userParams.forEach(rule => {
+        text = text.replace(RedactionEngine.queryParamRegex(rule.pattern), (match, prefix, paramValue) => {
+          if (!paramValue || paramValue === RedactionEngine.MASK) return match;
+          if (trace) trace.push({ path, rule: rule.id, before: match.slice(1), after: `${prefix.slice(1)}${RedactionEngine.MASK}` });
+          return `${prefix}${RedactionEngine.MASK}`;
+        });
+      });
+      return text;
+    } catch (_) {
+      return '';
+    }
+  }
+
+  /**
+   * Regra embutida que considera a chave sensível (null se não for)
+   */
+  sensitiveKeyRule(key) {
+    const name = String(key || '').toLowerCase();
+    return this.keyRules.find(rule => rule.test(name)) || null;
+  }
+
+  isSensitiveKey(key) {
+    return Boolean(this.sensitiveKeyRule(key));
+  }
+
+  /**
+   * Redige um objeto em profundidade: chaves sensíveis e caminhos JSON configurados ficam [REDACTED],
+   * strings passam por redactText
+   * @param {*} value
+   * @param {Object} [options]
+   * @param {Array} [options.trace]
+   * @param {string} [options.path='$']
+   * @param {number} [options.maxDepth=20] - Abaixo disto o valor passa a '[TRUNCATED]'
+   * @param {number} [options.maxArrayItems] - Itens mantidos por array (prompts de AI)
+   * @param {number} [options.maxKeys] - Chaves mantidas por objeto (prompts de AI)
+   * @returns {*} Cópia redigida
+   */
+  redactObject(value, options = {}) {
+    const settings = { trace: null, path: '$', maxDepth: 20, maxArrayItems: Infinity, maxKeys: Infinity, ...options };
+    try {
+      return this._walk(value, settings.path, 0, settings);
+    } catch (_) {
+      return RedactionEngine.MASK;
+    }
+  }
+
+  _walk(value, path, depth, settings) {
+    if (value === null || value === undefined) return value;
+    if (depth > settings.maxDepth) return '[TRUNCATED]';
+    if (typeof value === 'string') return this.redactText(value, { trace: settings.trace, path });
+    if (typeof value === 'number' || typeof value === 'boolean') return value;
+    if (Array.isArray(value)) {
+      return value.slice(0, settings.maxArrayItems).map((item, index) => this._walk(item, `${path}[${index}]`, depth + 1, settings));
+    }
+    if (typeof value === 'object') {
+      const out = {};
+      Object.entries(value).slice(0, settings.maxKeys).forEach(([key, item]) => {
+        const childPath = RedactionEngine.childPath(path, key);
+        const rule = this.matchJsonPath(childPath) || this.sensitiveKeyRule(key);
+        if (rule) {
+          out[key] = RedactionEngine.MASK;
+          if (settings.trace && item !== RedactionEngine.MASK) {
+            settings.trace.push({ path: childPath, rule: rule.id, before: RedactionEngine.shorten(item), after: RedactionEngine.MASK });
+          }
+        } else {
+          out[key] = this._walk(item, childPath, depth + 1, settings);
+        }
+      });
+      return out;
+    }
+    return String(value);
+  }
+
+  /**
+   * Regra de caminho JSON do utilizador que corresponde ao caminho (ex.: "$.user.email", "$..password", "$.items[*].card")
+   */
+  matchJsonPath(path) {
+    if (this.jsonPathRules.length === 0) return null;
+    const segments = RedactionEngine.parseJsonPath(path);
+    return this.jsonPathRules.find(rule => RedactionEngine.matchSegments(rule.segments, segments)) || null;
+  }
+
+  /**
+   * Redige os parâmetros de query de um URL
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {number} [options.maxValueLength] - Corta os restantes valores (prompts de AI)
+   * @param {boolean} [options.stripHash=false]
+   * @param {Array} [options.trace]
+   * @param {string} [options.path='$']
+   * @returns {string}
+   */
+  redactUrl(url, { maxValueLength = null, stripHash = false, trace = null, path = '$' } = {}) {
+    try {
+      if (!url || typeof url !== 'string') return url || '';
+      const parsed = new URL(url);
+      const params = new URLSearchParams(parsed.search);
+      const redacted = new URLSearchParams();
+      for (const [key, value] of params.entries()) {
+        const rule = this.userParams.find(candidate => candidate.pattern.toLowerCase() === key.toLowerCase())
+          || this.sensitiveKeyRule(key)
+          || this.urlRules.find(candidate => candidate.test(value));
+        if (rule) {
+          redacted.set(key, RedactionEngine.MASK);
+          if (trace && value !== RedactionEngine.MASK) trace.push({ path, rule: rule.id, before: `${key}=${value}`, after: `${key}=${RedactionEngine.MASK}` });
+          continue;
+        }
+        redacted.set(key, maxValueLength ? value.slice(0, maxValueLength) : value);
+      }
+      if (params.toString() !== redacted.toString()) {
+        parsed.search = redacted.toString() ? `?${redacted.toString()}` : '';
+      }
+      if (stripHash) parsed.hash = '';
+      return parsed.toString();
+    } catch (_) {
+      return url || '';
+    }
+  }
+
+  /**
+   * Mascara headers sensíveis (embutidos e nomes configurados)
+   * @param {Object} headers
+   * @param {Object} [options] - { trace, path }
+   * @returns {Object}
+   */
+  redactHeaders(headers, { trace = null, path = '$.headers' } = {}) {
+    const redacted = { ...(headers || {}) };
+    Object.keys(redacted).forEach(name => {
+      const lower = name.toLowerCase();
+      const rule = this.headerRules.find(candidate => candidate.test(lower))
+        || this.userHeaders.find(candidate => candidate.pattern.toLowerCase() === lower);
+      if (rule && redacted[name] !== RedactionEngine.MASK) {
+        if (trace) trace.push({ path: RedactionEngine.childPath(path, name), rule: rule.id, before: RedactionEngine.shorten(redacted[name]), after: RedactionEngine.MASK });
+        redacted[name] = RedactionEngine.MASK;
+      }
+    });
+    return redacted;
+  }
+
+  /**
+   * Corpo de pedido/resposta ou anexo de texto: JSON é redigido por chave/caminho (mantendo o texto original
+   * se nada mudar), o resto como texto livre
+   * @param {string} text
+   * @param {Object} [options] - { trace, path }
+   * @returns {string}
+   */
+  redactBody(text, { trace = null, path = '$' } = {}) {
+    if (typeof text !== 'string' || text === '') return text;
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      let parsed;
+      try {
+        parsed = JSON.parse(trimmed);
+      } catch (_) {
+        parsed = undefined;
+      }
+      if (parsed !== undefined) {
+        const changes = [];
+        const redacted = this.redactObject(parsed, { trace: changes, path });
+        if (trace) trace.push(...changes);
+        if (changes.length === 0) return text;
+        return JSON.stringify(redacted, null, /\n\s/.test(trimmed) ? 2 : 0);
+      }
+    }
+    return this.redactText(text, { trace, path });
+  }
+
+  /**
+   * Anexo comprimido (ex.: artefacto de replay .json.gz com storage, consola e valores de inputs):
+   * descomprime, redige o conteúdo com redactBody e volta a comprimir
+   * @param {string} dataUrl - data:application/gzip;base64,...
+   * @param {Object} codec - { gunzip(dataUrl) → Promise<string>, gzip(text) → Promise<string|null> }
+   * @param {Object} [options] - { trace, path }
+   * @returns {Promise<{ data: string|null, text: string }>} data URL final (null se não for possível voltar
+   * a comprimir) e o texto redigido
+   */
+  async redactGzipDataUrl(dataUrl, codec, { trace = null, path = '$' } = {}) {
+    const text = await codec.gunzip(dataUrl);
+    const redacted = this.redactBody(text, { trace, path });
+    if (redacted === text) return { data: dataUrl, text };
+    return { data: await codec.gzip(redacted), text: redacted };
+  }
+
+  /**
+   * Aplica as regras e devolve o payload final com a lista de alterações (pré-visualização e auditoria)
+   * @param {*} payload - Texto ou objeto
+   * @returns {{ payload: *, changes: Array<{ path: string, rule: string, before: string, after: string }> }}
+   */
+  preview(payload) {
+    const changes = [];
+    const redacted = typeof payload === 'string'
+      ? this.redactText(payload, { trace: changes })
+      : this.redactObject(payload, { trace: changes });
+    return { payload: redacted, changes };
+  }
+
+  /**
+   * Valida e normaliza a configuração guardada ({ rules, disabledBuiltins, previewBeforeSend })
+   */
+  static normalizeConfig(config = {}) {
+    const source = config && typeof config === 'object' ? config : {};
+    const builtinIds = RedactionEngine.BUILTIN_RULES.map(rule => rule.id);
+    return {
+      rules: (Array.isArray(source.rules) ? source.rules : [])
+        .filter(rule => rule && RedactionEngine.RULE_TYPES.includes(rule.type) && String(rule.pattern || '').trim())
+        .map((rule, index) => ({
+          id: String(rule.id || `rule-${index + 1}`),
+          type: rule.type,
+          pattern: String(rule.pattern).trim(),
+          flags: rule.type === 'regex' ? String(rule.flags || '').replace(/[^imsu]/g, '') : '',
+          replacement: typeof rule.replacement === 'string' && rule.replacement !== '' ? rule.replacement : RedactionEngine.MASK,
+          enabled: rule.enabled !== false
+        })),
+      disabledBuiltins: (Array.isArray(source.disabledBuiltins) ? source.disabledBuiltins : []).filter(id => builtinIds.includes(id)),
+      previewBeforeSend: source.previewBeforeSend === true
+    };
+  }
+
+  /**
+   * Erros de uma configuração (regex inválidas, caminhos JSON que não se conseguem interpretar)
+   * @returns {Array<string>}
+   */
+  static validateConfig(config = {}) {
+    const errors = [];
+    (Array.isArray(config.rules) ? config.rules : []).forEach((rule, index) => {
+      const label = `Rule ${index + 1} (${rule.type})`;
+      if (!RedactionEngine.RULE_TYPES.includes(rule.type)) {
+        errors.push(`${label}: unknown type`);
+      } else if (!String(rule.pattern || '').trim()) {
+        errors.push(`${label}: pattern is empty`);
+      } else if (rule.type === 'regex') {
+        try {
+          new RegExp(rule.pattern, String(rule.flags || '').replace(/[^imsu]/g, ''));
+        } catch (error) {
+          errors.push(`${label}: invalid regular expression (${error.message})`);
+        }
+      } else if (rule.type === 'jsonPath' && RedactionEngine.parseJsonPath(rule.pattern).length === 0) {
+        errors.push(`${label}: invalid JSON path "${rule.pattern}"`);
+      }
+    });
+    return errors;
+  }
+
+  static compileRegexRule(rule) {
+    try {
+      const regex = new RegExp(rule.pattern, `${rule.flags}g`);
+      const single = new RegExp(rule.pattern, rule.flags);
+      // Substituição com $1, $<nome>, ... aplicada só ao trecho encontrado
+      return { id: rule.id, regex, replace: match => match.replace(single, rule.replacement) };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  static queryParamRegex(name) {
+    const escaped = String(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`([?&]${escaped}=)([^&#\\s"'<>]*)`, 'gi');
+  }
+
+  /**
+   * "$.a.b", "a.b", "$.items[*].card", "$..password" -> segmentos ('*' qualquer chave, '**' qualquer profundidade)
+   */
+  static parseJsonPath(path) {
+    const text = String(path || '').trim().replace(/^\$/, '');
+    if (!text) return [];
+    const segments = [];
+    // Nome sem ponto no início ou logo a seguir a ".." ("$..password")
+    const pattern = /\.\.|\.([^.[\]]+)|\[(\*|\d+|'[^']*'|"[^"]*")\]|(?:^|(?<=\.\.))([^.[\]]+)/g;
+    let consumed = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index !== consumed) return [];
+      consumed = pattern.lastIndex;
+      if (match[0] === '..') segments.push('**');
+      else if (match[1] !== undefined) segments.push(match[1]);
+      else if (match[2] !== undefined) segments.push(match[2].replace(/^['"]|['"]$/g, ''));
+      else segments.push(match[3]);
+    }
+    if (consumed !== text.length || segments[segments.length - 1] === '**') return [];
+    return segments;
+  }
+
+  static matchSegments(pattern, segments) {
+    if (pattern.length === 0) return segments.length === 0;
+    const [head, ...rest] = pattern;
+    if (head === '**') {
+      for (let index = 0; index < segments.length; index++) {
+        if (RedactionEngine.matchSegments(rest, segments.slice(index))) return true;
+      }
+      return false;
+    }
+    if (segments.length === 0) return false;
+    const matches = head === '*' || head.toLowerCase() === String(segments[0]).toLowerCase();
+    return matches && RedactionEngine.matchSegments(rest, segments.slice(1));
+  }
+
+  static childPath(path, key) {
+    return /^[A-Za-z_$][\w$-]*$/.test(key) ? `${path}.${key}` : `${path}['${String(key).replace(/'/g, "\\'")}']`;
+  }
+
+  // Valor curto para a pré-visualização
+  static shorten(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text && text.length > 120 ? `${text.slice(0, 117)}...` : String(text);
+  }
+
+  static maskCard(match) {
+    const digits = match.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19 || !RedactionEngine.isCardShaped(match.trim()) || !RedactionEngine.passesLuhn(digits)) return match;
+    return `**** **** **** ${digits.slice(-4)}`;
+  }
+
+  /**
+   * Só o Luhn deixaria passar ~1 em cada 10 números de 13–19 dígitos (timestamps em ms, IDs de encomenda):
+   * exige grupos separados (4-4-4-4, 4-6-5) ou, sem separadores, o prefixo de uma rede de cartões
+   */
+  static isCardShaped(value) {
+    if (/^\d{4}(?:[ -]\d{4}){2}[ -]\d{1,7}$|^\d{4}[ -]\d{6}[ -]\d{4,5}$/.test(value)) return true;
+    return /^\d+$/.test(value) && /^(?:4|5[1-5]|2(?:2[2-9]|[3-6]\d|7[01]|720)|3[47]|3(?:0[0-5]|[68])|35|6(?:011|5|4[4-9]))/.test(value);
+  }
+
+  // Números de cartão válidos passam o algoritmo de Luhn (condição necessária, não suficiente)
+  static passesLuhn(digits) {
+    let sum = 0;
+    for (let index = 0; index < digits.length; index++) {
+      let digit = Number(digits[digits.length - 1 - index]);
+      if (index % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+}
+
+RedactionEngine.MASK = '[REDACTED]';
+RedactionEngine.STORAGE_KEY = 'redaction_rules';
+RedactionEngine.SCOPES = ['ai', 'jira', 'attachments', 'exports'];
+RedactionEngine.RULE_TYPES = ['regex', 'jsonPath', 'header', 'queryParam'];
+
+// Regras embutidas, aplicadas por esta ordem. Sem `scopes` valem para todos os destinos;
+// e-mails, telefones, IDs longos e chaves de sessão só são removidos dos prompts de AI.
+RedactionEngine.BUILTIN_RULES = [
+  {
+    id: 'email', type: 'text', label: 'E-mail addresses', scopes: ['ai'],
+    regex: /([A-Z0-9._%+-])([A-Z0-9._%+-]*?)@([A-Z0-9.-]+\.[A-Z]{2,})/gi,
+    replace: (_, first, _mid, domain) => `${first}***@${domain}`
+  },
+  {
+    id: 'jwt', type: 'text', label: 'JSON Web Tokens',
+    regex: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g,
+    replace: match => `${match.slice(0, 8)}…${match.slice(-6)}`
+  },
+  {
+    id: 'api-key', type: 'text', label: 'API keys (sk-, rk-, pk_)',
+    regex: /\b(?:sk-|rk-|pk_)[A-Za-z0-9_\-]{10,}\b/g,
+    replace: match => `${match.slice(0, 6)}…${match.slice(-4)}`
+  },
+  {
+    id: 'hex-id', type: 'text', label: 'Long hexadecimal IDs', scopes: ['ai'],
+    regex: /\b[0-9a-f]{32,}\b/gi,
+    replace: match => `${match.slice(0, 6)}…${match.slice(-4)}`
+  },
+  {
+    id: 'auth-value', type: 'text', label: 'Authorization and cookie values',
+    // O esquema (Bearer, Basic, ...) fica visível; o valor é o token que se segue
+    regex: /(\b(?:authorization|cookie|set-cookie)\b\s*[:=]\s*(?:(?:Bearer|Basic|Digest|Token)\s+)?)([^\s,;]+)/gi,
+    replace: (_, key, value) => (value === RedactionEngine.MASK ? `${key}${value}` : `${key}${RedactionEngine.MASK}`)
+  },
+  {
+    id: 'bearer', type: 'text', label: 'Bearer tokens',
+    regex: /(\bBearer\s+)([A-Za-z0-9._\-]{10,})/g,
+    replace: (_, key) => `${key}${RedactionEngine.MASK}`
+  },
+  {
+    id: 'secret-value', type: 'text', label: 'password=, secret=, token= values',
+    regex: /(\b(?:password|passwd|pwd|passcode|secret|api[_-]?key|access[_-]?token|refresh[_-]?token|id[_-]?token|token)\b\s*[:=]\s*)([^\s,;]+)/gi,
+    replace: (_, key, value) => (value === RedactionEngine.MASK ? `${key}${value}` : `${key}${RedactionEngine.MASK}`)
+  },
+  {
+    id: 'phone', type: 'text', label: 'Phone numbers', scopes: ['ai'],
+    regex: /\b\d{3}[-.\s]?\d{3}[-.\s]?\d{4}\b/g,
+    replace: match => `${match.slice(0, 2)}…${match.slice(-2)}`
+  },
+  {
+    id: 'card', type: 'text', label: 'Payment card numbers',
+    regex: /\b(?:\d[ -]*?){13,19}\b/g,
+    replace: match => RedactionEngine.maskCard(match)
+  },
+  {
+    id: 'secret-keys', type: 'key', label: 'Password, token, secret, API key and cookie fields',
+    test: key => key === 'pwd' || ['password', 'passwd', 'token', 'secret', 'api_key', 'apikey', 'authorization', 'cookie'].some(part => key.includes(part))
+  },
+  {
+    id: 'session-keys', type: 'key', label: 'Session and e-mail fields', scopes: ['ai'],
+    test: key => key.includes('session') || key.includes('email')
+  },
+  {
+    id: 'token-params', type: 'url', label: 'Query values that look like tokens',
+    test: value => /eyJ[A-Za-z0-9_-]{10,}\./.test(value) || /^[0-9a-f]{32,}$/i.test(value)
+  },
+  {
+    id: 'long-params', type: 'url', label: 'Query values longer than 64 characters', scopes: ['ai'],
+    test: value => value.length > 64
+  },
+  {
+    id: 'auth-headers', type: 'header', label: 'Authorization, cookie and token headers',
+    test: name => name === 'authorization' || name === 'cookie' || name === 'set-cookie' || name.includes('token')
+  }
+];
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RedactionEngine;
+} else if (typeof window !== 'undefined') {
+  window.RedactionEngine = RedactionEngine;
+}
@@ -0,0 +1,171 @@
+/**
+ * BugSpotter Similarity Engine
+ * Deteção de quase-duplicados com MinHash sobre tokens normalizados (título, passos, erro e URL).
+ * Complementa o FingerprintManager, que só encontra correspondências exatas.
+ */
+class SimilarityEngine {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.numHashes=64] - Tamanho da assinatura MinHash
+   * @param {number} [options.threshold=0.3] - Similaridade mínima (0-1) para sugerir um duplicado
+   * @param {number} [options.maxTextLength=2000] - Texto considerado por campo (descrições longas diluem a semelhança)
+   */
+  constructor(options = {}) {
+    this.numHashes = options.numHashes || 64;
+    this.threshold = options.threshold ?? 0.3;
+    this.maxTextLength = options.maxTextLength || 2000;
+    this.seeds = Array.from({ length: this.numHashes }, (_, i) => SimilarityEngine.mix32(i + 0x9e3779b9));
+  }
+
+  /**
+   * Divide texto em tokens normalizados (sem IDs dinâmicos nem stopwords)
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  tokenize(text) {
+    return String(text || '')
+      .substring(0, this.maxTextLength)
+      .toLowerCase()
+      .replace(/bugspotter fingerprint:\s*[0-9a-f]+/g, ' ')
+      .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/g, ' uuid ')
+      .replace(/0x[0-9a-f]+/g, ' hex ')
+      // Números longos são IDs; códigos curtos (ex.: HTTP 500) são significativos
+      .replace(/\b\d{4,}\b/g, ' num ')
+      .split(/[^a-z0-9\u00c0-\u024f]+/)
+      .filter(token => token.length > 1 && !SimilarityEngine.STOPWORDS.has(token));
+  }
+
+  /**
+   * Constrói o conjunto de tokens de um relatório (local ou Jira)
+   * @param {Object} report - { title, description, steps, url, originalError }
+   * @returns {Set<string>}
+   */
+  buildTokenSet(report) {
+    const tokens = new Set();
+    const add = list => list.forEach(token => tokens.add(token));
+
+    // Título pesa mais: além das palavras, os bigramas capturam a ordem
+    const titleTokens = this.tokenize(report.title);
+    add(titleTokens);
+    for (let i = 0; i < titleTokens.length - 1; i++) {
+      tokens.add(`${titleTokens[i]}_${titleTokens[i + 1]}`);
+    }
+
+    const steps = Array.isArray(report.steps) ? report.steps.join('\n') : report.steps;
+    add(this.tokenize(steps));
+    add(this.tokenize(report.description));
+    add(this.tokenize(report.actualBehavior));
+
+    const error = report.originalError || {};
+    add(this.tokenize([error.status, error.method, error.message].filter(Boolean).join(' ')));
+
+    [report.url, error.url].filter(Boolean).forEach(url => {
+      try {
+        const parsed = new URL(url);
+        tokens.add(`host:${parsed.hostname}`);
+        add(this.tokenize(parsed.pathname));
+      } catch (_) {
+        add(this.tokenize(url));
+      }
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Assinatura MinHash de um conjunto de tokens
+   * @param {Set<string>|Array<string>} tokens
+   * @returns {Array<number>}
+   */
+  signature(tokens) {
+    const mins = new Array(this.numHashes).fill(0xffffffff);
+    for (const token of tokens) {
+      const base = SimilarityEngine.hash32(token);
+      for (let i = 0; i < this.numHashes; i++) {
+        const value = SimilarityEngine.mix32(base ^ this.seeds[i]);
+        if (value < mins[i]) mins[i] = value;
+      }
+    }
+    return mins;
+  }
+
+  /**
+   * Estimativa da semelhança de Jaccard entre duas assinaturas
+   * @returns {number} 0-1
+   */
+  compareSignatures(sigA, sigB) {
+    if (!sigA || !sigB || sigA.length !== sigB.length) return 0;
+    let equal = 0;
+    for (let i = 0; i < sigA.length; i++) {
+      if (sigA[i] === sigB[i] && sigA[i] !== 0xffffffff) equal++;
+    }
+    return equal / sigA.length;
+  }
+
+  /**
+   * Ordena os candidatos pela semelhança com o relatório
+   * @param {Object} report - Relatório a enviar
+   * @param {Array<Object>} candidates - Relatórios existentes (mesmo formato)
+   * @param {Object} [options] - { threshold, limit }
+   * @returns {Array<{ candidate: Object, score: number }>} Ordenado por score desc
+   */
+  rank(report, candidates, { threshold = this.threshold, limit = 5 } = {}) {
+    const target = this.signature(this.buildTokenSet(report));
+    return (candidates || [])
+      .map(candidate => ({
+        candidate,
+        score: Math.round(this.compareSignatures(target, this.signature(this.buildTokenSet(candidate))) * 100) / 100
+      }))
+      .filter(match => match.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Palavras mais distintivas do título, para pesquisar candidatos no Jira
+   * @param {Object} report
+   * @param {number} [count=5]
+   * @returns {Array<string>}
+   */
+  keywords(report, count = 5) {
+    return [...new Set(this.tokenize(report.title))]
+      .filter(token => token.length > 2 && !/^(uuid|hex|num)$/.test(token))
+      .sort((a, b) => b.length - a.length)
+      .slice(0, count);
+  }
+
+  // FNV-1a 32-bit
+  static hash32(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Finalizador do MurmurHash3: espalha os bits para cada permutação
+  static mix32(value) {
+    let h = value >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
+}
+
+SimilarityEngine.STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'when', 'then', 'that', 'this', 'from', 'into', 'are', 'was', 'were', 'not',
+  'is', 'in', 'on', 'of', 'to', 'at', 'an', 'or', 'by', 'it', 'be', 'as', 'no',
+  'de', 'da', 'do', 'em', 'um', 'uma', 'os', 'ao', 'na', 'que', 'com', 'para', 'por', 'se', 'nao',
+  'https', 'http', 'www', 'api'
+]);
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SimilarityEngine;
+} else if (typeof window !== 'undefined') {
+  window.SimilarityEngine = SimilarityEngine;
+}
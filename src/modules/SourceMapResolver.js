@@ -0,0 +1,431 @@
+/**
+ * BugSpotter Source Map Resolver
+ * Reescreve stack traces minificados (string V8/Firefox ou callFrames do CDP) para o
+ * ficheiro/linha/coluna originais usando source maps v3.
+ *
+ * Origem dos mapas, por ordem: mapas carregados nas definições, cache IndexedDB,
+ * `SourceMap` header ou comentário `//# sourceMappingURL` do script.
+ */
+class SourceMapResolver {
+  constructor(options = {}) {
+    this.dbManager = options.dbManager || null;
+    this.fetchFn = options.fetchFn || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+    this.storeName = options.storeName || 'cache';
+    this.cacheTtl = options.cacheTtl || 24 * 60 * 60 * 1000; // 24h
+    this.fetchTimeout = options.fetchTimeout || 5000;
+    this.maxFrames = options.maxFrames || 20;
+    this.maxScripts = options.maxScripts || 5; // Scripts distintos a descarregar por stack
+    this.excerptContext = options.excerptContext ?? 2;
+
+    // url do script -> { map, mapUrl } | null (null = sem source map, não voltar a tentar)
+    this.memoryCache = new Map();
+    this.decodedMappings = new WeakMap();
+  }
+
+  /**
+   * Resolve um stack trace
+   * @param {string|Array<Object>} input - Stack em texto ou callFrames do CDP (linhas/colunas 0-based)
+   * @param {Object} [options]
+   * @param {boolean} [options.fetchRemote=true] - Permite descarregar scripts/mapas
+   * @returns {Promise<{ frames: Array<Object>, text: string, resolvedCount: number }>}
+   */
+  async resolveStack(input, { fetchRemote = true } = {}) {
+    const parsed = Array.isArray(input) ? this.fromCallFrames(input) : this.parseStack(input);
+    const frames = parsed.frames.slice(0, this.maxFrames);
+
+    const scripts = [...new Set(frames.map(f => f.url).filter(u => /^https?:/i.test(u || '')))].slice(0, this.maxScripts);
+    const maps = new Map();
+    for (const url of scripts) {
+      maps.set(url, await this.getMapForScript(url, { fetchRemote }));
+    }
+
+    let resolvedCount = 0;
+    for (const frame of frames) {
+      const entry = maps.get(frame.url);
+      if (!entry) continue;
+      const original = this.originalPositionFor(entry.map, frame.line, frame.column);
+      if (!original) continue;
+      const { map, ...position } = original;
+      frame.original = {
+        ...position,
+        source: this.resolveSourcePath(map, original.sourceIndex, entry.mapUrl)
+      };
+      const excerpt = this.buildExcerpt(map, original.sourceIndex, original.line);
+      if (excerpt) frame.excerpt = excerpt;
+      resolvedCount++;
+    }
+
+    return {
+      frames,
+      text: this.formatStack(parsed.header, frames),
+      resolvedCount
+    };
+  }
+
+  /**
+   * Converte uma stack em texto (V8 "at fn (url:l:c)" ou Firefox "fn@url:l:c") em frames
+   * @param {string} stack
+   * @returns {{ header: Array<string>, frames: Array<Object> }}
+   */
+  parseStack(stack) {
+    const header = [];
+    const frames = [];
+    String(stack || '').split('\n').forEach(line => {
+      const v8 = line.match(/^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/);
+      const firefox = !v8 && line.match(/^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/);
+      const match = v8 || firefox;
+      if (!match) {
+        if (frames.length === 0 && line.trim()) header.push(line);
+        return;
+      }
+      frames.push({
+        functionName: match[1] || '',
+        url: match[2],
+        line: Number(match[3]),
+        column: Math.max(0, Number(match[4]) - 1), // Stacks em texto usam colunas 1-based
+        raw: line.trim()
+      });
+    });
+    return { header, frames };
+  }
+
+  /**
+   * Converte callFrames do CDP (Runtime.StackTrace) em frames
+   */
+  fromCallFrames(callFrames) {
+    return {
+      header: [],
+      frames: (callFrames || []).filter(Boolean).map(cf => ({
+        functionName: cf.functionName || '',
+        url: cf.url || '',
+        line: Number(cf.lineNumber || 0) + 1,
+        column: Number(cf.columnNumber || 0),
+        raw: `at ${cf.functionName || '<anonymous>'} (${cf.url}:${Number(cf.lineNumber || 0) + 1}:${Number(cf.columnNumber || 0) + 1})`
+      }))
+    };
+  }
+
+  /**
+   * Formata os frames no estilo V8, usando a posição original quando resolvida
+   */
+  formatStack(header, frames) {
+    const lines = [...(header || [])];
+    frames.forEach(frame => {
+      if (frame.original) {
+        const name = frame.original.name || frame.functionName;
+        const location = `${frame.original.source}:${frame.original.line}:${frame.original.column + 1}`;
+        lines.push(name ? `    at ${name} (${location})` : `    at ${location}`);
+      } else {
+        lines.push(`    ${frame.raw}`);
+      }
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Obtém o source map de um script (uploads > memória > IndexedDB > rede)
+   * @param {string} scriptUrl
+   * @param {Object} [options]
+   * @returns {Promise<{ map: Object, mapUrl: string }|null>}
+   */
+  async getMapForScript(scriptUrl, { fetchRemote = true } = {}) {
+    const uploaded = await this.findUploadedMap(scriptUrl);
+    if (uploaded) return { map: uploaded, mapUrl: '' };
+
+    if (this.memoryCache.has(scriptUrl)) return this.memoryCache.get(scriptUrl);
+
+    const cached = await this.readCache(`sourcemap:${scriptUrl}`);
+    if (cached && cached.map) {
+      this.memoryCache.set(scriptUrl, cached);
+      return cached;
+    }
+
+    if (!fetchRemote || !this.fetchFn) return null;
+
+    let entry = null;
+    try {
+      entry = await this.fetchMapForScript(scriptUrl);
+    } catch (error) {
+      console.warn(`[SourceMapResolver] Não foi possível obter source map de ${scriptUrl}:`, error.message);
+    }
+    this.memoryCache.set(scriptUrl, entry);
+    if (entry && this.dbManager) {
+      await this.dbManager.store(this.storeName, `sourcemap:${scriptUrl}`, entry, { type: 'sourcemap', ttl: this.cacheTtl })
+        .catch(() => {});
+    }
+    return entry;
+  }
+
+  async fetchMapForScript(scriptUrl) {
+    const response = await this.fetchWithTimeout(scriptUrl);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    let mapRef = response.headers && (response.headers.get('SourceMap') || response.headers.get('X-SourceMap'));
+    if (!mapRef) {
+      const source = await response.text();
+      const matches = [...source.matchAll(/\/\/[#@]\s*sourceMappingURL=([^\s'"]+)/g)];
+      mapRef = matches.length > 0 ? matches[matches.length - 1][1] : null;
+    }
+    if (!mapRef) return null;
+
+    if (mapRef.startsWith('data:')) {
+      return { map: SourceMapResolver.validateMap(SourceMapResolver.parseDataUrl(mapRef)), mapUrl: scriptUrl };
+    }
+
+    const mapUrl = new URL(mapRef, scriptUrl).href;
+    const mapResponse = await this.fetchWithTimeout(mapUrl);
+    if (!mapResponse.ok) throw new Error(`HTTP ${mapResponse.status} for ${mapUrl}`);
+    const map = SourceMapResolver.validateMap(JSON.parse(await mapResponse.text()));
+    return { map, mapUrl };
+  }
+
+  async fetchWithTimeout(url) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), this.fetchTimeout) : null;
+    try {
+      return await this.fetchFn(url, controller ? { signal: controller.signal } : undefined);
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  async readCache(key) {
+    if (!this.dbManager) return null;
+    try {
+      return await this.dbManager.retrieve(this.storeName, key);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Guarda um source map carregado manualmente (definições)
+   * @param {string} fileName - Nome do ficheiro .map
+   * @param {Object|string} mapData - Conteúdo JSON
+   * @returns {Promise<{ key: string, file: string, sources: number }>}
+   */
+  async storeUploadedMap(fileName, mapData) {
+    if (!this.dbManager) throw new Error('IndexedDB not available');
+    const map = SourceMapResolver.validateMap(typeof mapData === 'string' ? JSON.parse(mapData) : mapData);
+    const file = SourceMapResolver.basename(map.file || String(fileName).replace(/\.map$/i, ''));
+    const key = `sourcemap-upload:${file}`;
+    await this.dbManager.store(this.storeName, key, map, { type: 'sourcemap-upload', fileName });
+    return { key, file, sources: (map.sources || []).length };
+  }
+
+  async removeUploadedMap(file) {
+    if (!this.dbManager) return false;
+    return this.dbManager.remove(this.storeName, `sourcemap-upload:${file}`);
+  }
+
+  async listUploadedMaps() {
+    if (!this.dbManager) return [];
+    const keys = await this.dbManager.listKeys(this.storeName).catch(() => []);
+    return (keys || [])
+      .filter(key => String(key).startsWith('sourcemap-upload:'))
+      .map(key => String(key).slice('sourcemap-upload:'.length));
+  }
+
+  async findUploadedMap(scriptUrl) {
+    if (!this.dbManager) return null;
+    const file = SourceMapResolver.basename(scriptUrl);
+    if (!file) return null;
+    return this.readCache(`sourcemap-upload:${file}`);
+  }
+
+  /**
+   * Posição original para uma posição gerada
+   * @param {Object} map - Source map v3 (normal ou indexado com sections)
+   * @param {number} line - Linha gerada (1-based)
+   * @param {number} column - Coluna gerada (0-based)
+   * @returns {{ sourceIndex: number, line: number, column: number, name: string|null }|null}
+   */
+  originalPositionFor(map, line, column) {
+    if (!map) return null;
+
+    if (Array.isArray(map.sections)) {
+      let section = null;
+      for (const candidate of map.sections) {
+        const offset = candidate.offset || { line: 0, column: 0 };
+        if (offset.line < line - 1 || (offset.line === line - 1 && offset.column <= column)) {
+          section = candidate;
+        }
+      }
+      if (!section || !section.map) return null;
+      const offset = section.offset || { line: 0, column: 0 };
+      const innerLine = line - offset.line;
+      const innerColumn = offset.line === line - 1 ? column - offset.column : column;
+      // O resultado traz o mapa da secção (índices de fonte relativos a ele)
+      return this.originalPositionFor(section.map, innerLine, innerColumn);
+    }
+
+    const lines = this.getDecodedMappings(map);
+    const segments = lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    // Maior coluna gerada <= coluna pedida
+    let low = 0;
+    let high = segments.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (segments[mid][0] <= column) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    const segment = segments[found === -1 ? 0 : found];
+    if (segment.length < 4) return null;
+
+    return {
+      sourceIndex: segment[1],
+      line: segment[2] + 1,
+      column: segment[3],
+      name: segment.length >= 5 && map.names ? map.names[segment[4]] || null : null,
+      map
+    };
+  }
+
+  getDecodedMappings(map) {
+    let decoded = this.decodedMappings.get(map);
+    if (!decoded) {
+      decoded = SourceMapResolver.parseMappings(map.mappings || '');
+      this.decodedMappings.set(map, decoded);
+    }
+    return decoded;
+  }
+
+  resolveSourcePath(map, sourceIndex, mapUrl) {
+    const source = map && Array.isArray(map.sources) ? map.sources[sourceIndex] : null;
+    if (!source) return 'unknown';
+    const withRoot = map.sourceRoot ? `${map.sourceRoot.replace(/\/?$/, '/')}${source}` : source;
+    // Caminhos relativos resolvem contra o URL do mapa; esquemas como webpack:// ficam como estão
+    if (mapUrl && !/^[a-z][a-z0-9+.-]*:/i.test(withRoot)) {
+      try {
+        return new URL(withRoot, mapUrl).href;
+      } catch (_) {}
+    }
+    return withRoot;
+  }
+
+  /**
+   * Excerto do código original à volta da linha (requer sourcesContent)
+   */
+  buildExcerpt(map, sourceIndex, line) {
+    const content = map && Array.isArray(map.sourcesContent) ? map.sourcesContent[sourceIndex] : null;
+    if (typeof content !== 'string') return null;
+    const lines = content.split('\n');
+    const start = Math.max(1, line - this.excerptContext);
+    const end = Math.min(lines.length, line + this.excerptContext);
+    const width = String(end).length;
+    const excerpt = [];
+    for (let n = start; n <= end; n++) {
+      const code = (lines[n - 1] || '').replace(/\r$/, '');
+      const text = code.length > 200 ? code.slice(0, 200) + '…' : code;
+      excerpt.push(`${n === line ? '>' : ' '} ${String(n).padStart(width)} | ${text}`);
+    }
+    return excerpt.join('\n');
+  }
+
+  /**
+   * Descodifica o campo `mappings` em segmentos absolutos por linha:
+   * [colunaGerada, índiceFonte, linhaOriginal, colunaOriginal, índiceNome]
+   */
+  static parseMappings(mappings) {
+    const lines = [];
+    let source = 0;
+    let originalLine = 0;
+    let originalColumn = 0;
+    let name = 0;
+
+    String(mappings).split(';').forEach(lineText => {
+      const segments = [];
+      let generatedColumn = 0;
+      if (lineText) {
+        lineText.split(',').forEach(segmentText => {
+          if (!segmentText) return;
+          const values = SourceMapResolver.decodeVLQ(segmentText);
+          generatedColumn += values[0];
+          const segment = [generatedColumn];
+          if (values.length >= 4) {
+            source += values[1];
+            originalLine += values[2];
+            originalColumn += values[3];
+            segment.push(source, originalLine, originalColumn);
+            if (values.length >= 5) {
+              name += values[4];
+              segment.push(name);
+            }
+          }
+          segments.push(segment);
+        });
+      }
+      segments.sort((a, b) => a[0] - b[0]);
+      lines.push(segments);
+    });
+    return lines;
+  }
+
+  /**
+   * Descodifica um segmento Base64 VLQ
+   * @param {string} text
+   * @returns {Array<number>}
+   */
+  static decodeVLQ(text) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+    for (const char of text) {
+      const digit = SourceMapResolver.BASE64_CHARS.indexOf(char);
+      if (digit === -1) throw new Error(`Invalid VLQ character: ${char}`);
+      value += (digit & 31) * Math.pow(2, shift);
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        const negative = value % 2 === 1;
+        value = Math.floor(value / 2);
+        values.push(negative ? -value : value);
+        value = 0;
+        shift = 0;
+      }
+    }
+    return values;
+  }
+
+  static validateMap(map) {
+    if (!map || typeof map !== 'object') throw new Error('Invalid source map');
+    if (Number(map.version) !== 3) throw new Error('Only source map version 3 is supported');
+    if (typeof map.mappings !== 'string' && !Array.isArray(map.sections)) {
+      throw new Error('Source map has no mappings');
+    }
+    return map;
+  }
+
+  static parseDataUrl(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const meta = dataUrl.slice(5, comma);
+    const payload = dataUrl.slice(comma + 1);
+    if (/;base64$/i.test(meta)) {
+      const binary = atob(payload);
+      const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+      return JSON.parse(new TextDecoder().decode(bytes));
+    }
+    return JSON.parse(decodeURIComponent(payload));
+  }
+
+  static basename(url) {
+    const path = String(url || '').split(/[?#]/)[0];
+    return path.slice(path.lastIndexOf('/') + 1);
+  }
+}
+
+SourceMapResolver.BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Export for use in background/settings
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SourceMapResolver;
+} else if (typeof window !== 'undefined') {
+  window.SourceMapResolver = SourceMapResolver;
+}
@@ -0,0 +1,161 @@
+/**
+ * BugSpotter Stack Trace Parser
+ * Converte stacks V8/Firefox em frames estruturados e distingue código da app de código de terceiros.
+ */
+class StackTraceParser {
+  constructor(options = {}) {
+    this.vendorPatterns = options.vendorPatterns || StackTraceParser.VENDOR_PATTERNS;
+    this.maxFrames = options.maxFrames || 50;
+  }
+
+  /**
+   * Converte uma stack em texto em frames
+   * Suporta V8 ("at fn (url:l:c)", "at url:l:c") e Firefox/Safari ("fn@url:l:c")
+   * @param {string} stack
+   * @returns {{ header: Array<string>, errorType: string, frames: Array<Object> }}
+   */
+  parse(stack) {
+    const header = [];
+    const frames = [];
+
+    String(stack || '').split('\n').forEach(line => {
+      if (frames.length >= this.maxFrames) return;
+      const frame = this.parseLine(line);
+      if (!frame) {
+        if (frames.length === 0 && line.trim()) header.push(line.trim());
+        return;
+      }
+      frames.push(frame);
+    });
+
+    return { header, errorType: StackTraceParser.extractErrorType(header[0]), frames };
+  }
+
+  /**
+   * Converte uma linha da stack num frame, ou null se não for um frame
+   * @param {string} line
+   * @returns {Object|null}
+   */
+  parseLine(line) {
+    const v8 = line.match(/^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/);
+    const firefox = !v8 && line.match(/^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/);
+    const match = v8 || firefox;
+    if (!match) return null;
+
+    const url = match[2];
+    return {
+      functionName: StackTraceParser.cleanFunctionName(match[1]),
+      url,
+      line: Number(match[3]),
+      column: Number(match[4]),
+      inApp: this.isInApp(url),
+      raw: line.trim()
+    };
+  }
+
+  /**
+   * Converte callFrames do CDP (Runtime.StackTrace, posições 0-based) em frames
+   * @param {Array<Object>} callFrames
+   * @returns {Array<Object>}
+   */
+  fromCallFrames(callFrames) {
+    return (callFrames || []).filter(Boolean).slice(0, this.maxFrames).map(cf => ({
+      functionName: StackTraceParser.cleanFunctionName(cf.functionName),
+      url: cf.url || '',
+      line: Number(cf.lineNumber || 0) + 1,
+      column: Number(cf.columnNumber || 0) + 1,
+      inApp: this.isInApp(cf.url),
+      raw: `at ${cf.functionName || '<anonymous>'} (${cf.url}:${Number(cf.lineNumber || 0) + 1}:${Number(cf.columnNumber || 0) + 1})`
+    }));
+  }
+
+  /**
+   * Indica se um script pertence à aplicação (e não a bibliotecas, CDNs, extensões ou ao browser)
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isInApp(url) {
+    if (!url || url === '<anonymous>' || url === 'native') return false;
+    return !this.vendorPatterns.some(pattern => pattern.test(url));
+  }
+
+  /**
+   * Normaliza um frame para uma assinatura estável entre deploys e ambientes
+   * (sem origem, query, hashes de build nem colunas)
+   * @param {Object} frame
+   * @returns {string}
+   */
+  normalizeFrame(frame) {
+    const file = StackTraceParser.normalizeScriptPath(frame.url);
+    // Nomes minificados (1-2 caracteres) mudam a cada build; nesse caso usar a linha
+    const name = frame.functionName && frame.functionName.length > 2 ? frame.functionName : '';
+    return name ? `${file}:${name}` : `${file}:${frame.line}`;
+  }
+
+  /**
+   * Devolve as assinaturas normalizadas dos primeiros N frames da aplicação
+   * @param {string|Array<Object>} input - Stack em texto ou callFrames do CDP
+   * @param {number} [count=5]
+   * @returns {{ errorType: string, frames: Array<string> }}
+   */
+  getInAppSignature(input, count = 5) {
+    const parsed = Array.isArray(input)
+      ? { errorType: '', frames: this.fromCallFrames(input) }
+      : this.parse(input);
+
+    return {
+      errorType: parsed.errorType,
+      frames: parsed.frames
+        .filter(frame => frame.inApp)
+        .slice(0, count)
+        .map(frame => this.normalizeFrame(frame))
+    };
+  }
+
+  static cleanFunctionName(name) {
+    return String(name || '')
+      .replace(/^(?:async|new)\s+/, '')
+      .replace(/\s*\[as [^\]]+\]$/, '')
+      .replace(/^<anonymous>$/, '')
+      .trim();
+  }
+
+  static extractErrorType(headerLine) {
+    const match = String(headerLine || '').match(/^(?:Uncaught\s+)?((?:[A-Z][\w$]*)?(?:Error|Exception))\b/);
+    return match ? match[1] : '';
+  }
+
+  static normalizeScriptPath(url) {
+    let path = String(url || '');
+    try {
+      const parsed = new URL(path);
+      path = /^https?:$/.test(parsed.protocol) ? parsed.pathname : `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+    } catch (_) {
+      path = path.replace(/[?#].*$/, '');
+    }
+    return path
+      .toLowerCase()
+      // Hashes de build: app.3f9a2b1c.js, main-ab12cd34.js, 2.8e3f91.chunk.js
+      .replace(/[.-](?=[a-z0-9]*\d)[a-z0-9]{6,}(?=\.)/g, '')
+      // Versões no caminho: /v1.2.3/, /2.14.0/
+      .replace(/\/v?\d+(?:\.\d+)+\//g, '/{version}/');
+  }
+}
+
+// Scripts que não pertencem à aplicação
+StackTraceParser.VENDOR_PATTERNS = [
+  /\/node_modules\//i,
+  /\/(?:vendor|vendors|bower_components|third[-_]party)\//i,
+  /(?:^|[/~.-])(?:chunk-)?vendors?(?:[~.-][^/]*)?\.js/i,
+  /\/(?:jquery|react-dom|angular|vue|polyfills?|zone)(?:[.-][^/]*)?\.js/i,
+  /^(?:chrome|moz|safari(?:-web)?)-extension:/i,
+  /^webpack:\/\/\/(?:webpack\/|\(webpack\))/i,
+  /\/\/(?:[^/]+\.)?(?:cdnjs\.cloudflare\.com|unpkg\.com|cdn\.jsdelivr\.net|ajax\.googleapis\.com|www\.gstatic\.com|www\.googletagmanager\.com|www\.google-analytics\.com|connect\.facebook\.net|js\.stripe\.com|browser\.sentry-cdn\.com)\//i
+];
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StackTraceParser;
+} else if (typeof window !== 'undefined') {
+  window.StackTraceParser = StackTraceParser;
+}
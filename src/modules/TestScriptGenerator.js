@@ -0,0 +1,379 @@
+/**
+ * BugSpotter Test Script Generator
+ * Converte o buffer de interações (click/input/change/submit/scroll/navigate, com os seletores
+ * do generateRobustSelector) em scripts executáveis de Playwright Test, Cypress ou Puppeteer.
+ * Passwords nunca são exportadas: o script lê-as de uma variável de ambiente.
+ */
+class TestScriptGenerator {
+  constructor(options = {}) {
+    this.passwordEnvVar = options.passwordEnvVar || 'BUGSPOTTER_PASSWORD';
+    this.maxActions = options.maxActions || 150;
+  }
+
+  /**
+   * Gera o script para a framework pedida
+   * @param {Array<Object>} interactions - Buffer de interações (content.js / background userInteractions)
+   * @param {Object} options
+   * @param {string} [options.framework] - 'playwright' | 'cypress' | 'puppeteer'
+   * @param {Object} [options.failingRequest] - { url, method, status } do pedido que falhou
+   * @param {string} [options.title] - Nome do teste
+   * @param {string} [options.startUrl] - URL inicial quando o buffer não a tem
+   * @returns {{ script: string, fileName: string, framework: string, actionCount: number }}
+   */
+  generate(interactions, { framework = 'playwright', failingRequest = null, title = '', startUrl = '' } = {}) {
+    const spec = TestScriptGenerator.FRAMEWORKS[framework];
+    if (!spec) {
+      throw new Error(`Unsupported test framework: ${framework}`);
+    }
+
+    const actions = this.normalizeActions(interactions, startUrl);
+    if (actions.length === 0) {
+      throw new Error('No recorded interactions to export');
+    }
+
+    const context = {
+      title: title || 'reproduces the reported bug',
+      failing: this.normalizeFailingRequest(failingRequest)
+    };
+    const lines = this[spec.render](actions, context);
+
+    return {
+      script: lines.join('\n') + '\n',
+      fileName: `bugspotter_${Date.now()}${spec.extension}`,
+      framework,
+      actionCount: actions.length
+    };
+  }
+
+  /**
+   * Converte interações em ações de teste: agrupa inputs por campo, elimina eventos redundantes
+   * (input+change, click+submit) e insere navegações/asserções de URL
+   * @param {Array<Object>} interactions
+   * @param {string} [startUrl]
+   * @returns {Array<Object>}
+   */
+  normalizeActions(interactions, startUrl = '') {
+    if (!Array.isArray(interactions)) return [];
+
+    const sorted = interactions.slice().sort((a, b) => {
+      const ta = Number(a.timestamp || a.ts || 0);
+      const tb = Number(b.timestamp || b.ts || 0);
+      return ta - tb;
+    });
+
+    const actions = [];
+    let currentUrl = null;
+    const last = () => actions[actions.length - 1];
+
+    const ensureUrl = (url, explicit) => {
+      if (!url || url === currentUrl) return;
+      // A primeira URL (ou uma navegação explícita) abre a página; as restantes resultam da ação anterior
+      if (currentUrl === null || explicit) {
+        actions.push({ type: 'goto', url });
+      } else {
+        actions.push({ type: 'expectUrl', url });
+      }
+      currentUrl = url;
+    };
+
+    if (startUrl && !sorted.some(it => it && (it.url || it.pageUrl))) {
+      ensureUrl(startUrl, true);
+    }
+
+    for (const it of sorted) {
+      if (!it) continue;
+      const type = String(it.type || it.kind || '').toLowerCase();
+      const url = it.url || it.pageUrl || '';
+      const selector = it.selector || it.path || '';
+      const inputType = String(it.inputType || '').toLowerCase();
+
+      if (type === 'navigate') {
+        ensureUrl(url, true);
+        continue;
+      }
+      ensureUrl(url, false);
+
+      if (type === 'scroll') {
+        const action = { type: 'scroll', x: Number(it.scrollX) || 0, y: Number(it.scrollY) || 0 };
+        if (last() && last().type === 'scroll') actions[actions.length - 1] = action;
+        else actions.push(action);
+        continue;
+      }
+      if (type === 'resize') {
+        const action = { type: 'resize', width: Number(it.w) || 1280, height: Number(it.h) || 720 };
+        if (last() && last().type === 'resize') actions[actions.length - 1] = action;
+        else actions.push(action);
+        continue;
+      }
+
+      if (!selector || selector === 'unknown-selector') continue;
+
+      if (type === 'click') {
+        actions.push({ type: 'click', selector });
+      } else if (type === 'input' || type === 'change') {
+        // Checkbox/radio já são reproduzidos pelo clique que os alterou
+        if (inputType === 'checkbox' || inputType === 'radio') continue;
+        if (inputType.startsWith('select')) {
+          if (type !== 'change') continue;
+          actions.push({ type: 'select', selector, value: String(it.value || '') });
+          continue;
+        }
+        const masked = inputType === 'password' || it.value === '***';
+        const action = { type: 'fill', selector, value: masked ? '' : String(it.value || ''), masked };
+        const previous = last();
+        if (previous && previous.type === 'fill' && previous.selector === selector) {
+          actions[actions.length - 1] = action;
+        } else {
+          actions.push(action);
+        }
+      } else if (type === 'submit') {
+        // Submit disparado por clique no botão: o clique já basta
+        if (last() && last().type === 'click') continue;
+        actions.push({ type: 'submit', selector });
+      }
+    }
+
+    if (actions.length <= this.maxActions) return actions;
+
+    // Manter apenas as últimas ações, a partir da página onde começam
+    const tail = actions.slice(-this.maxActions);
+    let openUrl = null;
+    for (const action of actions.slice(0, actions.length - this.maxActions)) {
+      if (action.type === 'goto' || action.type === 'expectUrl') openUrl = action.url;
+    }
+    if (openUrl && tail[0].type !== 'goto') {
+      tail.unshift({ type: 'goto', url: openUrl });
+    }
+    return tail;
+  }
+
+  normalizeFailingRequest(request) {
+    if (!request || !request.url) return null;
+    let base = request.url;
+    try {
+      const parsed = new URL(request.url);
+      base = `${parsed.origin}${parsed.pathname}`;
+    } catch (_) {
+      base = String(request.url).split('?')[0];
+    }
+    return {
+      url: request.url,
+      base,
+      method: String(request.method || 'GET').toUpperCase(),
+      status: request.status || null
+    };
+  }
+
+  renderPlaywright(actions, { title, failing }) {
+    const q = TestScriptGenerator.quote;
+    const lines = [
+      '// Generated by BugSpotter - Playwright Test',
+      `// Masked passwords are read from process.env.${this.passwordEnvVar}`,
+      "const { test, expect } = require('@playwright/test');",
+      '',
+      `test(${q(title)}, async ({ page }) => {`
+    ];
+    if (failing) {
+      lines.push(
+        `  // Request that failed${failing.status ? ` with ${failing.status}` : ''} when the bug was reported`,
+        '  const failingResponse = page.waitForResponse(response =>',
+        `    response.url().startsWith(${q(failing.base)}) && response.request().method() === ${q(failing.method)}`,
+        '  );'
+      );
+    }
+    for (const action of actions) {
+      switch (action.type) {
+        case 'goto':
+          lines.push(`  await page.goto(${q(action.url)});`);
+          break;
+        case 'expectUrl':
+          lines.push(`  await expect(page).toHaveURL(${q(action.url)});`);
+          break;
+        case 'click':
+          lines.push(`  await page.locator(${q(action.selector)}).click();`);
+          break;
+        case 'fill':
+          lines.push(`  await page.locator(${q(action.selector)}).fill(${action.masked ? `process.env.${this.passwordEnvVar} || ''` : q(action.value)});`);
+          break;
+        case 'select':
+          lines.push(`  await page.locator(${q(action.selector)}).selectOption(${q(action.value)});`);
+          break;
+        case 'submit':
+          lines.push(`  await page.locator(${q(action.selector)}).evaluate(form => form.requestSubmit());`);
+          break;
+        case 'scroll':
+          lines.push(`  await page.evaluate(([x, y]) => window.scrollTo(x, y), [${action.x}, ${action.y}]);`);
+          break;
+        case 'resize':
+          lines.push(`  await page.setViewportSize({ width: ${action.width}, height: ${action.height} });`);
+          break;
+      }
+    }
+    if (failing) {
+      lines.push(
+        '',
+        '  const response = await failingResponse;',
+        `  expect(response.status(), ${q(`${failing.method} ${failing.url} should succeed`)}).toBeLessThan(400);`
+      );
+    }
+    lines.push('});');
+    return lines;
+  }
+
+  renderCypress(actions, { title, failing }) {
+    const q = TestScriptGenerator.quote;
+    const type = (value) => q(String(value).replace(/\{/g, '{{}'));
+    const lines = [
+      '// Generated by BugSpotter - Cypress',
+      `// Masked passwords are read from Cypress.env('${this.passwordEnvVar}')`,
+      `describe(${q('BugSpotter reproduction')}, () => {`,
+      `  it(${q(title)}, () => {`
+    ];
+    if (failing) {
+      lines.push(
+        `    // Request that failed${failing.status ? ` with ${failing.status}` : ''} when the bug was reported`,
+        `    cy.intercept(${q(failing.method)}, ${q(`${failing.base}*`)}).as('failingRequest');`
+      );
+    }
+    for (const action of actions) {
+      switch (action.type) {
+        case 'goto':
+          lines.push(`    cy.visit(${q(action.url)});`);
+          break;
+        case 'expectUrl':
+          lines.push(`    cy.url().should('eq', ${q(action.url)});`);
+          break;
+        case 'click':
+          lines.push(`    cy.get(${q(action.selector)}).click();`);
+          break;
+        case 'fill':
+          if (action.masked) {
+            lines.push(`    cy.get(${q(action.selector)}).clear().type(Cypress.env('${this.passwordEnvVar}'), { log: false });`);
+          } else if (action.value) {
+            lines.push(`    cy.get(${q(action.selector)}).clear().type(${type(action.value)});`);
+          } else {
+            lines.push(`    cy.get(${q(action.selector)}).clear();`);
+          }
+          break;
+        case 'select':
+          lines.push(`    cy.get(${q(action.selector)}).select(${q(action.value)});`);
+          break;
+        case 'submit':
+          lines.push(`    cy.get(${q(action.selector)}).submit();`);
+          break;
+        case 'scroll':
+          lines.push(`    cy.scrollTo(${action.x}, ${action.y});`);
+          break;
+        case 'resize':
+          lines.push(`    cy.viewport(${action.width}, ${action.height});`);
+          break;
+      }
+    }
+    if (failing) {
+      lines.push(
+        '',
+        "    cy.wait('@failingRequest').its('response.statusCode').should('be.lessThan', 400);"
+      );
+    }
+    lines.push('  });', '});');
+    return lines;
+  }
+
+  renderPuppeteer(actions, { title, failing }) {
+    const q = TestScriptGenerator.quote;
+    const lines = [
+      '// Generated by BugSpotter - Puppeteer',
+      `// Masked passwords are read from process.env.${this.passwordEnvVar}`,
+      "const puppeteer = require('puppeteer');",
+      "const assert = require('assert');",
+      '',
+      '(async () => {',
+      '  const browser = await puppeteer.launch();',
+      '  const page = await browser.newPage();',
+      '  try {',
+      `    console.log(${q(title)});`
+    ];
+    if (failing) {
+      lines.push(
+        `    // Request that failed${failing.status ? ` with ${failing.status}` : ''} when the bug was reported`,
+        '    const failingResponse = page.waitForResponse(response =>',
+        `      response.url().startsWith(${q(failing.base)}) && response.request().method() === ${q(failing.method)}`,
+        '    );'
+      );
+    }
+    for (const action of actions) {
+      switch (action.type) {
+        case 'goto':
+          lines.push(`    await page.goto(${q(action.url)}, { waitUntil: 'networkidle2' });`);
+          break;
+        case 'expectUrl':
+          lines.push(`    await page.waitForFunction(expected => location.href === expected, {}, ${q(action.url)});`);
+          break;
+        case 'click':
+          lines.push(`    await page.click(${q(action.selector)});`);
+          break;
+        case 'fill': {
+          const value = action.masked ? `process.env.${this.passwordEnvVar} || ''` : q(action.value);
+          lines.push(
+            `    await page.$eval(${q(action.selector)}, el => { el.value = ''; });`,
+            `    await page.type(${q(action.selector)}, ${value});`
+          );
+          break;
+        }
+        case 'select':
+          lines.push(`    await page.select(${q(action.selector)}, ${q(action.value)});`);
+          break;
+        case 'submit':
+          lines.push(`    await page.$eval(${q(action.selector)}, form => form.requestSubmit());`);
+          break;
+        case 'scroll':
+          lines.push(`    await page.evaluate((x, y) => window.scrollTo(x, y), ${action.x}, ${action.y});`);
+          break;
+        case 'resize':
+          lines.push(`    await page.setViewport({ width: ${action.width}, height: ${action.height} });`);
+          break;
+      }
+    }
+    if (failing) {
+      lines.push(
+        '',
+        '    const response = await failingResponse;',
+        `    assert.ok(response.status() < 400, ${q(`${failing.method} ${failing.url} should succeed`)} + \` (got \${response.status()})\`);`
+      );
+    }
+    lines.push(
+      '  } finally {',
+      '    await browser.close();',
+      '  }',
+      '})().catch(error => {',
+      '  console.error(error);',
+      '  process.exit(1);',
+      '});'
+    );
+    return lines;
+  }
+
+  // Literal de string JS com aspas simples
+  static quote(value) {
+    return `'${String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/\r/g, '\\r')
+      .replace(/\n/g, '\\n')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029')}'`;
+  }
+}
+
+TestScriptGenerator.FRAMEWORKS = {
+  playwright: { label: 'Playwright', render: 'renderPlaywright', extension: '.spec.js' },
+  cypress: { label: 'Cypress', render: 'renderCypress', extension: '.cy.js' },
+  puppeteer: { label: 'Puppeteer', render: 'renderPuppeteer', extension: '.puppeteer.js' }
+};
+
+// Export for use in background/popup
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TestScriptGenerator;
+} else if (typeof window !== 'undefined') {
+  window.TestScriptGenerator = TestScriptGenerator;
+}
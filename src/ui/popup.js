@@ -7,6 +7,7 @@ class BugSpotter {
     this.reportStatusTimeout = null;
     this.captureStatusTimeout = null;
     this.cachedSettings = null; // Adicionar cache das configurações
+    this.historyView = 'reports'; // 'reports' | 'issues'
     // Inicializar ErrorHandler com guarda de contexto
     try {
       if (typeof ErrorHandler !== 'undefined') {
@@ -55,6 +56,7 @@ class BugSpotter {
     
     // Carregar configurações no cache
     this.cachedSettings = await this.getSettings();
+    await this.loadRedactionConfig();
 
     // Apply feature flags
     if (typeof AppConfig !== 'undefined' && AppConfig.features) {
@@ -76,6 +78,8 @@ class BugSpotter {
 
     await this.loadBugHistory();
     await this.loadPriorityOptions();
+    await this.applyDetectedEnvironment();
+    await this.loadJiraCreateMeta();
     this.setupEventListeners();
     this.bindJiraSyncQuickActions();
     await this.loadPopupJiraSyncStatus();
@@ -95,6 +99,7 @@ class BugSpotter {
         if (changes.settings) {
           this.loadPriorityOptions();
           this.cachedSettings = changes.settings.newValue;
+          this.loadJiraCreateMeta();
         }
         // Recarregar histórico quando houver mudanças em chaves ai-reports-*
         const changedKeys = Object.keys(changes || {});
@@ -102,6 +107,9 @@ class BugSpotter {
         if (aiReportsChanged) {
           this.loadBugHistory();
         }
+        if (changes.error_issues && this.historyView === 'issues') {
+          this.loadIssues();
+        }
       });
     }
   }
@@ -113,6 +121,12 @@ class BugSpotter {
     document.getElementById('captureDOM').addEventListener('click', () => this.captureDOM());
     document.getElementById('startRecording').addEventListener('click', () => this.startRecording());
     document.getElementById('clearHistory').addEventListener('click', () => this.clearHistory());
+    document.querySelectorAll('.history-tab').forEach(tab => {
+      tab.addEventListener('click', () => this.switchHistoryView(tab.dataset.view));
+    });
+    document.getElementById('issuesSort')?.addEventListener('change', () => this.loadIssues());
+    document.getElementById('issuesStatusFilter')?.addEventListener('change', () => this.loadIssues());
+    document.getElementById('clearIssues')?.addEventListener('click', () => this.clearIssues());
     document.getElementById('openSettings').addEventListener('click', () => this.openSettings());
     // Removido: listener para seção Advanced Settings (seção foi eliminada)
 
@@ -130,6 +144,8 @@ class BugSpotter {
       // Menu items
       const itemConsole = document.getElementById('menuConsole');
       const itemNetwork = document.getElementById('menuNetwork');
+      const itemHar = document.getElementById('menuHar');
+      const itemTestScript = document.getElementById('menuTestScript');
       itemConsole?.addEventListener('click', async (e) => {
         e.stopPropagation();
         await this.setLastCaptureMode('console');
@@ -146,6 +162,20 @@ class BugSpotter {
         menu.setAttribute('aria-hidden', 'true');
         await this.captureNetworkDetails();
       });
+      itemHar?.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        menu.classList.remove('open');
+        caretBtn.setAttribute('aria-expanded', 'false');
+        menu.setAttribute('aria-hidden', 'true');
+        await this.exportHar();
+      });
+      itemTestScript?.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        menu.classList.remove('open');
+        caretBtn.setAttribute('aria-expanded', 'false');
+        menu.setAttribute('aria-hidden', 'true');
+        await this.exportTestScript();
+      });
       // Removida opção 'Console + Network'
 
       // Fechar ao clicar fora
@@ -208,6 +238,7 @@ class BugSpotter {
                                     'src/modules/VideoCompressor.js',
                                     'src/modules/StorageManager.js',
                                     'src/modules/StorageBuckets.js',
+                                    'src/modules/DomReplayRecorder.js',
                                     'src/content/content.js'
                                 ]
                             });
@@ -222,9 +253,31 @@ class BugSpotter {
                     }
                 };
 
-                const response = await sendMessageWithRetry(tab.id, { action: 'GET_REPLAY_ARTIFACT' });
+                const response = await sendMessageWithRetry(tab.id, { action: 'GET_REPLAY_ARTIFACT', compress: true });
                 
-                if (response && response.success && response.artifact) {
+                if (response && response.success && response.compressed) {
+                    // Artefacto gzip (snapshot DOM + diffs + interações)
+                    const attachment = {
+                        type: 'replay',
+                        name: `replay_${Date.now()}.json.gz`,
+                        data: response.compressed,
+                        size: this.calculateDataUrlSize(response.compressed),
+                        originalSize: response.originalSize
+                    };
+
+                    const added = this.addAttachment(attachment);
+
+                    if (added) {
+                        this.updateCaptureStatus('Replay attached successfully!', 'success');
+
+                        // Sem DOM/interações o script foi injetado agora
+                        if (!response.hasDomReplay || !response.interactionCount) {
+                            setTimeout(() => {
+                                this.updateCaptureStatus('Reload page to record interactions', 'warning');
+                            }, 1500);
+                        }
+                    }
+                } else if (response && response.success && response.artifact) {
                     const artifact = response.artifact;
                     const fileName = `replay_${Date.now()}.json`;
                     const jsonStr = JSON.stringify(artifact, null, 2);
@@ -271,6 +324,16 @@ class BugSpotter {
     
     // Event listener for bug form
     document.getElementById('bugForm').addEventListener('submit', (e) => this.submitBug(e));
+    const refreshJiraFieldsBtn = document.getElementById('refreshJiraFields');
+    if (refreshJiraFieldsBtn) {
+      refreshJiraFieldsBtn.addEventListener('click', () => this.loadJiraCreateMeta({ refresh: true }));
+    }
+    // Ambiente e prioridade podem mudar o projeto de destino (regras de encaminhamento)
+    ['environment', 'priority'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', () => {
+        if (this.cachedSettings?.jira?.routing?.rules?.length) this.loadJiraCreateMeta();
+      });
+    });
 
     // Preview numerado não é atualizado durante escrita manual; somente via AI
     
@@ -666,9 +729,11 @@ class BugSpotter {
         }
       }
 
+      const screenshot = await this.prepareScreenshotForAI();
+
       const result = await new Promise((resolve, reject) => {
         try {
-          chrome.runtime.sendMessage({ action: 'ENHANCE_REPORT_WITH_AI', fields, tabId }, (resp) => {
+          chrome.runtime.sendMessage({ action: 'ENHANCE_REPORT_WITH_AI', fields, tabId, screenshot }, (resp) => {
             if (chrome.runtime.lastError) {
               reject(new Error(chrome.runtime.lastError.message));
               return;
@@ -699,13 +764,9 @@ class BugSpotter {
           actualEl.value = result.actualBehavior;
         }
 
-        // Preencher Environment se fornecido pela IA
-        if (environmentEl && typeof result.environment === 'string') {
-          const env = result.environment;
-          const hasOption = Array.from(environmentEl.options).some(opt => opt.value === env);
-          if (hasOption) {
-            environmentEl.value = env;
-          }
+        // Environment vem das regras de deteção (background); a IA só o sugere quando não há regras
+        if (environmentEl && typeof result.environment === 'string' && result.environment) {
+          this.selectEnvironmentOption(result.environment);
         }
 
         // Prioridade: usar sugestão direta ou mapear severidade
@@ -801,7 +862,7 @@ class BugSpotter {
           before.environment.trim() !== after.environment.trim()
         );
         if (changed) {
-          this.updateReportStatus('Fields enhanced with AI', 'success');
+          this.updateReportStatus(result.screenshotAnalyzed ? 'Fields enhanced with AI (screenshot analyzed)' : 'Fields enhanced with AI', 'success');
         } else {
           this.updateReportStatus('No AI changes applied', 'warning');
         }
@@ -827,6 +888,64 @@ class BugSpotter {
 
   // Preview de passos removido da extensão
 
+  /**
+   * Último screenshot anexado, pronto para a análise visual da AI: reduzido para no máximo
+   * 1280px de largura (JPEG) e, com o masking ativo, com os campos de formulário tapados.
+   * @returns {Promise<{ mimeType: string, data: string, width: number, height: number, masked: boolean }|null>}
+   */
+  async prepareScreenshotForAI() {
+    const ai = this.cachedSettings?.ai || {};
+    if (ai.screenshotAnalysis === false) return null;
+    const screenshot = [...this.attachments].reverse()
+      .find(att => att.type === 'screenshot' && typeof att.data === 'string' && att.data.startsWith('data:image/'));
+    if (!screenshot) return null;
+
+    const mask = ai.maskScreenshots !== false;
+    // Sem as regiões do momento da captura (ex.: screenshot carregado de fora) não é possível mascarar
+    if (mask && !screenshot.sensitiveRegions) {
+      console.log('[Popup] Screenshot not sent to AI: no sensitive regions to mask');
+      return null;
+    }
+
+    try {
+      const image = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Could not load screenshot'));
+        img.src = screenshot.data;
+      });
+      const scale = Math.min(1, 1280 / image.naturalWidth);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.naturalWidth * scale);
+      canvas.height = Math.round(image.naturalHeight * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      if (mask) {
+        // Regiões em pixels CSS; o screenshot está em pixels do ecrã (devicePixelRatio)
+        const { viewport, rects } = screenshot.sensitiveRegions;
+        const ratioX = canvas.width / (viewport?.width || canvas.width);
+        const ratioY = canvas.height / (viewport?.height || canvas.height);
+        ctx.fillStyle = '#9e9e9e';
+        (rects || []).forEach(rect => {
+          ctx.fillRect((rect.x - 2) * ratioX, (rect.y - 2) * ratioY, (rect.width + 4) * ratioX, (rect.height + 4) * ratioY);
+        });
+      }
+
+      const dataUrl = canvas.toDataURL('image/jpeg', 0.8);
+      return {
+        mimeType: 'image/jpeg',
+        data: dataUrl.slice(dataUrl.indexOf(',') + 1),
+        width: canvas.width,
+        height: canvas.height,
+        masked: mask
+      };
+    } catch (error) {
+      console.warn('[Popup] Could not prepare screenshot for AI:', error.message);
+      return null;
+    }
+  }
+
   async captureScreenshot() {
     // captureScreenshot started - silenciado
     const button = document.getElementById('captureScreenshot');
@@ -847,12 +966,17 @@ class BugSpotter {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       const dataUrl = await chrome.tabs.captureVisibleTab(null, { format: 'png' });
+      // Posição dos campos com dados pessoais no momento da captura (masking do screenshot enviado à AI)
+      const regionsResponse = tab?.id
+        ? await chrome.tabs.sendMessage(tab.id, { action: 'GET_SENSITIVE_REGIONS' }).catch(() => null)
+        : null;
       
       const attachment = {
         type: 'screenshot',
         name: `screenshot_${Date.now()}.png`,
         data: dataUrl,
-        size: this.calculateDataUrlSize(dataUrl)
+        size: this.calculateDataUrlSize(dataUrl),
+        sensitiveRegions: regionsResponse?.success ? regionsResponse.regions : null
       };
       
       const added = this.addAttachment(attachment);
@@ -1055,6 +1179,281 @@ class BugSpotter {
     }
   }
 
+  /**
+   * Gera um script de teste (framework configurada) a partir das interações da aba ativa e anexa-o
+   */
+  async exportTestScript() {
+    const button = document.getElementById('captureLogs');
+    const btnText = button?.querySelector('.btn-text');
+    if (button) button.disabled = true;
+    if (btnText) btnText.textContent = 'Exporting...';
+    this.updateCaptureStatus('Generating test script...', 'loading');
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) throw new Error('No active tab');
+
+      const title = document.getElementById('bugTitle')?.value?.trim() || '';
+      const result = await this.requestTestScript({ tabId: tab.id, title });
+      const attachment = {
+        type: 'test-script',
+        name: result.fileName,
+        data: result.script,
+        size: new Blob([result.script]).size
+      };
+      const added = this.addAttachment(attachment);
+      if (added) {
+        this.updateCaptureStatus(`Test script attached (${result.actionCount} steps)`, 'success');
+      }
+    } catch (error) {
+      console.error('Error exporting test script:', error);
+      this.updateCaptureStatus(error.message || 'Error exporting test script', 'error');
+    } finally {
+      if (button) button.disabled = false;
+      if (btnText) btnText.textContent = 'Logs';
+    }
+  }
+
+  /**
+   * Pede ao background a geração do script de teste
+   * @param {Object} options - { tabId, interactions, failingRequest, title, framework }
+   * @returns {Promise<Object>} { script, fileName, framework, actionCount }
+   */
+  async requestTestScript({ tabId = null, interactions = null, failingRequest = null, title = '', framework = null } = {}) {
+    const response = await chrome.runtime.sendMessage({
+      action: 'GENERATE_TEST_SCRIPT',
+      tabId,
+      interactions,
+      failingRequest,
+      title,
+      framework: framework || this.cachedSettings?.capture?.testScriptFramework || 'playwright'
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to generate test script');
+    }
+    return response.data;
+  }
+
+  // Pedido que falhou no relatório (apenas erros HTTP têm algo para validar)
+  getFailingRequest(report) {
+    const error = report?.originalError;
+    if (!error || !error.url || !(Number(error.status) >= 400)) return null;
+    return { url: error.url, method: error.method, status: error.status };
+  }
+
+  // Secção "Regression Test" partilhada pelos modais de relatório
+  renderTestScriptSection({ attach = false } = {}) {
+    const framework = this.cachedSettings?.capture?.testScriptFramework || 'playwright';
+    const option = (value, label) => `<option value="${value}"${value === framework ? ' selected' : ''}>${label}</option>`;
+    return `
+      <div class="report-section test-script-section">
+        <h4><span class="material-icons">science</span> Regression Test</h4>
+        <select class="test-script-framework">
+          ${option('playwright', 'Playwright Test')}
+          ${option('cypress', 'Cypress')}
+          ${option('puppeteer', 'Puppeteer')}
+        </select>
+        <button class="error-details-toggle test-script-download">Download</button>
+        ${attach ? '<button class="error-details-toggle test-script-attach">Attach to report</button>' : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Liga os botões da secção "Regression Test"
+   * @param {HTMLElement} modal
+   * @param {Function} getOptions - async () => opções para requestTestScript
+   * @param {Function} [onAttach] - async (result) => void
+   */
+  bindTestScriptSection(modal, getOptions, onAttach = null) {
+    const section = modal.querySelector('.test-script-section');
+    if (!section) return;
+    const select = section.querySelector('.test-script-framework');
+    const generate = async () => {
+      const options = await getOptions();
+      return this.requestTestScript({ ...options, framework: select.value });
+    };
+
+    section.querySelector('.test-script-download')?.addEventListener('click', async () => {
+      try {
+        const result = await generate();
+        this.downloadTextFile(result.fileName, result.script, 'text/javascript');
+      } catch (error) {
+        console.error('Error generating test script:', error);
+        this.updateHistoryStatus(error.message || 'Error generating test script', 'error');
+      }
+    });
+
+    section.querySelector('.test-script-attach')?.addEventListener('click', async () => {
+      try {
+        const result = await generate();
+        await onAttach(result);
+        this.updateHistoryStatus(`Test script attached: ${result.fileName}`, 'success');
+      } catch (error) {
+        console.error('Error attaching test script:', error);
+        this.updateHistoryStatus(error.message || 'Error attaching test script', 'error');
+      }
+    });
+  }
+
+  /**
+   * Pede ao background o ficheiro .feature de um relatório
+   * @param {Object} report - Relatório AI ou manual
+   * @param {Object} options - { mode: 'deterministic'|'ai', tabId, interactions }
+   * @returns {Promise<Object>} { feature, fileName, scenarioCount, source }
+   */
+  async requestGherkin(report, { mode = 'deterministic', tabId = null, interactions = null } = {}) {
+    // Só os campos usados pelo gerador (os anexos não seguem na mensagem)
+    const fields = ['title', 'description', 'steps', 'stepsToReproduce', 'expectedBehavior', 'actualBehavior', 'url', 'pageUrl', 'jiraKey'];
+    const payload = Object.fromEntries(fields.filter(key => report[key] !== undefined).map(key => [key, report[key]]));
+    payload.originalError = this.getFailingRequest(report);
+    payload.interactions = interactions;
+
+    const response = await chrome.runtime.sendMessage({ action: 'GENERATE_GHERKIN', report: payload, mode, tabId });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to generate Gherkin scenarios');
+    }
+    return response.data;
+  }
+
+  // Secção "Gherkin Scenarios" partilhada pelos modais de relatório
+  renderGherkinSection({ attach = false } = {}) {
+    return `
+      <div class="report-section gherkin-section">
+        <h4><span class="material-icons">checklist</span> Gherkin Scenarios</h4>
+        <select class="gherkin-mode">
+          <option value="deterministic">From report steps</option>
+          <option value="ai">With AI</option>
+        </select>
+        <button class="error-details-toggle gherkin-copy">Copy</button>
+        <button class="error-details-toggle gherkin-download">Download</button>
+        ${attach ? '<button class="error-details-toggle gherkin-attach">Attach to report</button>' : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Liga os botões da secção "Gherkin Scenarios"
+   * @param {HTMLElement} modal
+   * @param {Object} report
+   * @param {Function} getOptions - async () => { tabId, interactions } para requestGherkin
+   * @param {Function} [onAttach] - async (result) => void
+   */
+  bindGherkinSection(modal, report, getOptions, onAttach = null) {
+    const section = modal.querySelector('.gherkin-section');
+    if (!section) return;
+    const select = section.querySelector('.gherkin-mode');
+    const run = (selector, label, action) => {
+      const button = section.querySelector(selector);
+      button?.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+          const result = await this.requestGherkin(report, { ...(await getOptions()), mode: select.value });
+          await action(result);
+          if (select.value === 'ai' && result.source !== 'ai') {
+            this.updateHistoryStatus('AI unavailable, scenarios generated from the report steps', 'warning');
+          }
+        } catch (error) {
+          console.error(`Error ${label} Gherkin scenarios:`, error);
+          this.updateHistoryStatus(error.message || `Error ${label} Gherkin scenarios`, 'error');
+        } finally {
+          button.disabled = false;
+        }
+      });
+    };
+
+    run('.gherkin-copy', 'copying', async (result) => {
+      await navigator.clipboard.writeText(result.feature);
+      this.updateHistoryStatus(`Copied ${result.scenarioCount} scenario(s) to the clipboard`, 'success');
+    });
+    run('.gherkin-download', 'downloading', async (result) => {
+      this.downloadTextFile(result.fileName, result.feature, 'text/plain');
+    });
+    run('.gherkin-attach', 'attaching', async (result) => {
+      await onAttach({
+        type: 'gherkin',
+        name: result.fileName,
+        data: result.feature,
+        size: new Blob([result.feature]).size
+      });
+      this.updateHistoryStatus(`Feature file attached: ${result.fileName}`, 'success');
+    });
+  }
+
+  downloadTextFile(fileName, text, mimeType = 'text/plain') {
+    // Exportações passam pelas mesmas regras de redação que os envios
+    const redaction = (this.redaction || new RedactionEngine()).forScope('exports');
+    const url = URL.createObjectURL(new Blob([redaction.redactText(text)], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Interações guardadas no anexo de replay de um relatório manual
+  async getReplayInteractions(report) {
+    const attachment = (report.attachments || []).find(a => a && a.type === 'replay' && a.data);
+    if (!attachment) return null;
+    let artifact;
+    if (typeof attachment.data === 'string' && attachment.data.startsWith('data:application/gzip')) {
+      if (typeof DomReplayRecorder === 'undefined') return null;
+      artifact = JSON.parse(await DomReplayRecorder.gunzipDataUrl(attachment.data));
+    } else {
+      artifact = typeof attachment.data === 'string' ? JSON.parse(attachment.data) : attachment.data;
+    }
+    return Array.isArray(artifact?.interactions) ? artifact.interactions : null;
+  }
+
+  async exportHar() {
+    const button = document.getElementById('captureLogs');
+    const btnText = button?.querySelector('.btn-text');
+    if (button) button.disabled = true;
+    if (btnText) btnText.textContent = 'Exporting...';
+    this.updateCaptureStatus('Building HAR file...', 'loading');
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) throw new Error('No active tab');
+
+      const response = await chrome.runtime.sendMessage({
+        action: 'EXPORT_HAR',
+        tabId: tab.id
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to export HAR');
+      }
+
+      const { har, fileName, entryCount, redactionCount } = response.data || {};
+      if (!entryCount) {
+        this.updateCaptureStatus('No network requests captured yet', 'warning');
+        return;
+      }
+
+      const json = JSON.stringify(har, null, 2);
+      const attachment = {
+        type: 'har',
+        name: fileName || `network_${Date.now()}.har`,
+        data: json,
+        size: new Blob([json]).size
+      };
+      const added = this.addAttachment(attachment);
+      if (added) {
+        const redacted = redactionCount ? `, ${redactionCount} values redacted` : '';
+        this.updateCaptureStatus(`HAR exported (${entryCount} requests${redacted})`, 'success');
+      }
+    } catch (error) {
+      console.error('Error exporting HAR:', error);
+      this.updateCaptureStatus(error.message || 'Error exporting HAR', 'error');
+    } finally {
+      if (button) button.disabled = false;
+      if (btnText) btnText.textContent = 'Logs';
+    }
+  }
+
   truncateBody(text, maxLen) {
     try {
       if (typeof text !== 'string') return text;
@@ -1065,15 +1464,7 @@ class BugSpotter {
 
   redactHeaders(headers) {
     try {
-      const redacted = { ...headers };
-      const keys = Object.keys(redacted);
-      for (const k of keys) {
-        const lower = k.toLowerCase();
-        if (lower === 'authorization' || lower === 'cookie' || lower === 'set-cookie' || lower.includes('token')) {
-          redacted[k] = '[REDACTED]';
-        }
-      }
-      return redacted;
+      return (this.redaction || new RedactionEngine({ scope: 'attachments' })).redactHeaders(headers || {});
     } catch (_) { return headers; }
   }
 
@@ -1540,7 +1931,9 @@ class BugSpotter {
         dom: 'code',
         recording: 'videocam',
         video: 'videocam',
-        replay: 'history'
+        replay: 'history',
+        har: 'lan',
+        'test-script': 'science'
       };
       
       // Criar elementos base
@@ -1789,7 +2182,9 @@ class BugSpotter {
       actualBehavior: formData.get('actualBehavior'),
       priority: formData.get('priority'),
       environment: formData.get('environment'),
-      component: formData.get('component')
+      buildVersion: this.detectedEnvironment?.version || '',
+      component: formData.get('component'),
+      jiraFieldValues: this.jiraCreateMeta ? this.collectJiraFieldValues() : {}
     };
     
     // Schema de validação
@@ -1855,6 +2250,20 @@ class BugSpotter {
       this.updateReportStatus('❌ Validation failed', 'error');
       return;
     }
+
+    // Campos obrigatórios do Jira (o background volta a validar antes de criar o issue)
+    if (this.jiraCreateMeta && typeof JiraCreateMeta !== 'undefined') {
+      const environmentConfig = this.cachedSettings?.environmentDetection || {};
+      const providedKeys = [
+        bugData.environment && environmentConfig.jiraEnvironmentField,
+        bugData.buildVersion && environmentConfig.jiraVersionField
+      ].filter(Boolean);
+      const jiraErrors = JiraCreateMeta.validate(this.jiraCreateMeta.fields, bugData.jiraFieldValues, { providedKeys });
+      if (jiraErrors.length > 0) {
+        this.updateReportStatus(`❌ ${jiraErrors.join(', ')}`, 'error');
+        return;
+      }
+    }
     
     // Disable button and show visual feedback
     submitBtn.disabled = true;
@@ -1882,7 +2291,30 @@ class BugSpotter {
       const jiraEnabled = !!(settings.jira && settings.jira.enabled);
       const target = jiraEnabled ? 'jira' : null;
 
-      if (target === 'jira') {
+      // Quase-duplicados: o utilizador pode comentar num issue existente em vez de criar outro
+      const duplicateChoice = target === 'jira' ? await this.resolveDuplicateChoice(bugData) : { action: 'create' };
+
+      if (duplicateChoice.action === 'cancel') {
+        this.updateReportStatus('Sending cancelled', 'info');
+        return;
+      }
+      if (target === 'jira' && !(await this.confirmOutboundPayload(bugData, { mode: duplicateChoice.action, issueKey: duplicateChoice.issueKey }))) {
+        this.updateReportStatus('Sending cancelled', 'info');
+        return;
+      }
+
+      if (duplicateChoice.action === 'comment') {
+        try {
+          bugData.jiraAttempted = true;
+          await this.commentOnExistingIssue(duplicateChoice.issueKey, bugData);
+          bugData.jiraKey = duplicateChoice.issueKey;
+          bugData.commentedOnExisting = true;
+          this.updateReportStatus(`Added as a comment to ${duplicateChoice.issueKey}`, 'success');
+        } catch (commentError) {
+          console.error('Error commenting on Jira issue:', commentError);
+          this.updateReportStatus(`Saved locally. Error commenting on ${duplicateChoice.issueKey}: ${commentError.message}`, 'warning');
+        }
+      } else if (target === 'jira') {
         try {
           bugData.jiraAttempted = true;
           const jiraResponse = await this.sendToJira(bugData);
@@ -1924,6 +2356,7 @@ class BugSpotter {
       event.target.reset();
       this.attachments = [];
       this.updateAttachmentsList();
+      this.selectEnvironmentOption(this.detectedEnvironment?.environment);
       
       // Update history
       this.loadBugHistory();
@@ -1965,6 +2398,269 @@ class BugSpotter {
     });
   }
 
+  /**
+   * Procura quase-duplicados e, se existirem, pergunta ao utilizador o que fazer
+   * @param {Object} bugData
+   * @returns {Promise<{ action: 'create'|'comment'|'cancel', issueKey?: string }>}
+   */
+  async resolveDuplicateChoice(bugData) {
+    let suggestions = [];
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'FIND_DUPLICATE_SUGGESTIONS',
+        data: {
+          id: bugData.id,
+          title: bugData.title,
+          description: bugData.description,
+          steps: bugData.steps,
+          actualBehavior: bugData.actualBehavior,
+          url: bugData.url,
+          timestamp: bugData.timestamp,
+          originalError: bugData.originalError
+        }
+      });
+      suggestions = response?.success ? (response.data || []) : [];
+    } catch (error) {
+      // Sugestões são opcionais: em caso de falha, seguir com a criação normal
+      console.warn('Duplicate suggestions unavailable:', error);
+    }
+
+    if (suggestions.length === 0) {
+      return { action: 'create' };
+    }
+    return this.showDuplicateSuggestionsModal(suggestions);
+  }
+
+  showDuplicateSuggestionsModal(suggestions) {
+    return new Promise((resolve) => {
+      const modal = document.createElement('div');
+      modal.className = 'manual-report-modal duplicate-suggestions-modal';
+      modal.innerHTML = `
+        <div class="manual-report-modal-content">
+          <div class="manual-report-modal-header">
+            <h3 class="manual-report-modal-title">Possible duplicates found</h3>
+            <button class="manual-report-modal-close">&times;</button>
+          </div>
+          <div class="manual-report-modal-body">
+            <p>These existing reports look similar. Add your findings as a comment instead of creating a new ticket?</p>
+            <ul class="duplicate-suggestions"></ul>
+            <div class="button-row duplicate-actions">
+              <button type="button" class="action-btn duplicate-create-btn">
+                <span class="material-icons">add</span>
+                Create new ticket
+              </button>
+              <button type="button" class="action-btn duplicate-cancel-btn">Cancel</button>
+            </div>
+          </div>
+        </div>
+      `;
+
+      const finish = (choice) => {
+        modal.remove();
+        resolve(choice);
+      };
+
+      const list = modal.querySelector('.duplicate-suggestions');
+      suggestions.forEach(suggestion => {
+        const item = document.createElement('li');
+        item.className = 'duplicate-suggestion';
+
+        const score = document.createElement('span');
+        score.className = 'duplicate-score';
+        score.textContent = `${Math.round(suggestion.score * 100)}%`;
+
+        const info = document.createElement('div');
+        info.className = 'duplicate-info';
+        const title = document.createElement('div');
+        title.className = 'duplicate-title';
+        title.textContent = suggestion.title;
+        const meta = document.createElement('div');
+        meta.className = 'duplicate-meta';
+        meta.textContent = [
+          suggestion.source === 'jira' ? 'Jira' : 'Local report',
+          suggestion.key,
+          suggestion.status
+        ].filter(Boolean).join(' · ');
+        info.appendChild(title);
+        info.appendChild(meta);
+
+        item.appendChild(score);
+        item.appendChild(info);
+
+        if (suggestion.key) {
+          const commentBtn = document.createElement('button');
+          commentBtn.type = 'button';
+          commentBtn.className = 'action-btn duplicate-comment-btn';
+          commentBtn.textContent = `Comment on ${suggestion.key}`;
+          commentBtn.addEventListener('click', () => finish({ action: 'comment', issueKey: suggestion.key }));
+          item.appendChild(commentBtn);
+        }
+        list.appendChild(item);
+      });
+
+      modal.querySelector('.duplicate-create-btn').addEventListener('click', () => finish({ action: 'create' }));
+      modal.querySelector('.duplicate-cancel-btn').addEventListener('click', () => finish({ action: 'cancel' }));
+      modal.querySelector('.manual-report-modal-close').addEventListener('click', () => finish({ action: 'cancel' }));
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) finish({ action: 'cancel' });
+      });
+
+      document.body.appendChild(modal);
+    });
+  }
+
+  /**
+   * Com "Preview before sending" ativo (definições > Privacy), mostra o payload final já redigido
+   * e as substituições feitas; devolve false se o utilizador cancelar
+   * @param {Object} bugData
+   * @param {Object} [options] - { mode: 'create'|'comment', issueKey }
+   * @returns {Promise<boolean>}
+   */
+  async confirmOutboundPayload(bugData, { mode = 'create', issueKey = null } = {}) {
+    const config = await this.loadRedactionConfig();
+    if (!config.previewBeforeSend) return true;
+
+    const response = await chrome.runtime.sendMessage({ action: 'PREVIEW_OUTBOUND', data: bugData, mode });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to build the payload preview');
+    }
+    return this.showOutboundPreviewModal(response.data, { mode, issueKey });
+  }
+
+  showOutboundPreviewModal(preview, { mode = 'create', issueKey = null } = {}) {
+    return new Promise((resolve) => {
+      const modal = document.createElement('div');
+      modal.className = 'manual-report-modal outbound-preview-modal';
+      modal.innerHTML = `
+        <div class="manual-report-modal-content">
+          <div class="manual-report-modal-header">
+            <h3 class="manual-report-modal-title">Review what will be sent</h3>
+            <button class="manual-report-modal-close">&times;</button>
+          </div>
+          <div class="manual-report-modal-body">
+            <p class="outbound-preview-target"></p>
+            <div class="report-section">
+              <h4><span class="material-icons">difference</span> Redactions</h4>
+              <ul class="outbound-changes"></ul>
+            </div>
+            <div class="report-section outbound-summary-section">
+              <h4><span class="material-icons">title</span> Summary</h4>
+              <pre class="outbound-payload outbound-summary"></pre>
+            </div>
+            <div class="report-section">
+              <h4><span class="material-icons">description</span> ${mode === 'comment' ? 'Comment' : 'Description'}</h4>
+              <pre class="outbound-payload outbound-description"></pre>
+            </div>
+            <div class="report-section outbound-fields-section">
+              <h4><span class="material-icons">tune</span> Jira Fields</h4>
+              <pre class="outbound-payload outbound-fields"></pre>
+            </div>
+            <div class="report-section">
+              <h4><span class="material-icons">attach_file</span> Attachments (${preview.attachments.length})</h4>
+              <div class="outbound-attachments"></div>
+            </div>
+            <div class="button-row duplicate-actions">
+              <button type="button" class="action-btn primary outbound-send-btn">
+                <span class="material-icons">send</span>
+                Send
+              </button>
+              <button type="button" class="action-btn outbound-cancel-btn">Cancel</button>
+            </div>
+          </div>
+        </div>
+      `;
+
+      const finish = (confirmed) => {
+        modal.remove();
+        resolve(confirmed);
+      };
+
+      const formatNote = preview.format === 'adf' ? ' The description is sent as an Atlassian Document Format (ADF) document.' : '';
+      modal.querySelector('.outbound-preview-target').textContent = (mode === 'comment'
+        ? `Comment on ${issueKey || 'the existing issue'} in Jira. This is the exact content after redaction.`
+        : `New Jira issue${preview.route ? ` in ${preview.route.projectKey}${preview.route.ruleName ? ` (routing rule "${preview.route.ruleName}")` : ''}` : ''}. This is the exact content after redaction.`) + formatNote;
+      if (mode === 'comment') modal.querySelector('.outbound-summary-section').remove();
+      else modal.querySelector('.outbound-summary').textContent = preview.summary;
+      modal.querySelector('.outbound-description').textContent = preview.description;
+      if (Object.keys(preview.fields || {}).length > 0) {
+        modal.querySelector('.outbound-fields').textContent = JSON.stringify(preview.fields, null, 2);
+      } else {
+        modal.querySelector('.outbound-fields-section').remove();
+      }
+
+      // Diferença: valor original (riscado) -> valor enviado, por regra e localização
+      const changesList = modal.querySelector('.outbound-changes');
+      if (preview.changes.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No value matched the redaction rules.';
+        changesList.appendChild(item);
+      }
+      preview.changes.slice(0, 100).forEach(change => {
+        const item = document.createElement('li');
+        item.className = 'outbound-change';
+        const meta = document.createElement('div');
+        meta.className = 'outbound-change-meta';
+        meta.textContent = `${change.rule} · ${change.path}`;
+        const before = document.createElement('del');
+        before.textContent = change.before;
+        const after = document.createElement('ins');
+        after.textContent = change.after;
+        item.append(meta, before, ' → ', after);
+        changesList.appendChild(item);
+      });
+      if (preview.changes.length > 100) {
+        const item = document.createElement('li');
+        item.textContent = `... and ${preview.changes.length - 100} more`;
+        changesList.appendChild(item);
+      }
+
+      const attachmentsList = modal.querySelector('.outbound-attachments');
+      preview.attachments.forEach(attachment => {
+        const details = document.createElement('details');
+        details.className = 'outbound-attachment';
+        const summary = document.createElement('summary');
+        summary.textContent = `${attachment.name} (${this.formatFileSize(attachment.size)})${attachment.binary ? ' · binary, sent as captured' : ''}`;
+        details.appendChild(summary);
+        if (!attachment.binary) {
+          const pre = document.createElement('pre');
+          pre.className = 'outbound-payload';
+          pre.textContent = attachment.text;
+          details.appendChild(pre);
+        }
+        attachmentsList.appendChild(details);
+      });
+
+      modal.querySelector('.outbound-send-btn').addEventListener('click', () => finish(true));
+      modal.querySelector('.outbound-cancel-btn').addEventListener('click', () => finish(false));
+      modal.querySelector('.manual-report-modal-close').addEventListener('click', () => finish(false));
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) finish(false);
+      });
+
+      document.body.appendChild(modal);
+    });
+  }
+
+  // Regras de redação partilhadas (definições > Privacy), relidas antes de cada envio ou exportação
+  async loadRedactionConfig() {
+    let stored = {};
+    try {
+      const result = await chrome.storage.local.get([RedactionEngine.STORAGE_KEY]);
+      stored = result[RedactionEngine.STORAGE_KEY] || {};
+    } catch (_) {}
+    const config = RedactionEngine.normalizeConfig(stored);
+    this.redaction = new RedactionEngine({ ...config, scope: 'attachments' });
+    return config;
+  }
+
+  async commentOnExistingIssue(issueKey, bugData) {
+    const response = await chrome.runtime.sendMessage({ action: 'COMMENT_ON_EXISTING_ISSUE', issueKey, data: bugData });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to comment on Jira issue');
+    }
+    return response.data;
+  }
+
   async getSettings() {
     try {
       let settings = {};
@@ -2009,6 +2705,10 @@ class BugSpotter {
           enabled: settings.easyvista?.enabled ?? false,
           baseUrl: settings.easyvista?.baseUrl || '',
           apiKey: settings.easyvista?.apiKey || ''
+        },
+        ai: {
+          screenshotAnalysis: settings.ai?.screenshotAnalysis ?? true,
+          maskScreenshots: settings.ai?.maskScreenshots ?? true
         }
       };
       
@@ -2579,6 +3279,173 @@ class BugSpotter {
     });
   }
 
+  switchHistoryView(view) {
+    this.historyView = view === 'issues' ? 'issues' : 'reports';
+    document.querySelectorAll('.history-tab').forEach(tab => {
+      const active = tab.dataset.view === this.historyView;
+      tab.classList.toggle('active', active);
+      tab.setAttribute('aria-selected', String(active));
+    });
+    document.getElementById('reportsView').style.display = this.historyView === 'reports' ? '' : 'none';
+    document.getElementById('issuesView').style.display = this.historyView === 'issues' ? '' : 'none';
+    if (this.historyView === 'issues') {
+      this.loadIssues();
+    }
+  }
+
+  async loadIssues() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'GET_ISSUES',
+        sortBy: document.getElementById('issuesSort')?.value || 'lastSeen',
+        status: document.getElementById('issuesStatusFilter')?.value || null
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to load issues');
+      }
+      this.displayIssues(response.data || []);
+    } catch (error) {
+      console.error('Error loading issues:', error);
+      this.displayIssues([]);
+      this.updateHistoryStatus('Error loading issues', 'error');
+    }
+  }
+
+  displayIssues(issues) {
+    const container = document.getElementById('issuesList');
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+
+    if (issues.length === 0) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'empty-state';
+      const icon = document.createElement('span');
+      icon.className = 'material-icons empty-icon';
+      icon.textContent = 'inventory_2';
+      const text = document.createElement('p');
+      text.textContent = 'No issues in this view';
+      emptyState.appendChild(icon);
+      emptyState.appendChild(text);
+      container.appendChild(emptyState);
+      return;
+    }
+
+    issues.forEach(issue => container.appendChild(this.createIssueItem(issue)));
+  }
+
+  createIssueItem(issue) {
+    const item = document.createElement('div');
+    item.className = `history-item issue-item issue-${issue.status}`;
+
+    const header = document.createElement('div');
+    header.className = 'history-item-header-inline';
+
+    const title = document.createElement('div');
+    title.className = 'history-title-inline issue-title';
+    title.textContent = issue.title;
+    title.title = issue.title;
+
+    const count = document.createElement('span');
+    count.className = 'issue-count';
+    count.textContent = `×${issue.count}`;
+    count.title = `${issue.count} occurrence(s)`;
+
+    const actions = document.createElement('div');
+    actions.className = 'history-actions-inline';
+    const statusActions = issue.status === 'unresolved'
+      ? [['resolved', 'check_circle', 'Resolve'], ['ignored', 'block', 'Ignore']]
+      : [['unresolved', 'undo', 'Reopen']];
+    statusActions.forEach(([status, iconName, label]) => {
+      const btn = document.createElement('button');
+      btn.className = 'issue-status-btn';
+      btn.title = label;
+      btn.setAttribute('aria-label', label);
+      btn.innerHTML = `<span class="material-icons">${iconName}</span>`;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.updateIssueStatus(issue.fingerprint, status);
+      });
+      actions.appendChild(btn);
+    });
+
+    header.appendChild(title);
+    header.appendChild(count);
+    header.appendChild(actions);
+
+    const meta = document.createElement('div');
+    meta.className = 'history-item-meta';
+    const browsers = Object.keys(issue.browsers || {});
+    [
+      issue.regressedAt && issue.status === 'unresolved' ? 'Regressed' : null,
+      `Last: ${new Date(issue.lastSeen).toLocaleString()}`,
+      `First: ${new Date(issue.firstSeen).toLocaleString()}`,
+      `${(issue.urls || []).length} URL(s)`,
+      browsers.length ? browsers.join(', ') : null
+    ].filter(Boolean).forEach(text => {
+      const span = document.createElement('span');
+      span.textContent = text;
+      if (text === 'Regressed') span.className = 'issue-regressed';
+      meta.appendChild(span);
+    });
+
+    // Detalhes (URLs afetadas e amostras) expandem ao clicar no item
+    const details = document.createElement('div');
+    details.className = 'issue-details';
+    details.style.display = 'none';
+    const urlList = document.createElement('ul');
+    (issue.urls || []).forEach(url => {
+      const li = document.createElement('li');
+      li.textContent = url;
+      urlList.appendChild(li);
+    });
+    const samples = document.createElement('pre');
+    samples.textContent = (issue.samples || []).slice().reverse()
+      .map(sample => `[${new Date(sample.timestamp).toLocaleString()}] ${sample.message || sample.url}${sample.stack ? '\n' + sample.stack : ''}`)
+      .join('\n\n');
+    details.appendChild(urlList);
+    details.appendChild(samples);
+
+    item.addEventListener('click', () => {
+      details.style.display = details.style.display === 'none' ? 'block' : 'none';
+    });
+
+    item.appendChild(header);
+    item.appendChild(meta);
+    item.appendChild(details);
+    return item;
+  }
+
+  async updateIssueStatus(fingerprint, status) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'UPDATE_ISSUE_STATUS', fingerprint, status });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to update issue');
+      }
+      const labels = { resolved: 'Issue resolved', ignored: 'Issue ignored', unresolved: 'Issue reopened' };
+      this.updateHistoryStatus(labels[status], 'success');
+      await this.loadIssues();
+    } catch (error) {
+      console.error('Error updating issue status:', error);
+      this.updateHistoryStatus(`Error updating issue: ${error.message}`, 'error');
+    }
+  }
+
+  async clearIssues() {
+    if (!confirm('Are you sure you want to clear all grouped issues?')) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'CLEAR_ISSUES' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to clear issues');
+      }
+      await this.loadIssues();
+      this.updateHistoryStatus('Issues cleared', 'info');
+    } catch (error) {
+      console.error('Error clearing issues:', error);
+      this.updateHistoryStatus('Error clearing issues', 'error');
+    }
+  }
+
   // New method for submission retry (routes to Jira or EasyVista)
   async retrySubmission(index) {
     try {
@@ -2601,6 +3468,10 @@ class BugSpotter {
       const target = jiraEnabled ? 'jira' : null;
 
       if (target === 'jira') {
+        if (!(await this.confirmOutboundPayload(report))) {
+          this.updateHistoryStatus('Sending cancelled', 'info');
+          return;
+        }
         this.updateHistoryStatus('Resending to Jira...', 'loading');
         const jiraResponse = await this.sendToJira(report);
         const ticketKey = jiraResponse?.key || jiraResponse?.issueKey || jiraResponse?.data?.key || jiraResponse?.data?.issueKey;
@@ -2784,6 +3655,23 @@ class BugSpotter {
       </div>
     ` : '';
 
+    // Exceções JS: onde falhou, componente e hipótese de correção
+    const jsError = report.jsErrorDetails;
+    const jsLocation = jsError && jsError.file ? `${jsError.file}${jsError.line ? `:${jsError.line}${jsError.column ? `:${jsError.column}` : ''}` : ''}` : '';
+    const jsErrorHTML = jsError ? `
+      <div class="report-section" id="aiJsErrorSection">
+        <h4><span class="material-icons">code</span> JavaScript Error</h4>
+      </div>
+    ` : '';
+
+    // Replay da sessão (pedido à aba de origem; salta para o momento do erro)
+    const replayHTML = report.__sourceKey ? `
+      <div class="report-section">
+        <h4><span class="material-icons">history</span> Session Replay</h4>
+        <button class="error-details-toggle watch-replay-btn">Watch replay</button>
+      </div>
+    ` : '';
+
     // Criar modal
     const modal = document.createElement('div');
     modal.className = 'ai-report-modal';
@@ -2818,18 +3706,25 @@ class BugSpotter {
             </div>
           ` : ''}
 
+          ${jsErrorHTML}
+
           <div class="report-meta">
             <h4><span class="material-icons">info</span> Report Details</h4>
             <div class="meta-item"><span class="material-icons">flag</span><span>Priority: ${priorityText}</span></div>
             ${categoryText ? `<div class="meta-item"><span class="material-icons">category</span><span>Category: ${categoryText}</span></div>` : ''}
-            ${environmentText ? `<div class="meta-item"><span class="material-icons">computer</span><span>Environment: ${environmentText}</span></div>` : ''}
+            ${environmentText ? `<div class="meta-item"><span class="material-icons">computer</span><span>Environment: ${environmentText}${report.buildVersion ? ` · build ${report.buildVersion}` : ''}</span></div>` : ''}
             <div class="meta-item"><span class="material-icons">schedule</span><span>Created at: ${createdAt}</span></div>
             <div class="meta-item"><span class="material-icons">link</span><span class="meta-url" title="${pageUrlText}">Page URL: ${pageUrlText}</span></div>
             ${report.originalError && (report.originalError.status || report.originalError.statusText) ? `<div class="meta-item"><span class="material-icons">error</span><span>HTTP Error: ${[report.originalError.status, report.originalError.statusText].filter(Boolean).join(' ')}${report.originalError.method ? ' · ' + report.originalError.method : ''}</span></div>` : ''}
             ${report.originalError && report.originalError.url && report.originalError.url !== pageUrlText ? `<div class="meta-item"><span class="material-icons">link</span><span>Request URL: ${report.originalError.url}</span></div>` : ''}
+            ${report.aiCached ? `<div class="meta-item"><span class="material-icons">cached</span><span>Reused from a cached report of the same error${report.aiCachedAt ? ` (${new Date(report.aiCachedAt).toLocaleString()})` : ''}</span></div>` : ''}
+            ${report.__sourceKey && report.id ? `<button class="error-details-toggle regenerate-ai-btn">Regenerate with AI</button>` : ''}
           </div>
           
           
+          ${replayHTML}
+          ${this.renderTestScriptSection({ attach: !!report.__sourceKey })}
+          ${this.renderGherkinSection({ attach: !!report.__sourceKey })}
           ${attachmentsHTML}
           ${screenshotHTML}
           ${suggestionsHTML}
@@ -2856,9 +3751,73 @@ class BugSpotter {
     
     document.body.appendChild(modal);
 
+    const watchReplayBtn = modal.querySelector('.watch-replay-btn');
+    if (watchReplayBtn) {
+      watchReplayBtn.addEventListener('click', () => {
+        this.openReplayPlayer({ source: 'ai', key: report.__sourceKey, id: report.id, index: report.__sourceIndex });
+      });
+    }
+
+    const regenerateBtn = modal.querySelector('.regenerate-ai-btn');
+    if (regenerateBtn) {
+      regenerateBtn.addEventListener('click', () => this.regenerateAIReport(report, regenerateBtn));
+    }
+
+    // Script de teste: interações guardadas no relatório ou, em relatórios antigos, as da aba de origem
+    this.bindTestScriptSection(modal, async () => ({
+      tabId: report.tabId ?? report.originTabId ?? null,
+      interactions: Array.isArray(report.interactions) && report.interactions.length > 0 ? report.interactions : null,
+      failingRequest: this.getFailingRequest(report),
+      title: report.title
+    }), async (result) => {
+      await this.attachToAIReport(report, {
+        type: 'test-script',
+        name: result.fileName,
+        data: result.script,
+        size: new Blob([result.script]).size
+      });
+    });
+
+    this.bindGherkinSection(modal, report, async () => ({
+      tabId: report.tabId ?? report.originTabId ?? null,
+      interactions: Array.isArray(report.interactions) && report.interactions.length > 0 ? report.interactions : null
+    }), (attachment) => this.attachToAIReport(report, attachment));
+
     // Tentar popular tamanhos de anexos gerados dinamicamente (apenas em contexto de extensão)
     this.tryPopulateAIAttachmentSizes(report, modal).catch(() => {});
 
+    // Detalhes da exceção vêm da página e da AI: preencher com textContent
+    const jsErrorSection = jsError ? modal.querySelector('#aiJsErrorSection') : null;
+    if (jsErrorSection) {
+      const appendText = (tag, text, label) => {
+        const el = document.createElement(tag);
+        if (label) {
+          const strong = document.createElement('strong');
+          strong.textContent = `${label}:`;
+          el.append(strong, ' ');
+        }
+        el.append(text);
+        jsErrorSection.appendChild(el);
+      };
+      const appendMeta = (icon, text) => {
+        const item = document.createElement('div');
+        item.className = 'meta-item';
+        const iconEl = document.createElement('span');
+        iconEl.className = 'material-icons';
+        iconEl.textContent = icon;
+        const textEl = document.createElement('span');
+        textEl.textContent = text;
+        item.append(iconEl, textEl);
+        jsErrorSection.appendChild(item);
+      };
+
+      appendText('p', [jsError.errorName, jsError.message].filter(Boolean).join(': '));
+      if (jsLocation) appendMeta('place', `Location: ${jsLocation}${jsError.functionName ? ` (${jsError.functionName})` : ''}`);
+      if (jsError.component) appendMeta('widgets', `Component: ${jsError.component}`);
+      if (jsError.probableCause) appendText('p', String(jsError.probableCause), 'Probable cause');
+      if (jsError.suggestedFix) appendText('p', String(jsError.suggestedFix), 'Suggested fix');
+    }
+
     // Popular lista de passos com segurança (textContent) e suportar formatos string/objeto
     try {
       const listEl = modal.querySelector('#aiStepsList');
@@ -2904,6 +3863,84 @@ class BugSpotter {
     } catch (_) { /* ignore toggle errors */ }
   }
 
+  /**
+   * Pede ao background um novo relatório AI (ignora a cache) e reabre o modal com o resultado
+   * @param {Object} report - Relatório agregado por loadAIReports
+   * @param {HTMLButtonElement} button
+   */
+  async regenerateAIReport(report, button) {
+    if (!this.isExtensionContext()) return;
+    button.disabled = true;
+    button.textContent = 'Regenerating...';
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'REGENERATE_AI_REPORT',
+        sourceKey: report.__sourceKey,
+        reportId: report.id
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+      this.showAIReportModal({ ...response.data, __sourceKey: report.__sourceKey, __sourceIndex: report.__sourceIndex });
+      this.loadBugHistory();
+    } catch (error) {
+      console.error('Error regenerating AI report:', error);
+      button.disabled = false;
+      button.textContent = 'Regenerate with AI';
+      this.updateHistoryStatus(`Could not regenerate: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Acrescenta um anexo a um relatório AI guardado (enviado depois com o relatório para o Jira)
+   * @param {Object} report - Relatório agregado por loadAIReports
+   * @param {Object} attachment
+   */
+  async attachToAIReport(report, attachment) {
+    const sourceKey = report.__sourceKey;
+    if (!sourceKey) throw new Error('Report not found in storage');
+    const result = await chrome.storage.local.get([sourceKey]);
+    const list = result[sourceKey] || [];
+    let idx = list.findIndex(r => (r.id && r.id === report.id) || (r.createdAt && r.createdAt === report.createdAt));
+    if (idx === -1 && typeof report.__sourceIndex === 'number') idx = report.__sourceIndex;
+    if (idx === -1 || !list[idx]) throw new Error('Report not found in storage');
+
+    list[idx].attachments = [...(list[idx].attachments || []), attachment];
+    await chrome.storage.local.set({ [sourceKey]: list });
+    report.attachments = list[idx].attachments;
+  }
+
+  /**
+   * Acrescenta um anexo a um relatório manual guardado (enviado com o relatório ao reenviar para o Jira)
+   * @param {number} reportIndex - Índice em bugReports
+   * @param {Object} report
+   * @param {Object} attachment
+   */
+  async attachToManualReport(reportIndex, report, attachment) {
+    const result = await chrome.storage.local.get(['bugReports']);
+    const reports = result.bugReports || [];
+    const stored = reports[reportIndex];
+    if (!stored || (stored.createdAt || stored.timestamp) !== (report.createdAt || report.timestamp)) {
+      throw new Error('Report not found in storage');
+    }
+    stored.attachments = [...(stored.attachments || []), attachment];
+    await chrome.storage.local.set({ bugReports: reports });
+    report.attachments = stored.attachments;
+  }
+
+  /**
+   * Abre o player de replay (src/ui/replay.html) numa nova aba
+   * @param {Object} params - Query string (source, index, attachment, key, id)
+   */
+  openReplayPlayer(params) {
+    if (!this.isExtensionContext()) return;
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) query.set(key, String(value));
+    });
+    chrome.tabs.create({ url: chrome.runtime.getURL(`src/ui/replay.html?${query.toString()}`) });
+  }
+
   async tryPopulateAIAttachmentSizes(report, modal) {
     try {
       if (!window.chrome || !chrome.runtime || !chrome.tabs) return;
@@ -3129,18 +4166,20 @@ class BugSpotter {
       const report = reports[index];
       
       if (report) {
-        this.showManualReportModal(report);
+        this.showManualReportModal(report, index);
       }
     });
   }
 
-  showManualReportModal(report) {
+  showManualReportModal(report, reportIndex = null) {
     // Remove existing modal if any
     const existingModal = document.querySelector('.manual-report-modal');
     if (existingModal) {
       existingModal.remove();
     }
 
+    const hasReplayAttachment = (report.attachments || []).some(a => a && a.type === 'replay');
+
     // Create modal
     const modal = document.createElement('div');
     modal.className = 'manual-report-modal';
@@ -3184,7 +4223,7 @@ class BugSpotter {
             ${report.environment ? `
               <div class="meta-item">
                 <span class="material-icons">computer</span>
-                <span>Environment: ${report.environment}</span>
+                <span>Environment: ${report.environment}${report.buildVersion ? ` · build ${report.buildVersion}` : ''}</span>
               </div>
             ` : ''}
             <div class="meta-item">
@@ -3208,12 +4247,17 @@ class BugSpotter {
                     <span class="material-icons">insert_drive_file</span>
                     <span>${attachment.name || `Attachment ${index + 1}`}</span>
                     <span class="attachment-size">${this.formatFileSize(attachment.size || 0)}</span>
+                    ${attachment.type === 'replay' && reportIndex !== null ? `<button class="error-details-toggle watch-replay-btn" data-attachment="${index}">Watch replay</button>` : ''}
                   </div>
                 `).join('')}
               </div>
             </div>
           ` : ''}
 
+          ${hasReplayAttachment ? this.renderTestScriptSection() : ''}
+
+          ${this.renderGherkinSection({ attach: reportIndex !== null })}
+
           ${report.screenshot ? `
             <div class="report-section">
               <h4><span class="material-icons">image</span> Screenshot</h4>
@@ -3247,6 +4291,25 @@ class BugSpotter {
       </div>
     `;
 
+    // Abrir o player de replay numa nova aba
+    modal.querySelectorAll('.watch-replay-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.openReplayPlayer({ source: 'manual', index: reportIndex, attachment: btn.dataset.attachment });
+      });
+    });
+
+    this.bindTestScriptSection(modal, async () => {
+      const interactions = await this.getReplayInteractions(report);
+      if (!interactions || interactions.length === 0) {
+        throw new Error('The replay attachment has no recorded interactions');
+      }
+      return { interactions, failingRequest: this.getFailingRequest(report), title: report.title };
+    });
+
+    this.bindGherkinSection(modal, report, async () => ({
+      interactions: hasReplayAttachment ? await this.getReplayInteractions(report).catch(() => null) : null
+    }), (attachment) => this.attachToManualReport(reportIndex, report, attachment));
+
     // Add event listeners
     const closeBtn = modal.querySelector('.manual-report-modal-close');
     closeBtn.addEventListener('click', () => modal.remove());
@@ -3353,6 +4416,13 @@ class BugSpotter {
         timestamp: report.createdAt || (report.originalError && report.originalError.timestamp) || new Date().toISOString(),
         // Incluir erro original para descrição detalhada no Jira
         originalError: report.originalError || null,
+        jsErrorDetails: report.jsErrorDetails || null,
+        environment: report.environment || '',
+        buildVersion: report.buildVersion || '',
+        // Usados pelas regras de encaminhamento do Jira
+        severity: report.severity || '',
+        category: report.category || '',
+        errorType: report.errorType || '',
         isAIReport: true
       };
 
@@ -3427,8 +4497,20 @@ class BugSpotter {
         // Silenciar falhas ao obter detalhes de rede; envio ao Jira continua
       }
 
-      // Enviar para Jira usando a função existente
-      const jiraResponse = await this.sendToJira(bugData);
+      const duplicateChoice = await this.resolveDuplicateChoice({ ...bugData, id: report.id });
+      if (duplicateChoice.action === 'cancel') {
+        this.updateHistoryStatus('Sending cancelled', 'info');
+        return;
+      }
+      if (!(await this.confirmOutboundPayload(bugData, { mode: duplicateChoice.action, issueKey: duplicateChoice.issueKey }))) {
+        this.updateHistoryStatus('Sending cancelled', 'info');
+        return;
+      }
+
+      // Enviar para Jira usando a função existente (ou comentar no issue escolhido)
+      const jiraResponse = duplicateChoice.action === 'comment'
+        ? await this.commentOnExistingIssue(duplicateChoice.issueKey, bugData)
+        : await this.sendToJira(bugData);
       const ticketKey = jiraResponse?.key || jiraResponse?.issueKey || jiraResponse?.data?.key || jiraResponse?.data?.issueKey;
       
       if (ticketKey) {
@@ -3562,6 +4644,9 @@ class BugSpotter {
         attachments: report.attachments || [],
         timestamp: report.createdAt || (report.originalError && report.originalError.timestamp) || new Date().toISOString(),
         originalError: report.originalError || null,
+        jsErrorDetails: report.jsErrorDetails || null,
+        environment: report.environment || '',
+        buildVersion: report.buildVersion || '',
         isAIReport: true
       };
 
@@ -3751,6 +4836,215 @@ class BugSpotter {
     }
   }
 
+  /**
+   * Ambiente e build da aba ativa segundo as regras das definições (avaliadas no background);
+   * pré-seleciona o campo Environment, que o utilizador pode alterar
+   */
+  async applyDetectedEnvironment() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+      const response = await chrome.runtime.sendMessage({ action: 'DETECT_ENVIRONMENT', tabId: tab.id, url: tab.url });
+      if (!response?.success) return;
+      this.detectedEnvironment = response.data;
+      this.selectEnvironmentOption(response.data.environment);
+
+      const hint = document.getElementById('environmentDetected');
+      if (hint) {
+        const parts = [];
+        if (response.data.environmentRule) parts.push(`Detected: ${response.data.environment}`);
+        if (response.data.version) parts.push(`build ${response.data.version}`);
+        hint.textContent = parts.join(' · ');
+      }
+    } catch (_) {
+      // Sem deteção: o utilizador escolhe o ambiente
+    }
+  }
+
+  // Seleciona o ambiente, acrescentando a opção quando é um nome definido nas regras (ex.: "QA")
+  selectEnvironmentOption(environment) {
+    const environmentEl = document.getElementById('environment');
+    if (!environmentEl || !environment) return;
+    if (!Array.from(environmentEl.options).some(opt => opt.value === environment)) {
+      environmentEl.add(new Option(environment, environment));
+    }
+    environmentEl.value = environment;
+  }
+
+  /**
+   * Campos de criação do Jira (createmeta, em cache no background) para o projeto e tipo de issue
+   * onde o relatório seria criado (regras de encaminhamento aplicadas ao URL, ambiente e prioridade)
+   * @param {Object} [options] - { refresh: pedir de novo ao Jira }
+   */
+  async loadJiraCreateMeta({ refresh = false } = {}) {
+    const container = document.getElementById('jiraFields');
+    if (!container || typeof JiraCreateMeta === 'undefined') return;
+    if (!this.cachedSettings?.jira?.enabled) {
+      this.jiraCreateMeta = null;
+      container.style.display = 'none';
+      return;
+    }
+    try {
+      const report = {
+        url: await this.getCurrentTabUrl(),
+        environment: document.getElementById('environment')?.value || '',
+        priority: document.getElementById('priority')?.value || ''
+      };
+      const response = await chrome.runtime.sendMessage({ action: 'GET_JIRA_CREATE_META', refresh, report });
+      if (!response?.success) throw new Error(response?.error || 'No response');
+      // Ao mudar de projeto os valores já escolhidos nos campos comuns mantêm-se
+      const previousValues = this.jiraCreateMeta ? this.collectJiraFieldValues() : {};
+      this.jiraCreateMeta = response.data;
+      this.renderJiraFields(response.data.fields, previousValues);
+
+      const routeHint = document.getElementById('jiraRouteHint');
+      if (routeHint) {
+        routeHint.textContent = `${response.data.projectKey}${response.data.ruleName ? ` · rule "${response.data.ruleName}"` : ''}`;
+      }
+      if (refresh) this.updateReportStatus('Jira fields reloaded', 'success');
+    } catch (error) {
+      // Sem createmeta o envio segue só com os campos base
+      console.warn('[Popup] Jira fields unavailable:', error.message);
+      this.jiraCreateMeta = null;
+      container.style.display = 'none';
+      if (refresh) this.updateReportStatus(`Could not load Jira fields: ${error.message}`, 'warning');
+    }
+  }
+
+  renderJiraFields(fields = [], values = {}) {
+    const container = document.getElementById('jiraFields');
+    const requiredList = document.getElementById('jiraRequiredFields');
+    const optionalList = document.getElementById('jiraOptionalFields');
+    const optionalGroup = document.getElementById('jiraOptionalFieldsGroup');
+    requiredList.innerHTML = '';
+    optionalList.innerHTML = '';
+
+    // Campos opcionais sem controlo no popup não são mostrados
+    const visible = fields.filter(field => field.required || field.kind !== 'unsupported');
+    visible.forEach(field => {
+      const group = this.createJiraFieldControl(field);
+      (field.required && !field.hasDefaultValue ? requiredList : optionalList).appendChild(group);
+      // Repor o valor anterior (user pickers voltam a ser pesquisados)
+      const control = group.querySelector('[data-jira-field]');
+      const value = values[field.key];
+      if (!control || JiraCreateMeta.isEmpty(value) || field.kind === 'user') return;
+      if (control.multiple) {
+        Array.from(control.options).forEach(option => { option.selected = [].concat(value).includes(option.value); });
+      } else {
+        control.value = value;
+      }
+    });
+    optionalGroup.style.display = optionalList.children.length ? '' : 'none';
+    container.style.display = visible.length ? '' : 'none';
+  }
+
+  /**
+   * Controlo do formulário para um campo do createmeta (os valores são lidos em collectJiraFieldValues)
+   * @param {Object} field - Entrada de JiraCreateMeta.parse
+   * @returns {HTMLElement}
+   */
+  createJiraFieldControl(field) {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    const id = `jiraField-${field.key}`;
+    const label = document.createElement('label');
+    label.className = 'form-label';
+    label.htmlFor = id;
+    label.textContent = `${field.name}${field.required && !field.hasDefaultValue ? ' *' : ''}`;
+    group.appendChild(label);
+
+    let control;
+    switch (field.kind) {
+      case 'select':
+      case 'multiselect':
+      case 'components':
+      case 'versions': {
+        control = document.createElement('select');
+        control.className = 'form-select';
+        control.multiple = field.multiple;
+        if (!field.multiple) control.add(new Option('Select', ''));
+        field.allowedValues.forEach(option => control.add(new Option(option.name, option.id)));
+        if (field.multiple) control.size = Math.min(4, Math.max(2, field.allowedValues.length));
+        break;
+      }
+      case 'user': {
+        control = document.createElement('input');
+        control.type = 'text';
+        control.className = 'form-input';
+        control.placeholder = 'Type a name to search';
+        const datalist = document.createElement('datalist');
+        datalist.id = `${id}-users`;
+        control.setAttribute('list', datalist.id);
+        group.appendChild(datalist);
+        let searchTimer = null;
+        control.addEventListener('input', () => {
+          // O valor enviado é o accountId do nome escolhido na lista
+          const match = Array.from(datalist.options).find(option => option.value === control.value);
+          control.dataset.accountId = match ? match.dataset.accountId : '';
+          clearTimeout(searchTimer);
+          if (!match) searchTimer = setTimeout(() => this.searchJiraUsers(control.value, datalist), 300);
+        });
+        break;
+      }
+      case 'textarea':
+        control = document.createElement('textarea');
+        control.className = 'form-textarea';
+        control.rows = 2;
+        break;
+      case 'unsupported': {
+        const note = document.createElement('small');
+        note.className = 'jira-field-note';
+        note.textContent = `This field type is not supported here (${field.key}). Set a default value in Jira.`;
+        group.appendChild(note);
+        return group;
+      }
+      default:
+        control = document.createElement('input');
+        control.className = 'form-input';
+        control.type = { number: 'number', date: 'date', datetime: 'datetime-local' }[field.kind] || 'text';
+        if (field.kind === 'labels') control.placeholder = 'Comma-separated labels';
+    }
+    control.id = id;
+    control.dataset.jiraField = field.key;
+    group.appendChild(control);
+    return group;
+  }
+
+  async searchJiraUsers(query, datalist) {
+    if (String(query || '').trim().length < 2) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'SEARCH_JIRA_USERS', query, projectKey: this.jiraCreateMeta?.projectKey || '' });
+      if (!response?.success) return;
+      datalist.innerHTML = '';
+      response.data.forEach(user => {
+        const option = document.createElement('option');
+        option.value = user.emailAddress ? `${user.displayName} (${user.emailAddress})` : user.displayName;
+        option.dataset.accountId = user.accountId;
+        datalist.appendChild(option);
+      });
+    } catch (_) {
+      // Pesquisa falhou: o utilizador pode tentar de novo
+    }
+  }
+
+  /**
+   * @returns {Object<string, string|Array<string>>} Valores dos campos do Jira por chave
+   */
+  collectJiraFieldValues() {
+    const values = {};
+    document.querySelectorAll('#jiraFields [data-jira-field]').forEach(control => {
+      const key = control.dataset.jiraField;
+      if (control.tagName === 'SELECT' && control.multiple) {
+        values[key] = Array.from(control.selectedOptions).map(option => option.value);
+      } else if (control.getAttribute('list')) {
+        values[key] = control.value.trim() ? (control.dataset.accountId || '') : '';
+      } else {
+        values[key] = control.value;
+      }
+    });
+    return values;
+  }
+
   async loadPriorityOptions() {
     try {
       // Carregar de storage se disponível; caso contrário, usar cache/default
@@ -0,0 +1,594 @@
+/**
+ * BugSpotter Replay Player
+ * Reconstrói o DOM gravado pelo DomReplayRecorder num iframe sandboxed e reproduz
+ * mutações, inputs, scroll, cliques e eventos de console/rede numa timeline.
+ *
+ * Fontes suportadas (query string):
+ *   ?source=manual&index=N&attachment=M  - anexo 'replay' de um relatório manual
+ *   ?source=ai&key=ai-reports-<tab>&id=ID - relatório AI (artefacto pedido à aba de origem)
+ * ou um ficheiro .json / .json.gz aberto manualmente.
+ */
+class ReplayPlayer {
+  constructor(frame, overlay = null) {
+    this.frame = frame;
+    this.overlay = overlay;
+    this.mirror = new Map();
+    this.replay = null;
+    this.domEvents = [];
+    this.appliedIndex = -1;
+    this.currentTime = 0;
+    this.startTime = 0;
+    this.endTime = 0;
+    this.markers = [];
+    this.viewport = { width: 1280, height: 720 };
+  }
+
+  /**
+   * Normaliza qualquer artefacto suportado e prepara a timeline
+   * @param {Object|Array} artifact - Artefacto do GET_REPLAY_ARTIFACT, replay DOM ou lista de interações
+   * @param {Object} [options]
+   * @param {string|number} [options.errorTimestamp] - Momento do originalError
+   */
+  load(artifact, { errorTimestamp = null } = {}) {
+    const normalized = ReplayPlayer.normalizeArtifact(artifact);
+    this.replay = normalized.domReplay;
+    this.domEvents = this.replay ? [...this.replay.events].sort((a, b) => a.t - b.t) : [];
+    this.markers = ReplayPlayer.buildMarkers(normalized, errorTimestamp);
+
+    const times = this.markers.map(m => m.t);
+    if (this.replay) {
+      times.push(this.replay.startedAt, this.replay.endedAt);
+      this.viewport = this.replay.viewport || normalized.viewport || this.viewport;
+    } else if (normalized.viewport) {
+      this.viewport = normalized.viewport;
+    }
+    const valid = times.filter(t => typeof t === 'number' && !isNaN(t));
+    this.startTime = this.replay ? this.replay.startedAt : (valid.length ? Math.min(...valid) : Date.now());
+    this.endTime = valid.length ? Math.max(...valid, this.startTime) : this.startTime;
+    this.errorTime = ReplayPlayer.toMs(errorTimestamp);
+
+    this.appliedIndex = -1;
+    this.currentTime = this.startTime;
+    if (this.replay) {
+      this.rebuild(this.replay.snapshot.node);
+    }
+    return normalized;
+  }
+
+  /**
+   * Aceita o artefacto completo (v1.0/v1.1), o replay DOM isolado ou o buffer de interações do background
+   * @param {Object|Array} artifact
+   * @returns {{ domReplay: Object|null, interactions: Array, consoleLogs: Array, url: string, viewport: Object|null }}
+   */
+  static normalizeArtifact(artifact) {
+    if (Array.isArray(artifact)) {
+      return { domReplay: null, interactions: artifact, consoleLogs: [], url: '', viewport: null };
+    }
+    const data = artifact || {};
+    if (data.format === 'bugspotter-dom-replay') {
+      return { domReplay: data, interactions: [], consoleLogs: [], url: data.baseUrl || '', viewport: data.viewport || null };
+    }
+    return {
+      domReplay: data.domReplay || null,
+      interactions: Array.isArray(data.interactions) ? data.interactions : [],
+      consoleLogs: Array.isArray(data.consoleLogs) ? data.consoleLogs : [],
+      url: data.url || '',
+      viewport: data.viewport || null
+    };
+  }
+
+  static toMs(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const ms = typeof value === 'number' ? value : new Date(value).getTime();
+    return isNaN(ms) ? null : ms;
+  }
+
+  /**
+   * Constrói os marcadores da timeline (interações, console, rede e erro original)
+   */
+  static buildMarkers(normalized, errorTimestamp) {
+    const markers = [];
+    normalized.interactions.forEach(it => {
+      const t = ReplayPlayer.toMs(it.ts || it.timestamp);
+      if (t === null) return;
+      const target = it.path || it.tag || '';
+      const value = it.value ? ` "${it.value}"` : '';
+      markers.push({ t, kind: 'interaction', text: `${it.kind || 'interaction'} ${target}${value}`.trim(), data: it });
+    });
+    normalized.consoleLogs.forEach(log => {
+      const t = ReplayPlayer.toMs(log.timestamp);
+      if (t === null) return;
+      const message = String(log.message || log.text || '');
+      const isNetwork = /^\[(HTTP|NETWORK) ERROR\]/.test(message);
+      markers.push({ t, kind: isNetwork ? 'network' : 'console', text: `[${log.level || 'log'}] ${message.slice(0, 300)}`, data: log });
+    });
+    const errorT = ReplayPlayer.toMs(errorTimestamp);
+    if (errorT !== null) {
+      markers.push({ t: errorT, kind: 'error', text: 'Original error reported here' });
+    }
+    return markers.sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Posiciona a reprodução num instante absoluto (ms)
+   * @param {number} time
+   */
+  seek(time) {
+    const target = Math.max(this.startTime, Math.min(this.endTime, time));
+    if (this.replay) {
+      // Recuar no tempo (ou saltar um checkpoint) obriga a reconstruir a partir do snapshot anterior
+      let snapshotIndex = -1;
+      for (let i = 0; i < this.domEvents.length && this.domEvents[i].t <= target; i++) {
+        if (this.domEvents[i].type === 'snapshot') snapshotIndex = i;
+      }
+      const needsRebuild = target < this.currentTime || snapshotIndex > this.appliedIndex;
+      if (needsRebuild) {
+        if (snapshotIndex >= 0) {
+          this.rebuild(this.domEvents[snapshotIndex].node);
+          if (this.domEvents[snapshotIndex].viewport) this.viewport = this.domEvents[snapshotIndex].viewport;
+          this.appliedIndex = snapshotIndex;
+        } else {
+          this.rebuild(this.replay.snapshot.node);
+          this.viewport = this.replay.viewport || this.viewport;
+          this.appliedIndex = -1;
+        }
+      }
+      while (this.appliedIndex + 1 < this.domEvents.length && this.domEvents[this.appliedIndex + 1].t <= target) {
+        this.appliedIndex++;
+        this.applyEvent(this.domEvents[this.appliedIndex], !needsRebuild);
+      }
+    }
+    this.currentTime = target;
+    return target;
+  }
+
+  get document() {
+    return this.frame.contentDocument;
+  }
+
+  /**
+   * Substitui todo o documento do iframe pelo snapshot serializado
+   * @param {Object} snapshotNode - Nó type 9 (Document)
+   */
+  rebuild(snapshotNode) {
+    const doc = this.document;
+    if (!doc || !snapshotNode) return;
+    this.mirror.clear();
+    while (doc.firstChild) {
+      doc.removeChild(doc.firstChild);
+    }
+    this.mirror.set(snapshotNode.id, doc);
+    (snapshotNode.childNodes || []).forEach(child => {
+      const built = this.buildNode(child);
+      if (built) {
+        try { doc.appendChild(built); } catch (_) {}
+      }
+    });
+    this.injectBase();
+  }
+
+  // Recursos relativos (img, fontes) resolvem contra a URL original da página
+  injectBase() {
+    const doc = this.document;
+    const baseUrl = this.replay && this.replay.baseUrl;
+    if (!doc || !doc.head || !baseUrl || doc.head.querySelector('base[data-bugspotter]')) return;
+    const base = doc.createElement('base');
+    base.setAttribute('href', baseUrl);
+    base.setAttribute('data-bugspotter', 'true');
+    doc.head.insertBefore(base, doc.head.firstChild);
+  }
+
+  /**
+   * Cria um nó real a partir da serialização (sem scripts nem handlers inline)
+   */
+  buildNode(serialized) {
+    const doc = this.document;
+    let node = null;
+    switch (serialized.type) {
+      case 10:
+        try {
+          node = doc.implementation.createDocumentType(serialized.name || 'html', serialized.publicId || '', serialized.systemId || '');
+        } catch (_) {
+          return null;
+        }
+        break;
+      case 3:
+        node = doc.createTextNode(serialized.text || '');
+        break;
+      case 8:
+        node = doc.createComment('');
+        break;
+      case 1: {
+        let tagName = serialized.tagName;
+        // <link> com CSS lido na página passa a <style> inline (a CSP da extensão bloqueia folhas remotas)
+        if (tagName === 'link' && serialized.cssText) tagName = 'style';
+        try {
+          node = serialized.ns ? doc.createElementNS(serialized.ns, tagName) : doc.createElement(tagName);
+        } catch (_) {
+          node = doc.createElement('div');
+        }
+        Object.entries(serialized.attributes || {}).forEach(([name, value]) => {
+          this.setAttribute(node, name, value);
+        });
+        if (serialized.cssText) {
+          node.textContent = serialized.cssText;
+        } else if (tagName !== 'script') {
+          (serialized.childNodes || []).forEach(child => {
+            const built = this.buildNode(child);
+            if (built) node.appendChild(built);
+          });
+        }
+        if (serialized.value !== undefined) {
+          try { node.value = serialized.value; } catch (_) {}
+        }
+        if (serialized.checked !== undefined) {
+          node.checked = !!serialized.checked;
+        }
+        break;
+      }
+      default:
+        return null;
+    }
+    this.mirror.set(serialized.id, node);
+    return node;
+  }
+
+  setAttribute(node, name, value) {
+    const lower = String(name).toLowerCase();
+    const tag = node.tagName ? node.tagName.toLowerCase() : '';
+    // Nunca reativar código ou navegação da página gravada
+    if (lower.startsWith('on')) return;
+    if ((tag === 'script' || tag === 'iframe' || tag === 'frame') && (lower === 'src' || lower === 'srcdoc')) return;
+    if (lower === 'href' && /^\s*javascript:/i.test(String(value))) return;
+    try {
+      if (value === null || value === undefined) {
+        node.removeAttribute(name);
+      } else {
+        node.setAttribute(name, value);
+      }
+    } catch (_) {}
+  }
+
+  /**
+   * Aplica um evento gravado ao DOM do iframe
+   * @param {Object} event
+   * @param {boolean} live - true durante reprodução contínua (mostra cliques)
+   */
+  applyEvent(event, live = false) {
+    switch (event.type) {
+      case 'snapshot':
+        this.rebuild(event.node);
+        if (event.viewport) this.viewport = event.viewport;
+        break;
+      case 'mutation':
+        (event.removes || []).forEach(({ id }) => {
+          const node = this.mirror.get(id);
+          if (node && node.parentNode) node.parentNode.removeChild(node);
+        });
+        (event.adds || []).forEach(({ parentId, nextId, node }) => {
+          const parent = this.mirror.get(parentId);
+          if (!parent) return;
+          const existing = this.mirror.get(node.id);
+          if (existing && existing.parentNode) existing.parentNode.removeChild(existing);
+          const built = this.buildNode(node);
+          if (!built) return;
+          const next = nextId ? this.mirror.get(nextId) : null;
+          try {
+            parent.insertBefore(built, next && next.parentNode === parent ? next : null);
+          } catch (_) {}
+        });
+        (event.attributes || []).forEach(({ id, name, value }) => {
+          const node = this.mirror.get(id);
+          if (node && node.nodeType === 1) this.setAttribute(node, name, value);
+        });
+        (event.texts || []).forEach(({ id, value }) => {
+          const node = this.mirror.get(id);
+          if (node) node.textContent = value;
+        });
+        break;
+      case 'input': {
+        const node = this.mirror.get(event.id);
+        if (!node) break;
+        try { node.value = event.value; } catch (_) {}
+        if (event.checked !== undefined) node.checked = !!event.checked;
+        break;
+      }
+      case 'scroll': {
+        const node = this.mirror.get(event.id);
+        if (!node) break;
+        if (node.nodeType === 9) {
+          const win = this.frame.contentWindow;
+          if (win && typeof win.scrollTo === 'function') {
+            try { win.scrollTo(event.x, event.y); } catch (_) {}
+          }
+        } else {
+          node.scrollLeft = event.x;
+          node.scrollTop = event.y;
+        }
+        break;
+      }
+      case 'viewport':
+        this.viewport = { ...this.viewport, width: event.width, height: event.height };
+        break;
+      case 'click':
+        if (live) this.showClick(event.x, event.y);
+        break;
+      default:
+        break;
+    }
+  }
+
+  showClick(x, y) {
+    if (!this.overlay || typeof x !== 'number' || typeof y !== 'number') return;
+    const marker = document.createElement('div');
+    marker.className = 'click-marker';
+    marker.style.left = `${x}px`;
+    marker.style.top = `${y}px`;
+    this.overlay.appendChild(marker);
+    setTimeout(() => marker.remove(), 800);
+  }
+}
+
+/**
+ * Controlador da página replay.html (timeline, lista de eventos e carregamento)
+ */
+class ReplayPage {
+  constructor() {
+    this.frame = document.getElementById('replayFrame');
+    this.player = new ReplayPlayer(this.frame, document.getElementById('stageOverlay'));
+    this.playing = false;
+    this.playTimer = null;
+    this.speed = 1;
+    this.tickMs = 50;
+    this.init();
+  }
+
+  init() {
+    document.getElementById('replayFile').addEventListener('change', (e) => this.handleFile(e));
+    document.getElementById('playPause').addEventListener('click', () => this.togglePlay());
+    document.getElementById('jumpToError').addEventListener('click', () => this.jumpToError());
+    document.getElementById('playbackSpeed').addEventListener('change', (e) => {
+      this.speed = parseFloat(e.target.value) || 1;
+    });
+    document.getElementById('timeline').addEventListener('input', (e) => {
+      this.seek(this.player.startTime + Number(e.target.value));
+    });
+    window.addEventListener('resize', () => this.fitStage());
+
+    this.loadFromQuery().catch(error => {
+      console.error('[Replay] Erro ao carregar replay:', error);
+      this.setSource(`Error: ${error.message}`);
+    });
+  }
+
+  async loadFromQuery() {
+    const params = new URLSearchParams(window.location.search);
+    const source = params.get('source');
+    if (!source || typeof chrome === 'undefined' || !chrome.storage) return;
+
+    if (source === 'manual') {
+      const { bugReports = [] } = await chrome.storage.local.get(['bugReports']);
+      const report = bugReports[Number(params.get('index'))];
+      if (!report) throw new Error('Report not found');
+      const attachments = (report.attachments || []).filter(a => a && a.type === 'replay');
+      const attachment = (report.attachments || [])[Number(params.get('attachment'))] || attachments[0];
+      if (!attachment || !attachment.data) throw new Error('Report has no replay attachment');
+      const artifact = await ReplayPage.parseAttachmentData(attachment.data);
+      this.show(artifact, report.originalError?.timestamp, `${report.title || 'Manual report'} • ${attachment.name}`);
+      return;
+    }
+
+    if (source === 'ai') {
+      const key = params.get('key');
+      const id = params.get('id');
+      const stored = await chrome.storage.local.get([key]);
+      const list = Array.isArray(stored[key]) ? stored[key] : [];
+      const report = list.find(r => String(r.id) === String(id)) || list[Number(params.get('index'))];
+      if (!report) throw new Error('AI report not found');
+      const tabId = report.originTabId != null ? report.originTabId : Number(String(key).replace('ai-reports-', ''));
+      const artifact = await this.fetchArtifactForTab(tabId);
+      this.show(artifact, report.originalError?.timestamp || report.createdAt, report.title || 'AI report');
+    }
+  }
+
+  // Pede o artefacto completo à aba de origem; se já não existir, usa as interações do background
+  async fetchArtifactForTab(tabId) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'GET_REPLAY_ARTIFACT' });
+      if (response && response.success && response.artifact) return response.artifact;
+    } catch (_) {
+      // Aba fechada ou sem content script
+    }
+    const response = await chrome.runtime.sendMessage({ action: 'GET_USER_INTERACTIONS', tabId, limit: 300 });
+    if (response && response.success && Array.isArray(response.data) && response.data.length > 0) {
+      return response.data;
+    }
+    throw new Error('Replay data is no longer available for this tab');
+  }
+
+  static async parseAttachmentData(data) {
+    if (typeof data === 'string' && data.startsWith('data:application/gzip')) {
+      return JSON.parse(await DomReplayRecorder.gunzipDataUrl(data));
+    }
+    return typeof data === 'string' ? JSON.parse(data) : data;
+  }
+
+  async handleFile(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    try {
+      let text;
+      if (/\.gz$/i.test(file.name)) {
+        const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+        text = await new Response(stream).text();
+      } else {
+        text = await file.text();
+      }
+      this.show(JSON.parse(text), null, file.name);
+    } catch (error) {
+      console.error('[Replay] Ficheiro inválido:', error);
+      this.setSource(`Invalid replay file: ${error.message}`);
+    }
+  }
+
+  show(artifact, errorTimestamp, label) {
+    this.pause();
+    const normalized = this.player.load(artifact, { errorTimestamp });
+    this.setSource(`${label}${normalized.url ? ` • ${normalized.url}` : ''}`);
+
+    const hasDom = !!this.player.replay;
+    document.getElementById('stageEmpty').style.display = hasDom ? 'none' : 'flex';
+    document.getElementById('stageViewport').style.display = hasDom ? 'block' : 'none';
+    if (!hasDom) {
+      document.querySelector('#stageEmpty p').textContent = 'No DOM recording in this artifact — showing interactions and logs only.';
+    }
+
+    const timeline = document.getElementById('timeline');
+    timeline.max = String(Math.max(0, this.player.endTime - this.player.startTime));
+    timeline.disabled = false;
+    document.getElementById('playPause').disabled = false;
+    document.getElementById('jumpToError').disabled = this.player.errorTime === null;
+
+    this.renderMarkers();
+    this.renderEvents();
+    this.fitStage();
+
+    if (this.player.errorTime !== null) {
+      this.jumpToError();
+    } else {
+      this.seek(this.player.startTime);
+    }
+  }
+
+  setSource(text) {
+    document.getElementById('replaySource').textContent = text;
+  }
+
+  // Salta para pouco antes do erro original para dar contexto
+  jumpToError() {
+    if (this.player.errorTime === null) return;
+    this.seek(this.player.errorTime - 2000);
+  }
+
+  seek(time) {
+    const current = this.player.seek(time);
+    const offset = current - this.player.startTime;
+    document.getElementById('timeline').value = String(offset);
+    document.getElementById('timeLabel').textContent =
+      `${ReplayPage.formatOffset(offset)} / ${ReplayPage.formatOffset(this.player.endTime - this.player.startTime)}`;
+    this.fitStage();
+    this.highlightEvents(current);
+  }
+
+  togglePlay() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  play() {
+    if (this.player.currentTime >= this.player.endTime) {
+      this.seek(this.player.startTime);
+    }
+    this.playing = true;
+    document.querySelector('#playPause .material-icons').textContent = 'pause';
+    this.playTimer = setInterval(() => {
+      this.seek(this.player.currentTime + this.tickMs * this.speed);
+      if (this.player.currentTime >= this.player.endTime) this.pause();
+    }, this.tickMs);
+  }
+
+  pause() {
+    this.playing = false;
+    if (this.playTimer) {
+      clearInterval(this.playTimer);
+      this.playTimer = null;
+    }
+    const icon = document.querySelector('#playPause .material-icons');
+    if (icon) icon.textContent = 'play_arrow';
+  }
+
+  // Escala o viewport gravado para caber no palco
+  fitStage() {
+    const stage = document.getElementById('replayStage');
+    const viewportEl = document.getElementById('stageViewport');
+    const { width, height } = this.player.viewport;
+    if (!width || !height) return;
+    const scale = Math.min(stage.clientWidth / width, stage.clientHeight / height, 1);
+    viewportEl.style.width = `${width}px`;
+    viewportEl.style.height = `${height}px`;
+    viewportEl.style.transform = `scale(${scale})`;
+    viewportEl.style.left = `${Math.max(0, (stage.clientWidth - width * scale) / 2)}px`;
+    viewportEl.style.top = `${Math.max(0, (stage.clientHeight - height * scale) / 2)}px`;
+  }
+
+  renderMarkers() {
+    const container = document.getElementById('timelineMarkers');
+    container.innerHTML = '';
+    const span = Math.max(1, this.player.endTime - this.player.startTime);
+    this.player.markers.forEach(marker => {
+      const el = document.createElement('div');
+      el.className = `timeline-marker kind-${marker.kind}`;
+      el.style.left = `${((marker.t - this.player.startTime) / span) * 100}%`;
+      el.title = marker.text;
+      container.appendChild(el);
+    });
+  }
+
+  renderEvents() {
+    const list = document.getElementById('eventList');
+    list.innerHTML = '';
+    this.player.markers.forEach(marker => {
+      const li = document.createElement('li');
+      li.className = `event-item kind-${marker.kind}`;
+      li.dataset.t = String(marker.t);
+
+      const time = document.createElement('span');
+      time.className = 'event-time';
+      time.textContent = ReplayPage.formatOffset(marker.t - this.player.startTime);
+
+      const text = document.createElement('span');
+      text.className = 'event-text';
+      text.textContent = marker.text;
+
+      li.appendChild(time);
+      li.appendChild(text);
+      li.addEventListener('click', () => this.seek(marker.t));
+      list.appendChild(li);
+    });
+  }
+
+  highlightEvents(current) {
+    let last = null;
+    document.querySelectorAll('#eventList .event-item').forEach(li => {
+      const isPast = Number(li.dataset.t) <= current;
+      li.classList.toggle('past', isPast);
+      li.classList.remove('current');
+      if (isPast) last = li;
+    });
+    if (last) {
+      last.classList.add('current');
+      if (this.playing) last.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  static formatOffset(ms) {
+    const negative = ms < 0;
+    const totalSeconds = Math.floor(Math.abs(ms) / 1000);
+    const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${negative ? '-' : ''}${minutes}:${seconds}`;
+  }
+}
+
+// Export for tests; inicializar apenas na página do player
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ReplayPlayer, ReplayPage };
+} else if (typeof window !== 'undefined') {
+  window.ReplayPlayer = ReplayPlayer;
+  document.addEventListener('DOMContentLoaded', () => {
+    window.replayPage = new ReplayPage();
+  });
+}
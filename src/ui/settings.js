@@ -8,6 +8,8 @@ class BugSpotterSettings {
         apiToken: '',
         projectKey: '',
         issueTypeId: '10035',
+        descriptionFormat: 'wiki',
+        routing: { rules: [] },
         priorities: {
           highest: 'Highest',
           high: 'High',
@@ -34,20 +36,52 @@ class BugSpotterSettings {
         maxVideoLength: 30,
         screenshotQuality: 90,
         recentLogsWindowSeconds: 30,
-        recentLogsLimit: 10
+        recentLogsLimit: 10,
+        testScriptFramework: 'playwright'
       },
       security: {
         encryptData: true,
         autoDelete: false,
         maxLocalBugs: 100
       },
+      sourceMaps: {
+        enabled: true,
+        fetchRemote: true
+      },
+      fingerprint: {
+        strategy: 'default',
+        frameCount: 5,
+        masking: {
+          rules: [],
+          pathTemplates: [],
+          ignoredParams: ['utm_', 'fbclid', 'gclid', '_t', 'timestamp', 'session', 'token', 'sid', 'rand'],
+          useDefaultRules: true
+        }
+      },
+      duplicates: {
+        enabled: true,
+        threshold: 30
+      },
       ai: {
         enabled: false,
         provider: 'gemini',
         apiKey: '',
         autoNotify: true,
         minStatus: 400,
-        allowedDomains: ['https://pp.daloop.app/']
+        allowedDomains: ['https://pp.daloop.app/'],
+        fallbackChain: [],
+        cacheEnabled: true,
+        cacheTtlDays: 7,
+        screenshotAnalysis: true,
+        maskScreenshots: true,
+        local: {
+          format: 'openai',
+          baseUrl: 'http://localhost:11434/v1',
+          model: 'llama3.1',
+          headers: {},
+          timeoutMs: 60000,
+          vision: false
+        }
       },
       notifications: {
         enabled: true,
@@ -76,6 +110,7 @@ class BugSpotterSettings {
       this.initTabs();
       // Load performance metrics initially
       this.loadPerformanceMetrics();
+      this.loadAIUsage();
       
       // Inicializar o estado das keys na UI
       this.updateAPIKeyInputState();
@@ -161,6 +196,7 @@ class BugSpotterSettings {
       // Load metrics when switching to Metrics tab
       if (tabName === 'metrics') {
         this.loadPerformanceMetrics();
+        this.loadAIUsage();
       }
     }
   }
@@ -226,11 +262,64 @@ class BugSpotterSettings {
   
     // Security settings - salvar automaticamente quando houver mudanças
     document.getElementById('securityForm').addEventListener('change', () => this.saveSecuritySettings());
+
+    // Environment detection
+    document.getElementById('environmentDetectionForm')?.addEventListener('change', () => this.saveEnvironmentSettings());
+    document.getElementById('environmentDetectionForm')?.addEventListener('input', () => this.updateEnvironmentPreview());
+    document.getElementById('addEnvironmentRule')?.addEventListener('click', () => this.addEnvironmentRuleRow({ type: 'hostname' }));
+    document.getElementById('environmentPreviewUrl')?.addEventListener('input', () => this.updateEnvironmentPreview());
+    document.getElementById('environmentPreviewMeta')?.addEventListener('input', () => this.updateEnvironmentPreview());
+
+    // Jira routing
+    document.getElementById('jiraRoutingForm')?.addEventListener('change', () => this.saveRoutingSettings());
+    document.getElementById('jiraRoutingForm')?.addEventListener('input', () => this.updateRoutingPreview());
+    document.getElementById('addRoutingRule')?.addEventListener('click', () => this.addRoutingRuleRow({}));
+    ['routingPreviewUrl', 'routingPreviewEnvironment', 'routingPreviewSeverity', 'routingPreviewCategory'].forEach(id => {
+      document.getElementById(id)?.addEventListener('input', () => this.updateRoutingPreview());
+    });
+
+    // Duplicate detection
+    document.getElementById('fingerprintForm')?.addEventListener('change', () => this.saveFingerprintSettings());
+    document.getElementById('fingerprintForm')?.addEventListener('input', () => this.updateFingerprintPreview());
+    document.getElementById('addMaskingRule')?.addEventListener('click', () => this.addMaskingRow('maskingRulesList', {}));
+    document.getElementById('addPathTemplate')?.addEventListener('click', () => this.addMaskingRow('pathTemplatesList', {}));
+    document.getElementById('fingerprintPreviewUrl')?.addEventListener('input', () => this.updateFingerprintPreview());
+    document.getElementById('fingerprintPreviewError')?.addEventListener('input', () => this.updateFingerprintPreview());
+    document.getElementById('refreshFingerprintRegistry')?.addEventListener('click', () => this.renderFingerprintRegistry());
+    document.getElementById('releaseStaleFingerprints')?.addEventListener('click', () => this.releaseStaleFingerprints());
+    document.getElementById('exportFingerprintRegistry')?.addEventListener('click', () => this.exportFingerprintRegistry());
+    document.getElementById('importFingerprintRegistry')?.addEventListener('click', () => this.importFingerprintRegistry());
+    document.getElementById('fingerprintLinkForm')?.addEventListener('submit', (e) => this.linkFingerprintManually(e));
+
+    // Privacy & redaction
+    document.getElementById('redactionForm')?.addEventListener('change', () => this.saveRedactionSettings());
+    document.getElementById('redactionForm')?.addEventListener('input', () => this.updateRedactionPreview());
+    document.getElementById('addRedactionRule')?.addEventListener('click', () => this.addRedactionRuleRow({ type: 'regex' }));
+    document.getElementById('redactionPreviewScope')?.addEventListener('change', () => this.updateRedactionPreview());
+    document.getElementById('redactionPreviewInput')?.addEventListener('input', () => this.updateRedactionPreview());
+    document.getElementById('exportOutboundAudit')?.addEventListener('click', () => this.exportOutboundAudit());
+    document.getElementById('clearOutboundAudit')?.addEventListener('click', () => this.clearOutboundAudit());
+
+    // Source maps
+    document.getElementById('sourceMapsForm')?.addEventListener('change', () => this.saveSourceMapSettings());
+    document.getElementById('sourceMapUpload')?.addEventListener('change', (e) => this.uploadSourceMaps(e));
   
     // AI settings
     document.getElementById('aiForm').addEventListener('submit', (e) => this.saveAISettings(e));
     document.getElementById('aiEnabled').addEventListener('change', () => this.toggleAIConfig());
     document.getElementById('testAiConnection').addEventListener('click', () => this.testAIConnection());
+    document.getElementById('addAiFallback')?.addEventListener('click', () => this.addAIFallbackRow({ provider: 'gemini', model: '' }));
+    document.getElementById('refreshAiHealth')?.addEventListener('click', () => this.renderAIProviderHealth());
+    document.getElementById('resetAiHealth')?.addEventListener('click', () => this.resetAIProviderHealth());
+    document.getElementById('clearAiReportCache')?.addEventListener('click', () => this.clearAIReportCache());
+    document.getElementById('aiPromptProfile')?.addEventListener('change', (e) => this.selectPromptProfile(e.target.value));
+    document.getElementById('addAiPromptProfile')?.addEventListener('click', () => this.addPromptProfile());
+    document.getElementById('removeAiPromptProfile')?.addEventListener('click', () => this.removePromptProfile());
+    document.getElementById('previewAiPromptBugReport')?.addEventListener('click', () => this.previewPromptTemplate('bugReport'));
+    document.getElementById('previewAiPromptEnhancement')?.addEventListener('click', () => this.previewPromptTemplate('enhancement'));
+    document.getElementById('previewAiPromptJsError')?.addEventListener('click', () => this.previewPromptTemplate('jsError'));
+    document.getElementById('resetAiPromptTemplates')?.addEventListener('click', () => this.resetPromptTemplates());
+    document.getElementById('saveAiPromptTemplates')?.addEventListener('click', () => this.savePromptTemplates());
     
     // Gerenciamento inteligente de providers e keys
     const providerSelect = document.getElementById('aiProvider');
@@ -259,6 +348,10 @@ class BugSpotterSettings {
     if (refreshBtn) {
       refreshBtn.addEventListener('click', () => this.loadPerformanceMetrics());
     }
+    document.getElementById('aiUsageForm')?.addEventListener('submit', (e) => this.saveAIUsageConfig(e));
+    document.getElementById('addAiPrice')?.addEventListener('click', () => this.addAIPriceRow('', { input: 0, output: 0 }));
+    document.getElementById('refreshAiUsage')?.addEventListener('click', () => this.loadAIUsage());
+    document.getElementById('resetAiUsage')?.addEventListener('click', () => this.resetAIUsage());
     
     // Notifications settings
     document.getElementById('notificationsForm').addEventListener('change', () => this.saveNotificationSettings());
@@ -293,7 +386,7 @@ class BugSpotterSettings {
         // Carregar configurações do storage local e sync
         const [localResult, syncResult] = await Promise.all([
           chrome.storage.local.get(['settings']),
-          chrome.storage.sync.get(['aiEnabled', 'aiProvider', 'aiApiKey', 'aiAutoNotify', 'aiMinStatus', 'aiKeys'])
+          chrome.storage.sync.get(['aiEnabled', 'aiProvider', 'aiApiKey', 'aiAutoNotify', 'aiMinStatus', 'aiKeys', 'aiLocalConfig', 'aiFallbackChain'])
         ]);
         
         // Carregando configurações do storage - silenciado
@@ -320,7 +413,9 @@ class BugSpotterSettings {
             provider: syncResult.aiProvider || 'gemini',
             apiKey: syncResult.aiApiKey || '',
             autoNotify: syncResult.aiAutoNotify || false,
-            minStatus: syncResult.aiMinStatus || 400
+            minStatus: syncResult.aiMinStatus || 400,
+            local: { ...this.settings.ai.local, ...(syncResult.aiLocalConfig || {}) },
+            fallbackChain: Array.isArray(syncResult.aiFallbackChain) ? syncResult.aiFallbackChain : (this.settings.ai.fallbackChain || [])
           };
 
           // Sincronizar a key ativa com o cache se necessário
@@ -384,6 +479,170 @@ class BugSpotterSettings {
     setText(`${prefix}Median`, toMs(stat.medianDuration));
   }
 
+  /**
+   * Consumo de AI (tokens/custo) e orçamento, lidos diretamente do storage partilhado com o service worker
+   */
+  async loadAIUsage() {
+    if (typeof AIUsageTracker === 'undefined' || !document.getElementById('aiUsageForm') ||
+        typeof chrome === 'undefined' || !chrome.storage) {
+      return;
+    }
+    try {
+      const summary = await new AIUsageTracker().getSummary();
+      this.renderAIUsage(summary);
+      // Só repor o formulário se ainda não foi preenchido (não descartar edições por guardar)
+      if (!this.aiUsageFormLoaded) {
+        this.renderAIUsageConfig(summary.config);
+        this.aiUsageFormLoaded = true;
+      }
+    } catch (error) {
+      console.error('Erro ao carregar consumo de AI:', error);
+    }
+  }
+
+  renderAIUsage(summary) {
+    const setText = (id, value) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = value;
+    };
+    const formatCost = (cost) => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+    const formatTokens = (totals) => `${totals.promptTokens.toLocaleString()} / ${totals.completionTokens.toLocaleString()}`;
+
+    [['Today', summary.today.total], ['Month', summary.thisMonth.total]].forEach(([suffix, totals]) => {
+      setText(`aiUsage${suffix}Calls`, String(totals.calls));
+      setText(`aiUsage${suffix}Tokens`, formatTokens(totals));
+      setText(`aiUsage${suffix}Cost`, formatCost(totals.cost));
+    });
+
+    const status = document.getElementById('aiBudgetStatus');
+    const { budget, config } = summary;
+    status.classList.toggle('exceeded', budget.exceeded);
+    if (budget.exceeded) {
+      status.textContent = `⚠️ ${budget.period === 'daily' ? 'Daily' : 'Monthly'} budget reached (${formatCost(budget.spent)} of ${formatCost(budget.limit)}): new reports are generated without AI.`;
+    } else if (config.budget.dailyUsd > 0 || config.budget.monthlyUsd > 0) {
+      const limits = [];
+      if (config.budget.dailyUsd > 0) limits.push(`${formatCost(summary.today.total.cost)} of ${formatCost(config.budget.dailyUsd)} today`);
+      if (config.budget.monthlyUsd > 0) limits.push(`${formatCost(summary.thisMonth.total.cost)} of ${formatCost(config.budget.monthlyUsd)} this month`);
+      status.textContent = `Budget: ${limits.join(' • ')}`;
+    } else {
+      status.textContent = 'No budget configured.';
+    }
+
+    const list = document.getElementById('aiUsageProviderList');
+    list.innerHTML = '';
+    const providers = Object.entries(summary.thisMonth.providers);
+    if (providers.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'source-map-empty';
+      empty.textContent = 'No AI calls this month';
+      list.appendChild(empty);
+    }
+    providers.forEach(([provider, totals]) => {
+      const item = document.createElement('li');
+      item.className = 'fingerprint-registry-item';
+      const info = document.createElement('div');
+      info.className = 'fingerprint-registry-info';
+      const title = document.createElement('strong');
+      title.textContent = `${AIService.PROVIDER_NAMES[provider] || provider} — ${formatCost(totals.cost)}`;
+      const meta = document.createElement('small');
+      meta.textContent = `${totals.calls} calls • ${formatTokens(totals)} tokens` +
+        (totals.estimatedCalls > 0 ? ` • ${totals.estimatedCalls} estimated` : '');
+      info.appendChild(title);
+      info.appendChild(meta);
+      item.appendChild(info);
+      list.appendChild(item);
+    });
+  }
+
+  renderAIUsageConfig(config) {
+    document.getElementById('aiBudgetDaily').value = config.budget.dailyUsd || '';
+    document.getElementById('aiBudgetMonthly').value = config.budget.monthlyUsd || '';
+    const list = document.getElementById('aiPriceList');
+    list.innerHTML = '';
+    Object.entries(config.prices).forEach(([key, price]) => this.addAIPriceRow(key, price));
+  }
+
+  addAIPriceRow(key, price) {
+    const list = document.getElementById('aiPriceList');
+    if (!list) return;
+
+    const row = document.createElement('div');
+    row.className = 'priority-item masking-row ai-price-row';
+    const keyInput = document.createElement('input');
+    keyInput.type = 'text';
+    keyInput.dataset.field = 'key';
+    keyInput.placeholder = 'provider or provider:model';
+    keyInput.value = key;
+    row.appendChild(keyInput);
+
+    ['input', 'output'].forEach(field => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = '0.01';
+      input.dataset.field = field;
+      input.title = `${field === 'input' ? 'Prompt' : 'Completion'} tokens, USD per million`;
+      input.placeholder = field;
+      input.value = price[field];
+      row.appendChild(input);
+    });
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn-remove-priority';
+    remove.title = 'Remove';
+    remove.innerHTML = '<span class="material-icons">delete</span>';
+    remove.addEventListener('click', () => row.remove());
+    row.appendChild(remove);
+    list.appendChild(row);
+  }
+
+  collectAIUsageConfig() {
+    const prices = {};
+    document.querySelectorAll('#aiPriceList .ai-price-row').forEach(row => {
+      const key = row.querySelector('[data-field="key"]').value.trim();
+      if (!key) return;
+      if (!/^[a-z]+(?::.+)?$/.test(key)) {
+        throw new Error(`Invalid price key: ${key}`);
+      }
+      prices[key] = {
+        input: parseFloat(row.querySelector('[data-field="input"]').value) || 0,
+        output: parseFloat(row.querySelector('[data-field="output"]').value) || 0
+      };
+    });
+    return {
+      prices,
+      budget: {
+        dailyUsd: parseFloat(document.getElementById('aiBudgetDaily').value) || 0,
+        monthlyUsd: parseFloat(document.getElementById('aiBudgetMonthly').value) || 0
+      }
+    };
+  }
+
+  async saveAIUsageConfig(event) {
+    event.preventDefault();
+    try {
+      const config = await new AIUsageTracker().saveConfig(this.collectAIUsageConfig());
+      this.renderAIUsageConfig(config);
+      await this.loadAIUsage();
+      this.showStatus('✅ AI budget saved', 'success');
+    } catch (error) {
+      console.error('Erro ao guardar orçamento de AI:', error);
+      this.showStatus(`❌ Error saving AI budget: ${error.message}`, 'error');
+    }
+  }
+
+  async resetAIUsage() {
+    if (!confirm('Reset the AI usage totals? The budget starts counting from zero.')) return;
+    try {
+      await new AIUsageTracker().reset();
+      await this.loadAIUsage();
+      this.showStatus('✅ AI usage totals reset', 'success');
+    } catch (error) {
+      this.showStatus(`❌ Error resetting AI usage: ${error.message}`, 'error');
+    }
+  }
+
   updateUI() {
     // Jira settings
     document.getElementById('jiraEnabled').checked = this.settings.jira.enabled;
@@ -392,6 +651,8 @@ class BugSpotterSettings {
     document.getElementById('jiraApiToken').value = this.settings.jira.apiToken;
     document.getElementById('jiraProjectKey').value = this.settings.jira.projectKey;
     document.getElementById('jiraIssueType').value = this.settings.jira.issueTypeId;
+    const descriptionFormatEl = document.getElementById('jiraDescriptionFormat');
+    if (descriptionFormatEl) descriptionFormatEl.value = this.settings.jira.descriptionFormat === 'adf' ? 'adf' : 'wiki';
 
     // 🆕 Jira Sync UI
     const syncEnabledEl = document.getElementById('jiraSyncEnabled');
@@ -449,6 +710,33 @@ class BugSpotterSettings {
     const limitInput = document.getElementById('recentLogsLimit');
     if (winSecondsInput) winSecondsInput.value = this.settings.capture.recentLogsWindowSeconds ?? 30;
     if (limitInput) limitInput.value = this.settings.capture.recentLogsLimit ?? 10;
+    const frameworkSelect = document.getElementById('testScriptFramework');
+    if (frameworkSelect) frameworkSelect.value = this.settings.capture.testScriptFramework || 'playwright';
+
+    // Source maps
+    const sourceMaps = this.settings.sourceMaps || {};
+    const sourceMapsEnabled = document.getElementById('sourceMapsEnabled');
+    const sourceMapsFetchRemote = document.getElementById('sourceMapsFetchRemote');
+    if (sourceMapsEnabled) sourceMapsEnabled.checked = sourceMaps.enabled !== false;
+    if (sourceMapsFetchRemote) sourceMapsFetchRemote.checked = sourceMaps.fetchRemote !== false;
+    this.renderSourceMapsList();
+
+    // Duplicate detection
+    const fingerprint = this.settings.fingerprint || {};
+    const fingerprintStrategy = document.getElementById('fingerprintStrategy');
+    const fingerprintFrameCount = document.getElementById('fingerprintFrameCount');
+    if (fingerprintStrategy) fingerprintStrategy.value = fingerprint.strategy || 'default';
+    if (fingerprintFrameCount) fingerprintFrameCount.value = fingerprint.frameCount ?? 5;
+    const duplicates = this.settings.duplicates || {};
+    const duplicateSuggestionsEnabled = document.getElementById('duplicateSuggestionsEnabled');
+    const duplicateThreshold = document.getElementById('duplicateThreshold');
+    if (duplicateSuggestionsEnabled) duplicateSuggestionsEnabled.checked = duplicates.enabled !== false;
+    if (duplicateThreshold) duplicateThreshold.value = duplicates.threshold ?? 30;
+    this.renderMaskingSettings(fingerprint.masking || {});
+    this.renderFingerprintRegistry();
+    this.renderEnvironmentSettings();
+    this.renderRoutingSettings();
+    this.loadRedactionSettings();
 
     // Security settings
     document.getElementById('encryptData').checked = this.settings.security.encryptData;
@@ -461,10 +749,18 @@ class BugSpotterSettings {
     document.getElementById('aiApiKey').value = this.settings.ai.apiKey;
     document.getElementById('aiAutoNotify').checked = this.settings.ai.autoNotify;
     document.getElementById('aiMinStatus').value = this.settings.ai.minStatus;
+    document.getElementById('aiCacheEnabled').checked = this.settings.ai.cacheEnabled !== false;
+    document.getElementById('aiCacheTtlDays').value = this.settings.ai.cacheTtlDays || 7;
+    document.getElementById('aiScreenshotAnalysis').checked = this.settings.ai.screenshotAnalysis !== false;
+    document.getElementById('aiMaskScreenshots').checked = this.settings.ai.maskScreenshots !== false;
     const aiAllowedDomainsEl = document.getElementById('aiAllowedDomains');
     if (aiAllowedDomainsEl) {
       aiAllowedDomainsEl.value = (this.settings.ai.allowedDomains || []).join('\n');
     }
+    this.updateLocalAIFields(this.settings.ai.local || {});
+    this.renderAIFallbackChain(this.settings.ai.fallbackChain || []);
+    this.renderAIProviderHealth();
+    this.loadPromptTemplates();
 
     // Notifications settings
     document.getElementById('notificationsEnabled').checked = this.settings.notifications.enabled;
@@ -642,7 +938,8 @@ class BugSpotterSettings {
       email: document.getElementById('jiraEmail').value.trim(),
       apiToken: document.getElementById('jiraApiToken').value.trim(),
       projectKey: document.getElementById('jiraProjectKey').value.trim(),
-      issueTypeId: document.getElementById('jiraIssueType').value.trim()
+      issueTypeId: document.getElementById('jiraIssueType').value.trim(),
+      descriptionFormat: document.getElementById('jiraDescriptionFormat')?.value === 'adf' ? 'adf' : 'wiki'
     };
 
     // 🆕 Dados de sincronização Jira (genéricos)
@@ -740,7 +1037,8 @@ class BugSpotterSettings {
     try {
       this.settings.jira = {
         ...formData,
-        priorities: this.settings.jira.priorities // Manter prioridades existentes
+        priorities: this.settings.jira.priorities, // Manter prioridades existentes
+        routing: this.settings.jira.routing // Regras de encaminhamento têm secção própria
       };
       // 🆕 Persistir configuração genérica de sincronização
       this.settings.jiraSync = { ...jiraSyncData };
@@ -859,7 +1157,8 @@ class BugSpotterSettings {
         maxVideoLength: parseInt(document.getElementById('maxVideoLength').value),
         screenshotQuality: parseInt(document.getElementById('screenshotQuality').value),
         recentLogsWindowSeconds: parseInt(document.getElementById('recentLogsWindowSeconds').value),
-        recentLogsLimit: parseInt(document.getElementById('recentLogsLimit').value)
+        recentLogsLimit: parseInt(document.getElementById('recentLogsLimit').value),
+        testScriptFramework: document.getElementById('testScriptFramework')?.value || 'playwright'
       };
       
       // Schema de validação
@@ -892,6 +1191,11 @@ class BugSpotterSettings {
           type: 'number',
           min: 10,
           max: 50
+        },
+        testScriptFramework: {
+          required: true,
+          type: 'string',
+          pattern: /^(playwright|cypress|puppeteer)$/
         }
       };
       
@@ -933,6 +1237,874 @@ class BugSpotterSettings {
     }
   }
 
+  async saveSourceMapSettings() {
+    try {
+      this.settings.sourceMaps = {
+        enabled: document.getElementById('sourceMapsEnabled').checked,
+        fetchRemote: document.getElementById('sourceMapsFetchRemote').checked
+      };
+      await this.saveSettings();
+      this.showStatus('✅ Source map settings saved!', 'success');
+    } catch (error) {
+      console.error('Erro ao salvar configurações de source maps:', error);
+      this.showStatus('❌ Error saving source map settings', 'error');
+    }
+  }
+
+  async saveFingerprintSettings() {
+    try {
+      const strategy = document.getElementById('fingerprintStrategy').value;
+      const frameCount = parseInt(document.getElementById('fingerprintFrameCount').value, 10);
+      if (!['default', 'stack'].includes(strategy)) {
+        this.showStatus('❌ Unknown fingerprint strategy', 'error');
+        return;
+      }
+      if (!Number.isInteger(frameCount) || frameCount < 1 || frameCount > 10) {
+        this.showStatus('❌ In-app frames must be between 1 and 10', 'error');
+        return;
+      }
+      const threshold = parseInt(document.getElementById('duplicateThreshold').value, 10);
+      if (!Number.isInteger(threshold) || threshold < 10 || threshold > 90) {
+        this.showStatus('❌ Minimum similarity must be between 10% and 90%', 'error');
+        return;
+      }
+      const masking = this.collectMaskingSettings();
+      const maskingErrors = this.validateMaskingSettings(masking);
+      if (maskingErrors.length > 0) {
+        this.showStatus(`❌ Invalid masking rule: ${maskingErrors.join(', ')}`, 'error');
+        return;
+      }
+      this.settings.fingerprint = { strategy, frameCount, masking };
+      this.settings.duplicates = {
+        enabled: document.getElementById('duplicateSuggestionsEnabled').checked,
+        threshold
+      };
+      await this.saveSettings();
+      this.showStatus('✅ Duplicate detection settings saved!', 'success');
+    } catch (error) {
+      console.error('Erro ao salvar configurações de deteção de duplicados:', error);
+      this.showStatus('❌ Error saving duplicate detection settings', 'error');
+    }
+  }
+
+  /**
+   * Preenche o editor de regras de ambiente (settings.environmentDetection, avaliadas no background)
+   */
+  renderEnvironmentSettings() {
+    if (typeof EnvironmentDetector === 'undefined') return;
+    const config = EnvironmentDetector.normalizeConfig(this.settings.environmentDetection);
+    const list = document.getElementById('environmentRulesList');
+    if (list) {
+      list.innerHTML = '';
+      config.rules.forEach(rule => this.addEnvironmentRuleRow(rule, false));
+    }
+    const values = {
+      defaultEnvironment: config.defaultEnvironment,
+      jiraEnvironmentField: config.jiraEnvironmentField,
+      jiraVersionField: config.jiraVersionField
+    };
+    Object.entries(values).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    });
+    this.updateEnvironmentPreview();
+  }
+
+  addEnvironmentRuleRow(rule, focus = true) {
+    const list = document.getElementById('environmentRulesList');
+    if (!list) return;
+
+    const row = document.createElement('div');
+    row.className = 'priority-item masking-row environment-row';
+
+    const type = document.createElement('select');
+    type.dataset.field = 'type';
+    [['hostname', 'Hostname'], ['path', 'URL path'], ['meta', 'Meta tag']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      type.appendChild(option);
+    });
+    type.value = rule.type || 'hostname';
+
+    const field = (key, placeholder) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.dataset.field = key;
+      input.placeholder = placeholder;
+      input.value = rule[key] || '';
+      return input;
+    };
+    const metaName = field('metaName', 'Meta name, e.g. app-version');
+    const pattern = field('pattern', 'Regex, e.g. ^pp\\.');
+    const environment = field('environment', 'Environment, e.g. Staging');
+    const version = field('version', 'Version, e.g. $1');
+    const toggleMeta = () => { metaName.style.display = type.value === 'meta' ? '' : 'none'; };
+    type.addEventListener('change', toggleMeta);
+    toggleMeta();
+
+    [type, metaName, pattern, environment, version].forEach(element => row.appendChild(element));
+    this.appendRowControls(row, list, () => {
+      this.saveEnvironmentSettings();
+      this.updateEnvironmentPreview();
+    });
+
+    list.appendChild(row);
+    if (focus) pattern.focus();
+  }
+
+  collectEnvironmentSettings() {
+    const rules = Array.from(document.querySelectorAll('#environmentRulesList .environment-row')).map((row, index) => {
+      const read = key => row.querySelector(`[data-field="${key}"]`).value.trim();
+      return {
+        id: `env-rule-${index + 1}`,
+        type: read('type'),
+        pattern: read('pattern'),
+        metaName: read('type') === 'meta' ? read('metaName') : '',
+        environment: read('environment'),
+        version: read('version')
+      };
+    }).filter(rule => rule.pattern || rule.metaName || rule.environment || rule.version);
+
+    return {
+      rules,
+      defaultEnvironment: document.getElementById('defaultEnvironment')?.value.trim() || '',
+      jiraEnvironmentField: document.getElementById('jiraEnvironmentField')?.value.trim() || '',
+      jiraVersionField: document.getElementById('jiraVersionField')?.value.trim() || ''
+    };
+  }
+
+  async saveEnvironmentSettings() {
+    if (typeof EnvironmentDetector === 'undefined') return;
+    try {
+      const config = this.collectEnvironmentSettings();
+      const errors = EnvironmentDetector.validateConfig(config);
+      if (errors.length > 0) {
+        this.showStatus(`❌ ${errors.join(', ')}`, 'error');
+        return;
+      }
+      this.settings.environmentDetection = EnvironmentDetector.normalizeConfig(config);
+      await this.saveSettings();
+      this.showStatus('✅ Environment rules saved!', 'success');
+    } catch (error) {
+      console.error('Erro ao salvar regras de ambiente:', error);
+      this.showStatus('❌ Error saving environment rules', 'error');
+    }
+  }
+
+  /**
+   * Pré-visualização: ambiente e build para o URL e as meta tags colados, com as regras ainda não guardadas
+   */
+  updateEnvironmentPreview() {
+    const output = document.getElementById('environmentPreviewOutput');
+    if (!output || typeof EnvironmentDetector === 'undefined') return;
+
+    const url = document.getElementById('environmentPreviewUrl')?.value.trim() || '';
+    if (!url) {
+      output.textContent = 'Paste a page URL (and optionally meta tags) to preview the detected environment.';
+      return;
+    }
+    const config = this.collectEnvironmentSettings();
+    const errors = EnvironmentDetector.validateConfig(config);
+    if (errors.length > 0) {
+      output.textContent = errors.join('\n');
+      return;
+    }
+
+    const meta = {};
+    (document.getElementById('environmentPreviewMeta')?.value || '').split('\n').forEach(line => {
+      const separator = line.indexOf('=');
+      if (separator > 0) meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    });
+    const result = new EnvironmentDetector(config).detect({ url, meta });
+    output.textContent = [
+      `Environment: ${result.environment || '(none)'}${result.environmentRule ? ` (rule ${result.environmentRule.replace('env-rule-', '')})` : ' (default)'}`,
+      `Build: ${result.version || '(none)'}${result.versionRule ? ` (rule ${result.versionRule.replace('env-rule-', '')})` : ''}`
+    ].join('\n');
+  }
+
+  /**
+   * Preenche a tabela de regras de encaminhamento (settings.jira.routing, avaliadas no background)
+   */
+  renderRoutingSettings() {
+    if (typeof JiraRouter === 'undefined') return;
+    const config = JiraRouter.normalizeConfig(this.settings.jira?.routing);
+    const list = document.getElementById('routingRulesList');
+    if (list) {
+      list.innerHTML = '';
+      config.rules.forEach(rule => this.addRoutingRuleRow(rule, false));
+    }
+    this.updateRoutingPreview();
+  }
+
+  addRoutingRuleRow(rule, focus = true) {
+    const list = document.getElementById('routingRulesList');
+    if (!list) return;
+
+    const row = document.createElement('div');
+    row.className = 'priority-item masking-row routing-row';
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.dataset.field = 'enabled';
+    enabled.title = 'Enabled';
+    enabled.checked = rule.enabled !== false;
+
+    const field = (key, placeholder) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.dataset.field = key;
+      input.placeholder = placeholder;
+      input.value = Array.isArray(rule[key]) ? rule[key].join(', ') : (rule[key] || '');
+      return input;
+    };
+    const name = field('name', 'Name, e.g. Shop');
+    const inputs = [
+      name,
+      field('urlPattern', 'URL regex, e.g. shop\\.example\\.com'),
+      field('environments', 'Environments'),
+      field('severities', 'Severities'),
+      field('categories', 'Categories'),
+      field('projectKey', 'Project, e.g. SHOP'),
+      field('issueTypeId', 'Issue type id'),
+      field('components', 'Components'),
+      field('labels', 'Labels'),
+      field('assigneeAccountId', 'Assignee account id')
+    ];
+
+    [enabled, ...inputs].forEach(element => row.appendChild(element));
+    this.appendRowControls(row, list, () => {
+      this.saveRoutingSettings();
+      this.updateRoutingPreview();
+    });
+
+    list.appendChild(row);
+    if (focus) name.focus();
+  }
+
+  collectRoutingSettings() {
+    const keys = ['name', 'urlPattern', 'environments', 'severities', 'categories', 'projectKey', 'issueTypeId', 'components', 'labels', 'assigneeAccountId'];
+    const rules = Array.from(document.querySelectorAll('#routingRulesList .routing-row')).map((row, index) => ({
+      id: `route-${index + 1}`,
+      enabled: row.querySelector('[data-field="enabled"]').checked,
+      ...Object.fromEntries(keys.map(key => [key, row.querySelector(`[data-field="${key}"]`).value.trim()]))
+    })).filter(rule => keys.some(key => key !== 'name' && rule[key]));
+    return { rules };
+  }
+
+  async saveRoutingSettings() {
+    if (typeof JiraRouter === 'undefined') return;
+    try {
+      const config = this.collectRoutingSettings();
+      const errors = JiraRouter.validateConfig(config);
+      if (errors.length > 0) {
+        this.showStatus(`❌ ${errors.join(', ')}`, 'error');
+        return;
+      }
+      this.settings.jira = { ...this.settings.jira, routing: JiraRouter.normalizeConfig(config) };
+      await this.saveSettings();
+      this.showStatus('✅ Routing rules saved!', 'success');
+    } catch (error) {
+      console.error('Erro ao salvar regras de encaminhamento:', error);
+      this.showStatus('❌ Error saving routing rules', 'error');
+    }
+  }
+
+  /**
+   * Dry run: destino de um relatório fictício com as regras ainda não guardadas, e porque cada regra falhou
+   */
+  updateRoutingPreview() {
+    const output = document.getElementById('routingPreviewOutput');
+    if (!output || typeof JiraRouter === 'undefined') return;
+
+    const read = id => document.getElementById(id)?.value.trim() || '';
+    const report = {
+      url: read('routingPreviewUrl'),
+      environment: read('routingPreviewEnvironment'),
+      severity: read('routingPreviewSeverity'),
+      category: JiraRouter.list(read('routingPreviewCategory'))
+    };
+    if (!report.url && !report.environment && !report.severity && report.category.length === 0) {
+      output.textContent = 'Fill in a URL, environment, severity or category to see where the report would go.';
+      return;
+    }
+    const config = this.collectRoutingSettings();
+    const errors = JiraRouter.validateConfig(config);
+    if (errors.length > 0) {
+      output.textContent = errors.join('\n');
+      return;
+    }
+
+    const jira = this.settings.jira || {};
+    const result = new JiraRouter(config).route(report, { projectKey: jira.projectKey, issueTypeId: jira.issueTypeId });
+    output.textContent = [
+      `Project: ${result.projectKey || '(not set)'} · Issue type: ${result.issueTypeId || '(not set)'}${result.ruleId ? ` (rule "${result.ruleName}")` : ' (defaults, no rule matched)'}`,
+      `Components: ${result.components.join(', ') || '-'}`,
+      `Labels: ${result.labels.join(', ') || '-'}`,
+      `Assignee: ${result.assigneeAccountId || '-'}`,
+      ...result.evaluations.map(evaluation => `${evaluation.matched ? '✓' : '✗'} ${evaluation.name}${evaluation.reasons.length ? `: ${evaluation.reasons.join('; ')}` : ''}`)
+    ].join('\n');
+  }
+
+  /**
+   * Preenche o editor de masking (regras ordenadas, templates de caminho e parâmetros ignorados)
+   */
+  renderMaskingSettings(masking) {
+    ['maskingRulesList', 'pathTemplatesList'].forEach(id => {
+      const list = document.getElementById(id);
+      if (list) list.innerHTML = '';
+    });
+    (masking.rules || []).forEach(rule => this.addMaskingRow('maskingRulesList', rule, false));
+    (masking.pathTemplates || []).forEach(entry => this.addMaskingRow('pathTemplatesList', entry, false));
+
+    const useDefaults = document.getElementById('maskingUseDefaults');
+    if (useDefaults) useDefaults.checked = masking.useDefaultRules !== false;
+    const ignoredParams = document.getElementById('ignoredParams');
+    if (ignoredParams) ignoredParams.value = (masking.ignoredParams || []).join('\n');
+    this.updateFingerprintPreview();
+  }
+
+  /**
+   * Adiciona uma linha ao editor de regras (regex → substituição) ou de templates (domínio + caminho)
+   */
+  addMaskingRow(listId, values, focus = true) {
+    const list = document.getElementById(listId);
+    if (!list) return;
+    const isRule = listId === 'maskingRulesList';
+    const [firstKey, secondKey] = isRule ? ['pattern', 'replacement'] : ['domain', 'template'];
+
+    const row = document.createElement('div');
+    row.className = 'priority-item masking-row';
+
+    const first = document.createElement('input');
+    first.type = 'text';
+    first.dataset.field = firstKey;
+    first.placeholder = isRule ? 'Regex, e.g. ord-[a-z0-9]+' : 'Domain, e.g. {tenant}.example.com';
+    first.value = values[firstKey] || '';
+
+    const second = document.createElement('input');
+    second.type = 'text';
+    second.dataset.field = secondKey;
+    second.placeholder = isRule ? 'Replacement, e.g. {order}' : 'Template, e.g. /tenants/{tenant}/orders/{id}';
+    second.value = values[secondKey] || '';
+
+    row.appendChild(first);
+    row.appendChild(second);
+    this.appendRowControls(row, list, () => {
+      this.saveFingerprintSettings();
+      this.updateFingerprintPreview();
+    });
+
+    list.appendChild(row);
+    if (focus) first.focus();
+  }
+
+  // Botões subir/descer/remover das listas ordenadas (regras de masking, cadeia de fallback)
+  appendRowControls(row, list, onChange) {
+    [['arrow_upward', 'Move up', -1], ['arrow_downward', 'Move down', 1], ['delete', 'Remove', 0]].forEach(([icon, title, direction]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn-remove-priority';
+      button.title = title;
+      button.innerHTML = `<span class="material-icons">${icon}</span>`;
+      button.addEventListener('click', () => {
+        if (direction === 0) {
+          row.remove();
+        } else if (direction < 0 && row.previousElementSibling) {
+          list.insertBefore(row, row.previousElementSibling);
+        } else if (direction > 0 && row.nextElementSibling) {
+          list.insertBefore(row.nextElementSibling, row);
+        }
+        onChange();
+      });
+      row.appendChild(button);
+    });
+  }
+
+  collectMaskingSettings() {
+    const readRows = (listId, keys) => Array.from(document.querySelectorAll(`#${listId} .masking-row`))
+      .map(row => Object.fromEntries(keys.map(key => [key, row.querySelector(`[data-field="${key}"]`).value.trim()])));
+
+    return {
+      rules: readRows('maskingRulesList', ['pattern', 'replacement']).filter(rule => rule.pattern),
+      pathTemplates: readRows('pathTemplatesList', ['domain', 'template']).filter(entry => entry.template),
+      ignoredParams: (document.getElementById('ignoredParams')?.value || '')
+        .split(/[\n,]/)
+        .map(param => param.trim().toLowerCase())
+        .filter(Boolean),
+      useDefaultRules: document.getElementById('maskingUseDefaults')?.checked !== false
+    };
+  }
+
+  validateMaskingSettings(masking) {
+    const errors = [];
+    masking.rules.forEach((rule, index) => {
+      try {
+        new RegExp(rule.pattern);
+      } catch (error) {
+        errors.push(`rule ${index + 1} (${error.message})`);
+      }
+    });
+    masking.pathTemplates.forEach((entry, index) => {
+      if (!entry.template.startsWith('/')) {
+        errors.push(`template ${index + 1} must start with /`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Pré-visualização: mostra a string normalizada e o fingerprint para o URL/erro colados
+   */
+  async updateFingerprintPreview() {
+    const output = document.getElementById('fingerprintPreviewOutput');
+    if (!output || typeof FingerprintManager === 'undefined') return;
+
+    const url = document.getElementById('fingerprintPreviewUrl')?.value.trim() || '';
+    const errorText = document.getElementById('fingerprintPreviewError')?.value.trim() || '';
+    if (!url && !errorText) {
+      output.textContent = 'Paste a URL and/or an error to preview its fingerprint.';
+      return;
+    }
+
+    const masking = this.collectMaskingSettings();
+    const errors = this.validateMaskingSettings(masking);
+    if (errors.length > 0) {
+      output.textContent = `Invalid masking rule: ${errors.join(', ')}`;
+      return;
+    }
+
+    const manager = new FingerprintManager({
+      stackParser: typeof StackTraceParser !== 'undefined' ? new StackTraceParser() : null
+    });
+    const bugData = {
+      url,
+      originalError: errorText ? { message: errorText.split('\n')[0], stack: errorText } : null,
+      logs: []
+    };
+    const options = {
+      strategy: document.getElementById('fingerprintStrategy')?.value || 'default',
+      frameCount: parseInt(document.getElementById('fingerprintFrameCount')?.value, 10) || 5,
+      masking
+    };
+
+    try {
+      const { strategy, signal } = manager.buildFingerprintSignal(bugData, options);
+      const fingerprint = await manager.generateFingerprint(bugData, options);
+      output.textContent = `Strategy: ${strategy}\nNormalized: ${signal}\nFingerprint: ${fingerprint}`;
+    } catch (error) {
+      output.textContent = `Preview failed: ${error.message}`;
+    }
+  }
+
+  // O registo vive em chrome.storage.local, partilhado com o service worker
+  getFingerprintManager() {
+    if (!this.fingerprintManager && typeof FingerprintManager !== 'undefined') {
+      this.fingerprintManager = new FingerprintManager();
+    }
+    return this.fingerprintManager || null;
+  }
+
+  /**
+   * Regras de redação partilhadas (chrome.storage.local, lidas pelo background e pelo popup antes de cada envio)
+   */
+  async loadRedactionSettings() {
+    if (typeof RedactionEngine === 'undefined') return;
+    const data = await chrome.storage.local.get(RedactionEngine.STORAGE_KEY);
+    const config = RedactionEngine.normalizeConfig(data[RedactionEngine.STORAGE_KEY]);
+
+    const list = document.getElementById('redactionRulesList');
+    if (list) {
+      list.innerHTML = '';
+      config.rules.forEach(rule => this.addRedactionRuleRow(rule, false));
+    }
+
+    const builtins = document.getElementById('redactionBuiltinsList');
+    if (builtins) {
+      builtins.innerHTML = '';
+      RedactionEngine.BUILTIN_RULES.forEach(rule => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.dataset.builtin = rule.id;
+        input.checked = !config.disabledBuiltins.includes(rule.id);
+        const text = document.createElement('span');
+        text.textContent = rule.scopes ? `${rule.label} (AI only)` : rule.label;
+        label.appendChild(input);
+        label.appendChild(text);
+        builtins.appendChild(label);
+      });
+    }
+
+    const previewBeforeSend = document.getElementById('redactionPreviewBeforeSend');
+    if (previewBeforeSend) previewBeforeSend.checked = config.previewBeforeSend;
+    this.updateRedactionPreview();
+    this.renderOutboundAuditSummary();
+  }
+
+  addRedactionRuleRow(rule, focus = true) {
+    const list = document.getElementById('redactionRulesList');
+    if (!list) return;
+
+    const row = document.createElement('div');
+    row.className = 'priority-item masking-row redaction-row';
+
+    const type = document.createElement('select');
+    type.dataset.field = 'type';
+    [['regex', 'Regex'], ['jsonPath', 'JSON path'], ['header', 'Header'], ['queryParam', 'Query param']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      type.appendChild(option);
+    });
+    type.value = rule.type || 'regex';
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.dataset.field = 'pattern';
+    pattern.placeholder = 'Pattern, path or name';
+    pattern.value = rule.type === 'regex' && rule.flags ? `/${rule.pattern}/${rule.flags}` : (rule.pattern || '');
+
+    const replacement = document.createElement('input');
+    replacement.type = 'text';
+    replacement.dataset.field = 'replacement';
+    replacement.placeholder = RedactionEngine.MASK;
+    replacement.value = rule.replacement && rule.replacement !== RedactionEngine.MASK ? rule.replacement : '';
+
+    row.appendChild(type);
+    row.appendChild(pattern);
+    row.appendChild(replacement);
+    this.appendRowControls(row, list, () => {
+      this.saveRedactionSettings();
+      this.updateRedactionPreview();
+    });
+
+    list.appendChild(row);
+    if (focus) pattern.focus();
+  }
+
+  collectRedactionSettings() {
+    const rules = Array.from(document.querySelectorAll('#redactionRulesList .redaction-row')).map((row, index) => {
+      const type = row.querySelector('[data-field="type"]').value;
+      let pattern = row.querySelector('[data-field="pattern"]').value.trim();
+      let flags = '';
+      // Regex no formato /padrão/flags
+      const literal = type === 'regex' ? /^\/(.+)\/([a-z]*)$/.exec(pattern) : null;
+      if (literal) {
+        pattern = literal[1];
+        flags = literal[2];
+      }
+      return {
+        id: `custom-${index + 1}`,
+        type,
+        pattern,
+        flags,
+        replacement: row.querySelector('[data-field="replacement"]').value
+      };
+    }).filter(rule => rule.pattern);
+
+    return {
+      rules,
+      disabledBuiltins: Array.from(document.querySelectorAll('#redactionBuiltinsList input[data-builtin]'))
+        .filter(input => !input.checked)
+        .map(input => input.dataset.builtin),
+      previewBeforeSend: document.getElementById('redactionPreviewBeforeSend')?.checked === true
+    };
+  }
+
+  async saveRedactionSettings() {
+    if (typeof RedactionEngine === 'undefined') return;
+    try {
+      const config = this.collectRedactionSettings();
+      const errors = RedactionEngine.validateConfig(config);
+      if (errors.length > 0) {
+        this.showStatus(`❌ ${errors.join(', ')}`, 'error');
+        return;
+      }
+      await chrome.storage.local.set({ [RedactionEngine.STORAGE_KEY]: RedactionEngine.normalizeConfig(config) });
+      this.showStatus('✅ Redaction rules saved!', 'success');
+    } catch (error) {
+      console.error('Erro ao salvar regras de redação:', error);
+      this.showStatus('❌ Error saving redaction rules', 'error');
+    }
+  }
+
+  /**
+   * Pré-visualização: aplica as regras (ainda não guardadas) ao texto ou JSON colado e lista as substituições
+   */
+  updateRedactionPreview() {
+    const output = document.getElementById('redactionPreviewOutput');
+    if (!output || typeof RedactionEngine === 'undefined') return;
+
+    const input = document.getElementById('redactionPreviewInput')?.value || '';
+    if (!input.trim()) {
+      output.textContent = 'Paste text or JSON to preview what will be sent.';
+      return;
+    }
+
+    const config = this.collectRedactionSettings();
+    const errors = RedactionEngine.validateConfig(config);
+    if (errors.length > 0) {
+      output.textContent = errors.join('\n');
+      return;
+    }
+
+    const scope = document.getElementById('redactionPreviewScope')?.value || 'jira';
+    const engine = new RedactionEngine({ ...RedactionEngine.normalizeConfig(config), scope });
+    let payload = input;
+    try {
+      payload = JSON.parse(input);
+    } catch (_) {}
+    const result = engine.preview(payload);
+    const sent = typeof result.payload === 'string' ? result.payload : JSON.stringify(result.payload, null, 2);
+    const changes = result.changes.map(change => `${change.rule} @ ${change.path}: ${change.before} → ${change.after}`);
+    output.textContent = `${sent}\n\n${changes.length ? changes.join('\n') : 'No value matched the redaction rules.'}`;
+  }
+
+  async renderOutboundAuditSummary() {
+    const summary = document.getElementById('outboundAuditSummary');
+    if (!summary || typeof OutboundAuditLog === 'undefined') return;
+    const entries = await new OutboundAuditLog().list();
+    const redacted = entries.reduce((total, entry) => total + Object.values(entry.redactions || {}).reduce((sum, count) => sum + count, 0), 0);
+    summary.textContent = entries.length
+      ? `${entries.length} outbound record(s) since ${new Date(entries[0].at).toLocaleString()}, ${redacted} value(s) redacted`
+      : 'Nothing sent yet';
+  }
+
+  async exportOutboundAudit() {
+    if (typeof OutboundAuditLog === 'undefined') return;
+    try {
+      const entries = await new OutboundAuditLog().list();
+      const blob = new Blob([JSON.stringify({ exportedAt: new Date().toISOString(), entries }, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `bugspotter-outbound-audit-${new Date().toISOString().split('T')[0]}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      this.showStatus(`✅ ${entries.length} audit record(s) exported`, 'success');
+    } catch (error) {
+      console.error('Erro ao exportar auditoria de envios:', error);
+      this.showStatus('❌ Error exporting the audit log', 'error');
+    }
+  }
+
+  async clearOutboundAudit() {
+    if (typeof OutboundAuditLog === 'undefined') return;
+    if (!confirm('Clear the outbound audit log? Export it first if you need to keep the records.')) return;
+    await new OutboundAuditLog().clear();
+    await this.renderOutboundAuditSummary();
+    this.showStatus('✅ Audit log cleared', 'success');
+  }
+
+  async renderFingerprintRegistry() {
+    const list = document.getElementById('fingerprintRegistryList');
+    const manager = this.getFingerprintManager();
+    if (!list || !manager) return;
+
+    const entries = await manager.listEntries();
+    list.innerHTML = '';
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'source-map-empty';
+      empty.textContent = 'No fingerprints registered yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'fingerprint-registry-item';
+
+      const status = document.createElement('span');
+      status.className = `fingerprint-status ${entry.stale ? 'stale' : entry.status}`;
+      status.textContent = entry.stale ? 'stale' : entry.status;
+
+      const info = document.createElement('div');
+      info.className = 'fingerprint-registry-info';
+      const title = document.createElement('strong');
+      title.textContent = `${entry.ticketKey || '—'} ${entry.title || (entry.status === 'pending' ? 'Submission in progress' : '')}`.trim();
+      const meta = document.createElement('small');
+      const ttl = entry.expiresAt - Date.now();
+      meta.textContent = `${entry.fingerprint.substring(0, 12)}… • ${this.formatDuration(entry.ageMs)} ago • ` +
+        (ttl > 0 ? `expires in ${this.formatDuration(ttl)}` : 'expired') +
+        (entry.linkedManually ? ' • linked manually' : '');
+      meta.title = entry.fingerprint;
+      info.appendChild(title);
+      info.appendChild(meta);
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn-remove-priority';
+      remove.title = entry.status === 'pending' ? 'Release reservation' : 'Remove fingerprint';
+      remove.innerHTML = `<span class="material-icons">${entry.status === 'pending' ? 'lock_open' : 'delete'}</span>`;
+      remove.addEventListener('click', async () => {
+        await manager.removeEntry(entry.fingerprint);
+        await this.renderFingerprintRegistry();
+      });
+
+      item.appendChild(status);
+      item.appendChild(info);
+      item.appendChild(remove);
+      list.appendChild(item);
+    });
+  }
+
+  formatDuration(ms) {
+    const minutes = Math.max(0, Math.floor(ms / 60000));
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h`;
+    return `${Math.floor(hours / 24)}d`;
+  }
+
+  async releaseStaleFingerprints() {
+    const manager = this.getFingerprintManager();
+    if (!manager) return;
+    try {
+      const released = await manager.releaseStalePending();
+      await this.renderFingerprintRegistry();
+      this.showStatus(`✅ ${released} stale reservation(s) released`, 'success');
+    } catch (error) {
+      console.error('Erro ao libertar reservas:', error);
+      this.showStatus(`❌ Error releasing reservations: ${error.message}`, 'error');
+    }
+  }
+
+  async linkFingerprintManually(event) {
+    event.preventDefault();
+    const manager = this.getFingerprintManager();
+    if (!manager) return;
+
+    const hashInput = document.getElementById('linkFingerprintHash');
+    const ticketInput = document.getElementById('linkFingerprintTicket');
+    try {
+      const entry = await manager.linkFingerprint(hashInput.value, { ticketKey: ticketInput.value });
+      hashInput.value = '';
+      ticketInput.value = '';
+      await this.renderFingerprintRegistry();
+      this.showStatus(`✅ Fingerprint linked to ${entry.ticketKey}`, 'success');
+    } catch (error) {
+      this.showStatus(`❌ ${error.message}`, 'error');
+    }
+  }
+
+  async exportFingerprintRegistry() {
+    const manager = this.getFingerprintManager();
+    if (!manager) return;
+    try {
+      const registry = await manager.exportRegistry();
+      const blob = new Blob([JSON.stringify(registry, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `bugspotter-fingerprints-${new Date().toISOString().split('T')[0]}.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      this.showStatus(`✅ ${Object.keys(registry.entries).length} fingerprint(s) exported`, 'success');
+    } catch (error) {
+      console.error('Erro ao exportar fingerprints:', error);
+      this.showStatus('❌ Error exporting fingerprints', 'error');
+    }
+  }
+
+  importFingerprintRegistry() {
+    const manager = this.getFingerprintManager();
+    if (!manager) return;
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = async (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+      try {
+        const payload = JSON.parse(await file.text());
+        // OK = juntar ao registo local; Cancelar = substituir
+        const mode = confirm('Merge with the local registry?\n\nOK: merge (newest entry wins)\nCancel: replace local entries') ? 'merge' : 'replace';
+        const result = await manager.importRegistry(payload, { mode });
+        await this.renderFingerprintRegistry();
+        this.showStatus(`✅ Imported: ${result.added} added, ${result.updated} updated, ${result.skipped} skipped`, 'success');
+      } catch (error) {
+        console.error('Erro ao importar fingerprints:', error);
+        this.showStatus(error instanceof SyntaxError ? '❌ Invalid JSON file' : `❌ Import error: ${error.message}`, 'error');
+      }
+    };
+    input.click();
+  }
+
+  // Os mapas carregados ficam no IndexedDB da extensão (partilhado com o service worker)
+  getSourceMapResolver() {
+    if (!this.sourceMapResolver && typeof SourceMapResolver !== 'undefined' && typeof IndexedDBManager !== 'undefined') {
+      this.sourceMapResolver = new SourceMapResolver({ dbManager: new IndexedDBManager() });
+    }
+    return this.sourceMapResolver || null;
+  }
+
+  async uploadSourceMaps(event) {
+    const resolver = this.getSourceMapResolver();
+    const files = Array.from(event.target.files || []);
+    if (!resolver || files.length === 0) return;
+
+    const stored = [];
+    const failed = [];
+    for (const file of files) {
+      try {
+        const result = await resolver.storeUploadedMap(file.name, await file.text());
+        stored.push(result.file);
+      } catch (error) {
+        failed.push(`${file.name} (${error.message})`);
+      }
+    }
+    event.target.value = '';
+    await this.renderSourceMapsList();
+
+    if (failed.length > 0) {
+      this.showStatus(`❌ Invalid source map: ${failed.join(', ')}`, 'error');
+    } else {
+      this.showStatus(`✅ ${stored.length} source map(s) uploaded`, 'success');
+    }
+  }
+
+  async renderSourceMapsList() {
+    const list = document.getElementById('sourceMapsList');
+    const resolver = this.getSourceMapResolver();
+    if (!list || !resolver) return;
+
+    const files = await resolver.listUploadedMaps();
+    list.innerHTML = '';
+    if (files.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'source-map-empty';
+      empty.textContent = 'No source maps uploaded';
+      list.appendChild(empty);
+      return;
+    }
+    files.sort().forEach(file => {
+      const item = document.createElement('li');
+      item.className = 'source-map-item';
+      const name = document.createElement('span');
+      name.textContent = file;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn-remove-priority';
+      remove.title = 'Remove source map';
+      remove.innerHTML = '<span class="material-icons">delete</span>';
+      remove.addEventListener('click', async () => {
+        await resolver.removeUploadedMap(file);
+        await this.renderSourceMapsList();
+      });
+      item.appendChild(name);
+      item.appendChild(remove);
+      list.appendChild(item);
+    });
+  }
+
   async saveSecuritySettings() {
     try {
       const securityData = {
@@ -1504,6 +2676,424 @@ class BugSpotterSettings {
 
     // Atualizar texto de ajuda
     this.updateAPIKeyHelp();
+    this.toggleLocalAIConfig();
+  }
+
+  updateLocalAIFields(local) {
+    const fields = {
+      aiLocalFormat: local.format || 'openai',
+      aiLocalBaseUrl: local.baseUrl || '',
+      aiLocalModel: local.model || '',
+      aiLocalHeaders: Object.entries(local.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n'),
+      aiLocalTimeout: Math.round((local.timeoutMs || 60000) / 1000)
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+      const el = document.getElementById(id);
+      if (el) el.value = value;
+    });
+    const vision = document.getElementById('aiLocalVision');
+    if (vision) vision.checked = local.vision === true;
+    this.toggleLocalAIConfig();
+  }
+
+  toggleLocalAIConfig() {
+    const configDiv = document.getElementById('aiLocalConfig');
+    if (!configDiv) return;
+    configDiv.style.display = document.getElementById('aiProvider').value === 'local' ? 'block' : 'none';
+  }
+
+  renderAIFallbackChain(chain) {
+    const list = document.getElementById('aiFallbackList');
+    if (!list) return;
+    list.innerHTML = '';
+    chain.forEach(entry => this.addAIFallbackRow(entry));
+  }
+
+  addAIFallbackRow(entry) {
+    const list = document.getElementById('aiFallbackList');
+    if (!list) return;
+
+    const row = document.createElement('div');
+    row.className = 'priority-item masking-row ai-fallback-row';
+
+    const select = document.createElement('select');
+    select.dataset.field = 'provider';
+    Object.entries(AIService.PROVIDER_NAMES).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = entry.provider || 'gemini';
+
+    const model = document.createElement('input');
+    model.type = 'text';
+    model.dataset.field = 'model';
+    model.placeholder = 'Model (optional), e.g. gemini-2.5-flash';
+    model.value = entry.model || '';
+
+    const warning = document.createElement('small');
+    warning.className = 'ai-fallback-warning';
+    const updateWarning = () => {
+      const provider = select.value;
+      warning.textContent = provider !== 'local' && !this.apiKeys[provider] ? `No API key saved for ${AIService.PROVIDER_NAMES[provider]}` : '';
+    };
+    select.addEventListener('change', updateWarning);
+    updateWarning();
+
+    row.appendChild(select);
+    row.appendChild(model);
+    row.appendChild(warning);
+    this.appendRowControls(row, list, () => {});
+    list.appendChild(row);
+  }
+
+  collectAIFallbackChain() {
+    return AIService.normalizeFallbackChain(Array.from(document.querySelectorAll('#aiFallbackList .ai-fallback-row')).map(row => ({
+      provider: row.querySelector('[data-field="provider"]').value,
+      model: row.querySelector('[data-field="model"]').value
+    })));
+  }
+
+  /**
+   * Saúde de cada provider (sucessos, falhas, cooldown) e quem gerou os últimos relatórios
+   */
+  async renderAIProviderHealth() {
+    const healthList = document.getElementById('aiProviderHealthList');
+    const reportsList = document.getElementById('aiRecentReportsList');
+    if (!healthList || !reportsList || typeof chrome === 'undefined' || !chrome.storage) return;
+
+    const data = await chrome.storage.local.get(null);
+    const now = Date.now();
+    const providerLabel = (provider, model) => `${AIService.PROVIDER_NAMES[provider] || provider}${model ? ` · ${model}` : ''}`;
+    const addItem = (list, badgeClass, badgeText, titleText, metaText) => {
+      const item = document.createElement('li');
+      item.className = 'fingerprint-registry-item';
+      const badge = document.createElement('span');
+      badge.className = `fingerprint-status ${badgeClass}`;
+      badge.textContent = badgeText;
+      const info = document.createElement('div');
+      info.className = 'fingerprint-registry-info';
+      const title = document.createElement('strong');
+      title.textContent = titleText;
+      const meta = document.createElement('small');
+      meta.textContent = metaText;
+      info.appendChild(title);
+      info.appendChild(meta);
+      item.appendChild(badge);
+      item.appendChild(info);
+      list.appendChild(item);
+    };
+    const addEmpty = (list, text) => {
+      const empty = document.createElement('li');
+      empty.className = 'source-map-empty';
+      empty.textContent = text;
+      list.appendChild(empty);
+    };
+
+    healthList.innerHTML = '';
+    const health = Object.values(data.ai_provider_health || {});
+    if (health.length === 0) addEmpty(healthList, 'No AI calls recorded yet');
+    health.forEach(record => {
+      const coolingDown = (record.cooldownUntil || 0) > now;
+      const [badgeClass, badgeText] = coolingDown
+        ? ['stale', 'cooldown']
+        : (record.consecutiveFailures > 0 ? ['pending', 'failing'] : ['confirmed', 'healthy']);
+      const meta = [`${record.successes} ok`, `${record.failures} failed`];
+      if (coolingDown) meta.push(`retry after ${new Date(record.cooldownUntil).toLocaleTimeString()}`);
+      if (record.lastError) meta.push(`last error: ${record.lastError}`);
+      addItem(healthList, badgeClass, badgeText, providerLabel(record.provider, record.model), meta.join(' • '));
+    });
+
+    reportsList.innerHTML = '';
+    const reports = Object.keys(data)
+      .filter(key => key.startsWith('ai-reports-'))
+      .flatMap(key => data[key] || [])
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, 10);
+    if (reports.length === 0) addEmpty(reportsList, 'No AI reports yet');
+    reports.forEach(report => {
+      const fallback = Array.isArray(report.aiFallbackFrom) && report.aiFallbackFrom.length > 0;
+      const meta = [report.aiProvider ? providerLabel(report.aiProvider, report.aiModel) : 'Basic report (no AI)'];
+      if (fallback) meta.push(`fallback after ${report.aiFallbackFrom.map(p => AIService.PROVIDER_NAMES[p] || p).join(', ')}`);
+      meta.push(new Date(report.createdAt).toLocaleString());
+      addItem(reportsList, fallback ? 'pending' : 'confirmed', fallback ? 'fallback' : (report.aiProvider ? 'ai' : 'basic'), report.title || 'Untitled report', meta.join(' • '));
+    });
+  }
+
+  async resetAIProviderHealth() {
+    try {
+      await new AIService().resetProviderHealth();
+      await this.renderAIProviderHealth();
+      this.showStatus('✅ Provider cooldowns cleared', 'success');
+    } catch (error) {
+      this.showStatus(`❌ Error clearing cooldowns: ${error.message}`, 'error');
+    }
+  }
+
+  async clearAIReportCache() {
+    if (typeof AIReportCache === 'undefined' || typeof IndexedDBManager === 'undefined') return;
+    try {
+      const removed = await new AIReportCache({ dbManager: new IndexedDBManager() }).clear();
+      this.showStatus(`✅ ${removed} cached AI report(s) removed`, 'success');
+    } catch (error) {
+      console.error('Erro ao limpar cache de relatórios AI:', error);
+      this.showStatus(`❌ Error clearing AI report cache: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Templates de prompt: ficam em chrome.storage.local (podem exceder a quota por item do sync)
+   * e o AIService volta a lê-los em cada pedido
+   */
+  async loadPromptTemplates() {
+    if (typeof AIService === 'undefined' || !document.getElementById('aiPromptProfile')) return;
+    try {
+      this.promptTemplates = await new AIService().loadPromptTemplates();
+    } catch (error) {
+      console.error('Erro ao carregar templates de prompt:', error);
+      this.promptTemplates = AIService.normalizePromptTemplates();
+    }
+    this.activePromptProfile = 'default';
+    this.renderPromptTemplates();
+  }
+
+  renderPromptTemplates() {
+    const select = document.getElementById('aiPromptProfile');
+    if (!select || !this.promptTemplates) return;
+
+    select.innerHTML = '';
+    [{ id: 'default', name: 'Default (all sites)' }, ...this.promptTemplates.projects].forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    });
+    select.value = this.activePromptProfile;
+
+    const project = this.getActivePromptProject();
+    const defaults = this.promptTemplates.defaults;
+    const fields = {
+      aiPromptBugReport: 'bugReport',
+      aiPromptEnhancement: 'enhancement',
+      aiPromptJsError: 'jsError',
+      aiPromptEnvironmentRules: 'environmentRules'
+    };
+    Object.entries(fields).forEach(([id, key]) => {
+      const textarea = document.getElementById(id);
+      textarea.value = project ? project[key] : defaults[key];
+      // Num projeto, o texto do default aparece como placeholder: vazio = herdar
+      textarea.placeholder = project ? defaults[key] : '';
+    });
+
+    document.getElementById('aiPromptProjectFields').style.display = project ? 'block' : 'none';
+    document.getElementById('removeAiPromptProfile').disabled = !project;
+    if (project) {
+      document.getElementById('aiPromptProjectName').value = project.name;
+      document.getElementById('aiPromptProjectDomains').value = project.domains.join('\n');
+    }
+
+    const variables = document.getElementById('aiPromptVariables');
+    variables.innerHTML = '';
+    Object.entries(AIService.PROMPT_VARIABLES).forEach(([name, description]) => {
+      const item = document.createElement('li');
+      const code = document.createElement('code');
+      code.textContent = `{{${name}}}`;
+      item.appendChild(code);
+      item.appendChild(document.createTextNode(` — ${description}`));
+      variables.appendChild(item);
+    });
+  }
+
+  getActivePromptProject() {
+    return this.promptTemplates.projects.find(project => project.id === this.activePromptProfile) || null;
+  }
+
+  // Copia o conteúdo dos editores para o perfil ativo (antes de trocar de perfil, pré-visualizar ou guardar)
+  storePromptEdits() {
+    if (!this.promptTemplates) return;
+    const target = this.getActivePromptProject() || this.promptTemplates.defaults;
+    target.bugReport = document.getElementById('aiPromptBugReport').value.trim();
+    target.enhancement = document.getElementById('aiPromptEnhancement').value.trim();
+    target.jsError = document.getElementById('aiPromptJsError').value.trim();
+    target.environmentRules = document.getElementById('aiPromptEnvironmentRules').value.trim();
+
+    const project = this.getActivePromptProject();
+    if (project) {
+      project.name = document.getElementById('aiPromptProjectName').value.trim();
+      project.domains = document.getElementById('aiPromptProjectDomains').value
+        .split(/\n|,/)
+        .map(domain => AIService.normalizeDomainPattern(domain))
+        .filter(Boolean);
+    }
+  }
+
+  selectPromptProfile(id) {
+    this.storePromptEdits();
+    this.activePromptProfile = id;
+    this.renderPromptTemplates();
+    document.getElementById('aiPromptPreview').style.display = 'none';
+  }
+
+  addPromptProfile() {
+    this.storePromptEdits();
+    const project = {
+      id: `project-${Date.now()}`,
+      name: `Project ${this.promptTemplates.projects.length + 1}`,
+      domains: [],
+      bugReport: '',
+      enhancement: '',
+      jsError: '',
+      environmentRules: ''
+    };
+    this.promptTemplates.projects.push(project);
+    this.activePromptProfile = project.id;
+    this.renderPromptTemplates();
+    document.getElementById('aiPromptProjectName').focus();
+  }
+
+  removePromptProfile() {
+    const project = this.getActivePromptProject();
+    if (!project || !confirm(`Remove the prompt templates of "${project.name}"?`)) return;
+    this.promptTemplates.projects = this.promptTemplates.projects.filter(candidate => candidate !== project);
+    this.activePromptProfile = 'default';
+    this.renderPromptTemplates();
+  }
+
+  resetPromptTemplates() {
+    const project = this.getActivePromptProject();
+    const message = project
+      ? `Clear the templates of "${project.name}"? It will use the Default templates.`
+      : 'Restore the built-in Default templates?';
+    if (!confirm(message)) return;
+
+    Object.assign(project || this.promptTemplates.defaults, project
+      ? { bugReport: '', enhancement: '', jsError: '', environmentRules: '' }
+      : { ...AIService.DEFAULT_PROMPT_TEMPLATES });
+    this.renderPromptTemplates();
+    this.showStatus('Templates reset. Save to apply.', 'info');
+  }
+
+  /**
+   * Valida nomes, domínios e variáveis usadas em todos os perfis
+   * @returns {Array<string>} Erros
+   */
+  validatePromptTemplates(templates) {
+    const errors = [];
+    const known = Object.keys(AIService.PROMPT_VARIABLES);
+    const checkVariables = (label, ...texts) => {
+      const unknown = texts.flatMap(text => [...String(text || '').matchAll(/\{\{\s*([a-zA-Z]+)\s*\}\}/g)].map(match => match[1]))
+        .filter(name => !known.includes(name));
+      if (unknown.length > 0) errors.push(`${label}: unknown variable(s) ${[...new Set(unknown)].join(', ')}`);
+    };
+
+    checkVariables('Default', templates.defaults.bugReport, templates.defaults.enhancement, templates.defaults.jsError, templates.defaults.environmentRules);
+    const names = new Set();
+    templates.projects.forEach(project => {
+      if (!project.name) errors.push('Every project needs a name');
+      else if (names.has(project.name.toLowerCase())) errors.push(`Duplicate project name: ${project.name}`);
+      names.add(String(project.name).toLowerCase());
+      if (project.domains.length === 0) errors.push(`${project.name || 'Project'}: add at least one domain`);
+      checkVariables(project.name || 'Project', project.bugReport, project.enhancement, project.jsError, project.environmentRules);
+    });
+    return errors;
+  }
+
+  previewPromptTemplate(kind) {
+    const output = document.getElementById('aiPromptPreview');
+    this.storePromptEdits();
+
+    // Página de exemplo dentro do primeiro domínio do projeto, para que o perfil seja resolvido como em produção
+    const project = this.getActivePromptProject();
+    const host = project && project.domains[0] ? project.domains[0].replace(/^\*\./, '') : 'app.example.com';
+    const origin = `https://${host}`;
+    const interactions = [
+      { type: 'click', selector: '#cart-link', url: `${origin}/products/42`, timestamp: Date.now() - 4000 },
+      { type: 'click', selector: 'button.place-order', url: `${origin}/checkout`, timestamp: Date.now() - 1000 }
+    ];
+
+    const service = new AIService();
+    service.promptTemplates = AIService.normalizePromptTemplates(this.promptTemplates);
+    const profile = service.resolvePromptProfile(`${origin}/checkout`);
+    const stack = `TypeError: Cannot read properties of undefined (reading 'total')\n    at CheckoutSummary (${origin}/static/js/components/CheckoutSummary.jsx:42:18)\n    at renderWithHooks (${origin}/static/js/vendor.js:1:5120)`;
+    const prompt = kind === 'enhancement'
+      ? service.buildEnhancementPrompt({
+          fields: { title: 'Place order fails', description: '', steps: [], availablePriorities: ['Low', 'Medium', 'High'] },
+          interactions,
+          context: { pageUrl: `${origin}/checkout`, pageTitle: 'Checkout' }
+        })
+      : kind === 'jsError'
+      ? service.buildJsErrorPrompt({
+          error: { source: 'console', errorKind: 'uncaught-error', message: "Uncaught TypeError: Cannot read properties of undefined (reading 'total')", stack },
+          context: {
+            pageUrl: `${origin}/checkout`,
+            userInteractions: interactions,
+            stackFrames: typeof StackTraceParser !== 'undefined' ? new StackTraceParser().parse(stack).frames : [],
+            recentLogs: [{ level: 'warn', text: 'Cart is empty, using cached totals', timestamp: new Date().toISOString() }]
+          }
+        })
+      : service.buildPrompt({
+          error: { url: `${origin}/api/orders`, method: 'POST', status: 500, statusText: 'Internal Server Error', responseBody: { error: 'Order service unavailable' } },
+          context: { pageUrl: `${origin}/checkout`, userInteractions: interactions }
+        });
+
+    const note = project && profile.id !== project.id ? ` — "${project.name}" does not match this page, check its domains` : '';
+    output.textContent = `Profile: ${profile.name} (sample page ${origin}/checkout)${note}\n\n${prompt}`;
+    output.style.display = 'block';
+  }
+
+  async savePromptTemplates() {
+    this.storePromptEdits();
+    const errors = this.validatePromptTemplates(this.promptTemplates);
+    if (errors.length > 0) {
+      this.showStatus(`❌ ${errors.join('; ')}`, 'error');
+      return;
+    }
+
+    // Texto igual ao original não é guardado, para que futuras melhorias dos prompts por omissão cheguem aos utilizadores
+    const defaults = Object.fromEntries(Object.entries(this.promptTemplates.defaults)
+      .map(([key, value]) => [key, value === AIService.DEFAULT_PROMPT_TEMPLATES[key] ? '' : value]));
+    try {
+      await chrome.storage.local.set({ ai_prompt_templates: { defaults, projects: this.promptTemplates.projects } });
+      this.showStatus('✅ Prompt templates saved', 'success');
+    } catch (error) {
+      console.error('Erro ao guardar templates de prompt:', error);
+      this.showStatus(`❌ Error saving prompt templates: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Lê e valida a configuração do servidor local (OpenAI-compatible ou Ollama)
+   */
+  collectLocalAIConfig() {
+    const baseUrl = (document.getElementById('aiLocalBaseUrl')?.value || '').trim();
+    const model = (document.getElementById('aiLocalModel')?.value || '').trim();
+    const timeout = parseInt(document.getElementById('aiLocalTimeout')?.value, 10);
+
+    let parsed;
+    try {
+      parsed = new URL(baseUrl);
+    } catch (_) {
+      throw new Error('Local AI base URL is invalid');
+    }
+    if (!/^https?:$/.test(parsed.protocol)) {
+      throw new Error('Local AI base URL must use http or https');
+    }
+    if (!model) {
+      throw new Error('Local AI model is required');
+    }
+    if (!Number.isInteger(timeout) || timeout < 5 || timeout > 300) {
+      throw new Error('Local AI timeout must be between 5 and 300 seconds');
+    }
+
+    return {
+      format: document.getElementById('aiLocalFormat')?.value === 'ollama' ? 'ollama' : 'openai',
+      baseUrl: baseUrl.replace(/\/+$/, ''),
+      model,
+      headers: AIService.parseHeaderLines(document.getElementById('aiLocalHeaders')?.value),
+      timeoutMs: timeout * 1000,
+      vision: document.getElementById('aiLocalVision')?.checked === true
+    };
   }
 
   updateAPIKeyInputState() {
@@ -1523,7 +3113,8 @@ class BugSpotterSettings {
     const helpTexts = {
       gemini: 'Get your free API key at: <a href="https://makersuite.google.com/app/apikey" target="_blank">Google AI Studio</a>',
       openai: 'Get your API key at: <a href="https://platform.openai.com/api-keys" target="_blank">OpenAI Platform</a>',
-      claude: 'Get your API key at: <a href="https://console.anthropic.com/" target="_blank">Anthropic Console</a>'
+      claude: 'Get your API key at: <a href="https://console.anthropic.com/" target="_blank">Anthropic Console</a>',
+      local: 'Optional: sent as <code>Authorization: Bearer</code> if your server requires it'
     };
     
     helpElement.innerHTML = helpTexts[provider] || helpTexts.gemini;
@@ -1541,7 +3132,7 @@ class BugSpotterSettings {
     if (!enabled) {
       statusIcon.classList.add('error');
       statusText.textContent = 'Disabled';
-    } else if (!apiKey) {
+    } else if (!apiKey && document.getElementById('aiProvider').value !== 'local') {
       statusIcon.classList.add('warning');
       statusText.textContent = 'API Key required';
     } else {
@@ -1565,8 +3156,16 @@ class BugSpotterSettings {
         provider: currentProvider,
         apiKey: currentKey,
         autoNotify: document.getElementById('aiAutoNotify').checked,
-        minStatus: parseInt(document.getElementById('aiMinStatus').value)
+        minStatus: parseInt(document.getElementById('aiMinStatus').value),
+        cacheEnabled: document.getElementById('aiCacheEnabled').checked,
+        cacheTtlDays: Math.min(90, Math.max(1, parseInt(document.getElementById('aiCacheTtlDays').value, 10) || 7)),
+        screenshotAnalysis: document.getElementById('aiScreenshotAnalysis').checked,
+        maskScreenshots: document.getElementById('aiMaskScreenshots').checked
       };
+      if (currentProvider === 'local') {
+        aiSettings.local = this.collectLocalAIConfig();
+      }
+      aiSettings.fallbackChain = this.collectAIFallbackChain();
       // Collect allowed domains (one per line)
       const allowedDomainsStr = (document.getElementById('aiAllowedDomains')?.value || '').trim();
       const allowedDomains = allowedDomainsStr
@@ -1592,7 +3191,9 @@ class BugSpotterSettings {
               aiApiKey: aiSettings.apiKey,
               aiKeys: this.apiKeys,
               aiAutoNotify: aiSettings.autoNotify,
-              aiMinStatus: aiSettings.minStatus
+              aiMinStatus: aiSettings.minStatus,
+              aiLocalConfig: this.settings.ai.local,
+              aiFallbackChain: aiSettings.fallbackChain
             }, resolve);
           }),
           // Save to local storage (for consistency with other settings)
@@ -1603,7 +3204,7 @@ class BugSpotterSettings {
         if (chrome.runtime && chrome.runtime.sendMessage) {
           chrome.runtime.sendMessage({
             type: 'AI_SETTINGS_UPDATED',
-            settings: aiSettings
+            settings: this.settings.ai
           });
         }
       } else {
@@ -1617,7 +3218,7 @@ class BugSpotterSettings {
       
     } catch (error) {
       console.error('Error saving AI settings:', error);
-      this.showStatus('Error saving AI settings', 'error');
+      this.showStatus(`Error saving AI settings: ${error.message}`, 'error');
     }
   }
   
@@ -1635,7 +3236,7 @@ class BugSpotterSettings {
       const provider = document.getElementById('aiProvider').value;
       const apiKey = document.getElementById('aiApiKey').value;
       
-      if (!apiKey) {
+      if (!apiKey && provider !== 'local') {
         throw new Error('API Key is required');
       }
       
@@ -1653,7 +3254,9 @@ class BugSpotterSettings {
       
       // Test connection by sending a simple request
     let response;
-    if (provider === 'claude') {
+    if (provider === 'local') {
+      response = await this.testLocalConnection(apiKey, this.collectLocalAIConfig());
+    } else if (provider === 'claude') {
       response = await this.testClaudeConnection(apiKey, testData);
     } else if (provider === 'openai') {
       response = await this.testOpenAIConnection(apiKey, testData);
@@ -1794,6 +3397,19 @@ class BugSpotterSettings {
     }
   }
 
+  // Reutiliza o AIService para testar exatamente o mesmo pedido que o service worker fará
+  async testLocalConnection(apiKey, localConfig) {
+    const service = new AIService();
+    await service.updateSettings({ aiProvider: 'local', aiApiKey: apiKey || null, aiLocalConfig: localConfig });
+    const response = await service.callLocalAPI('Test connection. Respond with valid JSON: {"status": "ok", "message": "Connection successful"}');
+    try {
+      JSON.parse(response.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (_) {
+      throw new Error(`Model ${localConfig.model} answered but did not return valid JSON`);
+    }
+    return response;
+  }
+
   async testClaudeConnection(apiKey, testData, retryCount = 0) {
     const maxRetries = 0;
     const baseDelay = 2000;
@@ -0,0 +1,113 @@
+const AIService = require('../src/modules/AIService.js');
+
+// chrome.storage.local em memória (API de callbacks, como no service worker)
+const localStore = {};
+global.chrome = {
+  runtime: {
+    lastError: null
+  },
+  storage: {
+    local: {
+      get: jest.fn().mockImplementation((keys, callback) => {
+        const list = Array.isArray(keys) ? keys : [keys];
+        callback(Object.fromEntries(list.filter(key => key in localStore).map(key => [key, localStore[key]])));
+      }),
+      set: jest.fn().mockImplementation((data, callback) => {
+        Object.assign(localStore, JSON.parse(JSON.stringify(data)));
+        if (callback) callback();
+      })
+    }
+  }
+};
+
+const checkoutProject = {
+  id: 'checkout',
+  name: 'Checkout team',
+  domains: ['https://shop.example.com/', '*.checkout.example.com'],
+  bugReport: 'Write a terse report for {{profileName}} about {{pageUrl}}.\n{{errorContext}}\nUnknown: {{ticketKey}}',
+  enhancement: '',
+  environmentRules: 'Hostnames ending in .checkout.example.com are "UAT".'
+};
+
+describe('AIService prompt templates', () => {
+  let aiService;
+
+  beforeEach(() => {
+    Object.keys(localStore).forEach(key => delete localStore[key]);
+    aiService = new AIService();
+  });
+
+  test('should keep the built-in prompts when nothing is configured', () => {
+    const prompt = aiService.buildPrompt({ url: 'https://pp.daloop.app/api/orders', status: 500 });
+
+    expect(prompt.startsWith('You are a web debugging expert.')).toBe(true);
+    expect(prompt).toContain('"url": "https://pp.daloop.app/api/orders"');
+    expect(prompt).toContain(AIService.PROMPT_OUTPUT_FORMATS.bugReport);
+    expect(aiService.buildEnhancementPrompt({ fields: {} })).toContain(AIService.DEFAULT_PROMPT_TEMPLATES.environmentRules);
+  });
+
+  test('should pick the project whose domain matches the page and inherit empty templates', async () => {
+    localStore.ai_prompt_templates = { defaults: { bugReport: '' }, projects: [checkoutProject] };
+    await aiService.loadPromptTemplates();
+
+    const prompt = aiService.buildPrompt({
+      error: { url: 'https://api.example.com/orders', method: 'POST', status: 500 },
+      context: { pageUrl: 'https://eu.checkout.example.com/pay?session=abc' }
+    });
+    expect(prompt).toMatch(/^Write a terse report for Checkout team about https:\/\/eu\.checkout\.example\.com\/pay\?session=%5BREDACTED%5D\./);
+    expect(prompt).toContain('"method": "POST"');
+    expect(prompt).toContain('Unknown: {{ticketKey}}');
+    expect(prompt).not.toContain('session=abc');
+
+    const enhancement = aiService.buildEnhancementPrompt({ fields: {}, context: { pageUrl: 'https://shop.example.com/cart' } });
+    expect(enhancement).toContain('You are a QA assistant.');
+    expect(enhancement).toContain('- Hostnames ending in .checkout.example.com are "UAT".');
+    expect(enhancement).not.toContain("starts with 'pp'");
+
+    expect(aiService.resolvePromptProfile('https://other.example.com/').id).toBe('default');
+  });
+
+  test('should normalize stored templates and domain patterns', () => {
+    const templates = AIService.normalizePromptTemplates({
+      defaults: { environmentRules: '  ' },
+      projects: [
+        { name: 'Mobile', domains: 'm.example.com, https://app.example.com/path\n' },
+        { name: '', domains: ['ignored.example.com'] }
+      ]
+    });
+
+    expect(templates.defaults).toEqual(AIService.DEFAULT_PROMPT_TEMPLATES);
+    expect(templates.projects).toEqual([{
+      id: 'project-1',
+      name: 'Mobile',
+      domains: ['m.example.com', 'app.example.com'],
+      bugReport: '',
+      enhancement: '',
+      jsError: '',
+      environmentRules: ''
+    }]);
+    expect(AIService.matchesDomain('example.com', '*.example.com')).toBe(true);
+    expect(AIService.matchesDomain('badexample.com', '*.example.com')).toBe(false);
+    expect(AIService.renderTemplate('{{ pageUrl }} {{missing}}', { pageUrl: 'https://a.test' })).toBe('https://a.test {{missing}}');
+  });
+
+  test('should reload templates before generating a report', async () => {
+    aiService.isEnabled = true;
+    aiService.apiKey = 'gemini-key';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const spy = jest.spyOn(AIService.prototype, 'callGeminiAPI').mockResolvedValue(JSON.stringify({
+      title: 'Orders API returns 500',
+      description: 'POST /orders fails with a server error',
+      stepsToReproduce: ['Open checkout', 'Place the order'],
+      expectedBehavior: 'Order is created',
+      actualBehavior: 'Server returns 500',
+      severity: 'high'
+    }));
+    localStore.ai_prompt_templates = { defaults: { bugReport: 'Team style. {{errorContext}}' }, projects: [] };
+
+    await aiService.generateBugReport({ url: 'https://shop.example.com/api/orders', method: 'POST', status: 500 });
+
+    expect(spy.mock.calls[0][0].startsWith('Team style.')).toBe(true);
+    jest.restoreAllMocks();
+  });
+});
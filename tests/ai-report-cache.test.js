@@ -0,0 +1,74 @@
+const AIReportCache = require('../src/modules/AIReportCache.js');
+
+const createDbManager = () => {
+  const data = new Map();
+  return {
+    data,
+    store: jest.fn(async (store, key, value) => { data.set(key, JSON.parse(JSON.stringify(value))); }),
+    retrieve: jest.fn(async (store, key) => (data.has(key) ? data.get(key) : null)),
+    remove: jest.fn(async (store, key) => data.delete(key)),
+    listKeys: jest.fn(async () => [...data.keys()])
+  };
+};
+
+const fingerprint = 'a'.repeat(64);
+
+const aiReport = {
+  title: 'Orders API returns 500',
+  description: 'POST /orders fails with a server error',
+  stepsToReproduce: ['Open checkout', 'Place the order'],
+  severity: 'high',
+  details: { url: 'https://eu.shop.example.com/api/orders/123', timestamp: '2026-10-01T10:00:00.000Z' },
+  metadata: { generatedAt: '2026-10-01T10:00:05.000Z', aiProvider: 'gemini', aiModel: 'gemini-2.0-flash' }
+};
+
+describe('AIReportCache', () => {
+  let dbManager;
+  let cache;
+
+  beforeEach(() => {
+    dbManager = createDbManager();
+    cache = new AIReportCache({ dbManager, ttl: 1000 });
+  });
+
+  test('should store AI reports by fingerprint with the configured TTL', async () => {
+    expect(await cache.set(fingerprint, aiReport, { ttl: 5000 })).toBe(true);
+
+    expect(dbManager.store).toHaveBeenCalledWith('cache', `ai-report:${fingerprint}`, expect.objectContaining({ fingerprint, report: aiReport }), { type: 'ai-report', ttl: 5000 });
+    expect((await cache.get(fingerprint)).report).toEqual(aiReport);
+    expect(await cache.get('b'.repeat(64))).toBeNull();
+  });
+
+  test('should not cache basic reports generated without AI', async () => {
+    expect(await cache.set(fingerprint, { ...aiReport, note: 'Report generated without AI: daily AI budget reached' })).toBe(false);
+    expect(await cache.set(fingerprint, { ...aiReport, metadata: undefined })).toBe(false);
+    expect(await cache.set(null, aiReport)).toBe(false);
+    expect(dbManager.store).not.toHaveBeenCalled();
+  });
+
+  test('should re-stamp a cached report with the new occurrence', async () => {
+    await cache.set(fingerprint, aiReport);
+    const entry = await cache.get(fingerprint);
+
+    const report = AIReportCache.restamp(entry, { url: 'https://us.shop.example.com/api/orders/987', timestamp: '2026-10-19T08:00:00.000Z' });
+
+    expect(report.details).toMatchObject({ url: 'https://us.shop.example.com/api/orders/987', timestamp: '2026-10-19T08:00:00.000Z' });
+    expect(report.metadata).toMatchObject({
+      aiProvider: 'gemini',
+      cached: true,
+      cachedAt: new Date(entry.cachedAt).toISOString(),
+      originalGeneratedAt: '2026-10-01T10:00:05.000Z'
+    });
+    // A entrada em cache não é alterada
+    expect(entry.report.details.url).toBe('https://eu.shop.example.com/api/orders/123');
+  });
+
+  test('should clear only its own entries from the shared store', async () => {
+    dbManager.data.set('sourcemap:https://cdn.example.com/app.js', {});
+    await cache.set(fingerprint, aiReport);
+    await cache.set('c'.repeat(64), aiReport);
+
+    expect(await cache.clear()).toBe(2);
+    expect([...dbManager.data.keys()]).toEqual(['sourcemap:https://cdn.example.com/app.js']);
+  });
+});
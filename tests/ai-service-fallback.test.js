@@ -0,0 +1,135 @@
+const AIService = require('../src/modules/AIService.js');
+
+// chrome.storage.local em memória (API de callbacks, como no service worker)
+const localStore = {};
+global.chrome = {
+  runtime: {
+    lastError: null
+  },
+  storage: {
+    local: {
+      get: jest.fn().mockImplementation((keys, callback) => {
+        const list = Array.isArray(keys) ? keys : [keys];
+        callback(Object.fromEntries(list.filter(key => key in localStore).map(key => [key, localStore[key]])));
+      }),
+      set: jest.fn().mockImplementation((data, callback) => {
+        Object.assign(localStore, JSON.parse(JSON.stringify(data)));
+        if (callback) callback();
+      })
+    }
+  }
+};
+
+const errorData = {
+  url: 'https://shop.example.com/api/cart',
+  method: 'POST',
+  status: 500,
+  statusText: 'Internal Server Error',
+  responseBody: '{"error":"boom"}'
+};
+
+describe('AIService provider fallback chain', () => {
+  let aiService;
+
+  beforeEach(() => {
+    Object.keys(localStore).forEach(key => delete localStore[key]);
+    aiService = new AIService();
+    aiService.isEnabled = true;
+    aiService.apiKey = 'gemini-key';
+    aiService.fallbackChain = AIService.normalizeFallbackChain([
+      { provider: 'claude', model: 'claude-3-5-haiku-latest' },
+      { provider: 'openai', model: '' },
+      { provider: 'unknown', model: 'x' }
+    ]);
+    aiService.providerKeys = { claude: 'claude-key' };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should only chain providers that have credentials', () => {
+    expect(aiService.getProviderChain()).toEqual([
+      { provider: 'gemini', model: 'gemini-2.0-flash' },
+      { provider: 'claude', model: 'claude-3-5-haiku-latest' }
+    ]);
+  });
+
+  test('should fall back on 429 and record which provider produced the report', async () => {
+    jest.spyOn(AIService.prototype, 'callGeminiAPI').mockRejectedValue(new Error('Gemini API Error: 429 - Quota exceeded. Please retry in 30s.'));
+    const claudeSpy = jest.spyOn(AIService.prototype, 'callClaudeAPI').mockImplementation(async function () {
+      expect(this.apiKey).toBe('claude-key');
+      expect(this.claudeModel).toBe('claude-3-5-haiku-latest');
+      return JSON.stringify({
+        title: 'Cart update fails with 500',
+        description: 'POST /api/cart returns 500',
+        stepsToReproduce: ['Open the cart', 'Change the quantity'],
+        expectedBehavior: 'Cart is updated',
+        actualBehavior: 'Server returns 500',
+        severity: 'high'
+      });
+    });
+
+    const report = await aiService.generateBugReport(errorData);
+
+    expect(claudeSpy).toHaveBeenCalledTimes(1);
+    expect(report.title).toBe('Cart update fails with 500');
+    expect(report.metadata).toMatchObject({ aiProvider: 'claude', aiModel: 'claude-3-5-haiku-latest', fallbackFrom: ['gemini'] });
+    // O estado do serviço não muda: o próximo pedido volta a começar pelo principal
+    expect(aiService.provider).toBe('gemini');
+    expect(aiService.apiKey).toBe('gemini-key');
+
+    const health = localStore.ai_provider_health;
+    expect(health['gemini:gemini-2.0-flash']).toMatchObject({ failures: 1, consecutiveFailures: 1 });
+    expect(health['gemini:gemini-2.0-flash'].cooldownUntil - Date.now()).toBeGreaterThan(25000);
+    expect(health['gemini:gemini-2.0-flash'].cooldownUntil - Date.now()).toBeLessThanOrEqual(30000);
+    expect(health['claude:claude-3-5-haiku-latest']).toMatchObject({ successes: 1, consecutiveFailures: 0 });
+    expect(localStore.ai_pause_until).toBeUndefined();
+  });
+
+  test('should skip providers in cooldown without calling them', async () => {
+    localStore.ai_provider_health = {
+      'gemini:gemini-2.0-flash': { provider: 'gemini', model: 'gemini-2.0-flash', successes: 0, failures: 3, consecutiveFailures: 3, cooldownUntil: Date.now() + 60000 }
+    };
+    const geminiSpy = jest.spyOn(AIService.prototype, 'callGeminiAPI');
+    jest.spyOn(AIService.prototype, 'callClaudeAPI').mockResolvedValue('{"title":"ok"}');
+
+    const result = await aiService.callWithFallback('prompt');
+
+    expect(geminiSpy).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ provider: 'claude', attempts: [{ provider: 'gemini', reason: 'cooldown' }] });
+  });
+
+  test('should not fall back on non-retryable errors', async () => {
+    jest.spyOn(AIService.prototype, 'callGeminiAPI').mockRejectedValue(new Error('Gemini API Error: 400 - API key not valid'));
+    const claudeSpy = jest.spyOn(AIService.prototype, 'callClaudeAPI');
+
+    await expect(aiService.callWithFallback('prompt')).rejects.toThrow('API key not valid');
+    expect(claudeSpy).not.toHaveBeenCalled();
+    expect(localStore.ai_provider_health['gemini:gemini-2.0-flash']).toMatchObject({ failures: 1, cooldownUntil: 0 });
+  });
+
+  test('should degrade to the basic report once the whole chain fails', async () => {
+    jest.spyOn(AIService.prototype, 'callGeminiAPI').mockRejectedValue(new Error('Gemini API Error: 503 - The model is overloaded'));
+    jest.spyOn(AIService.prototype, 'callClaudeAPI').mockRejectedValue(new Error('AI provider claude timed out after 45s'));
+
+    const report = await aiService.generateBugReport(errorData);
+
+    expect(report.note).toBe('Report generated without AI due to quota limitations');
+    expect(localStore.ai_provider_health['claude:claude-3-5-haiku-latest'].cooldownUntil).toBeGreaterThan(Date.now());
+    expect(localStore.ai_pause_until).toBeUndefined();
+  });
+
+  test('should classify errors and grow cooldowns with consecutive failures', () => {
+    expect(AIService.classifyProviderError(new Error('OpenAI API Error: 429 - Rate limit reached'))).toBe('rate_limit');
+    expect(AIService.classifyProviderError(new Error('Claude API Error: 529 - Overloaded'))).toBe('overloaded');
+    expect(AIService.classifyProviderError(new Error('Local AI endpoint unreachable (http://localhost:11434): Failed to fetch'))).toBe('timeout');
+    expect(AIService.classifyProviderError(new Error('Invalid response from Claude API'))).toBeNull();
+
+    expect(aiService.calculateCooldownMs('timeout', 1)).toBe(2 * 60 * 1000);
+    expect(aiService.calculateCooldownMs('timeout', 3)).toBe(8 * 60 * 1000);
+    expect(aiService.calculateCooldownMs('rate_limit', 5)).toBe(30 * 60 * 1000);
+  });
+});
@@ -0,0 +1,129 @@
+const AIService = require('../src/modules/AIService.js');
+const StackTraceParser = require('../src/modules/StackTraceParser.js');
+
+global.chrome = {
+  runtime: { lastError: null },
+  storage: {
+    local: {
+      get: jest.fn().mockImplementation((keys, callback) => callback({})),
+      set: jest.fn().mockImplementation((data, callback) => callback && callback())
+    }
+  }
+};
+
+const stack = [
+  "TypeError: Cannot read properties of undefined (reading 'total')",
+  '    at CheckoutSummary (https://shop.example.com/static/js/components/CheckoutSummary.jsx:42:18)',
+  '    at renderWithHooks (https://shop.example.com/static/js/node_modules/react-dom/cjs/react-dom.development.js:1:5120)'
+].join('\n');
+
+const errorLog = {
+  level: 'error',
+  source: 'console',
+  errorKind: 'uncaught-error',
+  message: "Uncaught TypeError: Cannot read properties of undefined (reading 'total')",
+  url: 'https://shop.example.com/checkout?token=abc123',
+  timestamp: '2026-10-19T10:00:00.000Z',
+  stack
+};
+
+const context = {
+  pageUrl: 'https://shop.example.com/checkout',
+  stackFrames: new StackTraceParser().parse(stack).frames,
+  recentLogs: [{ level: 'warn', text: 'Cart total missing, user alice@example.com', timestamp: '2026-10-19T09:59:59.000Z' }],
+  userInteractions: [{ kind: 'click', selector: 'button.place-order', pageUrl: 'https://shop.example.com/checkout', ts: 1 }]
+};
+
+const jsReport = {
+  title: 'TypeError in CheckoutSummary when placing an order',
+  description: 'CheckoutSummary reads total from an undefined cart after clicking Place order',
+  category: 'TypeError',
+  stepsToReproduce: ['Open the checkout', 'Click on "Place order"'],
+  expectedBehavior: 'The order summary is shown',
+  actualBehavior: 'The summary crashes with a TypeError',
+  errorType: 'JavaScript Error',
+  severity: 'high',
+  details: { errorName: 'TypeError', message: "Cannot read properties of undefined (reading 'total')", file: 'components/CheckoutSummary.jsx', line: 42, column: 18, component: 'CheckoutSummary' }
+};
+
+describe('AIService JavaScript error reports', () => {
+  let aiService;
+
+  beforeEach(() => {
+    aiService = new AIService();
+    aiService.isEnabled = true;
+    aiService.apiKey = 'gemini-key';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should route console errors to the JavaScript error prompt and schema', async () => {
+    const spy = jest.spyOn(aiService, 'requestStructuredOutput').mockResolvedValue({ value: { ...jsReport }, provider: 'gemini', model: 'gemini-2.0-flash', attempts: [], repaired: false });
+
+    const report = await aiService.generateBugReport({ error: errorLog, context });
+
+    expect(spy).toHaveBeenCalledWith(expect.any(String), AIService.JS_ERROR_REPORT_SCHEMA);
+    const prompt = spy.mock.calls[0][0];
+    expect(prompt).toContain('Analyze this JavaScript exception');
+    expect(prompt).not.toContain('HTTP error');
+    expect(prompt).not.toContain('responseBody');
+    expect(prompt).toContain('"detectedCategory": "TypeError"');
+    expect(prompt).toContain('"componentHints": [\n    "CheckoutSummary",\n    "click on button.place-order"\n  ]');
+    expect(prompt).toContain('"inApp": true');
+    expect(prompt).toContain('Cart total missing');
+    expect(prompt).not.toContain('alice@example.com');
+    expect(report.metadata.aiProvider).toBe('gemini');
+  });
+
+  test('should keep HTTP errors on the HTTP prompt', async () => {
+    const spy = jest.spyOn(aiService, 'requestStructuredOutput').mockResolvedValue({ value: {}, provider: 'gemini', model: 'gemini-2.0-flash', attempts: [], repaired: false });
+
+    await aiService.generateBugReport({ error: { source: 'network', url: 'https://shop.example.com/api/orders', status: 500 }, context: {} });
+
+    expect(spy).toHaveBeenCalledWith(expect.stringContaining('Analyze this HTTP error'), AIService.BUG_REPORT_SCHEMA);
+  });
+
+  test('should build a basic JavaScript report without AI', () => {
+    aiService.apiKey = null;
+    const report = aiService.createBasicReport({ error: errorLog, context });
+
+    expect(AIService.validateSchema(report, AIService.JS_ERROR_REPORT_SCHEMA)).toEqual([]);
+    expect(report).toMatchObject({
+      title: "TypeError: Cannot read properties of undefined (reading 'total')",
+      category: 'TypeError',
+      errorType: 'JavaScript Error',
+      severity: 'high'
+    });
+    expect(report.details).toMatchObject({
+      errorName: 'TypeError',
+      file: 'https://shop.example.com/static/js/components/CheckoutSummary.jsx',
+      line: 42,
+      functionName: 'CheckoutSummary',
+      component: 'CheckoutSummary'
+    });
+    expect(AIService.validateSchema(jsReport, AIService.JS_ERROR_REPORT_SCHEMA)).toEqual([]);
+  });
+
+  test('should classify exceptions by kind, name and message', () => {
+    expect(AIService.classifyJsError({ message: 'Uncaught ReferenceError: foo is not defined' })).toBe('ReferenceError');
+    expect(AIService.classifyJsError({ message: 'Request failed', errorKind: 'unhandled-rejection' })).toBe('Unhandled Rejection');
+    expect(AIService.classifyJsError({ message: 'Uncaught (in promise) TypeError: x is null' })).toBe('Unhandled Rejection');
+    expect(AIService.classifyJsError({ message: 'Failed to load https://cdn.example.com/app.js', errorKind: 'resource-error' })).toBe('Resource Error');
+    expect(AIService.classifyJsError({ message: 'Loading chunk 42 failed.' })).toBe('ChunkLoadError');
+    expect(AIService.classifyJsError({ message: 'boom' }, { errorType: 'RangeError' })).toBe('RangeError');
+    expect(AIService.classifyJsError({ message: 'Something went wrong' })).toBe('Other');
+  });
+
+  test('should only take component hints from application frames', () => {
+    const hints = AIService.extractComponentHints([
+      { functionName: 'Object.useCart', url: 'https://shop.example.com/src/hooks/useCart.ts', inApp: true },
+      { functionName: 'ProductCard', url: 'https://shop.example.com/src/components/cards/ProductCard.tsx', inApp: true },
+      { functionName: 'ReactDOMRoot', url: 'https://shop.example.com/node_modules/react-dom/index.js', inApp: false }
+    ]);
+
+    expect(hints).toEqual(['ProductCard']);
+  });
+});
@@ -0,0 +1,113 @@
+const AIService = require('../src/modules/AIService.js');
+
+// Mock chrome API
+global.chrome = {
+  runtime: {
+    lastError: null
+  },
+  storage: {
+    local: {
+      get: jest.fn().mockImplementation((keys, callback) => callback({})),
+      set: jest.fn().mockImplementation((data, callback) => callback && callback())
+    },
+    sync: {
+      get: jest.fn().mockImplementation((keys, callback) => callback({
+        aiEnabled: true,
+        aiProvider: 'local',
+        aiLocalConfig: { baseUrl: 'http://localhost:8000/v1/', model: 'qwen2.5-coder' }
+      }))
+    }
+  }
+};
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 200 ? 'OK' : 'Error',
+  json: async () => body
+});
+
+describe('AIService local provider', () => {
+  let aiService;
+
+  beforeEach(() => {
+    aiService = new AIService();
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('should be configured without an API key when the provider is local', async () => {
+    await aiService.initialize();
+
+    expect(aiService.isEnabled).toBe(true);
+    expect(aiService.isConfigured()).toBe(true);
+    expect(aiService.localConfig).toMatchObject({ format: 'openai', baseUrl: 'http://localhost:8000/v1', model: 'qwen2.5-coder', timeoutMs: 60000 });
+  });
+
+  test('should call an OpenAI-compatible endpoint with custom headers', async () => {
+    await aiService.updateSettings({
+      aiProvider: 'local',
+      aiApiKey: 'local-key',
+      aiLocalConfig: { baseUrl: 'http://localhost:8000/v1', model: 'qwen2.5-coder', headers: { 'X-Tenant': 'qa' } }
+    });
+    fetch.mockResolvedValue(jsonResponse({ choices: [{ message: { content: '{"title":"Checkout fails"}' } }] }));
+
+    const content = await aiService.callAIProvider('prompt');
+
+    expect(content).toBe('{"title":"Checkout fails"}');
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8000/v1/chat/completions');
+    expect(request.headers).toMatchObject({ 'X-Tenant': 'qa', Authorization: 'Bearer local-key' });
+    expect(JSON.parse(request.body)).toMatchObject({ model: 'qwen2.5-coder', stream: false });
+  });
+
+  test('should use the Ollama chat API and its response shape', async () => {
+    await aiService.updateSettings({
+      aiProvider: 'local',
+      aiLocalConfig: { format: 'ollama', baseUrl: 'http://127.0.0.1:11434', model: 'llama3.1' }
+    });
+    fetch.mockResolvedValue(jsonResponse({ message: { role: 'assistant', content: '{"status":"ok"}' } }));
+
+    const result = await aiService.testConnection();
+
+    expect(result).toEqual({ success: true, message: 'Connection to Local AI established' });
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('http://127.0.0.1:11434/api/chat');
+    expect(request.headers).not.toHaveProperty('Authorization');
+    expect(JSON.parse(request.body)).toMatchObject({ model: 'llama3.1', stream: false, format: 'json' });
+  });
+
+  test('should report unreachable servers, HTTP errors and timeouts clearly', async () => {
+    await aiService.updateSettings({ aiProvider: 'local', aiLocalConfig: { timeoutMs: 50 } });
+
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await expect(aiService.callLocalAPI('p')).rejects.toThrow('Local AI endpoint unreachable (http://localhost:11434/v1/chat/completions): Failed to fetch');
+
+    fetch.mockResolvedValueOnce(jsonResponse({ error: 'model "llama3.1" not found' }, 404));
+    await expect(aiService.callLocalAPI('p')).rejects.toThrow('Local AI Error: 404 - model "llama3.1" not found');
+
+    fetch.mockImplementationOnce((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    await expect(aiService.callLocalAPI('p')).rejects.toThrow('Local AI request timed out after 0.05s');
+  });
+
+  test('should normalize local config and parse header lines', () => {
+    expect(AIService.normalizeLocalConfig({ format: 'ollama', timeoutMs: -1 })).toEqual({
+      format: 'ollama',
+      baseUrl: 'http://localhost:11434',
+      model: 'llama3.1',
+      headers: {},
+      timeoutMs: 60000,
+      vision: false
+    });
+    expect(AIService.buildLocalEndpoint({ format: 'openai', baseUrl: 'http://gpu-box:8080/v1/chat/completions' }))
+      .toBe('http://gpu-box:8080/v1/chat/completions');
+    expect(AIService.parseHeaderLines('X-Api-Key: abc:def\ninvalid line\n: empty\nX-Team:  qa ')).toEqual({ 'X-Api-Key': 'abc:def', 'X-Team': 'qa' });
+  });
+});
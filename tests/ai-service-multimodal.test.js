@@ -0,0 +1,141 @@
+const AIService = require('../src/modules/AIService.js');
+
+// chrome.storage.local em memória (API de callbacks, como no service worker)
+const localStore = {};
+global.chrome = {
+  runtime: {
+    lastError: null
+  },
+  storage: {
+    local: {
+      get: jest.fn().mockImplementation((keys, callback) => {
+        const list = Array.isArray(keys) ? keys : [keys];
+        callback(Object.fromEntries(list.filter(key => key in localStore).map(key => [key, localStore[key]])));
+      }),
+      set: jest.fn().mockImplementation((data, callback) => {
+        Object.assign(localStore, JSON.parse(JSON.stringify(data)));
+        if (callback) callback();
+      })
+    }
+  }
+};
+
+const enhancement = JSON.stringify({
+  title: 'Checkout button label overlaps the total',
+  description: 'The "Place order" label is drawn over the order total',
+  stepsToReproduce: ['Open the cart', 'Go to checkout'],
+  expectedBehavior: 'Label and total are side by side',
+  actualBehavior: 'Label overlaps the total',
+  severity: 'medium',
+  priority: 'Medium',
+  environment: 'Production'
+});
+
+const screenshot = { mimeType: 'image/jpeg', data: 'aGVsbG8=', width: 1280, height: 720, masked: true };
+
+const jsonResponse = (body) => ({ ok: true, status: 200, statusText: 'OK', json: async () => body });
+const requestBody = (call) => JSON.parse(call[1].body);
+
+describe('AIService screenshot input', () => {
+  let aiService;
+
+  beforeEach(() => {
+    Object.keys(localStore).forEach(key => delete localStore[key]);
+    aiService = new AIService();
+    aiService.isEnabled = true;
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('should send the screenshot as inline data to Gemini with the visual analysis note', async () => {
+    aiService.apiKey = 'gemini-key';
+    fetch.mockResolvedValue(jsonResponse({ candidates: [{ content: { parts: [{ text: enhancement }] } }] }));
+
+    const result = await aiService.enhanceBugFields({ fields: { title: 'Layout broken' }, screenshot });
+
+    const parts = requestBody(fetch.mock.calls[0]).contents[0].parts;
+    expect(parts[1]).toEqual({ inlineData: { mimeType: 'image/jpeg', data: 'aGVsbG8=' } });
+    expect(parts[0].text).toContain(AIService.buildScreenshotNote(screenshot));
+    expect(parts[0].text).toContain('Solid grey boxes hide form fields');
+    expect(result.actualBehavior).toBe('Label overlaps the total');
+    expect(result.screenshotAnalyzed).toBe(true);
+  });
+
+  test('should use each provider image format', async () => {
+    aiService.provider = 'claude';
+    aiService.apiKey = 'claude-key';
+    aiService.claudeModel = 'claude-3-5-sonnet-latest';
+    fetch.mockResolvedValue(jsonResponse({ content: [{ type: 'tool_use', input: JSON.parse(enhancement) }] }));
+    await aiService.enhanceBugFields({ fields: {}, screenshot });
+    expect(requestBody(fetch.mock.calls[0]).messages[0].content[0]).toEqual({
+      type: 'image',
+      source: { type: 'base64', media_type: 'image/jpeg', data: 'aGVsbG8=' }
+    });
+
+    fetch.mockClear();
+    aiService.provider = 'openai';
+    aiService.apiKey = 'openai-key';
+    aiService.openaiModel = 'gpt-4o-mini';
+    fetch.mockResolvedValue(jsonResponse({ choices: [{ message: { content: enhancement } }] }));
+    await aiService.enhanceBugFields({ fields: {}, screenshot });
+    expect(requestBody(fetch.mock.calls[0]).messages[1].content[1]).toEqual({
+      type: 'image_url',
+      image_url: { url: 'data:image/jpeg;base64,aGVsbG8=' }
+    });
+
+    fetch.mockClear();
+    aiService.provider = 'local';
+    aiService.apiKey = null;
+    aiService.localConfig = AIService.normalizeLocalConfig({ format: 'ollama', model: 'llava', vision: true });
+    fetch.mockResolvedValue(jsonResponse({ message: { content: enhancement } }));
+    await aiService.enhanceBugFields({ fields: {}, screenshot });
+    expect(requestBody(fetch.mock.calls[0]).messages[1].images).toEqual(['aGVsbG8=']);
+  });
+
+  test('should keep text-only models on the text prompt', async () => {
+    aiService.provider = 'openai';
+    aiService.apiKey = 'openai-key';
+    fetch.mockResolvedValue(jsonResponse({ choices: [{ message: { content: enhancement } }] }));
+
+    const result = await aiService.enhanceBugFields({ fields: {}, screenshot });
+
+    const body = requestBody(fetch.mock.calls[0]);
+    expect(typeof body.messages[1].content).toBe('string');
+    expect(body.messages[1].content).not.toContain('A screenshot of the page');
+    expect(result.screenshotAnalyzed).toBe(false);
+  });
+
+  test('should retry without the image when the model rejects it', async () => {
+    aiService.provider = 'local';
+    aiService.localConfig = AIService.normalizeLocalConfig({ model: 'llama3.1', vision: true });
+    fetch
+      .mockResolvedValueOnce({ ok: false, status: 400, statusText: 'Bad Request', json: async () => ({ error: { message: 'Model does not support image input' } }) })
+      .mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: enhancement } }] }));
+
+    const result = await aiService.enhanceBugFields({ fields: {}, screenshot });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(typeof requestBody(fetch.mock.calls[1]).messages[1].content).toBe('string');
+    expect(result.title).toBe('Checkout button label overlaps the total');
+    expect(result.screenshotAnalyzed).toBe(false);
+  });
+
+  test('should validate image inputs and model capabilities', () => {
+    expect(AIService.normalizeImageInput('data:image/png;base64,aGVsbG8=')).toMatchObject({ mimeType: 'image/png', data: 'aGVsbG8=', masked: false });
+    expect(AIService.normalizeImageInput({ mimeType: 'image/gif', data: 'aGVsbG8=' })).toBeNull();
+    expect(AIService.normalizeImageInput({ mimeType: 'image/png', data: 'a'.repeat(AIService.MAX_IMAGE_BASE64_LENGTH + 1) })).toBeNull();
+
+    expect(AIService.supportsImageInput({ provider: 'gemini', model: 'gemini-2.0-flash' })).toBe(true);
+    expect(AIService.supportsImageInput({ provider: 'gemini', model: 'gemini-pro' })).toBe(false);
+    expect(AIService.supportsImageInput({ provider: 'openai', model: 'gpt-4-turbo-preview' })).toBe(false);
+    expect(AIService.supportsImageInput({ provider: 'openai', model: 'gpt-4o' })).toBe(true);
+    expect(AIService.supportsImageInput({ provider: 'local', model: 'llava' }, { vision: false })).toBe(false);
+    expect(AIService.isImageUnsupportedError(new Error('OpenAI API Error: 429 - image quota'))).toBe(false);
+  });
+});
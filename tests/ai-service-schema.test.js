@@ -0,0 +1,169 @@
+const AIService = require('../src/modules/AIService.js');
+
+// Mock chrome API
+global.chrome = {
+  runtime: {
+    lastError: null
+  },
+  storage: {
+    local: {
+      get: jest.fn().mockImplementation((keys, callback) => callback({})),
+      set: jest.fn().mockImplementation((data, callback) => callback && callback())
+    }
+  }
+};
+
+const errorData = {
+  url: 'https://shop.example.com/api/cart',
+  method: 'POST',
+  status: 500,
+  statusText: 'Internal Server Error',
+  responseBody: '{"error":"boom"}'
+};
+
+const validReport = {
+  title: 'Cart update fails with 500',
+  description: 'POST /api/cart returns 500 when the quantity changes',
+  stepsToReproduce: ['Open the cart', 'Change the quantity'],
+  expectedBehavior: 'Cart is updated',
+  actualBehavior: 'Server returns 500',
+  severity: 'high'
+};
+
+const jsonResponse = (body) => ({
+  ok: true,
+  status: 200,
+  statusText: 'OK',
+  json: async () => body
+});
+
+describe('AIService structured output', () => {
+  let aiService;
+
+  beforeEach(() => {
+    aiService = new AIService();
+    aiService.isEnabled = true;
+    aiService.provider = 'openai';
+    aiService.apiKey = 'openai-key';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('should accept a valid report without a repair call', async () => {
+    const spy = jest.spyOn(AIService.prototype, 'callOpenAIAPI').mockResolvedValue('```json\n' + JSON.stringify(validReport) + '\n```');
+
+    const report = await aiService.generateBugReport(errorData);
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(report).toMatchObject(validReport);
+    expect(report.metadata).toMatchObject({ aiProvider: 'openai', schemaRepaired: false });
+  });
+
+  test('should send one repair prompt with the validation errors', async () => {
+    const spy = jest.spyOn(AIService.prototype, 'callOpenAIAPI')
+      .mockResolvedValueOnce(JSON.stringify({ ...validReport, severity: 'Critical', stepsToReproduce: [] }))
+      .mockResolvedValueOnce(JSON.stringify(validReport));
+
+    const report = await aiService.generateBugReport(errorData);
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    const repairPrompt = spy.mock.calls[1][0];
+    expect(repairPrompt).toContain('- $.severity must be one of low, medium, high');
+    expect(repairPrompt).toContain('- $.stepsToReproduce must have at least 1 items');
+    expect(repairPrompt).toContain('"severity":"Critical"');
+    expect(report.severity).toBe('high');
+    expect(report.metadata.schemaRepaired).toBe(true);
+  });
+
+  test('should fall back to the basic report when the repair is still invalid', async () => {
+    const spy = jest.spyOn(AIService.prototype, 'callOpenAIAPI').mockResolvedValue('{"title": "Cart fails", "description": "truncated');
+
+    const report = await aiService.generateBugReport(errorData);
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy.mock.calls[1][0]).toContain('Response is not valid JSON');
+    expect(report.note).toBeDefined();
+    expect(report.metadata).toBeUndefined();
+  });
+
+  test('should describe schema violations with their path', () => {
+    const errors = AIService.validateSchema({
+      title: 'Bug',
+      description: 42,
+      stepsToReproduce: ['Open page', ''],
+      expectedBehavior: 'Works',
+      severity: 'low',
+      details: { status: 500 }
+    }, AIService.BUG_REPORT_SCHEMA);
+
+    expect(errors).toEqual([
+      '$.actualBehavior is required',
+      '$.title must have at least 5 characters',
+      '$.description must be string (got number)',
+      '$.stepsToReproduce[1] must have at least 1 characters'
+    ]);
+    expect(AIService.validateSchema(validReport, AIService.BUG_REPORT_SCHEMA)).toEqual([]);
+  });
+
+  test('should request provider structured-output modes with the schema', async () => {
+    global.fetch = jest.fn()
+      .mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: JSON.stringify(validReport) } }] }))
+      .mockResolvedValueOnce(jsonResponse({ content: [{ type: 'tool_use', name: 'bug_report', input: validReport }] }))
+      .mockResolvedValueOnce(jsonResponse({ candidates: [{ content: { parts: [{ text: JSON.stringify(validReport) }] } }] }));
+
+    aiService.openaiModel = 'gpt-4o-mini';
+    for (const provider of ['openai', 'claude', 'gemini']) {
+      aiService.provider = provider;
+      const { value } = await aiService.requestStructuredOutput('prompt', AIService.BUG_REPORT_SCHEMA);
+      expect(value).toEqual(validReport);
+    }
+
+    const [openai, claude, gemini] = fetch.mock.calls.map(([, request]) => JSON.parse(request.body));
+    expect(openai.response_format).toEqual({ type: 'json_schema', json_schema: { name: 'bug_report', schema: AIService.BUG_REPORT_SCHEMA } });
+    expect(claude.tool_choice).toEqual({ type: 'tool', name: 'bug_report' });
+    expect(claude.tools[0].input_schema).toEqual(AIService.BUG_REPORT_SCHEMA);
+    expect(gemini.generationConfig.responseSchema.properties.severity).toEqual({ type: 'STRING', enum: ['low', 'medium', 'high'] });
+    expect(gemini.generationConfig.responseSchema.properties.details.properties.status).toEqual({ type: 'STRING' });
+  });
+
+  test('should keep json_object for OpenAI models without Structured Outputs', async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse({ choices: [{ message: { content: JSON.stringify(validReport) } }] }));
+
+    // Modelo por omissão (gpt-4-turbo-preview): json_schema devolveria 400
+    const { value } = await aiService.requestStructuredOutput('prompt', AIService.BUG_REPORT_SCHEMA);
+    expect(value).toEqual(validReport);
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.model).toBe('gpt-4-turbo-preview');
+    expect(body.response_format).toEqual({ type: 'json_object' });
+
+    expect(['gpt-4o', 'gpt-4o-mini-2024-07-18', 'gpt-4.1', 'o3-mini'].every(AIService.supportsStructuredOutputs)).toBe(true);
+    expect(['gpt-4-turbo-preview', 'gpt-3.5-turbo', 'gpt-4o-2024-05-13', 'o1-mini'].some(AIService.supportsStructuredOutputs)).toBe(false);
+  });
+
+  test('should use enhancement steps as returned once they match the schema', async () => {
+    jest.spyOn(AIService.prototype, 'callOpenAIAPI').mockResolvedValue(JSON.stringify({
+      title: 'Checkout button does nothing',
+      description: 'Clicking checkout has no effect',
+      stepsToReproduce: ['Open /cart', 'Click "Checkout"'],
+      expectedBehavior: 'Checkout page opens',
+      actualBehavior: 'Nothing happens',
+      severity: 'medium',
+      priority: 'High'
+    }));
+
+    const result = await aiService.enhanceBugFields({ fields: { title: 'checkout broken' }, interactions: [] });
+
+    expect(result).toMatchObject({
+      title: 'Checkout button does nothing',
+      stepsToReproduce: ['Open /cart', 'Click "Checkout"'],
+      severity: 'medium',
+      priority: 'High'
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const AIUsageTracker = require('../src/modules/AIUsageTracker.js');
+const AIService = require('../src/modules/AIService.js');
+
+// chrome.storage em memória: o tracker usa Promises, o AIService usa callbacks
+const createArea = (store) => ({
+  get: jest.fn().mockImplementation((keys, callback) => {
+    const list = Array.isArray(keys) ? keys : [keys];
+    const result = Object.fromEntries(list.filter(key => key in store).map(key => [key, JSON.parse(JSON.stringify(store[key]))]));
+    if (callback) return callback(result);
+    return Promise.resolve(result);
+  }),
+  set: jest.fn().mockImplementation((data, callback) => {
+    Object.assign(store, JSON.parse(JSON.stringify(data)));
+    if (callback) return callback();
+    return Promise.resolve();
+  })
+});
+
+const localStore = {};
+const syncStore = {};
+global.chrome = {
+  runtime: { lastError: null },
+  storage: {
+    local: createArea(localStore),
+    sync: createArea(syncStore)
+  }
+};
+
+const validReport = JSON.stringify({
+  title: 'Orders API returns 500',
+  description: 'POST /orders fails with a server error',
+  stepsToReproduce: ['Open checkout', 'Place the order'],
+  expectedBehavior: 'Order is created',
+  actualBehavior: 'Server returns 500',
+  severity: 'high'
+});
+
+const jsonResponse = (body) => ({ ok: true, status: 200, statusText: 'OK', json: async () => body });
+
+describe('AIUsageTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    [localStore, syncStore].forEach(store => Object.keys(store).forEach(key => delete store[key]));
+    tracker = new AIUsageTracker();
+  });
+
+  test('should accumulate daily and monthly totals per provider with the configured prices', async () => {
+    syncStore.aiUsageConfig = { prices: { 'openai:gpt-4o-mini': { input: 0.15, output: 0.6 } } };
+
+    await Promise.all([
+      tracker.record({ provider: 'gemini', model: 'gemini-2.0-flash', promptTokens: 1000000, completionTokens: 500000 }),
+      tracker.record({ provider: 'openai', model: 'gpt-4o-mini', promptTokens: 2000, completionTokens: 1000 }),
+      tracker.record({ provider: 'openai', model: 'gpt-4-turbo-preview', promptTokens: 1000, completionTokens: 0, estimated: true })
+    ]);
+
+    const summary = await tracker.getSummary();
+    expect(summary.today.providers.gemini).toEqual({ calls: 1, promptTokens: 1000000, completionTokens: 500000, cost: 0.3, estimatedCalls: 0 });
+    // 2000 × 0.15 + 1000 × 0.6 (modelo) e 1000 × 10 (preço por omissão do provider), por milhão
+    expect(summary.today.providers.openai).toEqual({ calls: 2, promptTokens: 3000, completionTokens: 1000, cost: 0.0109, estimatedCalls: 1 });
+    expect(summary.thisMonth.total).toMatchObject({ calls: 3, cost: 0.3109 });
+    expect(summary.budget.exceeded).toBe(false);
+  });
+
+  test('should report the budget as exceeded once the daily or monthly limit is reached', async () => {
+    const day = new Date(2026, 9, 19, 10);
+    localStore.ai_usage = {
+      daily: { '2026-10-18': { claude: { calls: 40, promptTokens: 0, completionTokens: 0, cost: 4, estimatedCalls: 0 } } },
+      monthly: { '2026-10': { claude: { calls: 40, promptTokens: 0, completionTokens: 0, cost: 4, estimatedCalls: 0 } } }
+    };
+
+    syncStore.aiUsageConfig = { budget: { dailyUsd: 1, monthlyUsd: 5 } };
+    expect(await tracker.checkBudget(day)).toEqual({ exceeded: false, period: null, spent: 4, limit: 5 });
+
+    syncStore.aiUsageConfig = { budget: { dailyUsd: 1, monthlyUsd: 4 } };
+    expect(await tracker.checkBudget(day)).toEqual({ exceeded: true, period: 'monthly', spent: 4, limit: 4 });
+  });
+
+  test('should normalize the config and drop days beyond the retention window', async () => {
+    expect(AIUsageTracker.normalizeConfig({ prices: { local: { input: -1, output: 'x' } }, budget: { dailyUsd: '2.5', monthlyUsd: null } }))
+      .toEqual({ prices: { ...AIUsageTracker.DEFAULT_PRICES, local: { input: 0, output: 0 } }, budget: { dailyUsd: 2.5, monthlyUsd: 0 } });
+
+    tracker.maxDays = 1;
+    localStore.ai_usage = { daily: { '2000-01-01': {} }, monthly: {} };
+    await tracker.record({ provider: 'local', model: 'llama3.1', promptTokens: 10, completionTokens: 5 });
+    expect(Object.keys(localStore.ai_usage.daily)).toEqual([AIUsageTracker.dayKey(new Date())]);
+  });
+});
+
+describe('AIService usage accounting', () => {
+  let aiService;
+
+  beforeEach(() => {
+    [localStore, syncStore].forEach(store => Object.keys(store).forEach(key => delete store[key]));
+    aiService = new AIService();
+    aiService.isEnabled = true;
+    aiService.apiKey = 'gemini-key';
+    aiService.usageTracker = new AIUsageTracker();
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('should record the token counts returned by the provider', async () => {
+    fetch.mockResolvedValue(jsonResponse({
+      candidates: [{ content: { parts: [{ text: validReport }] } }],
+      usageMetadata: { promptTokenCount: 1200, candidatesTokenCount: 300 }
+    }));
+
+    await aiService.generateBugReport({ url: 'https://shop.example.com/api/orders', method: 'POST', status: 500 });
+
+    const summary = await aiService.usageTracker.getSummary();
+    expect(summary.today.providers.gemini).toEqual({ calls: 1, promptTokens: 1200, completionTokens: 300, cost: 0.00024, estimatedCalls: 0 });
+  });
+
+  test('should extract usage from every provider response format', () => {
+    expect(AIService.extractUsage({ usage: { prompt_tokens: 10, completion_tokens: 4 } })).toEqual({ promptTokens: 10, completionTokens: 4 });
+    expect(AIService.extractUsage({ usage: { input_tokens: 7, output_tokens: 2 } })).toEqual({ promptTokens: 7, completionTokens: 2 });
+    expect(AIService.extractUsage({ prompt_eval_count: 30, eval_count: 12 })).toEqual({ promptTokens: 30, completionTokens: 12 });
+    expect(AIService.extractUsage({ choices: [] })).toBeNull();
+  });
+
+  test('should switch to the basic report once the budget is exceeded', async () => {
+    syncStore.aiUsageConfig = { budget: { dailyUsd: 0.5 } };
+    await aiService.usageTracker.record({ provider: 'openai', model: 'gpt-4-turbo-preview', promptTokens: 50000, completionTokens: 0 });
+
+    const report = await aiService.generateBugReport({ url: 'https://shop.example.com/api/orders', method: 'POST', status: 500 });
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(report.note).toBe('Report generated without AI: daily AI budget reached');
+    expect(report.severity).toBe('high');
+  });
+});
@@ -117,4 +117,21 @@ describe('AIService Priority Prompt', () => {
     expect(prompt).not.toContain('MyS3cretPassword');
     expect(prompt).toContain('"password": "[REDACTED]"');
   });
+
+  test('should include the source-mapped stack trace in the bug report prompt', () => {
+    const prompt = aiService.buildPrompt({
+      error: {
+        url: 'https://app.example.com/checkout',
+        message: 'TypeError: boom',
+        stack: 'TypeError: boom\n    at e (https://cdn.example.com/app.min.js:1:18)',
+        resolvedStack: 'TypeError: boom\n    at explode (webpack:///src/app.js:12:5)',
+        sourceExcerpt: 'webpack:///src/app.js:12\n> 12 |     throw new Error("boom");'
+      },
+      context: {}
+    });
+
+    expect(prompt).toContain('webpack:///src/app.js:12:5');
+    expect(prompt).toContain('"stackTraceSourceMapped": true');
+    expect(prompt).not.toContain('app.min.js:1:18');
+  });
 });
@@ -0,0 +1,76 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Carrega o background.js real sem criar a instância (o singleton já "existe")
+const loadBackgroundClass = () => {
+  global.window = globalThis;
+  global.importScripts = (...files) => files.forEach(file => {
+    const exported = require(path.resolve(__dirname, '../src/background', file));
+    if (typeof exported === 'function' && exported.name) global[exported.name] = exported;
+  });
+  globalThis.bugSpotterInstance = {};
+  const source = fs.readFileSync(path.resolve(__dirname, '../src/background/background.js'), 'utf8');
+  // eslint-disable-next-line no-eval
+  (0, eval)(`${source}\nglobalThis.BugSpotterBackground = BugSpotterBackground;`);
+  return globalThis.BugSpotterBackground;
+};
+
+describe('BugSpotterBackground error relay', () => {
+  let background;
+
+  beforeAll(() => {
+    const BugSpotterBackground = loadBackgroundClass();
+    background = Object.create(BugSpotterBackground.prototype);
+  });
+
+  beforeEach(() => {
+    Object.assign(background, {
+      persistentLogs: new Map(),
+      debuggerSessions: new Map(),
+      processedAIErrors: new Map(),
+      issueTracker: null,
+      aiServiceReady: true,
+      aiService: {
+        isConfigured: () => true,
+        generateBugReport: jest.fn(async () => ({ title: 'Checkout fails' }))
+      }
+    });
+    background.isHttpLogDuplicate = jest.fn(() => false);
+    background.tabExists = jest.fn(async () => true);
+    background.getSettings = jest.fn(async () => ({ ai: { enabled: true, minStatus: 400 } }));
+    background.incrementUnreadAIReports = jest.fn(async () => {});
+    background.resolveErrorStack = jest.fn(async () => {});
+    background.getCachedAIReport = jest.fn(async () => null);
+    background.collectErrorContext = jest.fn(async () => ({}));
+    background.cacheAIReport = jest.fn(async () => {});
+    background.storeAIReport = jest.fn(async () => {});
+    background.saveProcessedErrorsToStorage = jest.fn(async () => {});
+    background.sendErrorNotification = jest.fn(async () => {});
+  });
+
+  test('should generate one AI report for a failed fetch relayed by the page bridge', async () => {
+    const sender = { tab: { id: 7 } };
+    const url = 'https://api.example.com/v1/orders';
+    const timestamp = '2026-10-01T10:00:00.000Z';
+
+    // content.js: addLog envia a cópia da consola e depois o HTTP_ERROR
+    await background.handleMessage({
+      type: 'CONSOLE_ERROR',
+      data: { message: `[HTTP ERROR] 500 Internal Server Error - POST ${url}`, url: 'https://shop.example.com/cart', timestamp }
+    }, sender, jest.fn());
+    await background.handleMessage({
+      type: 'HTTP_ERROR',
+      data: { status: 500, statusText: 'Internal Server Error', method: 'POST', url, timestamp }
+    }, sender, jest.fn());
+
+    expect(background.aiService.generateBugReport).toHaveBeenCalledTimes(1);
+    expect(background.aiService.generateBugReport.mock.calls[0][0].error).toMatchObject({ source: 'network', status: 500 });
+    expect(background.sendErrorNotification).toHaveBeenCalledTimes(1);
+    // A cópia continua nos logs da aba
+    expect(background.persistentLogs.get(7).logs.map(log => log.source)).toEqual(['console', 'network']);
+  });
+});
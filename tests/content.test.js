@@ -2,6 +2,9 @@
  * @jest-environment jsdom
  */
 
+// tests/setup.js substitui window por um objeto simples; o content script precisa do window real do jsdom
+global.window = globalThis;
+
 // Mock Chrome APIs
 global.chrome = {
   runtime: {
@@ -183,4 +186,86 @@ describe('BugSpotterContent', () => {
       }
     });
   });
+
+  describe('Page Bridge', () => {
+    const bridgeEvent = (kind, payload) => ({
+      source: window,
+      data: { channel: 'BUGSPOTTER_PAGE_BRIDGE', kind, payload }
+    });
+
+    beforeEach(() => {
+      // O registry do jest ignora require.cache: reavaliar o script isoladamente
+      jest.isolateModules(() => {
+        require('../src/content/content.js');
+      });
+      bugSpotterContent = window.bugSpotterContent;
+      chrome.runtime.sendMessage = jest.fn();
+    });
+
+    afterEach(() => {
+      delete chrome.runtime.sendMessage;
+    });
+
+    it('should relay http-error events as HTTP_ERROR', () => {
+      bugSpotterContent.handlePageBridgeMessage(bridgeEvent('http-error', {
+        status: 500,
+        statusText: 'Internal Server Error',
+        url: 'https://app.example.com/api/orders',
+        method: 'POST',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        responseBody: { error: 'boom' },
+        responseText: '{"error":"boom"}'
+      }));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'HTTP_ERROR',
+        data: expect.objectContaining({
+          status: 500,
+          method: 'POST',
+          url: 'https://app.example.com/api/orders',
+          responseBody: { error: 'boom' }
+        })
+      }));
+      const lastLog = bugSpotterContent.consoleLogs[bugSpotterContent.consoleLogs.length - 1];
+      expect(lastLog.message).toContain('[HTTP ERROR] 500');
+    });
+
+    it('should relay network-error events as NETWORK_ERROR', () => {
+      bugSpotterContent.handlePageBridgeMessage(bridgeEvent('network-error', {
+        error: 'Failed to fetch',
+        url: 'https://app.example.com/api/orders',
+        method: 'GET'
+      }));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'NETWORK_ERROR',
+        data: expect.objectContaining({ error: 'Failed to fetch', method: 'GET' })
+      }));
+    });
+
+    it('should keep the page stack for uncaught errors', () => {
+      bugSpotterContent.handlePageBridgeMessage(bridgeEvent('uncaught-error', {
+        message: 'TypeError: x is undefined',
+        filename: 'https://app.example.com/main.js',
+        lineno: 10,
+        colno: 5,
+        stack: 'TypeError: x is undefined\n    at render (https://app.example.com/main.js:10:5)'
+      }));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'CONSOLE_ERROR',
+        data: expect.objectContaining({
+          message: 'TypeError: x is undefined at https://app.example.com/main.js:10:5',
+          stack: expect.stringContaining('at render')
+        })
+      }));
+    });
+
+    it('should ignore messages from other windows or channels', () => {
+      bugSpotterContent.handlePageBridgeMessage({ source: {}, data: bridgeEvent('console', { level: 'error', message: 'x' }).data });
+      bugSpotterContent.handlePageBridgeMessage({ source: window, data: { channel: 'OTHER', kind: 'console', payload: { message: 'x' } } });
+
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// tests/setup.js substitui window por um objeto simples; o recorder precisa do window real do jsdom
+global.window = globalThis;
+
+const DomReplayRecorder = require('../src/modules/DomReplayRecorder.js');
+
+const flushMutations = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('DomReplayRecorder', () => {
+  let recorder;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form id="login">
+        <input id="user" name="user" value="alice">
+        <input id="pass" type="password" value="hunter2">
+      </form>
+      <script>window.secret = 1;</script>
+      <p id="msg">Hello</p>
+    `;
+    recorder = new DomReplayRecorder({ windowMs: 60000, checkpointMs: 30000 });
+  });
+
+  afterEach(() => {
+    recorder.stop();
+  });
+
+  const findNode = (node, predicate) => {
+    if (!node) return null;
+    if (predicate(node)) return node;
+    for (const child of node.childNodes || []) {
+      const found = findNode(child, predicate);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  it('should serialize a full snapshot of the document', () => {
+    recorder.start();
+    const replay = recorder.exportReplay();
+
+    expect(replay.format).toBe('bugspotter-dom-replay');
+    expect(replay.snapshot.node.type).toBe(9);
+    const msg = findNode(replay.snapshot.node, n => n.attributes && n.attributes.id === 'msg');
+    expect(msg.tagName).toBe('p');
+    expect(msg.childNodes[0].text).toBe('Hello');
+  });
+
+  it('should mask password values and drop script contents', () => {
+    recorder.start();
+    const { node } = recorder.exportReplay().snapshot;
+
+    const pass = findNode(node, n => n.attributes && n.attributes.id === 'pass');
+    const user = findNode(node, n => n.attributes && n.attributes.id === 'user');
+    const script = findNode(node, n => n.tagName === 'script');
+
+    expect(pass.value).toBe('***');
+    expect(pass.attributes.value).toBe('***');
+    expect(user.value).toBe('alice');
+    expect(script.childNodes).toEqual([]);
+  });
+
+  it('should record incremental mutations', async () => {
+    recorder.start();
+    const msg = document.getElementById('msg');
+
+    const added = document.createElement('div');
+    added.className = 'toast';
+    added.textContent = 'Saved';
+    document.body.appendChild(added);
+    msg.setAttribute('class', 'error');
+    msg.firstChild.textContent = 'Oops';
+    await flushMutations();
+
+    const mutations = recorder.exportReplay().events.filter(e => e.type === 'mutation');
+    const all = {
+      adds: mutations.flatMap(m => m.adds),
+      attributes: mutations.flatMap(m => m.attributes),
+      texts: mutations.flatMap(m => m.texts)
+    };
+
+    expect(all.adds.some(a => a.node.tagName === 'div' && a.node.attributes.class === 'toast')).toBe(true);
+    expect(all.attributes).toContainEqual({ id: recorder.getId(msg), name: 'class', value: 'error' });
+    expect(all.texts).toContainEqual({ id: recorder.getId(msg.firstChild), value: 'Oops' });
+  });
+
+  it('should record masked input events', () => {
+    recorder.start();
+    const pass = document.getElementById('pass');
+    pass.value = 'another-secret';
+    pass.dispatchEvent(new Event('input', { bubbles: true }));
+
+    const input = recorder.exportReplay().events.find(e => e.type === 'input');
+    expect(input).toMatchObject({ id: recorder.getId(pass), value: '***' });
+  });
+
+  it('should keep only the segments needed for the rolling window', () => {
+    const now = jest.spyOn(Date, 'now');
+    now.mockReturnValue(0);
+    recorder.start();
+    now.mockReturnValue(30000);
+    recorder.takeCheckpoint();
+    now.mockReturnValue(60000);
+    recorder.takeCheckpoint();
+    now.mockReturnValue(95000);
+
+    const replay = recorder.exportReplay();
+    now.mockRestore();
+
+    // O segmento de t=0 já não é necessário para cobrir [35000, 95000]
+    expect(replay.startedAt).toBe(30000);
+    expect(replay.events.filter(e => e.type === 'snapshot')).toHaveLength(1);
+    expect(replay.events.find(e => e.type === 'snapshot').t).toBe(60000);
+  });
+
+  it('should keep node ids stable across checkpoints', () => {
+    recorder.start();
+    const msg = document.getElementById('msg');
+    const firstId = recorder.getId(msg);
+    recorder.takeCheckpoint();
+
+    const snapshotEvent = recorder.exportReplay().events.find(e => e.type === 'snapshot');
+    const again = findNode(snapshotEvent.node, n => n.attributes && n.attributes.id === 'msg');
+    expect(again.id).toBe(firstId);
+  });
+});
@@ -0,0 +1,100 @@
+const EnvironmentDetector = require('../src/modules/EnvironmentDetector.js');
+const AIService = require('../src/modules/AIService.js');
+
+global.chrome = {
+  runtime: { lastError: null },
+  storage: {
+    local: {
+      get: jest.fn().mockImplementation((keys, callback) => callback({})),
+      set: jest.fn().mockImplementation((data, callback) => callback && callback())
+    }
+  }
+};
+
+describe('EnvironmentDetector', () => {
+  test('should keep the previous hostname rule and read the build from the app-version meta tag', () => {
+    const detector = new EnvironmentDetector();
+
+    expect(detector.getMetaNames()).toEqual(['app-version']);
+    expect(detector.detect({ url: 'https://pp.daloop.app/charging', meta: { 'App-Version': ' 2.14.0 ' } })).toEqual({
+      environment: 'Staging',
+      version: '2.14.0',
+      environmentRule: 'env-rule-1',
+      versionRule: 'env-rule-2'
+    });
+    expect(detector.detect({ url: 'https://daloop.app/charging' })).toEqual({
+      environment: 'Production',
+      version: '',
+      environmentRule: null,
+      versionRule: null
+    });
+  });
+
+  test('should apply the first matching rule per field with capture groups', () => {
+    const detector = new EnvironmentDetector({
+      rules: [
+        { type: 'path', pattern: '^/uat/', environment: 'UAT' },
+        { type: 'hostname', pattern: '^(qa\\d*)\\.', environment: 'QA' },
+        { type: 'meta', metaName: 'build', pattern: '^release-(\\d+\\.\\d+)', version: 'v$1' },
+        { type: 'hostname', pattern: '.', environment: 'Other', version: 'unknown' }
+      ],
+      defaultEnvironment: ''
+    });
+
+    expect(detector.detect({ url: 'https://qa2.example.com/uat/orders', meta: { build: 'release-4.2-rc1' } })).toEqual({
+      environment: 'UAT',
+      version: 'v4.2',
+      environmentRule: 'env-rule-1',
+      versionRule: 'env-rule-3'
+    });
+    expect(detector.detect({ url: 'https://qa2.example.com/orders' })).toMatchObject({ environment: 'QA', version: 'unknown', versionRule: 'env-rule-4' });
+    expect(detector.detect({ url: 'not a url' })).toMatchObject({ environment: '', version: '' });
+  });
+
+  test('should validate rules and Jira fields', () => {
+    expect(EnvironmentDetector.validateConfig({
+      rules: [
+        { type: 'hostname', pattern: '(', environment: 'QA' },
+        { type: 'meta', metaName: '', version: '$&' },
+        { type: 'path', pattern: '^/uat' }
+      ],
+      jiraEnvironmentField: 'customfield_10050',
+      jiraVersionField: 'Build'
+    })).toEqual([
+      expect.stringContaining('Rule 1: invalid regular expression'),
+      'Rule 2: meta tag name is empty',
+      'Rule 3: set an environment, a version or both',
+      'Invalid Jira field "Build" (use customfield_NNNNN or environment)'
+    ]);
+  });
+});
+
+describe('AIService detected environment', () => {
+  const detected = { environment: 'UAT', version: '2.14.0' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should replace the environment inference rules in the prompt', () => {
+    const aiService = new AIService();
+    const prompt = aiService.buildEnhancementPrompt({ fields: {}, context: { pageUrl: 'https://pp.example.com', environment: detected } });
+
+    expect(prompt).toContain('The environment is "UAT" (build 2.14.0), detected by BugSpotter\'s environment rules');
+    expect(prompt).not.toContain(AIService.DEFAULT_PROMPT_TEMPLATES.environmentRules);
+  });
+
+  test('should keep the detected environment over the AI answer', async () => {
+    const aiService = new AIService();
+    aiService.isEnabled = true;
+    aiService.apiKey = 'gemini-key';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(aiService, 'requestStructuredOutput').mockResolvedValue({
+      value: { title: 'T', description: 'D', stepsToReproduce: [], expectedBehavior: 'E', actualBehavior: 'A', severity: 'low', priority: 'Low', environment: 'Staging' },
+      imageUsed: false
+    });
+
+    const result = await aiService.enhanceBugFields({ fields: {}, context: { environment: detected } });
+    expect(result.environment).toBe('UAT');
+  });
+});
@@ -1,4 +1,5 @@
 const FingerprintManager = require('../src/modules/FingerprintManager');
+const StackTraceParser = require('../src/modules/StackTraceParser');
 
 // Mock chrome.storage.local
 const mockStorage = {};
@@ -187,6 +188,124 @@ describe('FingerprintManager', () => {
     });
   });
 
+  describe('stack strategy', () => {
+    const crashStack = (message, build, host = 'app.example.com') => [
+      `TypeError: ${message}`,
+      `    at OrderService.load (https://${host}/static/js/main.${build}.js:1:4821)`,
+      `    at Object.invoke (https://${host}/static/js/vendors~main.${build}.js:2:115)`,
+      `    at renderOrders (https://${host}/static/js/main.${build}.js:1:900)`
+    ].join('\n');
+
+    beforeEach(() => {
+      manager = new FingerprintManager({ stackParser: new StackTraceParser(), strategy: 'stack' });
+    });
+
+    test('should group the same crash across messages, builds and pages', async () => {
+      const bug1 = {
+        url: 'https://app.example.com/orders',
+        originalError: { message: "Cannot read properties of undefined (reading 'total')", stack: crashStack("Cannot read properties of undefined (reading 'total')", '3f9a2b1c') },
+        logs: []
+      };
+      const bug2 = {
+        url: 'https://staging.example.com/orders/archived',
+        originalError: { message: 'o.items is undefined', stack: crashStack('o.items is undefined', '77d0c4e2', 'staging.example.com') },
+        logs: []
+      };
+
+      expect(await manager.generateFingerprint(bug1)).toBe(await manager.generateFingerprint(bug2));
+      expect(await manager.generateFingerprint(bug1, { strategy: 'default' }))
+        .not.toBe(await manager.generateFingerprint(bug2, { strategy: 'default' }));
+    });
+
+    test('should separate different crashes sharing a generic message', async () => {
+      const bug1 = {
+        url: 'https://example.com',
+        logs: [{ level: 'error', message: 'Script error.', stack: 'Error: Script error.\n    at checkout (https://example.com/app.js:10:1)' }]
+      };
+      const bug2 = {
+        url: 'https://example.com',
+        logs: [{ level: 'error', message: 'Script error.', stack: 'Error: Script error.\n    at uploadAvatar (https://example.com/app.js:90:1)' }]
+      };
+
+      expect(await manager.generateFingerprint(bug1)).not.toBe(await manager.generateFingerprint(bug2));
+      expect(await manager.generateFingerprint(bug1, { strategy: 'default' }))
+        .toBe(await manager.generateFingerprint(bug2, { strategy: 'default' }));
+    });
+
+    test('should only hash the configured number of in-app frames', async () => {
+      const base = 'Error: x\n    at first (https://example.com/app.js:1:1)\n    at second (https://example.com/app.js:2:1)';
+      const bug1 = { url: 'https://example.com', originalError: { stack: `${base}\n    at third (https://example.com/app.js:3:1)` } };
+      const bug2 = { url: 'https://example.com', originalError: { stack: `${base}\n    at other (https://example.com/app.js:4:1)` } };
+
+      expect(await manager.generateFingerprint(bug1, { frameCount: 2 })).toBe(await manager.generateFingerprint(bug2, { frameCount: 2 }));
+      expect(await manager.generateFingerprint(bug1, { frameCount: 3 })).not.toBe(await manager.generateFingerprint(bug2, { frameCount: 3 }));
+    });
+
+    test('should fall back to the default strategy without in-app frames', async () => {
+      const bug = {
+        url: 'https://example.com',
+        originalError: { message: 'Network Error', stack: 'Error\n    at x (chrome-extension://abc/content.js:1:1)' },
+        logs: []
+      };
+
+      expect(await manager.generateFingerprint(bug)).toBe(await manager.generateFingerprint(bug, { strategy: 'default' }));
+    });
+  });
+
+  describe('masking rules', () => {
+    const signalOf = (bugData, masking) => manager.buildFingerprintSignal({ logs: [], ...bugData }, { masking }).signal;
+
+    test('should apply user rules in order before the built-in masks', () => {
+      const masking = {
+        rules: [
+          { pattern: 'ord-[a-z0-9]+', replacement: '{order}' },
+          { pattern: '\\{order\\}-retry', replacement: '{order}' }
+        ]
+      };
+      const bug = { url: 'https://shop.example.com/cart', originalError: { type: 'Error', message: 'Order ord-9x8k2-retry failed after 123456 ms' } };
+
+      expect(signalOf(bug, masking)).toContain('error:order {order} failed after {id} ms');
+      expect(signalOf(bug, { ...masking, useDefaultRules: false })).toContain('failed after 123456 ms');
+    });
+
+    test('should normalize tenant subdomains and paths with per-domain templates', async () => {
+      const masking = {
+        pathTemplates: [{ domain: '{tenant}.example.com', template: '/tenants/{tenant}/orders/{id}' }]
+      };
+      const bug1 = { url: 'https://acme.example.com/tenants/acme/orders/ab-12', originalError: { message: 'Boom' }, logs: [] };
+      const bug2 = { url: 'https://globex.example.com/tenants/globex/orders/zz-99', originalError: { message: 'Boom' }, logs: [] };
+
+      expect(signalOf(bug1, masking)).toContain('https://{tenant}.example.com/tenants/{tenant}/orders/{id}');
+      expect(await manager.generateFingerprint(bug1, { masking })).toBe(await manager.generateFingerprint(bug2, { masking }));
+      expect(await manager.generateFingerprint(bug1)).not.toBe(await manager.generateFingerprint(bug2));
+    });
+
+    test('should drop only the configured ignored params', () => {
+      const bug = { url: 'https://example.com/search?q=shoes&ref=mail&utm_source=x' };
+
+      expect(signalOf(bug, { ignoredParams: ['ref'] })).toContain('https://example.com/search?q=shoes&utm_source=x');
+      expect(signalOf(bug, {})).toContain('https://example.com/search?q=shoes&ref=mail');
+    });
+
+    test('should report invalid rules without breaking the others', () => {
+      const compiled = FingerprintManager.compileMasking({
+        rules: [{ pattern: '([unclosed', replacement: 'x' }, { pattern: 'tenant-\\w+', replacement: '{tenant}' }]
+      });
+
+      expect(compiled.errors).toHaveLength(1);
+      expect(compiled.errors[0]).toMatch(/^Rule 1:/);
+      expect(compiled.rules).toHaveLength(1);
+      expect(compiled.ignoredParams).toEqual(FingerprintManager.DEFAULT_IGNORED_PARAMS);
+    });
+
+    test('should use the masking passed to the constructor by default', () => {
+      manager = new FingerprintManager({ masking: { rules: [{ pattern: 'sku_\\w+', replacement: '{sku}' }] } });
+
+      expect(manager.buildFingerprintSignal({ url: 'https://example.com', originalError: { message: 'Missing sku_ab12' }, logs: [] }))
+        .toEqual({ strategy: 'default', signal: expect.stringContaining('missing {sku}') });
+    });
+  });
+
   describe('Local Storage Operations', () => {
     test('saveFingerprint should store metadata', async () => {
       const hash = 'abc123hash';
@@ -254,4 +373,89 @@ describe('FingerprintManager', () => {
       );
     });
   });
+
+  describe('Registry management', () => {
+    const hashA = 'a'.repeat(64);
+    const hashB = 'b'.repeat(64);
+    const hashC = 'c'.repeat(64);
+
+    test('listEntries should expose status, age, TTL and stale reservations', async () => {
+      const now = Date.now();
+      mockStorage['bug_fingerprints'] = {
+        [hashA]: { status: 'pending', savedAt: now - (10 * 60 * 1000) },
+        [hashB]: { ticketKey: 'PROJ-1', title: 'Old entry', savedAt: now - 1000 }
+      };
+
+      const entries = await manager.listEntries();
+
+      expect(entries.map(e => e.fingerprint)).toEqual([hashB, hashA]);
+      expect(entries[0]).toMatchObject({ status: 'confirmed', ticketKey: 'PROJ-1', stale: false, expiresAt: now - 1000 + manager.TTL_MS });
+      expect(entries[1]).toMatchObject({ status: 'pending', stale: true });
+    });
+
+    test('releaseStalePending should only drop abandoned reservations by default', async () => {
+      const now = Date.now();
+      mockStorage['bug_fingerprints'] = {
+        [hashA]: { status: 'pending', savedAt: now - (10 * 60 * 1000) },
+        [hashB]: { status: 'pending', savedAt: now },
+        [hashC]: { status: 'confirmed', ticketKey: 'PROJ-2', savedAt: now - (10 * 60 * 1000) }
+      };
+
+      expect(await manager.releaseStalePending()).toBe(1);
+      expect(Object.keys(mockStorage['bug_fingerprints']).sort()).toEqual([hashB, hashC]);
+      expect(await manager.releaseStalePending({ includeActive: true })).toBe(1);
+      expect(Object.keys(mockStorage['bug_fingerprints'])).toEqual([hashC]);
+    });
+
+    test('linkFingerprint should confirm a fingerprint and block new reservations', async () => {
+      mockStorage['bug_fingerprints'] = { [hashA]: { status: 'pending', savedAt: Date.now() } };
+
+      const entry = await manager.linkFingerprint(hashA.toUpperCase(), { ticketKey: ' proj-42 ' });
+
+      expect(entry).toMatchObject({ fingerprint: hashA, ticketKey: 'PROJ-42', status: 'confirmed', linkedManually: true });
+      expect(await manager.reserveFingerprint(hashA)).toBe(false);
+      await expect(manager.linkFingerprint('abc', { ticketKey: 'PROJ-1' })).rejects.toThrow('Invalid fingerprint');
+      await expect(manager.linkFingerprint(hashB, { ticketKey: 'not a key' })).rejects.toThrow('Invalid ticket key: not a key');
+    });
+
+    test('exportRegistry and importRegistry should round-trip confirmed entries', async () => {
+      const now = Date.now();
+      mockStorage['bug_fingerprints'] = {
+        [hashA]: { status: 'confirmed', ticketKey: 'PROJ-1', title: 'Checkout crash', savedAt: now - 5000 },
+        [hashB]: { status: 'pending', savedAt: now },
+        [hashC]: { status: 'confirmed', ticketKey: 'PROJ-3', savedAt: now - (8 * 24 * 60 * 60 * 1000) }
+      };
+
+      const exported = await manager.exportRegistry();
+      expect(exported.type).toBe('bugspotter-fingerprints');
+      expect(Object.keys(exported.entries)).toEqual([hashA]);
+
+      // Outro browser: reserva local do mesmo bug e entrada inválida no ficheiro
+      mockStorage['bug_fingerprints'] = { [hashA]: { status: 'pending', savedAt: now } };
+      const result = await manager.importRegistry({
+        ...exported,
+        entries: { ...exported.entries, [hashB]: { ticketKey: 'PROJ-2', savedAt: now, injected: '<script>' }, bad: { ticketKey: 'PROJ-9', savedAt: now } }
+      });
+
+      expect(result).toEqual({ added: 1, updated: 1, skipped: 1 });
+      expect(mockStorage['bug_fingerprints'][hashA]).toMatchObject({ status: 'confirmed', ticketKey: 'PROJ-1', title: 'Checkout crash' });
+      expect(mockStorage['bug_fingerprints'][hashB]).not.toHaveProperty('injected');
+      await expect(manager.importRegistry({ entries: {} })).rejects.toThrow('Invalid fingerprint registry file');
+    });
+
+    test('importRegistry in replace mode should drop local confirmed entries but keep reservations', async () => {
+      const now = Date.now();
+      mockStorage['bug_fingerprints'] = {
+        [hashA]: { status: 'confirmed', ticketKey: 'PROJ-1', savedAt: now },
+        [hashB]: { status: 'pending', savedAt: now }
+      };
+
+      await manager.importRegistry(
+        { type: 'bugspotter-fingerprints', version: 1, entries: { [hashC]: { ticketKey: 'PROJ-3', savedAt: now } } },
+        { mode: 'replace' }
+      );
+
+      expect(Object.keys(mockStorage['bug_fingerprints']).sort()).toEqual([hashB, hashC]);
+    });
+  });
 });
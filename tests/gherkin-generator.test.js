@@ -0,0 +1,119 @@
+const GherkinGenerator = require('../src/modules/GherkinGenerator.js');
+const AIService = require('../src/modules/AIService.js');
+
+global.chrome = {
+  runtime: { lastError: null },
+  storage: {
+    local: {
+      get: jest.fn().mockImplementation((keys, callback) => callback({})),
+      set: jest.fn().mockImplementation((data, callback) => callback && callback())
+    }
+  }
+};
+
+const report = {
+  title: 'Place order fails with a server error',
+  description: 'Submitting the checkout form returns 500.\nThe cart is kept.',
+  steps: '1. Open the cart\n2. Click on "Checkout"\n--- AI suggestions ---\n3. Place the order',
+  expectedBehavior: 'The order is created.',
+  actualBehavior: 'An error toast "Something went wrong" is shown',
+  url: 'https://shop.example.com/cart',
+  originalError: { url: 'https://shop.example.com/api/orders', method: 'post', status: 500 },
+  jiraKey: 'SHOP-42'
+};
+
+describe('GherkinGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new GherkinGenerator();
+  });
+
+  test('should convert report steps and behaviors into a feature file', () => {
+    const result = generator.generate(report);
+
+    expect(result.source).toBe('deterministic');
+    expect(result.scenarioCount).toBe(1);
+    expect(result.fileName).toMatch(/^bugspotter_\d+\.feature$/);
+    expect(result.feature).toBe([
+      '@bugspotter @bug @SHOP-42',
+      'Feature: Place order fails with a server error',
+      '  Submitting the checkout form returns 500.',
+      '  The cart is kept.',
+      '',
+      '  Scenario: Place order fails with a server error',
+      '    # Actual behavior (bug): An error toast "Something went wrong" is shown',
+      '    Given I am on "https://shop.example.com/cart"',
+      '    When I open the cart',
+      '    And I click on "\\"Checkout\\""',
+      '    And I place the order',
+      '    Then the order is created',
+      '    And the POST request to "https://shop.example.com/api/orders" should not fail with status 500',
+      ''
+    ].join('\n'));
+  });
+
+  test('should build on the deterministic steps derived from interactions', () => {
+    const steps = new AIService()._generateDeterministicSteps([
+      { kind: 'click', selector: '#buy', text: 'Buy now', pageUrl: 'https://shop.example.com/p/1', ts: 1 },
+      { kind: 'input', selector: '#email', value: 'a***@example.com', pageUrl: 'https://shop.example.com/p/1', ts: 2 },
+      { kind: 'submit', selector: 'form#checkout', pageUrl: 'https://shop.example.com/p/1', ts: 3 }
+    ]);
+
+    const { feature } = generator.generate({ title: 'Checkout', steps: [] }, { steps });
+
+    expect(feature).toContain('    Given I am on "https://shop.example.com/p/1"\n');
+    expect(feature).toContain('    When I click on "Buy now"\n');
+    expect(feature).toContain('    And I fill "#email" with "a***@example.com"\n');
+    expect(feature).toContain('    And I submit the form "form#checkout"\n');
+    expect(feature).toContain('    Then the reported problem should not occur\n');
+  });
+
+  test('should render AI scenarios and strip keywords the model added', () => {
+    const result = generator.generate(report, {
+      model: {
+        featureDescription: 'Customers can place orders from the cart',
+        scenarios: [
+          { name: 'Order is placed', given: ['Given I am on "https://shop.example.com/cart"'], when: ['When I place the order.'], then: ['the order confirmation is shown'] },
+          { name: 'Empty', given: [], when: [], then: [] }
+        ]
+      }
+    });
+
+    expect(result.source).toBe('ai');
+    expect(result.scenarioCount).toBe(1);
+    expect(result.feature).toContain('Feature: Place order fails with a server error\n  Customers can place orders from the cart\n');
+    expect(result.feature).toContain('  Scenario: Order is placed\n    Given I am on "https://shop.example.com/cart"\n    When I place the order\n    Then the order confirmation is shown\n');
+  });
+});
+
+describe('AIService Gherkin scenarios', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return null without AI so callers fall back to the deterministic scenario', async () => {
+    const aiService = new AIService();
+    expect(await aiService.generateGherkinScenarios({ report })).toBeNull();
+  });
+
+  test('should request scenarios with the Gherkin schema and a sanitized report', async () => {
+    const aiService = new AIService();
+    aiService.isEnabled = true;
+    aiService.apiKey = 'gemini-key';
+    const scenarios = { scenarios: [{ name: 'Order is placed', given: [], when: ['I place the order'], then: ['the order is created'] }] };
+    const spy = jest.spyOn(aiService, 'requestStructuredOutput').mockResolvedValue({ value: scenarios });
+
+    const result = await aiService.generateGherkinScenarios({
+      report: { ...report, description: 'Token: sk-abcdefghijklmnop1234 leaked' },
+      steps: []
+    });
+
+    expect(result).toEqual(scenarios);
+    expect(spy).toHaveBeenCalledWith(expect.any(String), AIService.GHERKIN_SCHEMA);
+    const prompt = spy.mock.calls[0][0];
+    expect(prompt).toContain('"stepsToReproduce": [\n    "1. Open the cart"');
+    expect(prompt).not.toContain('sk-abcdefghijklmnop1234');
+    expect(AIService.validateSchema(scenarios, AIService.GHERKIN_SCHEMA)).toEqual([]);
+  });
+});
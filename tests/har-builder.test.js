@@ -0,0 +1,129 @@
+const HarBuilder = require('../src/modules/HarBuilder.js');
+
+describe('HarBuilder', () => {
+  let builder;
+
+  const requestEvent = {
+    type: 'network-request',
+    method: 'POST',
+    url: 'https://api.example.com/orders?page=2',
+    timestamp: '2024-05-01T10:00:00.000Z',
+    startedDateTime: '2024-05-01T10:00:00.000Z',
+    requestMonotonic: 100,
+    requestId: '42.1',
+    requestHeaders: { 'Content-Type': 'application/json', Authorization: 'Bearer secret' },
+    postData: '{"qty":1}'
+  };
+
+  const responseEntry = {
+    ...requestEvent,
+    type: 'network-response',
+    status: 500,
+    statusText: 'Internal Server Error',
+    timestamp: '2024-05-01T10:00:00.250Z',
+    responseTimestamp: '2024-05-01T10:00:00.250Z',
+    responseHeaders: { 'content-type': 'application/json', 'set-cookie': 'sid=abc' },
+    mimeType: 'application/json',
+    protocol: 'h2',
+    timing: {
+      requestTime: 100,
+      dnsStart: 1, dnsEnd: 11,
+      connectStart: 11, connectEnd: 41,
+      sslStart: 20, sslEnd: 41,
+      sendStart: 41, sendEnd: 42,
+      receiveHeadersEnd: 242
+    }
+  };
+
+  beforeEach(() => {
+    builder = new HarBuilder({ creatorVersion: '9.9.9' });
+  });
+
+  it('should produce a HAR 1.2 log with creator and page', () => {
+    const har = builder.build([requestEvent], { pageUrl: 'https://app.example.com/checkout' });
+
+    expect(har.log.version).toBe('1.2');
+    expect(har.log.creator).toEqual({ name: 'BugSpotter', version: '9.9.9' });
+    expect(har.log.pages[0].title).toBe('https://app.example.com/checkout');
+    expect(har.log.entries).toHaveLength(1);
+    expect(har.log.entries[0].pageref).toBe('page_1');
+  });
+
+  it('should merge request/response/finished events by requestId', () => {
+    const finished = { type: 'network-finished', requestId: '42.1', timestamp: '2024-05-01T10:00:00.300Z', encodedDataLength: 512, finishedTime: 100.3 };
+    const har = builder.build([requestEvent, responseEntry, finished]);
+    const entry = har.log.entries[0];
+
+    expect(har.log.entries).toHaveLength(1);
+    expect(entry.startedDateTime).toBe('2024-05-01T10:00:00.000Z');
+    expect(entry.request.method).toBe('POST');
+    expect(entry.request.queryString).toEqual([{ name: 'page', value: '2' }]);
+    expect(entry.request.postData).toEqual({ mimeType: 'application/json', text: '{"qty":1}' });
+    expect(entry.response.status).toBe(500);
+    expect(entry.response.httpVersion).toBe('h2');
+    expect(entry.response.bodySize).toBe(512);
+  });
+
+  it('should redact sensitive headers', () => {
+    const har = builder.build([responseEntry]);
+    const entry = har.log.entries[0];
+
+    expect(entry.request.headers).toContainEqual({ name: 'Authorization', value: '[REDACTED]' });
+    expect(entry.request.headers).toContainEqual({ name: 'Content-Type', value: 'application/json' });
+    expect(entry.response.headers).toContainEqual({ name: 'set-cookie', value: '[REDACTED]' });
+  });
+
+  it('should compute timings from CDP ResourceTiming', () => {
+    const timings = builder.computeTimings({ ...responseEntry, finishedTime: 100.3 });
+
+    expect(timings).toEqual({
+      blocked: 1,
+      dns: 10,
+      connect: 30,
+      ssl: 21,
+      send: 1,
+      wait: 200,
+      receive: 58
+    });
+  });
+
+  it('should sum non-negative phases into entry time (ssl excluded)', () => {
+    const har = builder.build([{ ...responseEntry, finishedTime: 100.3 }]);
+    expect(har.log.entries[0].time).toBe(300);
+  });
+
+  it('should fall back to timestamps when timing is missing', () => {
+    const { timing, ...noTiming } = responseEntry;
+    const timings = builder.computeTimings(noTiming);
+
+    expect(timings.wait).toBe(250);
+    expect(timings.dns).toBe(-1);
+  });
+
+  it('should include response bodies and keep base64 encoding', () => {
+    const har = builder.build([responseEntry], {
+      bodies: { '42.1': { body: 'eyJlcnJvciI6dHJ1ZX0=', base64Encoded: true } }
+    });
+    const content = har.log.entries[0].response.content;
+
+    expect(content.text).toBe('eyJlcnJvciI6dHJ1ZX0=');
+    expect(content.encoding).toBe('base64');
+    expect(content.mimeType).toBe('application/json');
+  });
+
+  it('should keep the request URL when loadingFailed arrives without it', () => {
+    const failed = { type: 'network-failed', url: 'Unknown URL', requestId: '42.1', errorText: 'net::ERR_CONNECTION_RESET', timestamp: '2024-05-01T10:00:01.000Z' };
+    const har = builder.build([requestEvent, failed]);
+    const entry = har.log.entries[0];
+
+    expect(entry.request.url).toBe('https://api.example.com/orders?page=2');
+    expect(entry.response.status).toBe(0);
+    expect(entry.response.statusText).toBe('net::ERR_CONNECTION_RESET');
+    expect(entry._error).toBe('net::ERR_CONNECTION_RESET');
+  });
+
+  it('should skip non-http entries', () => {
+    const har = builder.build([{ ...requestEvent, requestId: 'x', url: 'data:image/png;base64,AAA' }]);
+    expect(har.log.entries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,139 @@
+const IssueTracker = require('../src/modules/IssueTracker');
+const FingerprintManager = require('../src/modules/FingerprintManager');
+const StackTraceParser = require('../src/modules/StackTraceParser');
+
+const mockStorage = {};
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) => ({ [key]: mockStorage[key] && JSON.parse(JSON.stringify(mockStorage[key])) })),
+      set: jest.fn(async (data) => {
+        Object.assign(mockStorage, JSON.parse(JSON.stringify(data)));
+      })
+    }
+  }
+};
+
+const cryptoNode = require('crypto');
+Object.defineProperty(global, 'crypto', {
+  value: {
+    subtle: {
+      digest: jest.fn(async (algo, data) => cryptoNode.createHash('sha256').update(data).digest().buffer)
+    }
+  },
+  writable: true
+});
+global.TextEncoder = require('util').TextEncoder;
+
+const CHROME_UA = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.71 Safari/537.36';
+const EDGE_UA = `${CHROME_UA} Edg/119.0.2151.58`;
+
+describe('IssueTracker', () => {
+  let tracker;
+
+  const httpError = (overrides = {}) => ({
+    source: 'network',
+    url: 'https://api.example.com/v1/orders/48213',
+    method: 'POST',
+    status: 500,
+    message: 'HTTP 500 Internal Server Error',
+    responseBody: `{"traceId":"${Math.random()}"}`,
+    timestamp: '2026-10-01T10:00:00.000Z',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    for (const key in mockStorage) delete mockStorage[key];
+    jest.clearAllMocks();
+    tracker = new IssueTracker({
+      fingerprintManager: new FingerprintManager({ stackParser: new StackTraceParser() }),
+      maxSamples: 2
+    });
+  });
+
+  test('should group repeated occurrences and track first/last seen, URLs and browsers', async () => {
+    await tracker.recordOccurrence(httpError(), { pageUrl: 'https://app.example.com/orders', userAgent: CHROME_UA });
+    await tracker.recordOccurrence(httpError({ url: 'https://api.example.com/v1/orders/99120', timestamp: '2026-10-01T12:00:00.000Z' }), { pageUrl: 'https://app.example.com/orders/99120', userAgent: EDGE_UA });
+    const issue = await tracker.recordOccurrence(httpError({ timestamp: '2026-10-01T11:00:00.000Z' }), { pageUrl: 'https://app.example.com/orders', userAgent: CHROME_UA });
+
+    const issues = await tracker.listIssues();
+    expect(issues).toHaveLength(1);
+    expect(issue).toMatchObject({
+      title: '500 POST api.example.com/v1/orders/48213',
+      kind: 'http',
+      status: 'unresolved',
+      count: 3,
+      firstSeen: Date.parse('2026-10-01T10:00:00.000Z'),
+      lastSeen: Date.parse('2026-10-01T12:00:00.000Z'),
+      urls: ['https://app.example.com/orders', 'https://app.example.com/orders/99120'],
+      browsers: { 'Chrome 120': 2, 'Edge 119': 1 }
+    });
+    expect(issue.samples).toHaveLength(2);
+  });
+
+  test('should not lose counts when occurrences arrive concurrently', async () => {
+    await Promise.all(Array.from({ length: 5 }, () => tracker.recordOccurrence(httpError(), { userAgent: CHROME_UA })));
+
+    const [issue] = await tracker.listIssues();
+    expect(issue.count).toBe(5);
+  });
+
+  test('should keep different errors apart and sort by occurrences', async () => {
+    await tracker.recordOccurrence(httpError({ status: 404 }));
+    await tracker.recordOccurrence({ source: 'console', message: 'TypeError: x is undefined', url: 'https://app.example.com/', timestamp: '2026-10-02T10:00:00.000Z' });
+    await tracker.recordOccurrence(httpError({ status: 404 }));
+
+    const byCount = await tracker.listIssues({ sortBy: 'count' });
+    expect(byCount.map(i => [i.kind, i.count])).toEqual([['http', 2], ['console', 1]]);
+
+    const byLastSeen = await tracker.listIssues({ sortBy: 'lastSeen' });
+    expect(byLastSeen[0].title).toBe('TypeError: x is undefined');
+    await expect(tracker.listIssues({ sortBy: 'title' })).rejects.toThrow('Unsupported sort field: title');
+  });
+
+  test('should open a single issue for a failed fetch relayed by the page bridge', async () => {
+    // O content script envia HTTP_ERROR e, via addLog, uma cópia CONSOLE_ERROR da mesma falha
+    const relayed = [
+      { source: 'console', level: 'error', message: '[HTTP ERROR] 500 Internal Server Error - POST https://api.example.com/v1/orders/48213', url: 'https://app.example.com/orders' },
+      httpError(),
+      { source: 'console', level: 'error', message: '[NETWORK ERROR] - GET https://api.example.com/v1/stock: Failed to fetch', url: 'https://app.example.com/orders' }
+    ];
+    for (const errorLog of relayed) {
+      if (!IssueTracker.isNetworkEcho(errorLog)) await tracker.recordOccurrence(errorLog);
+    }
+
+    const issues = await tracker.listIssues();
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ kind: 'http', count: 1 });
+    expect(IssueTracker.isNetworkEcho({ source: 'console', message: 'TypeError: x is undefined' })).toBe(false);
+    expect(IssueTracker.isNetworkEcho(httpError({ message: '[HTTP ERROR] 500' }))).toBe(false);
+  });
+
+  test('should resolve, ignore and reopen resolved issues on regression', async () => {
+    const { fingerprint } = await tracker.recordOccurrence(httpError());
+
+    await tracker.updateStatus(fingerprint, 'resolved');
+    expect(await tracker.listIssues({ status: 'unresolved' })).toHaveLength(0);
+
+    const regressed = await tracker.recordOccurrence(httpError());
+    expect(regressed.status).toBe('unresolved');
+    expect(regressed.regressedAt).toEqual(expect.any(Number));
+
+    await tracker.updateStatus(fingerprint, 'ignored');
+    const ignored = await tracker.recordOccurrence(httpError());
+    expect(ignored).toMatchObject({ status: 'ignored', count: 3 });
+
+    await expect(tracker.updateStatus(fingerprint, 'archived')).rejects.toThrow('Invalid issue status: archived');
+    await expect(tracker.updateStatus('missing', 'resolved')).rejects.toThrow('Issue not found');
+  });
+
+  test('should drop the least recently seen issues above the limit', async () => {
+    tracker.maxIssues = 2;
+    await tracker.recordOccurrence(httpError({ url: 'https://api.example.com/a', timestamp: '2026-10-01T10:00:00.000Z' }));
+    await tracker.recordOccurrence(httpError({ url: 'https://api.example.com/b', timestamp: '2026-10-01T11:00:00.000Z' }));
+    await tracker.recordOccurrence(httpError({ url: 'https://api.example.com/c', timestamp: '2026-10-01T12:00:00.000Z' }));
+
+    const titles = (await tracker.listIssues()).map(i => i.title);
+    expect(titles).toEqual(['500 POST api.example.com/c', '500 POST api.example.com/b']);
+  });
+});
@@ -0,0 +1,89 @@
+const JiraAdfBuilder = require('../src/modules/JiraAdfBuilder.js');
+
+// Todos os nós de texto do documento (o ADF rejeita texto vazio)
+const textNodes = (node) => [
+  ...(node.type === 'text' ? [node] : []),
+  ...(node.content || []).flatMap(textNodes)
+];
+
+describe('JiraAdfBuilder', () => {
+  const bugData = {
+    title: 'Checkout fails',
+    description: 'Submitting the order returns 500.\nSee https://shop.example.com/status.\n\nThe cart is kept.',
+    steps: ['1. Open the cart', '2) Click "Checkout"', ''],
+    expectedBehavior: 'The order is created',
+    actualBehavior: '',
+    url: 'https://shop.example.com/cart',
+    environment: 'Staging',
+    buildVersion: '2.14.0',
+    priority: 'High',
+    timestamp: '2024-05-01T10:00:00.000Z',
+    attachments: [{ name: 'console.txt' }],
+    originalError: {
+      url: 'https://shop.example.com/api/orders',
+      method: 'POST',
+      status: 500,
+      statusText: 'Internal Server Error',
+      responseBody: '{"error":"out of stock","sku":"A-1"}',
+      stack: 'TypeError: x is undefined\n    at submit (checkout.js:10:5)'
+    }
+  };
+
+  test('should render headings, numbered steps and links', () => {
+    const doc = new JiraAdfBuilder().buildDescription(bugData);
+
+    expect(doc).toMatchObject({ type: 'doc', version: 1 });
+    expect(doc.content.filter(node => node.type === 'heading').map(node => node.content[0].text)).toEqual([
+      'Description', 'Steps to Reproduce', 'Expected Behavior', 'Actual Behavior', 'Details',
+      'Original Error', 'Response Body', 'Stack Trace'
+    ]);
+
+    const [firstParagraph, secondParagraph] = doc.content.slice(1, 3);
+    expect(firstParagraph.content).toEqual([
+      { type: 'text', text: 'Submitting the order returns 500.' },
+      { type: 'hardBreak' },
+      { type: 'text', text: 'See ' },
+      { type: 'text', text: 'https://shop.example.com/status', marks: [{ type: 'link', attrs: { href: 'https://shop.example.com/status' } }] },
+      { type: 'text', text: '.' }
+    ]);
+    expect(secondParagraph.content).toEqual([{ type: 'text', text: 'The cart is kept.' }]);
+
+    const steps = doc.content.find(node => node.type === 'orderedList');
+    expect(steps.attrs).toEqual({ order: 1 });
+    expect(steps.content.map(item => item.content[0].content[0].text)).toEqual(['Open the cart', 'Click "Checkout"']);
+
+    const details = doc.content[doc.content.findIndex(node => node.content?.[0]?.text === 'Details') + 1];
+    expect(details.content[0].content[0].content).toEqual([
+      { type: 'text', text: 'URL: ', marks: [{ type: 'strong' }] },
+      { type: 'text', text: 'https://shop.example.com/cart', marks: [{ type: 'link', attrs: { href: 'https://shop.example.com/cart' } }] }
+    ]);
+    expect(JSON.stringify(details)).toContain('"text":"2.14.0"');
+    expect(textNodes(doc).every(node => node.text.length > 0)).toBe(true);
+  });
+
+  test('should put response bodies and stack traces in code blocks', () => {
+    const doc = new JiraAdfBuilder({ maxCodeLength: 40 }).buildDescription(bugData);
+    const codeBlocks = doc.content.filter(node => node.type === 'codeBlock');
+
+    expect(codeBlocks[0].attrs).toEqual({ language: 'json' });
+    expect(codeBlocks[0].content[0].text).toBe('{\n  "error": "out of stock",\n  "sku": "A\n... (5 more characters)');
+    expect(codeBlocks[1]).toEqual({
+      type: 'codeBlock',
+      attrs: { language: 'javascript' },
+      content: [{ type: 'text', text: 'TypeError: x is undefined\n    at submit \n... (18 more characters)' }]
+    });
+  });
+
+  test('should start duplicate comments with the intro and use N/A for missing values', () => {
+    const doc = new JiraAdfBuilder().buildDescription({ steps: 'Open the page' }, { intro: 'New occurrence' });
+
+    expect(doc.content[0]).toEqual({ type: 'paragraph', content: [{ type: 'text', text: 'New occurrence', marks: [{ type: 'strong' }] }] });
+    expect(doc.content[2]).toEqual({ type: 'paragraph', content: [{ type: 'text', text: 'N/A' }] });
+    expect(doc.content[4].content[0].content[0].content[0].text).toBe('Open the page');
+    expect(doc.content.some(node => node.content?.[0]?.text === 'Original Error')).toBe(false);
+
+    const withFingerprint = JiraAdfBuilder.appendParagraph(doc, 'BugSpotter Fingerprint: abc');
+    expect(withFingerprint.content[withFingerprint.content.length - 1]).toEqual({ type: 'paragraph', content: [{ type: 'text', text: 'BugSpotter Fingerprint: abc' }] });
+    expect(doc.content).toHaveLength(withFingerprint.content.length - 1);
+  });
+});
@@ -0,0 +1,77 @@
+const JiraCreateMeta = require('../src/modules/JiraCreateMeta.js');
+
+describe('JiraCreateMeta', () => {
+  // Resposta de /rest/api/3/issue/createmeta/{project}/issuetypes/{id}
+  const response = {
+    fields: [
+      { fieldId: 'summary', name: 'Summary', required: true, schema: { type: 'string', system: 'summary' } },
+      { fieldId: 'labels', name: 'Labels', required: false, schema: { type: 'array', items: 'string', system: 'labels' } },
+      {
+        fieldId: 'components', name: 'Components', required: true, schema: { type: 'array', items: 'component', system: 'components' },
+        allowedValues: [{ id: '100', name: 'Checkout' }, { id: '101', name: 'Cart' }]
+      },
+      {
+        fieldId: 'fixVersions', name: 'Fix versions', required: false, schema: { type: 'array', items: 'version', system: 'fixVersions' },
+        allowedValues: [{ id: '200', name: '2.14' }, { id: '199', name: '2.13', archived: true }]
+      },
+      {
+        fieldId: 'customfield_10010', name: 'Team', required: true, schema: { type: 'option', custom: 'com.atlassian.jira.plugin.system.customfieldtypes:select' },
+        allowedValues: [{ id: '300', value: 'Payments' }]
+      },
+      { fieldId: 'customfield_10020', name: 'Tester', required: false, schema: { type: 'user', custom: 'com.atlassian.jira.plugin.system.customfieldtypes:userpicker' } },
+      { fieldId: 'customfield_10030', name: 'Notes', required: false, schema: { type: 'string', custom: 'com.atlassian.jira.plugin.system.customfieldtypes:textarea' } },
+      { fieldId: 'customfield_10040', name: 'Sprint', required: true, hasDefaultValue: true, schema: { type: 'array', items: 'json', custom: 'com.pyxis.greenhopper.jira:gh-sprint' } }
+    ]
+  };
+
+  test('should list the fields BugSpotter does not fill, required first', () => {
+    const fields = JiraCreateMeta.parse(response);
+
+    expect(fields.map(field => [field.key, field.kind, field.required])).toEqual([
+      ['components', 'components', true],
+      ['customfield_10010', 'select', true],
+      ['customfield_10040', 'unsupported', true],
+      ['labels', 'labels', false],
+      ['fixVersions', 'versions', false],
+      ['customfield_10020', 'user', false],
+      ['customfield_10030', 'textarea', false]
+    ]);
+    expect(fields.find(field => field.key === 'fixVersions').allowedValues).toEqual([{ id: '200', name: '2.14' }]);
+    expect(fields.find(field => field.key === 'customfield_10010').allowedValues).toEqual([{ id: '300', name: 'Payments' }]);
+  });
+
+  test('should read the legacy expanded createmeta response', () => {
+    const legacy = {
+      projects: [{ issuetypes: [{ fields: { customfield_10010: { name: 'Team', required: true, schema: { type: 'option' }, allowedValues: [{ id: '300', value: 'Payments' }] } } }] }]
+    };
+    expect(JiraCreateMeta.parse(legacy)).toEqual([
+      { key: 'customfield_10010', name: 'Team', kind: 'select', required: true, hasDefaultValue: false, multiple: false, allowedValues: [{ id: '300', name: 'Payments' }] }
+    ]);
+  });
+
+  test('should validate required fields and convert values to the API format', () => {
+    const fields = JiraCreateMeta.parse(response);
+
+    expect(JiraCreateMeta.validate(fields, { components: [], labels: 'ui' })).toEqual(['Components is required', 'Team is required']);
+    expect(JiraCreateMeta.validate(fields, { components: ['999'], customfield_10010: '300' })).toEqual(['Components: unknown option "999"']);
+    expect(JiraCreateMeta.validate(fields, { components: ['100'] }, { providedKeys: ['customfield_10010'] })).toEqual([]);
+
+    const values = {
+      components: ['100', '101'],
+      customfield_10010: '300',
+      labels: 'checkout flow, regression',
+      fixVersions: [],
+      customfield_10020: 'acc-1',
+      customfield_10030: 'Seen on iOS'
+    };
+    expect(JiraCreateMeta.toIssueFields(fields, values)).toEqual({
+      components: [{ id: '100' }, { id: '101' }],
+      customfield_10010: { id: '300' },
+      labels: ['checkout-flow', 'regression'],
+      customfield_10020: { accountId: 'acc-1' },
+      customfield_10030: 'Seen on iOS'
+    });
+    expect(JiraCreateMeta.toIssueFields(fields, values, { toRichText: text => ({ type: 'doc', text }) }).customfield_10030)
+      .toEqual({ type: 'doc', text: 'Seen on iOS' });
+  });
+});
@@ -0,0 +1,73 @@
+const JiraRouter = require('../src/modules/JiraRouter.js');
+
+describe('JiraRouter', () => {
+  const defaults = { projectKey: 'BUG', issueTypeId: '10035' };
+  const config = {
+    rules: [
+      { name: 'Paused', enabled: false, urlPattern: '.', projectKey: 'OLD' },
+      { name: 'Shop crashes', urlPattern: 'shop\\.example\\.com', severities: 'critical, high', categories: ['TypeError', 'Server Error'], projectKey: 'shop', issueTypeId: '10004', components: 'Checkout', labels: 'bugspotter, hot fix', assigneeAccountId: 'acc-1' },
+      { name: 'Shop', urlPattern: 'shop\\.example\\.com', projectKey: 'SHOP', labels: 'bugspotter' },
+      { name: 'Staging', environments: 'Staging, UAT', labels: 'staging' }
+    ]
+  };
+
+  test('should send the report to the first matching rule', () => {
+    const result = new JiraRouter(config).route({
+      url: 'https://shop.example.com/cart',
+      environment: 'Production',
+      severity: 'High',
+      category: ['TypeError', 'JavaScript Error']
+    }, defaults);
+
+    expect(result).toMatchObject({
+      projectKey: 'SHOP',
+      issueTypeId: '10004',
+      components: ['Checkout'],
+      labels: ['bugspotter', 'hot-fix'],
+      assigneeAccountId: 'acc-1',
+      ruleId: 'route-2',
+      ruleName: 'Shop crashes'
+    });
+    expect(result.evaluations.map(evaluation => [evaluation.name, evaluation.matched])).toEqual([
+      ['Paused', false], ['Shop crashes', true], ['Shop', false], ['Staging', false]
+    ]);
+    expect(result.evaluations[3].reasons).toEqual(['not evaluated (an earlier rule matched)']);
+  });
+
+  test('should explain why rules did not match and fall back to the settings', () => {
+    const manual = new JiraRouter(config).route({ url: 'https://shop.example.com/cart', severity: 'Low', category: JiraRouter.categoriesOf({}) }, defaults);
+    expect(manual).toMatchObject({ projectKey: 'SHOP', issueTypeId: '10035', labels: ['bugspotter'], ruleName: 'Shop' });
+    expect(manual.evaluations[1].reasons).toEqual([
+      'severity "Low" is not critical or high',
+      'category "manual" is not TypeError or Server Error'
+    ]);
+
+    const staging = new JiraRouter(config).route({ url: 'https://admin.example.com', environment: 'uat' }, defaults);
+    expect(staging).toMatchObject({ projectKey: 'BUG', issueTypeId: '10035', labels: ['staging'], ruleName: 'Staging' });
+
+    const none = new JiraRouter(config).route({ url: 'https://admin.example.com' }, defaults);
+    expect(none).toMatchObject({ projectKey: 'BUG', issueTypeId: '10035', components: [], ruleId: null });
+    expect(none.evaluations[1].reasons[0]).toBe('URL does not match /shop\\.example\\.com/');
+  });
+
+  test('should derive categories from manual and AI reports', () => {
+    expect(JiraRouter.categoriesOf({ title: 'Broken button' })).toEqual(['Manual']);
+    expect(JiraRouter.categoriesOf({ isAIReport: true, category: 'TypeError', errorType: 'JavaScript Error' })).toEqual(['TypeError', 'JavaScript Error']);
+    expect(JiraRouter.categoriesOf({ isAIReport: true, category: 'Server Error', originalError: { status: 500 } })).toEqual(['Server Error']);
+  });
+
+  test('should validate rules', () => {
+    expect(JiraRouter.validateConfig({
+      rules: [
+        { urlPattern: '(', projectKey: 'SHOP' },
+        { projectKey: 'SHOP-1', issueTypeId: 'Bug' },
+        { name: 'Only conditions', environments: 'Staging' }
+      ]
+    })).toEqual([
+      expect.stringContaining('Rule 1: invalid URL pattern'),
+      'Rule 2: invalid project key "SHOP-1"',
+      'Rule 2: issue type must be a numeric id',
+      'Rule 3: set a project, issue type, components, labels or assignee'
+    ]);
+  });
+});
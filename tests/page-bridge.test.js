@@ -0,0 +1,131 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// tests/setup.js substitui window por um objeto simples; o bridge precisa do window real do jsdom
+global.window = globalThis;
+
+describe('Page Bridge (main world)', () => {
+  let posted;
+  let originalFetch;
+
+  const loadBridge = () => {
+    delete window.__bugSpotterPageBridge;
+    jest.isolateModules(() => {
+      require('../src/content/page-bridge.js');
+    });
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    posted = [];
+    jest.spyOn(window, 'postMessage').mockImplementation((msg) => posted.push(msg));
+    originalFetch = jest.fn();
+    window.fetch = originalFetch;
+    loadBridge();
+  });
+
+  afterEach(() => {
+    window.postMessage.mockRestore();
+  });
+
+  it('should forward fetch responses with status >= 400', async () => {
+    const body = '{"error":"not found"}';
+    originalFetch.mockResolvedValue({
+      status: 404,
+      statusText: 'Not Found',
+      clone: () => ({ text: () => Promise.resolve(body) })
+    });
+
+    const response = await window.fetch('https://app.example.com/api/items/1', { method: 'delete' });
+    await flush();
+
+    expect(response.status).toBe(404);
+    expect(posted).toHaveLength(1);
+    expect(posted[0].channel).toBe('BUGSPOTTER_PAGE_BRIDGE');
+    expect(posted[0].kind).toBe('http-error');
+    expect(posted[0].payload).toMatchObject({
+      transport: 'fetch',
+      status: 404,
+      method: 'DELETE',
+      url: 'https://app.example.com/api/items/1',
+      responseBody: { error: 'not found' }
+    });
+  });
+
+  it('should not forward successful fetch responses', async () => {
+    originalFetch.mockResolvedValue({ status: 200, statusText: 'OK' });
+
+    await window.fetch('https://app.example.com/api/items');
+    await flush();
+
+    expect(posted).toHaveLength(0);
+  });
+
+  it('should forward fetch network failures and rethrow', async () => {
+    originalFetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(window.fetch('https://api.example.com/data')).rejects.toThrow('Failed to fetch');
+
+    expect(posted[0].kind).toBe('network-error');
+    expect(posted[0].payload).toMatchObject({ error: 'Failed to fetch', method: 'GET' });
+  });
+
+  it('should ignore aborted fetch requests', async () => {
+    const abortError = new Error('The user aborted a request.');
+    abortError.name = 'AbortError';
+    originalFetch.mockRejectedValue(abortError);
+
+    await expect(window.fetch('https://app.example.com/api/slow')).rejects.toThrow();
+
+    expect(posted).toHaveLength(0);
+  });
+
+  it('should forward console.error calls with the error stack', () => {
+    const err = new Error('render failed');
+    console.error('Component crashed', err);
+
+    const msg = posted.find(m => m.kind === 'console');
+    expect(msg.payload.level).toBe('error');
+    expect(msg.payload.message).toContain('Component crashed Error: render failed');
+    expect(msg.payload.stack).toContain('render failed');
+  });
+
+  it('should forward uncaught errors', () => {
+    const error = new Error('boom');
+    window.dispatchEvent(new ErrorEvent('error', {
+      message: 'Uncaught Error: boom',
+      filename: 'https://app.example.com/app.js',
+      lineno: 3,
+      colno: 7,
+      error
+    }));
+
+    const msg = posted.find(m => m.kind === 'uncaught-error');
+    expect(msg.payload).toMatchObject({
+      message: 'Uncaught Error: boom',
+      filename: 'https://app.example.com/app.js',
+      lineno: 3,
+      colno: 7
+    });
+  });
+
+  it('should not forward images or scripts that fail to load', () => {
+    const img = document.createElement('img');
+    img.src = 'https://ads.example.com/pixel.gif';
+    document.body.appendChild(img);
+    img.dispatchEvent(new Event('error'));
+    img.remove();
+
+    expect(posted).toHaveLength(0);
+  });
+
+  it('should not install itself twice', () => {
+    const wrapped = window.fetch;
+    jest.isolateModules(() => {
+      require('../src/content/page-bridge.js');
+    });
+    expect(window.fetch).toBe(wrapped);
+  });
+});
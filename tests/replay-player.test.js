@@ -0,0 +1,146 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// tests/setup.js substitui window por um objeto simples; o player precisa do window real do jsdom
+global.window = globalThis;
+
+const DomReplayRecorder = require('../src/modules/DomReplayRecorder.js');
+const { ReplayPlayer } = require('../src/ui/replay.js');
+
+const flushMutations = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('ReplayPlayer', () => {
+  let recorder;
+  let frame;
+  let player;
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    document.body.innerHTML = `
+      <p id="msg" onclick="alert(1)">Hello</p>
+      <script>window.secret = 1;</script>
+      <input id="q" value="">
+    `;
+    recorder = new DomReplayRecorder();
+    recorder.start();
+
+    frame = document.createElement('iframe');
+    frame.id = 'replayFrame';
+    document.documentElement.appendChild(frame);
+    player = new ReplayPlayer(frame);
+  });
+
+  afterEach(() => {
+    recorder.stop();
+    frame.remove();
+    jest.restoreAllMocks();
+  });
+
+  const recordChanges = async () => {
+    now += 1000;
+    document.getElementById('msg').textContent = 'Changed';
+    await flushMutations();
+    now += 1000;
+    const extra = document.createElement('div');
+    extra.id = 'added';
+    extra.textContent = 'New node';
+    document.body.appendChild(extra);
+    await flushMutations();
+    now += 1000;
+    return recorder.exportReplay();
+  };
+
+  test('should rebuild the snapshot without scripts or inline handlers', async () => {
+    const replay = await recordChanges();
+    player.load(replay);
+
+    const doc = frame.contentDocument;
+    const msg = doc.getElementById('msg');
+    expect(msg.textContent).toBe('Hello');
+    expect(msg.hasAttribute('onclick')).toBe(false);
+    expect(doc.querySelector('script').textContent).toBe('');
+    expect(doc.getElementById('added')).toBeNull();
+  });
+
+  test('should apply mutations when seeking forward', async () => {
+    const replay = await recordChanges();
+    player.load(replay);
+
+    player.seek(replay.startedAt + 1500);
+    expect(frame.contentDocument.getElementById('msg').textContent).toBe('Changed');
+    expect(frame.contentDocument.getElementById('added')).toBeNull();
+
+    player.seek(replay.endedAt);
+    expect(frame.contentDocument.getElementById('added').textContent).toBe('New node');
+  });
+
+  test('should keep the order of siblings inserted together', async () => {
+    const list = document.createElement('ul');
+    list.id = 'list';
+    list.innerHTML = '<li>C</li>';
+    document.body.appendChild(list);
+    await flushMutations();
+    now += 1000;
+
+    const fragment = document.createDocumentFragment();
+    ['A', 'B'].forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      fragment.appendChild(item);
+    });
+    list.insertBefore(fragment, list.firstChild);
+    await flushMutations();
+    now += 1000;
+
+    const replay = recorder.exportReplay();
+    player.load(replay);
+    player.seek(replay.endedAt);
+    expect(frame.contentDocument.getElementById('list').textContent).toBe('ABC');
+  });
+
+  test('should rebuild from the snapshot when seeking backwards', async () => {
+    const replay = await recordChanges();
+    player.load(replay);
+
+    player.seek(replay.endedAt);
+    player.seek(replay.startedAt);
+
+    expect(frame.contentDocument.getElementById('msg').textContent).toBe('Hello');
+    expect(frame.contentDocument.getElementById('added')).toBeNull();
+  });
+
+  test('should load a full artifact and mark console, network and original error events', async () => {
+    const replay = await recordChanges();
+    const artifact = {
+      version: '1.1.0',
+      url: 'https://example.com/',
+      interactions: [{ kind: 'click', path: 'button#save', ts: replay.startedAt + 500 }],
+      consoleLogs: [
+        { level: 'error', message: '[HTTP ERROR] 500 POST /api', timestamp: new Date(replay.startedAt + 2000).toISOString() },
+        { level: 'warn', message: 'Deprecated API', timestamp: new Date(replay.startedAt + 2500).toISOString() }
+      ],
+      domReplay: replay
+    };
+
+    const errorTimestamp = new Date(replay.startedAt + 2000).toISOString();
+    player.load(artifact, { errorTimestamp });
+
+    expect(player.errorTime).toBe(replay.startedAt + 2000);
+    expect(player.markers.map(m => m.kind)).toEqual(['interaction', 'network', 'error', 'console']);
+  });
+
+  test('should accept a plain interactions list without DOM recording', () => {
+    const normalized = player.load([
+      { kind: 'input', path: 'input#q', value: 'abc', ts: 1000 },
+      { kind: 'click', path: 'button', ts: 3000 }
+    ]);
+
+    expect(normalized.domReplay).toBeNull();
+    expect(player.startTime).toBe(1000);
+    expect(player.endTime).toBe(3000);
+    expect(player.seek(5000)).toBe(3000);
+  });
+});
@@ -0,0 +1,62 @@
+const SimilarityEngine = require('../src/modules/SimilarityEngine.js');
+
+describe('SimilarityEngine', () => {
+  let engine;
+
+  const checkoutReport = {
+    title: 'Checkout fails with 500 when applying discount coupon',
+    description: 'Applying a coupon on the cart page returns an internal server error',
+    steps: ['Open cart 48213', 'Apply coupon SUMMER', 'Click checkout'],
+    url: 'https://shop.example.com/cart/48213',
+    originalError: { status: 500, method: 'POST', url: 'https://shop.example.com/api/coupons/apply' }
+  };
+
+  beforeEach(() => {
+    engine = new SimilarityEngine();
+  });
+
+  test('should tokenize text without stopwords and dynamic ids', () => {
+    expect(engine.tokenize('The order 123456 failed with HTTP 500 for 0xDEADBEEF')).toEqual(
+      ['order', 'num', 'failed', '500', 'hex']
+    );
+  });
+
+  test('should produce stable signatures and score identical reports as 1', () => {
+    const sigA = engine.signature(engine.buildTokenSet(checkoutReport));
+    const sigB = engine.signature(engine.buildTokenSet({ ...checkoutReport }));
+
+    expect(sigA).toHaveLength(64);
+    expect(sigA).toEqual(sigB);
+    expect(engine.compareSignatures(sigA, sigB)).toBe(1);
+    expect(engine.compareSignatures(sigA, engine.signature([]))).toBe(0);
+  });
+
+  test('should rank reworded near-duplicates above unrelated reports', () => {
+    const candidates = [
+      {
+        key: 'BUG-7',
+        title: 'Discount coupon makes checkout fail (500)',
+        description: 'Internal server error when applying coupon in cart',
+        url: 'https://shop.example.com/cart/99120',
+        originalError: { status: 500, method: 'POST', url: 'https://shop.example.com/api/coupons/apply' }
+      },
+      {
+        key: 'BUG-9',
+        title: 'Avatar upload shows blank preview on profile page',
+        description: 'The preview image stays empty after choosing a file',
+        url: 'https://shop.example.com/profile'
+      }
+    ];
+
+    const all = engine.rank(checkoutReport, candidates, { threshold: 0 });
+    expect(all.map(m => m.candidate.key)).toEqual(['BUG-7', 'BUG-9']);
+    expect(all[0].score).toBeGreaterThan(0.3);
+    expect(all[1].score).toBeLessThan(0.15);
+
+    expect(engine.rank(checkoutReport, candidates).map(m => m.candidate.key)).toEqual(['BUG-7']);
+  });
+
+  test('should extract distinctive title keywords for Jira searches', () => {
+    expect(engine.keywords(checkoutReport, 3)).toEqual(['checkout', 'applying', 'discount']);
+  });
+});
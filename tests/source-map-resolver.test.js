@@ -0,0 +1,134 @@
+const SourceMapResolver = require('../src/modules/SourceMapResolver.js');
+
+// Codificador VLQ mínimo para construir mapas de teste
+const encodeVLQ = (values) => values.map(value => {
+  let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+  let out = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    out += SourceMapResolver.BASE64_CHARS[digit];
+  } while (vlq > 0);
+  return out;
+}).join('');
+
+const sourceLines = Array.from({ length: 15 }, (_, i) => `// line ${i + 1}`);
+sourceLines[9] = '  const total = order.items.reduce(sum, 0);';
+sourceLines[11] = '    throw new Error("boom");';
+
+// Linha gerada 1: col 0 -> app.js 10:2 (calculateTotal); col 15 -> app.js 12:4 (explode)
+const testMap = {
+  version: 3,
+  file: 'app.min.js',
+  sources: ['src/app.js'],
+  sourceRoot: 'webpack:///',
+  names: ['calculateTotal', 'explode'],
+  sourcesContent: [sourceLines.join('\n')],
+  mappings: `${encodeVLQ([0, 0, 9, 2, 0])},${encodeVLQ([15, 0, 2, 2, 1])}`
+};
+
+const createDbManager = () => {
+  const data = new Map();
+  return {
+    store: jest.fn(async (store, key, value) => { data.set(key, value); }),
+    retrieve: jest.fn(async (store, key) => (data.has(key) ? data.get(key) : null)),
+    remove: jest.fn(async (store, key) => data.delete(key)),
+    listKeys: jest.fn(async () => [...data.keys()])
+  };
+};
+
+const textResponse = (body, headers = {}) => ({
+  ok: true,
+  status: 200,
+  headers: { get: (name) => headers[name] || null },
+  text: async () => body
+});
+
+describe('SourceMapResolver', () => {
+  let fetchFn;
+  let dbManager;
+  let resolver;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fetchFn = jest.fn(async (url) => {
+      if (url === 'https://cdn.example.com/js/app.min.js') {
+        return textResponse('function a(){}\n//# sourceMappingURL=app.min.js.map');
+      }
+      if (url === 'https://cdn.example.com/js/app.min.js.map') {
+        return textResponse(JSON.stringify(testMap));
+      }
+      return { ok: false, status: 404, headers: { get: () => null }, text: async () => '' };
+    });
+    dbManager = createDbManager();
+    resolver = new SourceMapResolver({ dbManager, fetchFn });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should decode Base64 VLQ segments', () => {
+    expect(SourceMapResolver.decodeVLQ('AAAA')).toEqual([0, 0, 0, 0]);
+    expect(SourceMapResolver.decodeVLQ('DgBC')).toEqual([-1, 16, 1]);
+    expect(SourceMapResolver.decodeVLQ(encodeVLQ([123456, -987]))).toEqual([123456, -987]);
+  });
+
+  test('should find the closest original position for a generated column', () => {
+    expect(resolver.originalPositionFor(testMap, 1, 20)).toMatchObject({ sourceIndex: 0, line: 12, column: 4, name: 'explode' });
+    expect(resolver.originalPositionFor(testMap, 1, 3)).toMatchObject({ line: 10, column: 2, name: 'calculateTotal' });
+    expect(resolver.originalPositionFor(testMap, 5, 0)).toBeNull();
+  });
+
+  test('should resolve a V8 stack via sourceMappingURL with a code excerpt', async () => {
+    const stack = [
+      'Error: boom',
+      '    at e (https://cdn.example.com/js/app.min.js:1:18)',
+      '    at https://cdn.example.com/vendor.js:3:7'
+    ].join('\n');
+
+    const result = await resolver.resolveStack(stack);
+
+    expect(result.resolvedCount).toBe(1);
+    expect(result.text).toBe([
+      'Error: boom',
+      '    at explode (webpack:///src/app.js:12:5)',
+      '    at https://cdn.example.com/vendor.js:3:7'
+    ].join('\n'));
+    expect(result.frames[0].excerpt).toContain('> 12 |     throw new Error("boom");');
+    expect(dbManager.store).toHaveBeenCalledWith('cache', 'sourcemap:https://cdn.example.com/js/app.min.js', expect.any(Object), expect.objectContaining({ type: 'sourcemap' }));
+  });
+
+  test('should resolve CDP callFrames and reuse the cached map', async () => {
+    const callFrames = [{ functionName: 'n', url: 'https://cdn.example.com/js/app.min.js', lineNumber: 0, columnNumber: 2 }];
+
+    const first = await resolver.resolveStack(callFrames);
+    const second = await resolver.resolveStack(callFrames);
+
+    expect(first.text).toBe('    at calculateTotal (webpack:///src/app.js:10:3)');
+    expect(second.resolvedCount).toBe(1);
+    expect(fetchFn).toHaveBeenCalledTimes(2); // script + map, apenas uma vez
+  });
+
+  test('should prefer uploaded maps and never fetch when remote fetching is disabled', async () => {
+    const stored = await resolver.storeUploadedMap('app.min.js.map', JSON.stringify(testMap));
+    expect(stored).toEqual({ key: 'sourcemap-upload:app.min.js', file: 'app.min.js', sources: 1 });
+    expect(await resolver.listUploadedMaps()).toEqual(['app.min.js']);
+
+    const result = await resolver.resolveStack('    at x (https://other.example.com/static/app.min.js?v=2:1:16)', { fetchRemote: false });
+
+    expect(result.frames[0].original).toMatchObject({ source: 'webpack:///src/app.js', line: 12 });
+    expect(fetchFn).not.toHaveBeenCalled();
+  });
+
+  test('should keep frames unchanged when no source map is available', async () => {
+    const stack = 'TypeError: x is undefined\nhandler@https://cdn.example.com/js/missing.js:4:10';
+
+    const result = await resolver.resolveStack(stack);
+
+    expect(result.resolvedCount).toBe(0);
+    expect(result.text).toBe('TypeError: x is undefined\n    handler@https://cdn.example.com/js/missing.js:4:10');
+    await expect(resolver.storeUploadedMap('bad.map', '{"version":2}')).rejects.toThrow('Only source map version 3 is supported');
+  });
+});
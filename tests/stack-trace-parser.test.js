@@ -0,0 +1,72 @@
+const StackTraceParser = require('../src/modules/StackTraceParser.js');
+
+describe('StackTraceParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new StackTraceParser();
+  });
+
+  test('should parse V8 stacks into frames and flag vendor frames', () => {
+    const stack = [
+      "TypeError: Cannot read properties of undefined (reading 'total')",
+      '    at async OrderService.load [as load] (https://app.example.com/static/js/main.3f9a2b1c.js:1:4821)',
+      '    at https://app.example.com/static/js/main.3f9a2b1c.js:1:900',
+      '    at Object.invoke (https://app.example.com/static/js/vendors~main.8e3f91aa.js:2:115)',
+      '    at r (https://cdn.jsdelivr.net/npm/lodash@4.17.21/lodash.min.js:9:10)'
+    ].join('\n');
+
+    const { header, errorType, frames } = parser.parse(stack);
+
+    expect(header).toEqual(["TypeError: Cannot read properties of undefined (reading 'total')"]);
+    expect(errorType).toBe('TypeError');
+    expect(frames).toHaveLength(4);
+    expect(frames[0]).toMatchObject({ functionName: 'OrderService.load', line: 1, column: 4821, inApp: true });
+    expect(frames[1]).toMatchObject({ functionName: '', url: 'https://app.example.com/static/js/main.3f9a2b1c.js', inApp: true });
+    expect(frames.slice(2).map(f => f.inApp)).toEqual([false, false]);
+  });
+
+  test('should parse Firefox stacks and ignore extension frames', () => {
+    const stack = [
+      'submitOrder@https://app.example.com/app.js?v=12:40:7',
+      '@https://app.example.com/app.js?v=12:88:3',
+      'wrapped@chrome-extension://abcdef/src/content/content.js:10:5'
+    ].join('\n');
+
+    const { header, frames } = parser.parse(stack);
+
+    expect(header).toEqual([]);
+    expect(frames.map(f => [f.functionName, f.line, f.inApp])).toEqual([
+      ['submitOrder', 40, true],
+      ['', 88, true],
+      ['wrapped', 10, false]
+    ]);
+  });
+
+  test('should normalize frames across builds, hosts and query strings', () => {
+    const prod = parser.normalizeFrame({ url: 'https://app.example.com/static/js/main.3f9a2b1c.js?x=1', functionName: 'OrderService.load', line: 1 });
+    const staging = parser.normalizeFrame({ url: 'https://staging.example.com/static/js/main.77d0c4e2.js', functionName: 'OrderService.load', line: 3 });
+    const minified = parser.normalizeFrame({ url: 'https://app.example.com/assets/2.8e3f91.chunk.js', functionName: 'e', line: 14 });
+
+    expect(prod).toBe('/static/js/main.js:OrderService.load');
+    expect(staging).toBe(prod);
+    expect(minified).toBe('/assets/2.chunk.js:14');
+  });
+
+  test('should build the in-app signature from text stacks and CDP call frames', () => {
+    const stack = [
+      'Error: boom',
+      '    at explode (webpack:///src/app.js:12:5)',
+      '    at webpack:///node_modules/react-dom/cjs/react-dom.development.js:3990:14',
+      '    at calculateTotal (webpack:///src/cart.js:10:3)'
+    ].join('\n');
+
+    expect(parser.getInAppSignature(stack, 2)).toEqual({
+      errorType: 'Error',
+      frames: ['webpack:///src/app.js:explode', 'webpack:///src/cart.js:calculateTotal']
+    });
+
+    const callFrames = [{ functionName: 'handleClick', url: 'https://app.example.com/app.js', lineNumber: 9, columnNumber: 4 }];
+    expect(parser.getInAppSignature(callFrames).frames).toEqual(['/app.js:handleClick']);
+  });
+});
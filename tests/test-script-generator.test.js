@@ -0,0 +1,88 @@
+const TestScriptGenerator = require('../src/modules/TestScriptGenerator.js');
+
+describe('TestScriptGenerator', () => {
+  let generator;
+
+  const interactions = [
+    { kind: 'click', path: '#email', pageUrl: 'https://app.example.com/login', ts: 1 },
+    { kind: 'input', path: '#email', value: 'a', inputType: 'email', pageUrl: 'https://app.example.com/login', ts: 2 },
+    { kind: 'input', path: '#email', value: "ana's@example.com", inputType: 'email', pageUrl: 'https://app.example.com/login', ts: 3 },
+    { kind: 'change', path: '#email', value: "ana's@example.com", inputType: 'email', pageUrl: 'https://app.example.com/login', ts: 4 },
+    { kind: 'input', path: 'input[name="password"]', value: '***', inputType: 'password', pageUrl: 'https://app.example.com/login', ts: 5 },
+    { kind: 'click', path: '[data-testid="login-submit"]', pageUrl: 'https://app.example.com/login', ts: 6 },
+    { kind: 'submit', path: 'form#login', pageUrl: 'https://app.example.com/login', ts: 7 },
+    { kind: 'scroll', scrollX: 0, scrollY: 200, pageUrl: 'https://app.example.com/dashboard', ts: 8 },
+    { kind: 'scroll', scrollX: 0, scrollY: 600, pageUrl: 'https://app.example.com/dashboard', ts: 9 },
+    { kind: 'change', path: 'select[name="team"]', value: 'qa', inputType: 'select-one', pageUrl: 'https://app.example.com/dashboard', ts: 10 }
+  ];
+
+  const failingRequest = { url: 'https://api.example.com/v1/orders?page=2', method: 'post', status: 500 };
+
+  beforeEach(() => {
+    generator = new TestScriptGenerator();
+  });
+
+  test('should normalize interactions into deduplicated actions', () => {
+    const actions = generator.normalizeActions(interactions);
+
+    expect(actions.map(a => a.type)).toEqual(['goto', 'click', 'fill', 'fill', 'click', 'expectUrl', 'scroll', 'select']);
+    expect(actions[2]).toEqual({ type: 'fill', selector: '#email', value: "ana's@example.com", masked: false });
+    expect(actions[3]).toMatchObject({ selector: 'input[name="password"]', masked: true, value: '' });
+    expect(actions[6]).toEqual({ type: 'scroll', x: 0, y: 600 });
+  });
+
+  test('should generate a Playwright test with masked password and failing request assertion', () => {
+    const { script, fileName, framework } = generator.generate(interactions, {
+      framework: 'playwright',
+      failingRequest,
+      title: 'Orders fail to load'
+    });
+
+    expect(framework).toBe('playwright');
+    expect(fileName).toMatch(/^bugspotter_\d+\.spec\.js$/);
+    expect(script).toContain("test('Orders fail to load', async ({ page }) => {");
+    expect(script).toContain("await page.goto('https://app.example.com/login');");
+    expect(script).toContain("await page.locator('#email').fill('ana\\'s@example.com');");
+    expect(script).toContain("fill(process.env.BUGSPOTTER_PASSWORD || '')");
+    expect(script).toContain("await expect(page).toHaveURL('https://app.example.com/dashboard');");
+    expect(script).toContain("response.url().startsWith('https://api.example.com/v1/orders') && response.request().method() === 'POST'");
+    expect(script).toContain('toBeLessThan(400)');
+    expect(script).not.toContain('***');
+  });
+
+  test('should generate a Cypress spec with intercept and env password', () => {
+    const { script, fileName } = generator.generate(interactions, { framework: 'cypress', failingRequest });
+
+    expect(fileName).toMatch(/\.cy\.js$/);
+    expect(script).toContain("cy.intercept('POST', 'https://api.example.com/v1/orders*').as('failingRequest');");
+    expect(script).toContain("cy.visit('https://app.example.com/login');");
+    expect(script).toContain("type(Cypress.env('BUGSPOTTER_PASSWORD'), { log: false })");
+    expect(script).toContain("cy.get('select[name=\"team\"]').select('qa');");
+    expect(script).toContain("cy.wait('@failingRequest').its('response.statusCode').should('be.lessThan', 400);");
+  });
+
+  test('should generate a standalone Puppeteer script', () => {
+    const { script } = generator.generate(interactions, { framework: 'puppeteer' });
+
+    expect(script).toContain("const puppeteer = require('puppeteer');");
+    expect(script).toContain("await page.type('#email', 'ana\\'s@example.com');");
+    expect(script).toContain('await page.evaluate((x, y) => window.scrollTo(x, y), 0, 600);');
+    expect(script).toContain('await browser.close();');
+    expect(script).not.toContain('failingResponse');
+  });
+
+  test('should produce syntactically valid JavaScript for every framework', () => {
+    for (const framework of Object.keys(TestScriptGenerator.FRAMEWORKS)) {
+      const { script } = generator.generate(interactions, { framework, failingRequest, title: "it's broken\n" });
+      expect(() => new Function(`return async () => {\n${script}\n};`)).not.toThrow();
+    }
+  });
+
+  test('should use the start URL when interactions have none and reject empty buffers', () => {
+    const actions = generator.normalizeActions([{ kind: 'click', path: '#go', ts: 1 }], 'https://example.com/');
+    expect(actions).toEqual([{ type: 'goto', url: 'https://example.com/' }, { type: 'click', selector: '#go' }]);
+
+    expect(() => generator.generate([], { framework: 'playwright' })).toThrow('No recorded interactions to export');
+    expect(() => generator.generate(interactions, { framework: 'selenium' })).toThrow('Unsupported test framework: selenium');
+  });
+});